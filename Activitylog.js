@@ -0,0 +1,171 @@
+/**
+ * Strong Teams Automation - Activity Log
+ * 
+ * @version 1.0.0
+ * @phase Daily Digest
+ * @description "Activity Log" sheet - one row per thing a trigger run did
+ * @lastUpdated 2026-10-18
+ * 
+ * onCalendarTrigger() records what happened to each booking (set up, failed,
+ * cancelled or rescheduled). Rows are buffered and written in one call
+ * at the end of the run (flush). The daily digest (Dailydigest.js) reads the
+ * last 24 hours from here instead of emailing on every event.
+ */
+
+const ActivityLog = {
+  
+  // Column indices (0-based)
+  COLUMNS: {
+    TIMESTAMP: 0,
+    TYPE: 1,
+    PHASE: 2,
+    NAME: 3,
+    EMAIL: 4,
+    COMPANY: 5,
+    EVENT_DATE: 6,
+    BUILD_FILE_URL: 7,
+    DETAIL: 8,
+    EVENT_ID: 9
+  },
+  
+  // Header row - order must match COLUMNS
+  HEADERS: ['Timestamp', 'Type', 'Phase', 'Name', 'Email', 'Company', 'Event Date', 'Build File', 'Detail', 'Event ID'],
+  
+  // Values for the Type column
+  TYPES: {
+    PROCESSED: 'Processed',
+    ERROR: 'Error',
+    CANCELLED: 'Cancelled',
+    RESCHEDULED: 'Rescheduled'
+  },
+  
+  // Rows waiting for flush()
+  pending: [],
+  
+  /**
+   * Buffer an activity row (written by flush())
+   * @param {string} type - One of TYPES
+   * @param {CalendarEvent|null} event - The calendar event (null for cancellations)
+   * @param {string} phase - 'Phase 1', 'Phase 2', 'Phase 3' or ''
+   * @param {Object|null} eventData - Extracted event data (name, email, company, buildFileUrl)
+   * @param {string} [detail] - Error message or other note
+   */
+  record: function(type, event, phase, eventData, detail) {
+    const data = eventData || {};
+    const eventDate = event ? event.getStartTime() : data.eventDate;
+    
+    this.pending.push([
+      new Date().toISOString(),
+      type,
+      phase || '',
+      data.fullName || data.leaderName || (event ? event.getTitle() : ''),
+      data.email || '',
+      data.companyName || data.company || '',
+      eventDate ? new Date(eventDate).toISOString() : '',
+      data.buildFileUrl || '',
+      detail || '',
+      event ? event.getId() : (data.eventId || '')
+    ]);
+  },
+  
+  /**
+   * Get or create the "Activity Log" sheet
+   * @returns {Sheet} The activity sheet
+   */
+  getSheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.DIGEST.activitySheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.DIGEST.activitySheetName);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setValues([this.HEADERS]);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 170);
+      sheet.setColumnWidth(8, 300);
+      sheet.setColumnWidth(9, 350);
+      Logger.log(`✓ Created "${CONFIG.DIGEST.activitySheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Write buffered rows in a single call
+   * @returns {number} Rows written
+   */
+  flush: function() {
+    if (this.pending.length === 0) {
+      return 0;
+    }
+    
+    const rows = this.pending;
+    const sheet = this.getSheet();
+    
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, this.HEADERS.length).setValues(rows);
+    this.pending = [];
+    
+    return rows.length;
+  },
+  
+  /**
+   * Read activity since a given time
+   * @param {Date} since - Oldest timestamp to include
+   * @returns {Object[]} { timestamp, type, phase, name, email, company, eventDate, buildFileUrl, detail, eventId }
+   */
+  getSince: function(since) {
+    const sheet = ProcessedEventsTracker.getTrackingSpreadsheet().getSheetByName(CONFIG.DIGEST.activitySheetName);
+    if (!sheet) return [];
+    
+    const data = sheet.getDataRange().getValues();
+    const entries = [];
+    
+    for (let i = 1; i < data.length; i++) {
+      const timestamp = new Date(data[i][this.COLUMNS.TIMESTAMP]);
+      if (timestamp < since) continue;
+      
+      entries.push({
+        timestamp: timestamp,
+        type: data[i][this.COLUMNS.TYPE],
+        phase: data[i][this.COLUMNS.PHASE],
+        name: data[i][this.COLUMNS.NAME],
+        email: data[i][this.COLUMNS.EMAIL],
+        company: data[i][this.COLUMNS.COMPANY],
+        eventDate: data[i][this.COLUMNS.EVENT_DATE] ? new Date(data[i][this.COLUMNS.EVENT_DATE]) : null,
+        buildFileUrl: data[i][this.COLUMNS.BUILD_FILE_URL],
+        detail: data[i][this.COLUMNS.DETAIL],
+        eventId: data[i][this.COLUMNS.EVENT_ID]
+      });
+    }
+    
+    return entries;
+  },
+  
+  /**
+   * Delete rows older than CONFIG.DIGEST.activityRetentionDays
+   * Rows are appended in time order, so old rows are a block at the top
+   * 
+   * @returns {number} Rows deleted
+   */
+  prune: function() {
+    const sheet = ProcessedEventsTracker.getTrackingSpreadsheet().getSheetByName(CONFIG.DIGEST.activitySheetName);
+    if (!sheet || sheet.getLastRow() <= 1) return 0;
+    
+    const cutoff = new Date(Date.now() - CONFIG.DIGEST.activityRetentionDays * 24 * 60 * 60 * 1000);
+    const timestamps = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+    
+    let oldRows = 0;
+    while (oldRows < timestamps.length && new Date(timestamps[oldRows][0]) < cutoff) {
+      oldRows++;
+    }
+    
+    if (oldRows > 0) {
+      sheet.deleteRows(2, oldRows);
+      Logger.log(`🧹 Removed ${oldRows} activity row(s) older than ${CONFIG.DIGEST.activityRetentionDays} days`);
+    }
+    
+    return oldRows;
+  }
+};
\ No newline at end of file
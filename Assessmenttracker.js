@@ -0,0 +1,402 @@
+/**
+ * Strong Teams Automation - Assessment Tracker
+ * 
+ * @version 1.1.2
+ * @phase IDS Export Import
+ * @description Completion counts for each team's IDS response link
+ * @lastUpdated 2026-10-18
+ * 
+ * Runs from a time-driven trigger (checkAssessmentCompletion, see CONFIG.TRIGGERS.timeDriven)
+ * and from the Build File menu (Assessment Tools → Check Assessment Completion).
+ * 
+ * For every Build File with an upcoming Phase 1 or Phase 2 session in the Event Tracker:
+ * - Reads the login code (Phase 1 Settings, CONFIG.IDS_API.phase1LoginCodeRow) and the
+ *   assessment deadline (CONFIG.PHASE1.rows.assessmentDeadline)
+ * - Asks IDS who has responded and how many responses the link was created for
+ *   (6 + additional team members - see IDSUtils.buildRequestPayload)
+ * - Writes the counts and respondent names to the Build File's "Assessment Status" sheet
+ * - Updates the team's row on the "Assessment Status" sheet in the Event Tracker
+ * 
+ * Teams below target within CONFIG.ASSESSMENT_TRACKING.warnDaysBefore days of the
+ * deadline are flagged "Behind" ("Overdue" once it has passed) and listed in the daily digest.
+ * With CONFIG.ASSESSMENT_TRACKING.pullExport on, the IDS export is imported whenever
+ * the completed count goes up (dated copy in the leader folder + Strengths Wheel sheet,
+ * see importIDSExportForBuildFile in DataImport.js).
+ * 
+ * Needs CONFIG.IDS_API.responsesEndpoint (blank by default - see Config.js); until it is
+ * set, run() logs that tracking is off and does nothing.
+ * 
+ * CHANGELOG v1.1.2:
+ * - Teams with only a Phase 2 session left are checked too (Phase 2 rows have no
+ *   Build File ID - it is looked up by leader email)
+ * 
+ * CHANGELOG v1.1.1:
+ * - Does nothing until the IDS per-link endpoints are configured (no guessed URLs)
+ * 
+ * CHANGELOG v1.1.0:
+ * - pullExport imports the export into the Strengths Wheel sheet (saveExport() moved to DataImport.js)
+ */
+
+const AssessmentTracker = {
+  
+  // Header row for the Event Tracker summary sheet (one row per Build File)
+  HEADERS: ['Build File ID', 'Leader', 'Company', 'Login Code', 'Completed', 'Target', 'Deadline', 'Status', 'Last Checked', 'Last Error'],
+  
+  // Column indices (0-based) - order must match HEADERS
+  COLUMNS: {
+    BUILD_FILE_ID: 0,
+    LEADER: 1,
+    COMPANY: 2,
+    LOGIN_CODE: 3,
+    COMPLETED: 4,
+    TARGET: 5,
+    DEADLINE: 6,
+    STATUS: 7,
+    LAST_CHECKED: 8,
+    LAST_ERROR: 9
+  },
+  
+  STATUSES: {
+    COMPLETE: 'Complete',
+    ON_TRACK: 'On Track',
+    BEHIND: 'Behind',
+    OVERDUE: 'Overdue',
+    NO_LINK: 'No Link',
+    ERROR: 'Error'
+  },
+  
+  // Build File sheet: summary in A1:B6, respondents from this row down
+  RESPONDENT_HEADER_ROW: 8,
+  RESPONDENT_HEADERS: ['Name', 'Email', 'Status', 'Completed At'],
+  
+  /**
+   * Check every tracked team
+   * @returns {Object} { checked, behind, failed }
+   */
+  run: function() {
+    const result = { checked: 0, behind: 0, failed: 0 };
+    
+    if (!CONFIG.ASSESSMENT_TRACKING.enabled) {
+      Logger.log('ℹ Assessment tracking disabled (CONFIG.ASSESSMENT_TRACKING.enabled)');
+      return result;
+    }
+    
+    if (!IDSUtils.isLinkApiConfigured()) {
+      Logger.log('ℹ Assessment tracking off - IDS_API.responsesEndpoint is not set (see Config.js)');
+      return result;
+    }
+    
+    const teams = this.collectTeams();
+    const summary = this.loadSummary();
+    
+    Logger.log(`🔍 Checking assessments for ${teams.length} team(s)`);
+    
+    teams.forEach(team => {
+      const previous = summary[team.buildFileId];
+      let status;
+      
+      try {
+        status = this.checkTeam(SpreadsheetApp.openById(team.buildFileId), team, previous ? previous.completed : 0);
+        result.checked++;
+        
+        if (this.isFlagged(status.status)) {
+          result.behind++;
+        }
+        
+        Logger.log(`✓ ${team.leaderName}: ${status.completed}/${status.target} completed (${status.status})`);
+      } catch (error) {
+        result.failed++;
+        status = { loginCode: previous ? previous.loginCode : '', completed: previous ? previous.completed : '', target: '', deadline: null, status: this.STATUSES.ERROR, error: error.message };
+        Logger.log(`✗ ${team.leaderName}: ${error.message}`);
+        ActivityLog.record(ActivityLog.TYPES.ERROR, null, team.phase, team, `Assessment check failed: ${error.message}`);
+      }
+      
+      this.updateSummary(team, status, previous);
+    });
+    
+    ActivityLog.flush();
+    
+    Logger.log(`🔍 Assessments: ${result.checked} checked, ${result.behind} behind, ${result.failed} failed`);
+    
+    return result;
+  },
+  
+  /**
+   * Build Files with an upcoming Phase 1 / Phase 2 session (one entry per Build File)
+   * @returns {Object[]} Teams: { buildFileId, leaderName, company, email, phase }
+   */
+  collectTeams: function() {
+    const teams = {};
+    
+    ProcessedEventsTracker.getActiveFutureRecords().forEach(record => {
+      if (record.phase !== 'Phase 1' && record.phase !== 'Phase 2') return;
+      
+      // Phase 2 rows (the session after Phase 1 - when assessments are due) store no Build File ID
+      const buildFileId = ProcessedEventsTracker.resolveBuildFileId(record);
+      if (!buildFileId || teams[buildFileId]) return;
+      
+      teams[buildFileId] = {
+        buildFileId: buildFileId,
+        leaderName: record.leaderName,
+        company: record.company,
+        email: record.email,
+        phase: record.phase
+      };
+    });
+    
+    return Object.keys(teams).map(id => teams[id]);
+  },
+  
+  /**
+   * Check one team and write the Build File sheet
+   * @param {Spreadsheet} ss - The Build File
+   * @param {Object} team - { buildFileId, leaderName } (from collectTeams or the Event Tracker)
+   * @param {number} previousCompleted - Completed count from the last check
+   * @returns {Object} { loginCode, completed, target, deadline, status, respondents, error }
+   */
+  checkTeam: function(ss, team, previousCompleted) {
+    const phase1 = ss.getSheetByName(CONFIG.PHASE1.sheetName);
+    
+    if (!phase1) {
+      throw new Error(`Sheet "${CONFIG.PHASE1.sheetName}" not found in Build File`);
+    }
+    
+    const loginCode = String(phase1.getRange(CONFIG.IDS_API.phase1LoginCodeRow, 2).getValue()).trim();
+    const deadline = SessionReminders.parseDate(phase1.getRange(CONFIG.PHASE1.rows.assessmentDeadline, 2).getValue());
+    
+    if (!loginCode) {
+      return { loginCode: '', completed: 0, target: '', deadline: deadline, status: this.STATUSES.NO_LINK, respondents: [], error: '' };
+    }
+    
+    const respondents = IDSUtils.getLinkResponses(loginCode);
+    const target = IDSUtils.getLinkTarget(loginCode) || Number(CONFIG.ASSESSMENT_TRACKING.defaultTarget);
+    const completed = respondents.filter(r => r.completed).length;
+    
+    const status = {
+      loginCode: loginCode,
+      completed: completed,
+      target: target,
+      deadline: deadline,
+      status: this.getStatus(completed, target, deadline),
+      respondents: respondents,
+      error: ''
+    };
+    
+    this.writeBuildFileSheet(ss, status);
+    
+    if (CONFIG.ASSESSMENT_TRACKING.pullExport && completed > Number(previousCompleted || 0)) {
+      try {
+        const imported = importIDSExportForBuildFile(ss, loginCode);
+        Logger.log(`✓ ${imported.count} record(s) imported from ${imported.fileName}`);
+      } catch (error) {
+        Logger.log(`⚠️ IDS export not imported for ${team.leaderName}: ${error.message}`);
+      }
+    }
+    
+    return status;
+  },
+  
+  /**
+   * @param {number} completed - Completed responses
+   * @param {number} target - Responses the link was created for
+   * @param {Date|null} deadline - Phase 1 assessment deadline
+   * @returns {string} One of STATUSES
+   */
+  getStatus: function(completed, target, deadline) {
+    if (completed >= target) return this.STATUSES.COMPLETE;
+    if (!deadline) return this.STATUSES.ON_TRACK;
+    
+    const days = SessionReminders.daysUntil(deadline);
+    
+    if (days < 0) return this.STATUSES.OVERDUE;
+    if (days <= Number(CONFIG.ASSESSMENT_TRACKING.warnDaysBefore)) return this.STATUSES.BEHIND;
+    return this.STATUSES.ON_TRACK;
+  },
+  
+  /**
+   * @param {string} status - One of STATUSES
+   * @returns {boolean} True if the team needs chasing
+   */
+  isFlagged: function(status) {
+    return status === this.STATUSES.BEHIND || status === this.STATUSES.OVERDUE;
+  },
+  
+  /**
+   * Rewrite the Build File's "Assessment Status" sheet
+   * @param {Spreadsheet} ss - The Build File
+   * @param {Object} status - From checkTeam()
+   */
+  writeBuildFileSheet: function(ss, status) {
+    let sheet = ss.getSheetByName(CONFIG.ASSESSMENT_TRACKING.sheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.ASSESSMENT_TRACKING.sheetName);
+      sheet.setColumnWidth(1, 200);
+      sheet.setColumnWidth(2, 250);
+      sheet.setColumnWidth(4, 170);
+    }
+    
+    sheet.clear();
+    
+    sheet.getRange(1, 1, 6, 2).setValues([
+      ['Last Checked', new Date()],
+      ['Completed', status.completed],
+      ['Target', status.target],
+      ['Deadline', status.deadline || ''],
+      ['Status', status.status],
+      ['Login Code', status.loginCode]
+    ]);
+    sheet.getRange(1, 1, 6, 1).setFontWeight('bold');
+    
+    const colors = {};
+    colors[this.STATUSES.COMPLETE] = '#d9ead3';
+    colors[this.STATUSES.BEHIND] = '#fce5cd';
+    colors[this.STATUSES.OVERDUE] = '#f4cccc';
+    sheet.getRange(5, 2).setBackground(colors[status.status] || null);
+    
+    const header = sheet.getRange(this.RESPONDENT_HEADER_ROW, 1, 1, this.RESPONDENT_HEADERS.length);
+    header.setValues([this.RESPONDENT_HEADERS]);
+    header.setFontWeight('bold');
+    header.setBackground('#4285f4');
+    header.setFontColor('#ffffff');
+    
+    if (status.respondents.length > 0) {
+      sheet.getRange(this.RESPONDENT_HEADER_ROW + 1, 1, status.respondents.length, this.RESPONDENT_HEADERS.length)
+        .setValues(status.respondents.map(r => [r.name, r.email, r.completed ? 'Completed' : 'In Progress', r.completedAt || '']));
+    }
+  },
+  
+  /**
+   * Get or create the summary sheet in the Event Tracker
+   * @returns {Sheet} The sheet
+   */
+  getSummarySheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.ASSESSMENT_TRACKING.summarySheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.ASSESSMENT_TRACKING.summarySheetName);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setValues([this.HEADERS]);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 200);
+      sheet.setColumnWidth(this.COLUMNS.LAST_ERROR + 1, 300);
+      Logger.log(`✓ Created "${CONFIG.ASSESSMENT_TRACKING.summarySheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * @returns {Object} Map of buildFileId → { rowIndex, leaderName, company, loginCode, completed, target, deadline, status, lastChecked }
+   */
+  loadSummary: function() {
+    const sheet = this.getSummarySheet();
+    const summary = {};
+    
+    if (sheet.getLastRow() < 2) {
+      return summary;
+    }
+    
+    const c = this.COLUMNS;
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, this.HEADERS.length).getValues().forEach((row, i) => {
+      if (!row[c.BUILD_FILE_ID]) return;
+      
+      summary[row[c.BUILD_FILE_ID]] = {
+        rowIndex: i + 2,
+        buildFileId: row[c.BUILD_FILE_ID],
+        leaderName: row[c.LEADER],
+        company: row[c.COMPANY],
+        loginCode: row[c.LOGIN_CODE],
+        completed: row[c.COMPLETED],
+        target: row[c.TARGET],
+        deadline: row[c.DEADLINE],
+        status: row[c.STATUS],
+        lastChecked: row[c.LAST_CHECKED]
+      };
+    });
+    
+    return summary;
+  },
+  
+  /**
+   * Write (or add) the team's summary row
+   * @param {Object} team - { buildFileId, leaderName, company }
+   * @param {Object} status - From checkTeam()
+   * @param {Object|undefined} previous - The team's row from loadSummary()
+   */
+  updateSummary: function(team, status, previous) {
+    const sheet = this.getSummarySheet();
+    const row = [
+      team.buildFileId,
+      team.leaderName,
+      team.company,
+      status.loginCode,
+      status.completed,
+      status.target,
+      status.deadline || '',
+      status.status,
+      new Date(),
+      status.error || ''
+    ];
+    
+    if (previous) {
+      sheet.getRange(previous.rowIndex, 1, 1, row.length).setValues([row]);
+    } else {
+      sheet.appendRow(row);
+    }
+  },
+  
+  /**
+   * Teams currently flagged Behind / Overdue (for the daily digest)
+   * @returns {Object[]} Summary rows from loadSummary()
+   */
+  getFlagged: function() {
+    const summary = this.loadSummary();
+    
+    return Object.keys(summary)
+      .map(id => summary[id])
+      .filter(team => this.isFlagged(team.status))
+      .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Check every tracked team (time-driven trigger - see CONFIG.TRIGGERS.timeDriven)
+ */
+function checkAssessmentCompletion() {
+  ConfigLoader.load(['IDS_API.apiKey']);
+  AssessmentTracker.run();
+}
+
+/**
+ * Check the open Build File (Strengths Tools → Assessment Tools menu)
+ */
+function checkThisBuildFileAssessments() {
+  ConfigLoader.load(['IDS_API.apiKey']);
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const leader = ProcessedEventsTracker.findByBuildFileId(ss.getId()) || {};
+  const team = {
+    buildFileId: ss.getId(),
+    leaderName: leader.leaderName || ss.getName(),
+    company: leader.company || ''
+  };
+  
+  try {
+    const previous = AssessmentTracker.loadSummary()[team.buildFileId];
+    const status = AssessmentTracker.checkTeam(ss, team, previous ? previous.completed : 0);
+    AssessmentTracker.updateSummary(team, status, previous);
+    
+    ss.setActiveSheet(ss.getSheetByName(CONFIG.ASSESSMENT_TRACKING.sheetName) || ss.getActiveSheet());
+    ss.toast(`${status.completed} of ${status.target || '?'} completed (${status.status})`, 'Assessment Status', 5);
+  } catch (error) {
+    SpreadsheetApp.getUi().alert('Assessment Check Failed', error.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+}
\ No newline at end of file
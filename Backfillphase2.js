@@ -304,6 +304,7 @@ function updatePhase2InBuildFile(buildFile, eventData) {
   sheet.getRange(rows.date, 2).setValue(eventData.formattedDate);
   sheet.getRange(rows.time, 2).setValue(eventData.formattedTime);
   sheet.getRange(rows.zoomLink, 2).setValue(eventData.zoomLink);
+  BuildFileManager.writeLeaderTime(sheet, rows, eventData);
   
   // Flush changes
   SpreadsheetApp.flush();
@@ -0,0 +1,267 @@
+/**
+ * Strong Teams Automation - Booking Parsers
+ * 
+ * @version 1.1.0
+ * @phase Leader Time Zones
+ * @description Registry of booking-source parsers (YouCanBookMe, Calendly, Google Appointment Schedules)
+ * @lastUpdated 2026-10-18
+ * 
+ * Each booking tool writes attendee details differently:
+ * - YouCanBookMe:  "First name: Jane" / "Appointment Type : 60 Minute Phase 1..." in the description
+ * - Calendly:      "Event Name: ..." + custom questions in the description, invitee on the guest list
+ * - Google Appointment Schedules: "Booked by" block + question/answer lines, schedule name in the title
+ * 
+ * A parser declares:
+ *   name    - Shown in logs (and returned as bookingSource)
+ *   detect  - function(event, text) → boolean
+ *   parse   - function(event, text) → { firstName, lastName, email, leaderEmail, phone,
+ *                                        teamSize, appointmentType, company, timeZone }
+ * 
+ * Parsers are tried in order; the first whose detect() matches wins. YouCanBookMe is
+ * last and also the fallback, so events that match nothing behave as before.
+ * Add a new source with BookingParsers.register({ name, detect, parse }).
+ * 
+ * Fixture tests: Bookingparsertester.js (run testBookingParsers()).
+ * 
+ * CHANGELOG v1.1.0:
+ * - Parsers return the booker's time zone answer as timeZone (read by Timeformat.js)
+ */
+
+const BookingParsers = {
+  
+  // Registered parsers, in detection order (see register)
+  parsers: [],
+  
+  /**
+   * Add a booking source parser
+   * New parsers are tried before the built-in ones, so they can claim events first
+   * 
+   * @param {Object} parser - { name, detect, parse }
+   */
+  register: function(parser) {
+    if (!parser || !parser.name || typeof parser.detect !== 'function' || typeof parser.parse !== 'function') {
+      throw new Error('Booking parser needs name, detect() and parse()');
+    }
+    
+    this.parsers.unshift(parser);
+  },
+  
+  /**
+   * Get every parser, custom ones first, YouCanBookMe (fallback) last
+   * @returns {Object[]} Parsers in detection order
+   */
+  getParsers: function() {
+    return this.parsers.concat([this.CALENDLY, this.GOOGLE_APPOINTMENTS, this.YOUCANBOOKME]);
+  },
+  
+  /**
+   * Find the parser for an event
+   * @param {CalendarEvent} event - The calendar event
+   * @returns {Object} The matching parser (YouCanBookMe if none match)
+   */
+  detect: function(event) {
+    const text = this.getText(event);
+    return this.getParsers().find(parser => parser.detect(event, text)) || this.YOUCANBOOKME;
+  },
+  
+  /**
+   * Parse booking details from an event
+   * @param {CalendarEvent} event - The calendar event
+   * @returns {Object} { source, firstName, lastName, email, leaderEmail, phone,
+   *                     teamSize, appointmentType, company, timeZone } - blanks as '' / 0
+   */
+  parse: function(event) {
+    const text = this.getText(event);
+    const parser = this.getParsers().find(p => p.detect(event, text)) || this.YOUCANBOOKME;
+    const parsed = parser.parse(event, text);
+    
+    return {
+      source: parser.name,
+      firstName: parsed.firstName || '',
+      lastName: parsed.lastName || '',
+      email: parsed.email || '',
+      leaderEmail: parsed.leaderEmail || '',
+      phone: parsed.phone || '',
+      teamSize: parseInt(parsed.teamSize) || 0,
+      appointmentType: parsed.appointmentType || '',
+      company: parsed.company || '',
+      timeZone: parsed.timeZone || ''
+    };
+  },
+  
+  /**
+   * Get the event description as plain text
+   * @param {CalendarEvent} event - The calendar event
+   * @returns {string} Description with HTML stripped
+   */
+  getText: function(event) {
+    return CalendarUtils.stripHtml(event.getDescription() || '');
+  },
+  
+  // ==========================================================================
+  // SHARED HELPERS
+  // ==========================================================================
+  
+  /**
+   * Find the answer to a question whose label matches a pattern
+   * Handles "Label: answer" on one line and "Label" / "answer" on two lines
+   * 
+   * @param {string} text - Plain-text description
+   * @param {RegExp} pattern - Matches the label (e.g. /team members/i)
+   * @returns {string} The answer or ''
+   */
+  findAnswer: function(text, pattern) {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    
+    for (let i = 0; i < lines.length; i++) {
+      const colon = lines[i].indexOf(':');
+      const label = colon > 0 ? lines[i].substring(0, colon).trim() : lines[i];
+      
+      if (!label || !pattern.test(label)) continue;
+      
+      const inline = colon > 0 ? lines[i].substring(colon + 1).trim() : '';
+      if (inline) return inline;
+      
+      // Answer on the next non-empty line
+      for (let j = i + 1; j < lines.length; j++) {
+        if (lines[j]) return lines[j];
+      }
+    }
+    
+    return '';
+  },
+  
+  /**
+   * Pull the first email address out of a string
+   * @param {string} value - Any text
+   * @returns {string} Email or ''
+   */
+  findEmail: function(value) {
+    const match = String(value || '').match(/([a-zA-Z0-9._+-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
+    return match ? match[1] : '';
+  },
+  
+  /**
+   * Split "Jane van Doe" into { firstName: 'Jane', lastName: 'van Doe' }
+   * @param {string} fullName - Full name
+   * @returns {Object} { firstName, lastName }
+   */
+  splitName: function(fullName) {
+    const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+    return { firstName: parts[0] || '', lastName: parts.slice(1).join(' ') };
+  },
+  
+  /**
+   * Get the first guest that isn't the calendar owner / event creator
+   * @param {CalendarEvent} event - The calendar event
+   * @returns {Object|null} { name, email } or null
+   */
+  getInvitee: function(event) {
+    let guests = [];
+    let creators = [];
+    
+    try {
+      guests = event.getGuestList() || [];
+      creators = (event.getCreators() || []).map(email => email.toLowerCase());
+    } catch (error) {
+      return null;
+    }
+    
+    const guest = guests.find(g => creators.indexOf(String(g.getEmail()).toLowerCase()) === -1);
+    return guest ? { name: guest.getName() || '', email: guest.getEmail() || '' } : null;
+  },
+  
+  // ==========================================================================
+  // BUILT-IN PARSERS
+  // ==========================================================================
+  
+  // Calendly - "Event Name:" + questions in the description, invitee on the guest list
+  CALENDLY: {
+    name: 'Calendly',
+    
+    detect: function(event, text) {
+      return /calendly\.com/i.test(text);
+    },
+    
+    parse: function(event, text) {
+      const invitee = BookingParsers.getInvitee(event) || {};
+      const name = BookingParsers.findAnswer(text, /^invitee( name)?$/i) || invitee.name;
+      const split = BookingParsers.splitName(name);
+      
+      return {
+        firstName: BookingParsers.findAnswer(text, /^first name$/i) || split.firstName,
+        lastName: BookingParsers.findAnswer(text, /^last name$/i) || split.lastName,
+        email: BookingParsers.findEmail(BookingParsers.findAnswer(text, /^invitee email$/i)) || invitee.email,
+        leaderEmail: BookingParsers.findEmail(BookingParsers.findAnswer(text, /leader('s)? email/i)),
+        phone: BookingParsers.findAnswer(text, /phone|text reminder/i),
+        teamSize: BookingParsers.findAnswer(text, /team members/i),
+        appointmentType: BookingParsers.findAnswer(text, /^event (name|type)$/i) || event.getTitle(),
+        company: BookingParsers.findAnswer(text, /^(company|organi[sz]ation)( name)?\??$/i),
+        timeZone: BookingParsers.findAnswer(text, /^(invitee )?time ?zone$/i)
+      };
+    }
+  },
+  
+  // Google Calendar Appointment Schedules - "Booked by" block, schedule name in the title
+  GOOGLE_APPOINTMENTS: {
+    name: 'Google Appointment Schedules',
+    
+    detect: function(event, text) {
+      return /^\s*booked by\s*$/im.test(text) || /calendar\.google\.com\/calendar\/appointments/i.test(text);
+    },
+    
+    parse: function(event, text) {
+      const lines = text.split(/\r?\n/).map(line => line.trim());
+      const bookedBy = lines.findIndex(line => /^booked by$/i.test(line));
+      
+      // "Booked by" is followed by the name, then the email (block ends at the first blank line)
+      const block = [];
+      for (let i = bookedBy + 1; bookedBy !== -1 && i < lines.length && lines[i] && block.length < 2; i++) {
+        block.push(lines[i]);
+      }
+      const blockEmail = block.map(line => BookingParsers.findEmail(line)).find(Boolean) || '';
+      const blockName = block.find(line => !BookingParsers.findEmail(line)) || '';
+      
+      const invitee = BookingParsers.getInvitee(event) || {};
+      const split = BookingParsers.splitName(blockName || invitee.name);
+      
+      // Title is "<schedule name> (<booker name>)" - the schedule name is the appointment type
+      const appointmentType = (event.getTitle() || '').replace(/\s*\([^)]*\)\s*$/, '');
+      
+      return {
+        firstName: split.firstName,
+        lastName: split.lastName,
+        email: blockEmail || invitee.email,
+        leaderEmail: BookingParsers.findEmail(BookingParsers.findAnswer(text, /leader('s)? email/i)),
+        phone: BookingParsers.findAnswer(text, /phone/i),
+        teamSize: BookingParsers.findAnswer(text, /team members/i),
+        appointmentType: appointmentType,
+        company: BookingParsers.findAnswer(text, /^(company|organi[sz]ation)( name)?\??$/i),
+        timeZone: BookingParsers.findAnswer(text, /^time ?zone$/i)
+      };
+    }
+  },
+  
+  // YouCanBookMe - labelled fields in the description (the original format, and the fallback)
+  YOUCANBOOKME: {
+    name: 'YouCanBookMe',
+    
+    detect: function(event, text) {
+      return /youcanbook\.me|appointment type\s*:|first name\s*:/i.test(text);
+    },
+    
+    parse: function(event, text) {
+      return {
+        firstName: CalendarUtils.extractField(text, 'First name:'),
+        lastName: CalendarUtils.extractField(text, 'Last name:'),
+        email: CalendarUtils.extractFirstEmail(text),
+        leaderEmail: CalendarUtils.extractEmailFromField(text, 'Leader Email:'),
+        phone: CalendarUtils.extractField(text, 'Phone number:'),
+        teamSize: CalendarUtils.extractField(text, 'Additional Team Members:'),
+        appointmentType: CalendarUtils.extractField(text, 'Appointment Type:'),
+        company: CalendarUtils.extractField(text, CONFIG.COMPANIES.formFieldLabel),
+        timeZone: BookingParsers.findAnswer(text, /^(your )?time ?zone$/i)
+      };
+    }
+  }
+};
\ No newline at end of file
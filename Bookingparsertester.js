@@ -0,0 +1,234 @@
+/**
+ * Booking Parser Tester
+ * 
+ * Fixture tests for Bookingparsers.js - one fixture per booking source.
+ * Uses sample event descriptions (no calendar access, no folders or files created).
+ * 
+ * Run testBookingParsers() from the Apps Script editor after changing a parser
+ * or adding a new booking source. Add a fixture to BOOKING_FIXTURES for each
+ * new format.
+ */
+
+/**
+ * Sample events and the fields each parser must extract
+ */
+const BOOKING_FIXTURES = [
+  {
+    name: 'YouCanBookMe - Phase 1 (HTML description)',
+    event: {
+      title: 'Strong Teams - David Trudell',
+      description: '<p>Appointment Type : 60 Minute Phase 1 - Leader Only<br />' +
+        'First name: David<br />Last name: Trudell<br />Email: david@trudellco.com<br />' +
+        'Phone number: 555-123-4567<br />Additional Team Members: 6<br />' +
+        'Timezone: America/New_York<br />Booking reference: ABCD-1234</p>',
+      location: 'https://zoom.us/j/123456789'
+    },
+    expected: {
+      source: 'YouCanBookMe',
+      firstName: 'David',
+      lastName: 'Trudell',
+      email: 'david@trudellco.com',
+      phone: '555-123-4567',
+      teamSize: 6,
+      appointmentType: '60 Minute Phase 1 - Leader Only',
+      timeZone: 'America/New_York'
+    }
+  },
+  {
+    name: 'YouCanBookMe - Phase 3 (leader email + company)',
+    event: {
+      title: 'Phase 3 - Sam Ortiz',
+      description: 'Appointment Type : 45 Minute Phase 3 - One-on-One Exercise\n' +
+        'First name: Sam\nLast name: Ortiz\nEmail: sam.ortiz@gmail.com\n' +
+        'Leader Email: aw@aprilwelch.com\nCompany: April Welch Consulting'
+    },
+    expected: {
+      source: 'YouCanBookMe',
+      firstName: 'Sam',
+      lastName: 'Ortiz',
+      email: 'sam.ortiz@gmail.com',
+      leaderEmail: 'aw@aprilwelch.com',
+      company: 'April Welch Consulting',
+      appointmentType: '45 Minute Phase 3 - One-on-One Exercise'
+    }
+  },
+  {
+    name: 'Calendly - Phase 1 (invitee on guest list)',
+    event: {
+      title: 'Jane Doe and Coach: 60 Minute Phase 1 - Leader Only',
+      description: 'Event Name: 60 Minute Phase 1 - Leader Only\n\n' +
+        'Location: This is a Zoom web conference.\n\n' +
+        'How many additional team members will join?: 4\n' +
+        'Company: Acme Widgets\n' +
+        'Text Reminder Number: +1 303 555 0100\n' +
+        'Invitee Time Zone: Eastern Time - US & Canada\n\n' +
+        'Need to make changes to this event?\n' +
+        'Cancel: https://calendly.com/cancellations/abc123\n' +
+        'Reschedule: https://calendly.com/reschedulings/abc123\n\n' +
+        'Powered by Calendly.com',
+      location: 'https://zoom.us/j/987654321',
+      creators: ['coach@basleracademy.com'],
+      guests: [
+        { name: '', email: 'coach@basleracademy.com' },
+        { name: 'Jane Doe', email: 'jane.doe@acmewidgets.com' }
+      ]
+    },
+    expected: {
+      source: 'Calendly',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane.doe@acmewidgets.com',
+      phone: '+1 303 555 0100',
+      teamSize: 4,
+      company: 'Acme Widgets',
+      appointmentType: '60 Minute Phase 1 - Leader Only',
+      timeZone: 'Eastern Time - US & Canada'
+    }
+  },
+  {
+    name: 'Calendly - Invitee fields in description',
+    event: {
+      title: '90 Minute Phase 2 - Team Building',
+      description: 'Event Name: 90 Minute Phase 2 - Team Building\n' +
+        'Invitee: Maria Lopez Garcia\nInvitee Email: maria@lopezgarcia.com\n\n' +
+        'Powered by Calendly.com'
+    },
+    expected: {
+      source: 'Calendly',
+      firstName: 'Maria',
+      lastName: 'Lopez Garcia',
+      email: 'maria@lopezgarcia.com',
+      appointmentType: '90 Minute Phase 2 - Team Building'
+    }
+  },
+  {
+    name: 'Google Appointment Schedules - Phase 1 (question/answer lines)',
+    event: {
+      title: '60 Minute Phase 1 - Leader Only (Chris Park)',
+      description: 'Booked by\nChris Park\nchris@parkhvac.com\n\n' +
+        'Phone number\n720-555-0199\n\n' +
+        'How many additional team members?\n3\n\n' +
+        'Reschedule or cancel: https://calendar.google.com/calendar/appointments/AcZ123',
+      creators: ['coach@basleracademy.com'],
+      guests: [
+        { name: 'Chris Park', email: 'chris@parkhvac.com' }
+      ]
+    },
+    expected: {
+      source: 'Google Appointment Schedules',
+      firstName: 'Chris',
+      lastName: 'Park',
+      email: 'chris@parkhvac.com',
+      phone: '720-555-0199',
+      teamSize: 3,
+      appointmentType: '60 Minute Phase 1 - Leader Only'
+    }
+  },
+  {
+    name: 'Google Appointment Schedules - guest list only',
+    event: {
+      title: '90 Minute Phase 2 - Team Building (Pat Kim)',
+      description: 'Booked by\n\nReschedule: https://calendar.google.com/calendar/appointments/XyZ',
+      creators: ['coach@basleracademy.com'],
+      guests: [
+        { name: 'Pat Kim', email: 'pat.kim@kimlaw.com' },
+        { name: 'Coach', email: 'coach@basleracademy.com' }
+      ]
+    },
+    expected: {
+      source: 'Google Appointment Schedules',
+      firstName: 'Pat',
+      lastName: 'Kim',
+      email: 'pat.kim@kimlaw.com',
+      appointmentType: '90 Minute Phase 2 - Team Building'
+    }
+  },
+  {
+    name: 'Unknown format falls back to YouCanBookMe',
+    event: {
+      title: 'Dentist',
+      description: 'Reminder: bring insurance card'
+    },
+    expected: {
+      source: 'YouCanBookMe',
+      firstName: '',
+      email: ''
+    }
+  }
+];
+
+/**
+ * Run every fixture through BookingParsers and report mismatches
+ * @returns {boolean} True if every fixture passed
+ */
+function testBookingParsers() {
+  Logger.log('='.repeat(70));
+  Logger.log('BOOKING PARSER FIXTURE TESTS');
+  Logger.log('='.repeat(70));
+  
+  let failed = 0;
+  
+  BOOKING_FIXTURES.forEach(fixture => {
+    const parsed = BookingParsers.parse(makeFixtureEvent(fixture.event));
+    const mismatches = Object.keys(fixture.expected).filter(field => parsed[field] !== fixture.expected[field]);
+    
+    if (mismatches.length === 0) {
+      Logger.log(`✓ ${fixture.name}`);
+      return;
+    }
+    
+    failed++;
+    Logger.log(`✗ ${fixture.name}`);
+    mismatches.forEach(field => {
+      Logger.log(`   ${field}: expected "${fixture.expected[field]}", got "${parsed[field]}"`);
+    });
+  });
+  
+  Logger.log('\n' + '='.repeat(70));
+  Logger.log(`${BOOKING_FIXTURES.length - failed}/${BOOKING_FIXTURES.length} fixtures passed`);
+  Logger.log('='.repeat(70));
+  
+  return failed === 0;
+}
+
+/**
+ * Check phase detection for each fixture (identifiers from CONFIG)
+ */
+function testBookingPhaseDetection() {
+  Logger.log('=== PHASE DETECTION BY BOOKING SOURCE ===\n');
+  
+  BOOKING_FIXTURES.forEach(fixture => {
+    const event = makeFixtureEvent(fixture.event);
+    const phase = CalendarUtils.isPhase1Event(event) ? 'Phase 1'
+      : CalendarUtils.isPhase2Event(event) ? 'Phase 2'
+      : CalendarUtils.isPhase3Event(event) ? 'Phase 3'
+      : 'none';
+    
+    Logger.log(`${fixture.name}: ${phase}`);
+  });
+}
+
+/**
+ * Build a CalendarEvent-shaped object from a fixture
+ * Only the methods the parsers use are provided
+ * 
+ * @param {Object} data - { title, description, location, creators, guests }
+ * @returns {Object} Fake event
+ */
+function makeFixtureEvent(data) {
+  const start = new Date('2026-11-02T16:00:00Z');
+  
+  return {
+    getId: () => 'fixture@google.com',
+    getTitle: () => data.title || '',
+    getDescription: () => data.description || '',
+    getLocation: () => data.location || '',
+    getStartTime: () => start,
+    getEndTime: () => new Date(start.getTime() + 60 * 60 * 1000),
+    getCreators: () => data.creators || [],
+    getGuestList: () => (data.guests || []).map(guest => ({
+      getName: () => guest.name,
+      getEmail: () => guest.email
+    }))
+  };
+}
\ No newline at end of file
@@ -1,20 +1,53 @@
 /**
  * Strong Teams Automation - Build File Manager
  * 
- * @version 1.2.0
- * @phase Phase 1 Enhanced - IDS API Integration + Validation Checkpoint
+ * @version 1.9.1
+ * @phase Event Replay
  * @description Handle copying, renaming, and populating the Strong Teams Build File
- * @lastUpdated 2024-12-27
+ * @lastUpdated 2026-10-18
  * 
  * Responsibilities:
  * - Copy Build File template
  * - Rename to leader-specific format
- * - Populate Phase 1 Settings sheet (rows 2, 3, 7, 9)
+ * - Populate Phase 1 Settings sheet (rows 2, 3, 7, 9, 10, 11)
  * - Generate and store IDS assessment response link (row 4) - ONE TIME ONLY!
  * - Store IDS login code in Phase 1 Settings (row 8)
  * - Copy IDS login code to Phase 2 Settings (row 8)
  * - Handle updates to existing files WITHOUT generating new links
+ * - Regenerate a Build File from the template, keeping its IDS login code
  * - VALIDATE Phase 1 success before marking complete
+ * - Write Phase 3 sessions to Phase 3 Settings (one row per team member)
+ * - Clear or strike through session cells when a booking is cancelled
+ * - Write Stripe payment status to Phase 1 Settings (rows 12-14)
+ * 
+ * CHANGELOG v1.9.1:
+ * - Leader Date / Leader Time rows are only written (or struck through) when column A is
+ *   blank or already labelled "Leader Date" / "Leader Time" - templates that use rows 10/11
+ *   for something else are left alone
+ * 
+ * CHANGELOG v1.9.0:
+ * - Added regenerateBuildFile() + writeLoginCode() - fresh copy of the template that keeps
+ *   the leader's IDS login code (Eventreplay.js)
+ * 
+ * CHANGELOG v1.8.0:
+ * - Dry run: template copy is planned (placeholder file) and Build File writes are
+ *   recorded instead of made - getBuildFileSpreadsheet() returns a watched spreadsheet
+ * 
+ * CHANGELOG v1.7.0:
+ * - Template copy and Build File opens retry transient Drive / Sheets errors (RetryUtils.call)
+ * 
+ * CHANGELOG v1.6.0:
+ * - Phase 1/2 Settings get the leader-local date/time too (rows.leaderDate / leaderTime)
+ * 
+ * CHANGELOG v1.5.0:
+ * - Added updatePaymentStatus() for PaymentsTracker
+ * 
+ * CHANGELOG v1.4.0:
+ * - Added markSessionCancelled() - clears or strikes through Phase 1/2 session cells
+ * - Phase 1/2 updates remove strikethrough left by an earlier cancellation
+ * 
+ * CHANGELOG v1.3.0:
+ * - Added updatePhase3Settings() - creates "Phase 3 Settings" sheet if missing
  * 
  * CHANGELOG v1.2.0:
  * - Added validatePhase1Success() function - NEW!
@@ -24,6 +57,12 @@
 
 const BuildFileManager = {
   
+  // Column A labels for rows.leaderDate / rows.leaderTime (see writeLeaderTime)
+  LEADER_LABELS: {
+    date: 'Leader Date',
+    time: 'Leader Time'
+  },
+  
   /**
    * Validate Phase 1 completion before marking as processed
    * Ensures all critical fields exist in Build File
@@ -40,7 +79,7 @@ const BuildFileManager = {
     
     try {
       // Open the spreadsheet
-      const ss = SpreadsheetApp.open(buildFile);
+      const ss = this.getBuildFileSpreadsheet(buildFile);
       
       // Check 1: Phase 1 Settings sheet exists
       const sheet = ss.getSheetByName(CONFIG.PHASE1.sheetName);
@@ -144,24 +183,102 @@ const BuildFileManager = {
     return buildFile;
   },
   
+  /**
+   * Replace a leader's Build File with a fresh copy of the template
+   * The old file is renamed "(replaced ...)" and kept; its IDS login code is carried over,
+   * so no new IDS link is generated. Phase 1 data and payment status are written again.
+   * 
+   * @param {Object} eventData - Phase 1 event data
+   * @param {Folder} leaderFolder - The leader's folder
+   * @returns {Object} { buildFile, previousFile, loginCode }
+   * @since v1.9.0
+   */
+  regenerateBuildFile: function(eventData, leaderFolder) {
+    const buildFileName = `${eventData.fullName} - Strong Teams Build File`;
+    const previousFile = FolderUtils.findFileInFolder(leaderFolder, buildFileName);
+    
+    if (!previousFile) {
+      throw new Error(`No Build File to regenerate in ${leaderFolder.getName()} - reprocess without regenerating to create one`);
+    }
+    
+    const previousSheet = this.getBuildFileSpreadsheet(previousFile).getSheetByName(CONFIG.PHASE1.sheetName);
+    const loginCode = previousSheet ? String(previousSheet.getRange(CONFIG.IDS_API.phase1LoginCodeRow, 2).getValue()).trim() : '';
+    
+    if (!loginCode) {
+      throw new Error(`${buildFileName} has no IDS login code (${CONFIG.PHASE1.sheetName} row ${CONFIG.IDS_API.phase1LoginCodeRow}) - nothing to keep`);
+    }
+    
+    const replacedName = `${buildFileName} (replaced ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm')})`;
+    
+    if (DryRun.isActive()) {
+      DryRun.record('BuildFileManager', 'Rename old Build File', buildFileName, replacedName);
+    } else {
+      previousFile.setName(replacedName);
+    }
+    Logger.log(`  ✓ Old Build File renamed: ${replacedName}`);
+    
+    const buildFile = this.createNewBuildFile(buildFileName, leaderFolder);
+    this.updatePhase1Settings(buildFile, eventData);
+    this.writeLoginCode(buildFile, loginCode);
+    PaymentsTracker.applyToBuildFile(buildFile, eventData);
+    
+    return { buildFile: buildFile, previousFile: previousFile, loginCode: loginCode };
+  },
+  
+  /**
+   * Store an existing IDS login code in Phase 1 and Phase 2 Settings (row 8)
+   * @param {File} buildFile - The Build File
+   * @param {string} loginCode - IDS login code
+   * @since v1.9.0
+   */
+  writeLoginCode: function(buildFile, loginCode) {
+    const ss = this.getBuildFileSpreadsheet(buildFile);
+    const sheet = ss.getSheetByName(CONFIG.PHASE1.sheetName);
+    
+    if (!sheet) {
+      throw new Error(`Sheet "${CONFIG.PHASE1.sheetName}" not found`);
+    }
+    
+    sheet.getRange(CONFIG.IDS_API.phase1LoginCodeRow, 2).setValue(loginCode);
+    this.copyLoginCodeToPhase2(ss, loginCode);
+    
+    SpreadsheetApp.flush();
+    Logger.log(`  ✓ IDS login code kept: ${loginCode}`);
+  },
+  
   /**
    * Create new Build File by copying template
    */
   createNewBuildFile: function(fileName, destinationFolder) {
     try {
-      // Get template file
-      const templateFile = DriveApp.getFileById(CONFIG.TEMPLATES.buildFile);
-      Logger.log(`  → Copying template: ${templateFile.getName()}`);
+      if (DryRun.isActive()) {
+        DryRun.record('BuildFileManager', 'Copy Build File template', `${destinationFolder.getName()} / ${fileName}`, CONFIG.TEMPLATES.buildFile);
+        return DryRun.placeholder(fileName);
+      }
       
-      // Make a copy in the leader's folder
-      const copiedFile = templateFile.makeCopy(fileName, destinationFolder);
+      const copiedFile = RetryUtils.call('Copy Build File template', attempt => {
+        // A copy that failed part-way may still have been made - don't make a second one
+        const existing = attempt > 1 ? FolderUtils.findFileInFolder(destinationFolder, fileName) : null;
+        if (existing) {
+          return existing;
+        }
+        
+        // Get template file
+        const templateFile = DriveApp.getFileById(CONFIG.TEMPLATES.buildFile);
+        Logger.log(`  → Copying template: ${templateFile.getName()}`);
+        
+        // Make a copy in the leader's folder
+        return templateFile.makeCopy(fileName, destinationFolder);
+      });
       Logger.log(`  ✓ Build File created successfully`);
       
       return copiedFile;
       
     } catch (error) {
       Logger.log(`  ✗ ERROR creating Build File: ${error.message}`);
-      throw new Error(`Failed to create Build File: ${error.message}`);
+      const wrapped = new Error(`Failed to create Build File: ${error.message}`);
+      wrapped.errorType = RetryUtils.classify(error);
+      throw wrapped;
     }
   },
   
@@ -171,7 +288,7 @@ const BuildFileManager = {
   updatePhase1Settings: function(buildFile, eventData) {
     try {
       // Open the spreadsheet
-      const ss = SpreadsheetApp.open(buildFile);
+      const ss = this.getBuildFileSpreadsheet(buildFile);
       
       // Get Phase 1 Settings sheet
       let sheet = ss.getSheetByName(CONFIG.PHASE1.sheetName);
@@ -187,10 +304,13 @@ const BuildFileManager = {
       sheet.getRange(rows.time, 2).setValue(eventData.formattedTime);
       sheet.getRange(rows.name, 2).setValue(eventData.fullName);
       sheet.getRange(rows.zoomLink, 2).setValue(eventData.zoomLink);
+      this.writeLeaderTime(sheet, rows, eventData);
+      this.clearCancelledFormatting(sheet, this.getSessionRows(sheet, rows));
       
       Logger.log(`  ✓ Phase 1 Settings updated:`);
       Logger.log(`    - Date: ${eventData.formattedDate}`);
       Logger.log(`    - Time: ${eventData.formattedTime}`);
+      Logger.log(`    - Leader time: ${eventData.leaderDate} ${eventData.leaderTime} (${eventData.leaderTimeZone}, from ${eventData.leaderTimeZoneSource})`);
       Logger.log(`    - Leader: ${eventData.fullName}`);
       Logger.log(`    - Zoom: ${eventData.zoomLink}`);
       
@@ -203,6 +323,51 @@ const BuildFileManager = {
     }
   },
   
+  /**
+   * Write payment status to Phase 1 Settings
+   * Labels are written to column A because the template doesn't have them
+   * 
+   * @param {File} buildFile - The Build File
+   * @param {Object|null} payment - From PaymentsTracker, or null if no payment on file
+   * @since v1.5.0
+   */
+  updatePaymentStatus: function(buildFile, payment) {
+    try {
+      const ss = this.getBuildFileSpreadsheet(buildFile);
+      const sheet = ss.getSheetByName(CONFIG.PHASE1.sheetName);
+      
+      if (!sheet) {
+        throw new Error(`Sheet "${CONFIG.PHASE1.sheetName}" not found in Build File`);
+      }
+      
+      const rows = CONFIG.PAYMENTS.rows;
+      
+      sheet.getRange(rows.status, 1).setValue('Payment Status');
+      sheet.getRange(rows.amount, 1).setValue('Amount');
+      sheet.getRange(rows.reference, 1).setValue('Stripe Session');
+      
+      if (!payment) {
+        sheet.getRange(rows.status, 2).setValue('No payment on file');
+        Logger.log(`  ℹ Payment status: No payment on file`);
+        return;
+      }
+      
+      const amount = PaymentsTracker.formatAmount(payment.amountDue, payment.currency);
+      
+      sheet.getRange(rows.status, 2).setValue(payment.status);
+      sheet.getRange(rows.amount, 2).setValue(amount);
+      sheet.getRange(rows.reference, 2).setValue(payment.sessionId);
+      
+      Logger.log(`  ✓ Payment status: ${payment.status} (${amount})`);
+      
+      SpreadsheetApp.flush();
+      
+    } catch (error) {
+      Logger.log(`  ✗ ERROR updating payment status: ${error.message}`);
+      throw new Error(`Failed to update payment status: ${error.message}`);
+    }
+  },
+  
   /**
    * Generate and store IDS response link
    * Creates a unique assessment link for the leader via IDS API
@@ -223,7 +388,7 @@ const BuildFileManager = {
     const result = IDSUtils.generateResponseLink(eventData);
     
     // Open spreadsheet
-    const ss = SpreadsheetApp.open(buildFile);
+    const ss = this.getBuildFileSpreadsheet(buildFile);
     const sheet = ss.getSheetByName(CONFIG.PHASE1.sheetName);
     
     if (!sheet) {
@@ -279,10 +444,18 @@ const BuildFileManager = {
   },
   
   /**
-   * Get Build File spreadsheet object (for future use)
+   * Open a Build File, retrying transient Sheets errors
+   * Dry run: writes are planned, not made (a file that wasn't copied reads from the template)
+   * 
+   * @param {File} buildFile - The Build File (or a DryRun placeholder)
+   * @returns {Spreadsheet} The spreadsheet
    */
   getBuildFileSpreadsheet: function(buildFile) {
-    return SpreadsheetApp.open(buildFile);
+    const ss = RetryUtils.call('Open Build File', () => DryRun.isPlaceholder(buildFile)
+      ? SpreadsheetApp.openById(CONFIG.TEMPLATES.buildFile)
+      : SpreadsheetApp.open(buildFile));
+    
+    return DryRun.isActive() ? DryRun.watch(ss, buildFile.getName()) : ss;
   },
   
   /**
@@ -293,7 +466,7 @@ const BuildFileManager = {
   updatePhase2Settings: function(buildFile, eventData) {
     try {
       // Open the spreadsheet
-      const ss = SpreadsheetApp.open(buildFile);
+      const ss = this.getBuildFileSpreadsheet(buildFile);
       
       // Get Phase 2 Settings sheet
       let sheet = ss.getSheetByName(CONFIG.PHASE2.sheetName);
@@ -308,10 +481,13 @@ const BuildFileManager = {
       sheet.getRange(rows.date, 2).setValue(eventData.formattedDate);
       sheet.getRange(rows.time, 2).setValue(eventData.formattedTime);
       sheet.getRange(rows.zoomLink, 2).setValue(eventData.zoomLink);
+      this.writeLeaderTime(sheet, rows, eventData);
+      this.clearCancelledFormatting(sheet, this.getSessionRows(sheet, rows));
       
       Logger.log(`  ✓ Phase 2 Settings updated:`);
       Logger.log(`    - Date: ${eventData.formattedDate}`);
       Logger.log(`    - Time: ${eventData.formattedTime}`);
+      Logger.log(`    - Leader time: ${eventData.leaderDate} ${eventData.leaderTime} (${eventData.leaderTimeZone}, from ${eventData.leaderTimeZoneSource})`);
       Logger.log(`    - Zoom: ${eventData.zoomLink}`);
       
       // Copy login code from Phase 1 to Phase 2 (if it exists)
@@ -335,5 +511,240 @@ const BuildFileManager = {
       Logger.log(`  ✗ ERROR updating Phase 2 Settings: ${error.message}`);
       throw new Error(`Failed to update Phase 2 Settings: ${error.message}`);
     }
+  },
+  
+  /**
+   * Mark a Phase 1 or Phase 2 session as cancelled in the Build File
+   * Clears or strikes through the date, time and Zoom link cells
+   * (CONFIG.CANCELLATIONS.buildFileAction)
+   * 
+   * @param {File} buildFile - The leader's Build File
+   * @param {string} phase - 'Phase 1' or 'Phase 2'
+   * @returns {boolean} True if cells were changed
+   * @since v1.4.0
+   */
+  markSessionCancelled: function(buildFile, phase) {
+    const phaseConfig = phase === 'Phase 1' ? CONFIG.PHASE1 : (phase === 'Phase 2' ? CONFIG.PHASE2 : null);
+    
+    if (!phaseConfig) {
+      Logger.log(`  ℹ No Build File cells to update for ${phase} cancellations`);
+      return false;
+    }
+    
+    const ss = this.getBuildFileSpreadsheet(buildFile);
+    const sheet = ss.getSheetByName(phaseConfig.sheetName);
+    
+    if (!sheet) {
+      throw new Error(`Sheet "${phaseConfig.sheetName}" not found in Build File`);
+    }
+    
+    const rows = this.getSessionRows(sheet, phaseConfig.rows);
+    
+    rows.forEach(row => {
+      const cell = sheet.getRange(row, 2);
+      if (CONFIG.CANCELLATIONS.buildFileAction === 'clear') {
+        cell.clearContent();
+      } else {
+        cell.setFontLine('line-through');
+      }
+    });
+    
+    SpreadsheetApp.flush();
+    
+    Logger.log(`  ✓ ${phaseConfig.sheetName}: session cells ${CONFIG.CANCELLATIONS.buildFileAction === 'clear' ? 'cleared' : 'struck through'}`);
+    return true;
+  },
+  
+  /**
+   * Write the leader-local session date/time (labels column A if the template has none)
+   * Skipped when the template already uses those rows for something else
+   * 
+   * @param {Sheet} sheet - Phase 1 or Phase 2 Settings sheet
+   * @param {Object} rows - CONFIG.PHASE1.rows or CONFIG.PHASE2.rows
+   * @param {Object} eventData - Event data with leaderDate, leaderTime (see TimeFormat.applyToEventData)
+   * @since v1.6.0
+   */
+  writeLeaderTime: function(sheet, rows, eventData) {
+    const dateLabel = String(sheet.getRange(rows.leaderDate, 1).getValue()).trim();
+    const timeLabel = String(sheet.getRange(rows.leaderTime, 1).getValue()).trim();
+    
+    if (!this.hasLeaderTimeRows(sheet, rows)) {
+      Logger.log(`  ⚠️ ${sheet.getName()} rows ${rows.leaderDate}/${rows.leaderTime} are labelled ` +
+        `"${dateLabel}" / "${timeLabel}" - leader-local date/time not written`);
+      return;
+    }
+    
+    if (!dateLabel) {
+      sheet.getRange(rows.leaderDate, 1).setValue(this.LEADER_LABELS.date);
+    }
+    if (!timeLabel) {
+      sheet.getRange(rows.leaderTime, 1).setValue(this.LEADER_LABELS.time);
+    }
+    
+    sheet.getRange(rows.leaderDate, 2).setValue(eventData.leaderDate || eventData.formattedDate);
+    sheet.getRange(rows.leaderTime, 2).setValue(eventData.leaderTime || eventData.formattedTime);
+  },
+  
+  /**
+   * Check that rows.leaderDate / leaderTime are free for (or already hold) the leader-local date/time
+   * @param {Sheet} sheet - Phase 1 or Phase 2 Settings sheet
+   * @param {Object} rows - CONFIG.PHASE1.rows or CONFIG.PHASE2.rows
+   * @returns {boolean} True if each column A label is blank or ours
+   * @since v1.9.1
+   */
+  hasLeaderTimeRows: function(sheet, rows) {
+    const dateLabel = String(sheet.getRange(rows.leaderDate, 1).getValue()).trim();
+    const timeLabel = String(sheet.getRange(rows.leaderTime, 1).getValue()).trim();
+    
+    return (dateLabel === '' || dateLabel === this.LEADER_LABELS.date) &&
+      (timeLabel === '' || timeLabel === this.LEADER_LABELS.time);
+  },
+  
+  /**
+   * Rows holding a Phase 1/2 session: date, time, Zoom link, plus the leader-local rows if they're ours
+   * @param {Sheet} sheet - Phase 1 or Phase 2 Settings sheet
+   * @param {Object} rows - CONFIG.PHASE1.rows or CONFIG.PHASE2.rows
+   * @returns {number[]} Row numbers (column B)
+   * @since v1.9.1
+   */
+  getSessionRows: function(sheet, rows) {
+    const sessionRows = [rows.date, rows.time, rows.zoomLink];
+    
+    if (this.hasLeaderTimeRows(sheet, rows)) {
+      sessionRows.push(rows.leaderDate, rows.leaderTime);
+    }
+    
+    return sessionRows;
+  },
+  
+  /**
+   * Remove strikethrough from session cells (left by a previous cancellation)
+   * 
+   * @param {Sheet} sheet - Phase Settings sheet
+   * @param {number[]} rows - Row numbers in column B
+   * @since v1.4.0
+   */
+  clearCancelledFormatting: function(sheet, rows) {
+    rows.forEach(row => sheet.getRange(row, 2).setFontLine('none'));
+  },
+  
+  /**
+   * Update Phase 3 Settings sheet with a team member's session
+   * One row per team member (matched by email) - One-on-One and
+   * Action Planning sessions are written to their own columns
+   * 
+   * @param {File} buildFile - The leader's Build File
+   * @param {Object} eventData - Team member event data with sessionType
+   * @since v1.3.0
+   */
+  updatePhase3Settings: function(buildFile, eventData) {
+    try {
+      // Open the spreadsheet
+      const ss = this.getBuildFileSpreadsheet(buildFile);
+      
+      // Get (or create) Phase 3 Settings sheet
+      const sheet = this.getOrCreatePhase3Sheet(ss);
+      
+      const cols = CONFIG.PHASE3.columns;
+      const row = this.findPhase3MemberRow(sheet, eventData.email);
+      const isActionPlanning = eventData.sessionType === 'actionPlanning';
+      
+      sheet.getRange(row, cols.memberName).setValue(eventData.fullName);
+      sheet.getRange(row, cols.memberEmail).setValue(eventData.email);
+      
+      if (isActionPlanning) {
+        sheet.getRange(row, cols.actionPlanningDate).setValue(eventData.formattedDate);
+        sheet.getRange(row, cols.actionPlanningTime).setValue(eventData.formattedTime);
+        sheet.getRange(row, cols.actionPlanningZoomLink).setValue(eventData.zoomLink);
+      } else {
+        sheet.getRange(row, cols.oneOnOneDate).setValue(eventData.formattedDate);
+        sheet.getRange(row, cols.oneOnOneTime).setValue(eventData.formattedTime);
+        sheet.getRange(row, cols.oneOnOneZoomLink).setValue(eventData.zoomLink);
+      }
+      
+      Logger.log(`  ✓ Phase 3 Settings updated (Row ${row}):`);
+      Logger.log(`    - Team Member: ${eventData.fullName}`);
+      Logger.log(`    - Session: ${isActionPlanning ? 'Action Planning' : 'One-on-One'}`);
+      Logger.log(`    - Date: ${eventData.formattedDate}`);
+      Logger.log(`    - Time: ${eventData.formattedTime}`);
+      Logger.log(`    - Zoom: ${eventData.zoomLink}`);
+      
+      // Flush changes
+      SpreadsheetApp.flush();
+      
+    } catch (error) {
+      Logger.log(`  ✗ ERROR updating Phase 3 Settings: ${error.message}`);
+      throw new Error(`Failed to update Phase 3 Settings: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Get the Phase 3 Settings sheet, creating it with headers if needed
+   * (older Build File templates don't include it)
+   * 
+   * @param {Spreadsheet} spreadsheet - The Build File spreadsheet
+   * @returns {Sheet} The Phase 3 Settings sheet
+   * @since v1.3.0
+   */
+  getOrCreatePhase3Sheet: function(spreadsheet) {
+    let sheet = spreadsheet.getSheetByName(CONFIG.PHASE3.sheetName);
+    
+    if (sheet) {
+      return sheet;
+    }
+    
+    Logger.log(`  + Creating "${CONFIG.PHASE3.sheetName}" sheet`);
+    sheet = spreadsheet.insertSheet(CONFIG.PHASE3.sheetName);
+    
+    const cols = CONFIG.PHASE3.columns;
+    const headerRow = CONFIG.PHASE3.rows.header;
+    const headers = {
+      memberName: 'Team Member',
+      memberEmail: 'Email',
+      oneOnOneDate: 'One-on-One Date',
+      oneOnOneTime: 'One-on-One Time',
+      oneOnOneZoomLink: 'One-on-One Zoom Link',
+      actionPlanningDate: 'Action Planning Date',
+      actionPlanningTime: 'Action Planning Time',
+      actionPlanningZoomLink: 'Action Planning Zoom Link'
+    };
+    
+    Object.keys(headers).forEach(key => {
+      sheet.getRange(headerRow, cols[key]).setValue(headers[key]);
+    });
+    
+    const lastCol = Math.max(...Object.values(cols));
+    sheet.getRange(headerRow, 1, 1, lastCol).setFontWeight('bold');
+    sheet.setFrozenRows(headerRow);
+    
+    return sheet;
+  },
+  
+  /**
+   * Find the row for a team member by email, or the next empty row
+   * 
+   * @param {Sheet} sheet - The Phase 3 Settings sheet
+   * @param {string} email - Team member email
+   * @returns {number} Row number (1-based) to write to
+   * @since v1.3.0
+   */
+  findPhase3MemberRow: function(sheet, email) {
+    const firstRow = CONFIG.PHASE3.rows.firstMember;
+    const lastRow = sheet.getLastRow();
+    
+    if (lastRow < firstRow) {
+      return firstRow;
+    }
+    
+    const normalizedEmail = (email || '').toLowerCase().trim();
+    const emails = sheet.getRange(firstRow, CONFIG.PHASE3.columns.memberEmail, lastRow - firstRow + 1, 1).getValues();
+    
+    for (let i = 0; i < emails.length; i++) {
+      if (normalizedEmail && String(emails[i][0]).toLowerCase().trim() === normalizedEmail) {
+        return firstRow + i;
+      }
+    }
+    
+    return lastRow + 1;
   }
 };
\ No newline at end of file
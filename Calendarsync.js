@@ -0,0 +1,283 @@
+/**
+ * Strong Teams Automation - Calendar Sync
+ * 
+ * @version 1.0.2
+ * @phase Incremental Sync
+ * @description Incremental calendar sync with Calendar API sync tokens
+ * @lastUpdated 2026-10-18
+ * 
+ * Instead of re-reading 90 days of events on every trigger, each calendar
+ * keeps a sync token (Script Property SYNC_TOKEN_<calendarId>). Each run
+ * asks the Calendar advanced service only for events changed since then.
+ * 
+ * FULL SCAN happens when:
+ * - A calendar has no token yet (first run / newly added calendar)
+ * - Google expires the token (HTTP 410 Gone)
+ * - The last full scan is older than CONFIG.CALENDAR.fullScanHours
+ *   (picks up events whose processing failed and that haven't changed since)
+ * 
+ * Tokens are only saved by commit() AFTER the run has processed the events,
+ * so a crashed run sees the same changes again next time.
+ * 
+ * Requires the Calendar advanced service (appsscript.json → enabledAdvancedServices).
+ * 
+ * CHANGELOG v1.0.2:
+ * - Cancelled items without an iCalUID (usual in incremental sync) are looked up by their
+ *   Calendar ID; if that fails, every tracked booking is reconciled (reconcileAll) instead of
+ *   guessing "<id>@google.com", which never matches YCBM / Calendly bookings
+ * 
+ * CHANGELOG v1.0.1:
+ * - Full scans stop at the lookahead window (timeMax) - open-ended recurring events were
+ *   expanded instance by instance and paged through on every full scan
+ */
+
+const CalendarSync = {
+  
+  // Script Property prefix for per-calendar sync tokens
+  TOKEN_PREFIX: 'SYNC_TOKEN_',
+  
+  // Script Property holding the last full scan (ISO timestamp)
+  FULL_SCAN_PROPERTY: 'LAST_FULL_CALENDAR_SCAN',
+  
+  /**
+   * Get events changed since the last run across all monitored calendars
+   * @returns {Object} { events: CalendarEvent[], cancelledIds: string[], fullScan: boolean, reconcileAll: boolean, tokens: Object }
+   *   cancelledIds = iCal IDs of deleted/cancelled events (incremental runs only)
+   *   fullScan     = true if ANY calendar was fully rescanned (reconcile everything)
+   *   reconcileAll = true if a cancellation couldn't be matched to an iCal ID (reconcile everything)
+   *   tokens       = calendarId → nextSyncToken, saved by commit()
+   */
+  getChangedEvents: function() {
+    if (!CONFIG.CALENDAR.useSyncTokens) {
+      return { events: CalendarUtils.getNewCalendarEvents(), cancelledIds: [], fullScan: true, reconcileAll: false, tokens: {} };
+    }
+    
+    const result = { events: [], cancelledIds: [], fullScan: false, reconcileAll: false, tokens: {} };
+    const forceFullScan = this.isFullScanDue();
+    
+    if (forceFullScan) {
+      Logger.log(`🔄 Scheduled full calendar scan (every ${CONFIG.CALENDAR.fullScanHours}h)`);
+    }
+    
+    CalendarUtils.getMonitoredCalendars().calendars.forEach(entry => {
+      try {
+        const changes = this.syncCalendar(entry.calendar, forceFullScan);
+        
+        result.events = result.events.concat(changes.events);
+        result.cancelledIds = result.cancelledIds.concat(changes.cancelledIds);
+        result.fullScan = result.fullScan || changes.fullScan;
+        result.reconcileAll = result.reconcileAll || changes.unmatchedCancellations > 0;
+        result.tokens[entry.calendar.getId()] = changes.nextSyncToken;
+        
+        Logger.log(`📅 ${entry.label} (${entry.calendar.getName()}): ${changes.fullScan ? 'full scan' : 'incremental'} - ` +
+          `${changes.events.length} changed, ${changes.cancelledIds.length} cancelled`);
+      } catch (error) {
+        Logger.log(`⚠️ Could not sync ${entry.label}: ${error.message}`);
+      }
+    });
+    
+    Logger.log(`✅ Total changed events across all calendars: ${result.events.length}`);
+    
+    return result;
+  },
+  
+  /**
+   * Sync one calendar, falling back to a full scan when the token is missing or expired
+   * @param {Calendar} calendar - CalendarApp calendar
+   * @param {boolean} forceFullScan - Ignore the stored token
+   * @returns {Object} { events, cancelledIds, unmatchedCancellations, fullScan, nextSyncToken }
+   */
+  syncCalendar: function(calendar, forceFullScan) {
+    const calendarId = calendar.getId();
+    const token = forceFullScan ? null : this.getSyncToken(calendarId);
+    
+    if (token) {
+      try {
+        return this.fetchChanges(calendar, { syncToken: token }, false);
+      } catch (error) {
+        if (!this.isTokenExpired(error)) {
+          throw error;
+        }
+        Logger.log(`ℹ Sync token expired for ${calendar.getName()} - running full scan`);
+      }
+    }
+    
+    // Full scan: same window as the old CalendarApp scan, and it returns a fresh token.
+    // timeMax keeps singleEvents from expanding open-ended recurring series forever.
+    const lookback = new Date(Date.now() - CONFIG.CALENDAR.lookbackHours * 60 * 60 * 1000);
+    const lookahead = new Date(Date.now() + CONFIG.CALENDAR.lookaheadHours * 60 * 60 * 1000);
+    return this.fetchChanges(calendar, { timeMin: lookback.toISOString(), timeMax: lookahead.toISOString() }, true);
+  },
+  
+  /**
+   * Page through Calendar.Events.list and sort results into changed/cancelled
+   * @param {Calendar} calendar - CalendarApp calendar
+   * @param {Object} query - syncToken OR timeMin + timeMax
+   * @param {boolean} fullScan - True when query is a full scan
+   * @returns {Object} { events, cancelledIds, unmatchedCancellations, fullScan, nextSyncToken }
+   *   unmatchedCancellations = cancelled items whose iCal ID couldn't be found
+   */
+  fetchChanges: function(calendar, query, fullScan) {
+    const calendarId = calendar.getId();
+    const lookahead = new Date(Date.now() + CONFIG.CALENDAR.lookaheadHours * 60 * 60 * 1000);
+    const lookback = new Date(Date.now() - CONFIG.CALENDAR.lookbackHours * 60 * 60 * 1000);
+    
+    const events = [];
+    const cancelledIds = [];
+    let unmatchedCancellations = 0;
+    let pageToken = null;
+    let response;
+    
+    do {
+      const options = Object.assign({ singleEvents: true, maxResults: 250 }, query);
+      if (pageToken) {
+        options.pageToken = pageToken;
+      }
+      
+      response = Calendar.Events.list(calendarId, options);
+      
+      (response.items || []).forEach(item => {
+        if (item.status === 'cancelled') {
+          // Cancelled items often carry only the Calendar ID - tracker rows need the iCalUID
+          const cancelledId = item.iCalUID || this.getICalUID(calendarId, item.id);
+          if (cancelledId) {
+            cancelledIds.push(cancelledId);
+          } else {
+            unmatchedCancellations++;
+          }
+          return;
+        }
+        
+        // Tracker rows use CalendarApp IDs, which are the iCalUID
+        const eventId = item.iCalUID || `${item.id}@google.com`;
+        
+        const start = new Date(item.start && (item.start.dateTime || item.start.date));
+        if (start < lookback || start > lookahead) {
+          return;
+        }
+        
+        const event = calendar.getEventById(eventId);
+        if (event) {
+          events.push(event);
+        }
+      });
+      
+      pageToken = response.nextPageToken;
+    } while (pageToken);
+    
+    return {
+      events: events,
+      cancelledIds: cancelledIds,
+      unmatchedCancellations: unmatchedCancellations,
+      fullScan: fullScan,
+      nextSyncToken: response.nextSyncToken
+    };
+  },
+  
+  /**
+   * Look up the iCalUID of a (possibly cancelled) event by its Calendar ID
+   * Events.get still returns deleted events, with status "cancelled"
+   * 
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Calendar API event ID (item.id)
+   * @returns {string|null} The iCalUID, or null if it couldn't be found
+   * @since v1.0.2
+   */
+  getICalUID: function(calendarId, eventId) {
+    try {
+      return Calendar.Events.get(calendarId, eventId).iCalUID || null;
+    } catch (error) {
+      Logger.log(`⚠️ Could not look up cancelled event ${eventId}: ${error.message}`);
+      return null;
+    }
+  },
+  
+  /**
+   * Save the sync tokens from a completed run
+   * @param {Object} syncResult - From getChangedEvents()
+   */
+  commit: function(syncResult) {
+    const properties = PropertiesService.getScriptProperties();
+    
+    for (let calendarId in syncResult.tokens) {
+      if (syncResult.tokens[calendarId]) {
+        properties.setProperty(this.TOKEN_PREFIX + calendarId, syncResult.tokens[calendarId]);
+      }
+    }
+    
+    if (syncResult.fullScan && CONFIG.CALENDAR.useSyncTokens) {
+      properties.setProperty(this.FULL_SCAN_PROPERTY, new Date().toISOString());
+    }
+  },
+  
+  /**
+   * Get the stored sync token for a calendar
+   * @param {string} calendarId - Calendar ID
+   * @returns {string|null} Sync token or null
+   */
+  getSyncToken: function(calendarId) {
+    return PropertiesService.getScriptProperties().getProperty(this.TOKEN_PREFIX + calendarId);
+  },
+  
+  /**
+   * Check whether the periodic full scan is due
+   * @returns {boolean} True if never run or older than CONFIG.CALENDAR.fullScanHours
+   */
+  isFullScanDue: function() {
+    const lastScan = PropertiesService.getScriptProperties().getProperty(this.FULL_SCAN_PROPERTY);
+    if (!lastScan) return true;
+    
+    const hoursSince = (Date.now() - new Date(lastScan).getTime()) / (60 * 60 * 1000);
+    return hoursSince > CONFIG.CALENDAR.fullScanHours;
+  },
+  
+  /**
+   * Detect the "sync token no longer valid" error (HTTP 410 Gone)
+   * @param {Error} error - Error from Calendar.Events.list
+   * @returns {boolean} True if a full sync is required
+   */
+  isTokenExpired: function(error) {
+    const message = String(error && error.message || '');
+    return message.indexOf('410') !== -1 || message.toLowerCase().indexOf('full sync is required') !== -1;
+  },
+  
+  /**
+   * Forget every stored sync token (next run does a full scan)
+   * @returns {number} Number of tokens removed
+   */
+  resetSyncTokens: function() {
+    const properties = PropertiesService.getScriptProperties();
+    const keys = properties.getKeys().filter(key => key.indexOf(this.TOKEN_PREFIX) === 0);
+    
+    keys.forEach(key => properties.deleteProperty(key));
+    properties.deleteProperty(this.FULL_SCAN_PROPERTY);
+    
+    return keys.length;
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Clear sync tokens so the next trigger run rescans every calendar
+ */
+function resetCalendarSync() {
+  const removed = CalendarSync.resetSyncTokens();
+  Logger.log(`✓ Cleared ${removed} sync token(s) - next run will do a full scan`);
+}
+
+/**
+ * Show what an incremental sync would return (tokens are NOT saved)
+ */
+function testCalendarSync() {
+  ConfigLoader.load();
+  const result = CalendarSync.getChangedEvents();
+  
+  Logger.log(`\nFull scan: ${result.fullScan}`);
+  Logger.log(`Changed events: ${result.events.length}`);
+  result.events.forEach(event => Logger.log(`  • ${event.getTitle()} (${event.getStartTime().toLocaleString()})`));
+  Logger.log(`Cancelled: ${result.cancelledIds.length}${result.reconcileAll ? ' (+ unmatched - all bookings will be reconciled)' : ''}`);
+  result.cancelledIds.forEach(id => Logger.log(`  ⊘ ${id}`));
+}
\ No newline at end of file
@@ -1,19 +1,54 @@
 /**
  * Strong Teams Automation - Calendar Utilities
  * 
- * @version 1.2.0
- * @phase Phase 2 Added - Multi-Calendar Support
+ * @version 1.9.1
+ * @phase Leader Time Zones
  * @description Parse and extract data from calendar events with HTML stripping
- * @lastUpdated 2024-12-24
+ * @lastUpdated 2026-10-18
  * 
  * Key features:
  * - HTML tag removal and entity decoding
  * - Smart field extraction with label detection
  * - Company name generation from email domains
  * - Clean data output for folder/file naming
- * - Phase 1 and Phase 2 event detection
+ * - Phase 1, Phase 2 and Phase 3 event detection
  * - Multi-calendar monitoring support
  * 
+ * CHANGELOG v1.9.1:
+ * - extractEventData() returns parsedFields (booking values before "Needs Attention" overrides)
+ * 
+ * CHANGELOG v1.9.0:
+ * - extractEventData() adds leaderDate / leaderTime in the leader's time zone (Timeformat.js)
+ * - formattedDate / formattedTime honor CONFIG.dateFormat / timeFormat
+ * 
+ * CHANGELOG v1.8.0:
+ * - extractEventData() applies values coaches entered on the "Needs Attention" sheet
+ * - "Missing required fields" errors carry the partial data (error.eventData)
+ * 
+ * CHANGELOG v1.7.0:
+ * - extractEventData() reads attendee details through BookingParsers
+ *   (YouCanBookMe, Calendly, Google Appointment Schedules) and returns bookingSource + appointmentType
+ * - Phase detection also checks the parsed appointment type (Google puts it in the title)
+ * 
+ * CHANGELOG v1.6.0:
+ * - Company name comes from CompanyResolver (aliases sheet, free email providers,
+ *   public suffixes like .co.uk) instead of the first part of the domain
+ * - extractEventData() returns formCompany ("Company:" field), companySource,
+ *   needsCompany and companyReason
+ * 
+ * CHANGELOG v1.5.0:
+ * - getMonitoredCalendars() honors CONFIG.CALENDARS.primary (set by the Setup Wizard)
+ * - getNewCalendarEvents() is now the fallback when CONFIG.CALENDAR.useSyncTokens is off
+ *   (see Calendarsync.js)
+ * 
+ * CHANGELOG v1.4.0:
+ * - Added getMonitoredCalendars() - shared by getNewCalendarEvents() and EventReconciler
+ * 
+ * CHANGELOG v1.3.0:
+ * - Added isPhase3Event() and getPhase3SessionType() for team member sessions
+ * - extractEventData() now returns leaderEmail ("Leader Email:" field, Phase 3 bookings)
+ * - "Email:" lookups no longer match inside "Leader Email:" / "Additional Email:"
+ * 
  * CHANGELOG v1.2.0:
  * - Added multi-calendar support in getNewCalendarEvents()
  * - Now monitors default calendar + any secondary calendars in CONFIG.CALENDARS.secondary
@@ -39,17 +74,52 @@ const CalendarUtils = {
     
     let allEvents = [];
     
-    // Get events from PRIMARY calendar (default)
+    this.getMonitoredCalendars().calendars.forEach(entry => {
+      try {
+        const events = entry.calendar.getEvents(lookbackTime, lookaheadTime);
+        allEvents = allEvents.concat(events);
+        Logger.log(`📅 ${entry.label} (${entry.calendar.getName()}): Found ${events.length} events`);
+      } catch (error) {
+        Logger.log(`⚠️ Could not read events from ${entry.label}: ${error.message}`);
+      }
+    });
+    
+    Logger.log(`✅ Total events found across all calendars: ${allEvents.length}`);
+    
+    return allEvents;
+  },
+  
+  /**
+   * Get every calendar the automation monitors
+   * Default calendar + any configured secondary calendars
+   * 
+   * @returns {Object} { calendars: [{ calendar, label }], failures: number }
+   *   failures = calendars that could not be opened (callers that assume
+   *   "not found on any calendar" means deleted should bail out when > 0)
+   * @since v1.4.0
+   */
+  getMonitoredCalendars: function() {
+    const calendars = [];
+    let failures = 0;
+    
+    // PRIMARY calendar (configured, or the default calendar)
     try {
-      const primaryCalendar = CalendarApp.getDefaultCalendar();
-      const primaryEvents = primaryCalendar.getEvents(lookbackTime, lookaheadTime);
-      allEvents = allEvents.concat(primaryEvents);
-      Logger.log(`📅 PRIMARY calendar (${primaryCalendar.getName()}): Found ${primaryEvents.length} events`);
+      const primaryCalendar = CONFIG.CALENDARS && CONFIG.CALENDARS.primary
+        ? CalendarApp.getCalendarById(CONFIG.CALENDARS.primary)
+        : CalendarApp.getDefaultCalendar();
+      
+      if (primaryCalendar) {
+        calendars.push({ calendar: primaryCalendar, label: 'PRIMARY calendar' });
+      } else {
+        Logger.log(`⚠️ Primary calendar not found: ${CONFIG.CALENDARS.primary}`);
+        failures++;
+      }
     } catch (error) {
       Logger.log(`⚠️ Could not access primary calendar: ${error.message}`);
+      failures++;
     }
     
-    // Get events from SECONDARY calendars (if configured)
+    // SECONDARY calendars (if configured)
     if (CONFIG.CALENDARS && CONFIG.CALENDARS.secondary && CONFIG.CALENDARS.secondary.length > 0) {
       Logger.log(`🔍 Checking ${CONFIG.CALENDARS.secondary.length} secondary calendar(s)...`);
       
@@ -59,24 +129,42 @@ const CalendarUtils = {
           
           if (!secondaryCalendar) {
             Logger.log(`⚠️ Secondary calendar #${index + 1} not found: ${calendarId}`);
+            failures++;
             return;
           }
           
-          const secondaryEvents = secondaryCalendar.getEvents(lookbackTime, lookaheadTime);
-          allEvents = allEvents.concat(secondaryEvents);
-          Logger.log(`📅 SECONDARY calendar #${index + 1} (${secondaryCalendar.getName()}): Found ${secondaryEvents.length} events`);
+          calendars.push({ calendar: secondaryCalendar, label: `SECONDARY calendar #${index + 1}` });
           
         } catch (error) {
           Logger.log(`⚠️ Could not access secondary calendar #${index + 1} (${calendarId}): ${error.message}`);
+          failures++;
         }
       });
     } else {
       Logger.log(`ℹ️ No secondary calendars configured`);
     }
     
-    Logger.log(`✅ Total events found across all calendars: ${allEvents.length}`);
+    return { calendars: calendars, failures: failures };
+  },
+  
+  /**
+   * Get the text phase identifiers are matched against
+   * Description plus the appointment type from the booking parser
+   * (Google Appointment Schedules only name the appointment in the event title)
+   * 
+   * @param {CalendarEvent} event - The calendar event
+   * @returns {string} Text to search for identifiers
+   * @since v1.7.0
+   */
+  getBookingText: function(event) {
+    const description = event.getDescription() || '';
+    const parser = BookingParsers.detect(event);
     
-    return allEvents;
+    if (parser === BookingParsers.YOUCANBOOKME) {
+      return description;
+    }
+    
+    return `${description}\n${parser.parse(event, BookingParsers.getText(event)).appointmentType || ''}`;
   },
   
   /**
@@ -84,7 +172,7 @@ const CalendarUtils = {
    * Looking for: "Appointment Type : 60 Minute Phase 1 - Leader Only"
    */
   isPhase1Event: function(event) {
-    const description = event.getDescription() || '';
+    const description = this.getBookingText(event);
     
     // Check if description contains any Phase 1 identifier
     const isPhase1 = CONFIG.PHASE1.identifiers.some(identifier => 
@@ -107,7 +195,7 @@ const CalendarUtils = {
    * @since v1.1.0
    */
   isPhase2Event: function(event) {
-    const description = event.getDescription() || '';
+    const description = this.getBookingText(event);
     
     // Check if description contains any Phase 2 identifier
     const isPhase2 = CONFIG.PHASE2.identifiers.some(identifier => 
@@ -121,51 +209,119 @@ const CalendarUtils = {
     return isPhase2;
   },
   
+  /**
+   * Check if event is a Phase 3 session based on notes
+   * Looking for: "Appointment Type : 45 Minute Phase 3 - One-on-One Exercise"
+   * 
+   * @param {CalendarEvent} event - The calendar event to check
+   * @returns {boolean} True if this is a Phase 3 event
+   * @since v1.3.0
+   */
+  isPhase3Event: function(event) {
+    const description = this.getBookingText(event);
+    
+    // Check if description contains any Phase 3 identifier
+    const isPhase3 = CONFIG.PHASE3.identifiers.some(identifier => 
+      description.includes(identifier)
+    );
+    
+    if (isPhase3) {
+      Logger.log(`✓ Phase 3 event detected: ${event.getTitle()}`);
+    }
+    
+    return isPhase3;
+  },
+  
+  /**
+   * Determine which Phase 3 session was booked
+   * 
+   * @param {CalendarEvent} event - A Phase 3 calendar event
+   * @returns {string} 'actionPlanning' or 'oneOnOne'
+   * @since v1.3.0
+   */
+  getPhase3SessionType: function(event) {
+    const text = `${event.getTitle()}\n${event.getDescription() || ''}`;
+    
+    const isActionPlanning = CONFIG.PHASE3.actionPlanningIdentifiers.some(identifier => 
+      text.includes(identifier)
+    );
+    
+    return isActionPlanning ? 'actionPlanning' : 'oneOnOne';
+  },
+  
   /**
    * Extract all necessary data from calendar event
    * Returns object with: firstName, lastName, email, companyName, date, time, zoomLink, eventId
+   * Attendee fields come from the matching booking parser (see Bookingparsers.js)
    */
   extractEventData: function(event) {
-    let description = event.getDescription() || '';
+    // YouCanBookMe, Calendly or Google Appointment Schedules
+    const booking = BookingParsers.parse(event);
     
-    // CRITICAL: Strip HTML tags from description first
-    description = this.stripHtml(description);
-    
-    // Extract data using regex patterns
     const data = {
       eventId: event.getId(),
       eventTitle: event.getTitle(),
       startDate: event.getStartTime(),
+      bookingSource: booking.source,
+      appointmentType: booking.appointmentType,
       
-      // Extract from cleaned description
-      firstName: this.extractField(description, 'First name:'),
-      lastName: this.extractField(description, 'Last name:'),
-      email: this.extractFirstEmail(description),
-      phoneNumber: this.extractField(description, 'Phone number:'),
-      additionalTeamMembers: parseInt(this.extractField(description, 'Additional Team Members:')) || 0,
+      // Attendee details from the booking parser
+      firstName: booking.firstName,
+      lastName: booking.lastName,
+      email: booking.email,
+      leaderEmail: booking.leaderEmail,
+      formCompany: booking.company,
+      phoneNumber: booking.phone,
+      additionalTeamMembers: booking.teamSize,
+      bookingTimeZone: booking.timeZone,
       
       // Get Zoom link from Location field
-      zoomLink: event.getLocation() || '',
-      
-      // Formatted date and time
-      formattedDate: getFormattedDate(event.getStartTime()),
-      formattedTime: getFormattedTime(event.getStartTime())
+      zoomLink: event.getLocation() || ''
     };
     
     // Capitalize names properly
     data.firstName = this.capitalizeWord(data.firstName);
     data.lastName = this.capitalizeWord(data.lastName);
+    
+    // What the booking says, before overrides (Parsed columns on "Needs Attention")
+    data.parsedFields = {
+      firstName: data.firstName,
+      lastName: data.lastName,
+      email: data.email,
+      leaderEmail: data.leaderEmail,
+      zoomLink: data.zoomLink
+    };
+    
+    // Values a coach entered on the "Needs Attention" sheet win over the booking
+    const overrides = ReviewQueue.getOverrides(data.eventId);
+    ['firstName', 'lastName', 'email', 'leaderEmail', 'zoomLink'].forEach(field => {
+      if (overrides[field]) data[field] = overrides[field];
+    });
+    
     data.fullName = `${data.firstName} ${data.lastName}`;
     
-    // Get company name from email domain
-    data.companyName = this.getCompanyFromEmail(data.email);
+    // Company: override → alias sheet → personal email (form / review queue) → email domain
+    const resolved = CompanyResolver.resolve(data.email, data.formCompany, data.eventId);
+    const company = overrides.companyName
+      ? { companyName: overrides.companyName, source: 'override', needsReview: false, reason: '' }
+      : resolved;
+    data.parsedFields.companyName = resolved.companyName;
+    data.companyName = company.companyName;
+    data.companySource = company.source;
+    data.needsCompany = company.needsReview;
+    data.companyReason = company.reason;
+    
+    // Coach-local + leader-local date and time (leader zone: booking → company sheet → default)
+    TimeFormat.applyToEventData(data);
     
     // Validate we have required data
     if (!data.firstName || !data.lastName || !data.email) {
-      throw new Error('Missing required fields: firstName, lastName, or email');
+      const error = new Error('Missing required fields: firstName, lastName, or email');
+      error.eventData = data; // Shown on the "Needs Attention" sheet
+      throw error;
     }
     
-    Logger.log(`Extracted data for: ${data.fullName} (${data.email})`);
+    Logger.log(`Extracted data for: ${data.fullName} (${data.email}) [${data.bookingSource}]`);
     
     return data;
   },
@@ -236,7 +392,8 @@ const CalendarUtils = {
     const cleanLabel = label.replace(':', '').trim();
     
     // Pattern: "Label: Value" - captures until newline OR next label
-    const regex = new RegExp(cleanLabel + '\\s*:\\s*([^\\n\\r]+)', 'i');
+    // "Email:" must not match inside "Leader Email:" or "Additional Email:"
+    const regex = new RegExp('(?<!leader\\s|additional\\s)' + cleanLabel + '\\s*:\\s*([^\\n\\r]+)', 'i');
     const match = description.match(regex);
     
     if (!match || !match[1]) {
@@ -253,6 +410,8 @@ const CalendarUtils = {
       'phone number',
       'email',
       'additional email',
+      'leader email',
+      'company',
       'notes',
       'appointment type',
       'booking page',
@@ -289,14 +448,9 @@ const CalendarUtils = {
    */
   extractFirstEmail: function(description) {
     // Look for "Email:" field first using our robust extractField
-    let emailField = this.extractField(description, 'Email:');
-    
-    // Extract just the email address from the field value
-    if (emailField) {
-      const emailMatch = emailField.match(/([a-zA-Z0-9._+-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
-      if (emailMatch) {
-        return emailMatch[1];
-      }
+    const fieldEmail = this.extractEmailFromField(description, 'Email:');
+    if (fieldEmail) {
+      return fieldEmail;
     }
     
     // Fallback: Search for any email pattern in entire description
@@ -306,8 +460,29 @@ const CalendarUtils = {
   },
   
   /**
-   * Get company name from email domain
+   * Extract just the email address from a labelled field
+   * Example: "Leader Email: aw@aprilwelch.com (work)" → "aw@aprilwelch.com"
+   * 
+   * @param {string} description - Cleaned event description
+   * @param {string} label - Field label, e.g. 'Leader Email:'
+   * @returns {string} The email address or '' if the field is missing
+   * @since v1.3.0
+   */
+  extractEmailFromField: function(description, label) {
+    const fieldValue = this.extractField(description, label);
+    
+    if (!fieldValue) {
+      return '';
+    }
+    
+    const emailMatch = fieldValue.match(/([a-zA-Z0-9._+-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9._-]+)/);
+    return emailMatch ? emailMatch[1] : '';
+  },
+  
+  /**
+   * Get company name from email domain (ignores aliases and free providers)
    * Example: "aw@aprilwelch.com" → "Aprilwelch"
+   * Use CompanyResolver.resolve() for the full lookup
    */
   getCompanyFromEmail: function(email) {
     if (!email) return '';
@@ -322,22 +497,15 @@ const CalendarUtils = {
    * "aprilwelch.com" → "Aprilwelch"
    * "statefarm.com" → "Statefarm"
    * "abc-consulting.com" → "Abc Consulting"
+   * "mail.acme.co.uk" → "Acme"
    */
   formatDomainAsCompanyName: function(domain) {
     if (!domain) return '';
     
-    // Remove TLD (.com, .org, .edu, etc.)
-    const companyPart = domain.split('.')[0];
-    
-    // Handle different separators and cases
-    const formatted = companyPart
-      .replace(/([a-z])([A-Z])/g, '$1 $2') // camelCase → Camel Case
-      .split(/[-_]/).join(' ')              // dashes/underscores → spaces
-      .split(' ')
-      .map(word => this.capitalizeWord(word))
-      .join(' ');
+    // Remove subdomains and the public suffix (.com, .co.uk, etc.)
+    const companyPart = CompanyResolver.getRegistrableDomain(domain).split('.')[0];
     
-    return formatted;
+    return CompanyResolver.formatLabel(companyPart);
   },
   
   /**
@@ -0,0 +1,459 @@
+/**
+ * Strong Teams Automation - Company Resolver
+ * 
+ * @version 1.1.1
+ * @phase Dry Run
+ * @description Turn a leader's email (and booking form) into a company name
+ * @lastUpdated 2026-10-18
+ * 
+ * Resolution order:
+ * 1. "Company Aliases" sheet (domain → display name, e.g. statefarm.com → State Farm)
+ * 2. Free email provider (gmail.com, outlook.com...) → the company the admin entered
+ *    in the "Needs Company" sheet, else the booking form "Company:" field
+ * 3. Company domain → name from the registrable domain (mail.acme.co.uk → Acme)
+ * 
+ * Free provider with no "Company:" answer → the booking goes to the "Needs Company"
+ * sheet instead of creating a "Gmail" folder. Fill in the Company column and the
+ * booking is picked up on the next full calendar scan (or run processResolvedCompanies()).
+ * 
+ * Both sheets live in the Event Tracker spreadsheet.
+ * 
+ * CHANGELOG v1.1.1:
+ * - Dry run: a missing "Company Aliases" sheet means no aliases - it is no longer created
+ * 
+ * CHANGELOG v1.1.0:
+ * - Dry run: "Needs Company" rows are planned, not written (see Dryrun.js)
+ */
+
+const CompanyResolver = {
+  
+  // "Company Aliases" sheet
+  ALIAS_HEADERS: ['Domain', 'Company'],
+  
+  // "Needs Company" sheet - order must match QUEUE_COLUMNS
+  QUEUE_HEADERS: ['Event ID', 'Leader Name', 'Email', 'Event Date', 'Reason', 'Queued At', 'Company', 'Status'],
+  
+  // Column indices (0-based) for the "Needs Company" sheet
+  QUEUE_COLUMNS: {
+    EVENT_ID: 0,
+    LEADER_NAME: 1,
+    EMAIL: 2,
+    EVENT_DATE: 3,
+    REASON: 4,
+    QUEUED_AT: 5,
+    COMPANY: 6,
+    STATUS: 7
+  },
+  
+  // Values for the Status column
+  QUEUE_STATUSES: {
+    WAITING: 'Waiting',
+    RESOLVED: 'Resolved'
+  },
+  
+  // Public suffixes with more than one label - the company is the label before these
+  // (not the full Public Suffix List, just the ones clients realistically use)
+  MULTI_LABEL_SUFFIXES: [
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'plc.uk', 'me.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+    'co.nz', 'org.nz', 'net.nz',
+    'co.za', 'org.za',
+    'co.in', 'net.in', 'org.in',
+    'co.jp', 'or.jp', 'ne.jp',
+    'co.kr', 'com.cn', 'com.hk', 'com.sg', 'com.my', 'com.ph', 'com.tw',
+    'com.br', 'com.mx', 'com.ar', 'com.co', 'com.pe',
+    'com.tr', 'co.il', 'com.ng', 'co.ke',
+    'k12.ca.us', 'k12.co.us'
+  ],
+  
+  // Free / personal email providers - the domain says nothing about the employer
+  FREE_EMAIL_DOMAINS: [
+    'gmail.com', 'googlemail.com',
+    'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'rocketmail.com',
+    'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+    'aol.com', 'icloud.com', 'me.com', 'mac.com',
+    'protonmail.com', 'proton.me', 'pm.me',
+    'gmx.com', 'gmx.net', 'mail.com', 'zoho.com', 'yandex.com', 'fastmail.com', 'hey.com',
+    'comcast.net', 'att.net', 'sbcglobal.net', 'verizon.net', 'cox.net',
+    'charter.net', 'bellsouth.net', 'earthlink.net', 'btinternet.com'
+  ],
+  
+  // Alias map for this execution (see getAliases)
+  aliases: null,
+  
+  /**
+   * Resolve the company name for a booking
+   * @param {string} email - Leader's email
+   * @param {string} formCompany - "Company:" answer from the booking form (may be blank)
+   * @param {string} [eventId] - Calendar event ID (matches a filled-in "Needs Company" row)
+   * @returns {Object} { companyName, source, needsReview, reason }
+   *   source = 'alias' | 'review' | 'form' | 'domain' ('' when needsReview)
+   */
+  resolve: function(email, formCompany, eventId) {
+    const domain = this.getDomain(email);
+    
+    if (!domain) {
+      return { companyName: '', source: '', needsReview: true, reason: 'No email address' };
+    }
+    
+    const registrable = this.getRegistrableDomain(domain);
+    const aliases = this.getAliases();
+    const alias = aliases[domain] || aliases[registrable];
+    
+    if (alias) {
+      return { companyName: alias, source: 'alias', needsReview: false, reason: '' };
+    }
+    
+    if (this.isFreeEmailDomain(domain)) {
+      const reviewed = this.findReviewedCompany(eventId, email);
+      if (reviewed) {
+        return { companyName: reviewed, source: 'review', needsReview: false, reason: '' };
+      }
+      
+      const cleaned = this.cleanCompanyName(formCompany);
+      
+      if (cleaned) {
+        return { companyName: cleaned, source: 'form', needsReview: false, reason: '' };
+      }
+      
+      return {
+        companyName: '',
+        source: '',
+        needsReview: true,
+        reason: `Personal email (${domain}) and no company on the booking form`
+      };
+    }
+    
+    return { companyName: this.formatLabel(registrable.split('.')[0]), source: 'domain', needsReview: false, reason: '' };
+  },
+  
+  /**
+   * Get the lowercase domain of an email address
+   * @param {string} email - Email address
+   * @returns {string} Domain or ''
+   */
+  getDomain: function(email) {
+    const parts = String(email || '').toLowerCase().trim().split('@');
+    return parts.length === 2 ? parts[1].replace(/\.$/, '') : '';
+  },
+  
+  /**
+   * Get the registrable domain (one label + public suffix)
+   * Examples: "mail.acme.co.uk" → "acme.co.uk", "eu.statefarm.com" → "statefarm.com"
+   * 
+   * @param {string} domain - Full domain
+   * @returns {string} Registrable domain
+   */
+  getRegistrableDomain: function(domain) {
+    const labels = String(domain || '').toLowerCase().split('.').filter(Boolean);
+    
+    if (labels.length <= 2) {
+      return labels.join('.');
+    }
+    
+    // Longest matching multi-label suffix wins
+    let suffixLength = 1;
+    this.MULTI_LABEL_SUFFIXES.forEach(suffix => {
+      const suffixLabels = suffix.split('.');
+      if (suffixLabels.length > suffixLength && labels.slice(-suffixLabels.length).join('.') === suffix) {
+        suffixLength = suffixLabels.length;
+      }
+    });
+    
+    return labels.slice(-Math.min(labels.length, suffixLength + 1)).join('.');
+  },
+  
+  /**
+   * Check whether a domain belongs to a free/personal email provider
+   * Includes CONFIG.COMPANIES.freeEmailDomains (add local providers there)
+   * 
+   * @param {string} domain - Email domain
+   * @returns {boolean} True for gmail.com, outlook.com, etc.
+   */
+  isFreeEmailDomain: function(domain) {
+    const candidates = [domain, this.getRegistrableDomain(domain)];
+    const freeDomains = this.FREE_EMAIL_DOMAINS.concat(CONFIG.COMPANIES.freeEmailDomains || [])
+      .map(d => String(d).toLowerCase().trim());
+    
+    return candidates.some(d => freeDomains.indexOf(d) !== -1);
+  },
+  
+  /**
+   * Format a domain label as a company name
+   * Examples: "abc-consulting" → "Abc Consulting", "aprilwelch" → "Aprilwelch"
+   * 
+   * @param {string} label - Domain label
+   * @returns {string} Company name
+   */
+  formatLabel: function(label) {
+    return String(label || '')
+      .split(/[-_]/)
+      .filter(Boolean)
+      .map(word => CalendarUtils.capitalizeWord(word))
+      .join(' ');
+  },
+  
+  /**
+   * Tidy a typed company name (the form answer becomes a folder name)
+   * @param {string} value - Raw "Company:" answer
+   * @returns {string} Cleaned name, '' for blanks and "n/a"-style answers
+   */
+  cleanCompanyName: function(value) {
+    const cleaned = String(value || '').replace(/[\\/:*?"<>|]/g, ' ').replace(/\s+/g, ' ').trim();
+    
+    if (/^(n\/?a|none|self|self[- ]employed|-+|\.+)$/i.test(cleaned)) {
+      return '';
+    }
+    
+    return cleaned;
+  },
+  
+  // ==========================================================================
+  // COMPANY ALIASES SHEET
+  // ==========================================================================
+  
+  /**
+   * Get or create the "Company Aliases" sheet
+   * @returns {Sheet} The alias sheet
+   */
+  getAliasSheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.COMPANIES.aliasSheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.COMPANIES.aliasSheetName);
+      sheet.getRange(1, 1, 1, this.ALIAS_HEADERS.length).setValues([this.ALIAS_HEADERS]);
+      sheet.getRange(1, 1, 1, this.ALIAS_HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.ALIAS_HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.ALIAS_HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 250);
+      sheet.setColumnWidth(2, 250);
+      Logger.log(`✓ Created "${CONFIG.COMPANIES.aliasSheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Load domain → company aliases (once per execution)
+   * Domains are matched exactly or by registrable domain ("acme.co.uk" also covers "mail.acme.co.uk")
+   * 
+   * @returns {Object} Lowercase domain → display name
+   */
+  getAliases: function() {
+    if (this.aliases) {
+      return this.aliases;
+    }
+    
+    this.aliases = {};
+    
+    try {
+      // Dry run makes no changes - don't create the sheet just to read it
+      if (DryRun.isActive() &&
+          !ProcessedEventsTracker.getTrackingSpreadsheet().getSheetByName(CONFIG.COMPANIES.aliasSheetName)) {
+        return this.aliases;
+      }
+      
+      const data = this.getAliasSheet().getDataRange().getValues();
+      
+      for (let i = 1; i < data.length; i++) {
+        const domain = String(data[i][0] || '').toLowerCase().trim().replace(/^@/, '').replace(/^www\./, '');
+        const company = String(data[i][1] || '').trim();
+        
+        if (domain && company) {
+          this.aliases[domain] = company;
+        }
+      }
+    } catch (error) {
+      Logger.log(`⚠️ Could not read company aliases: ${error.message}`);
+    }
+    
+    return this.aliases;
+  },
+  
+  // ==========================================================================
+  // NEEDS COMPANY SHEET
+  // ==========================================================================
+  
+  /**
+   * Get or create the "Needs Company" sheet
+   * @returns {Sheet} The review sheet
+   */
+  getQueueSheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.COMPANIES.needsCompanySheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.COMPANIES.needsCompanySheetName);
+      sheet.getRange(1, 1, 1, this.QUEUE_HEADERS.length).setValues([this.QUEUE_HEADERS]);
+      sheet.getRange(1, 1, 1, this.QUEUE_HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.QUEUE_HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.QUEUE_HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 250);
+      sheet.setColumnWidth(3, 200);
+      sheet.setColumnWidth(5, 300);
+      sheet.setColumnWidth(7, 200);
+      Logger.log(`✓ Created "${CONFIG.COMPANIES.needsCompanySheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Add a booking to the "Needs Company" sheet (once per event)
+   * @param {CalendarEvent} event - The calendar event
+   * @param {Object} eventData - From CalendarUtils.extractEventData()
+   * @returns {boolean} True if a new row was added (false if already waiting)
+   */
+  queueForReview: function(event, eventData) {
+    if (DryRun.isActive()) {
+      DryRun.record('CompanyResolver', 'Add to Needs Company', CONFIG.COMPANIES.needsCompanySheetName,
+        `${eventData.fullName} (${eventData.email}) - ${eventData.companyReason || ''}`);
+      return true;
+    }
+    
+    const sheet = this.getQueueSheet();
+    const data = sheet.getDataRange().getValues();
+    const eventId = event.getId();
+    
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][this.QUEUE_COLUMNS.EVENT_ID] === eventId &&
+          data[i][this.QUEUE_COLUMNS.STATUS] === this.QUEUE_STATUSES.WAITING) {
+        Logger.log(`⏸️ Still waiting for a company name: ${eventData.fullName} (${eventData.email})`);
+        return false;
+      }
+    }
+    
+    sheet.appendRow([
+      eventId,
+      eventData.fullName,
+      eventData.email,
+      event.getStartTime().toISOString(),
+      eventData.companyReason || '',
+      new Date().toISOString(),
+      '',
+      this.QUEUE_STATUSES.WAITING
+    ]);
+    
+    Logger.log(`⏸️ Added to "${CONFIG.COMPANIES.needsCompanySheetName}": ${eventData.fullName} (${eventData.email})`);
+    return true;
+  },
+  
+  /**
+   * Find a company name the admin typed into the "Needs Company" sheet
+   * Matches the same event, or any earlier booking by the same email
+   * 
+   * @param {string} eventId - Calendar event ID
+   * @param {string} email - Leader's email
+   * @returns {string} Company name or ''
+   */
+  findReviewedCompany: function(eventId, email) {
+    const sheet = ProcessedEventsTracker.getTrackingSpreadsheet().getSheetByName(CONFIG.COMPANIES.needsCompanySheetName);
+    if (!sheet) return '';
+    
+    const data = sheet.getDataRange().getValues();
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+    let emailMatch = '';
+    
+    for (let i = 1; i < data.length; i++) {
+      const company = this.cleanCompanyName(data[i][this.QUEUE_COLUMNS.COMPANY]);
+      if (!company) continue;
+      
+      if (eventId && data[i][this.QUEUE_COLUMNS.EVENT_ID] === eventId) {
+        return company;
+      }
+      
+      if (String(data[i][this.QUEUE_COLUMNS.EMAIL]).toLowerCase().trim() === normalizedEmail) {
+        emailMatch = company;
+      }
+    }
+    
+    return emailMatch;
+  },
+  
+  /**
+   * Get bookings still waiting for a company name (for the daily digest)
+   * @returns {Object[]} { eventId, name, email, eventDate, reason }
+   */
+  getWaiting: function() {
+    const sheet = ProcessedEventsTracker.getTrackingSpreadsheet().getSheetByName(CONFIG.COMPANIES.needsCompanySheetName);
+    if (!sheet) return [];
+    
+    return sheet.getDataRange().getValues().slice(1)
+      .filter(row => row[this.QUEUE_COLUMNS.STATUS] === this.QUEUE_STATUSES.WAITING)
+      .map(row => ({
+        eventId: row[this.QUEUE_COLUMNS.EVENT_ID],
+        name: row[this.QUEUE_COLUMNS.LEADER_NAME],
+        email: row[this.QUEUE_COLUMNS.EMAIL],
+        eventDate: row[this.QUEUE_COLUMNS.EVENT_DATE] ? new Date(row[this.QUEUE_COLUMNS.EVENT_DATE]) : null,
+        reason: row[this.QUEUE_COLUMNS.REASON]
+      }));
+  },
+  
+  /**
+   * Mark a "Needs Company" row as resolved once the booking has been processed
+   * @param {string} eventId - Calendar event ID
+   */
+  markResolved: function(eventId) {
+    const sheet = ProcessedEventsTracker.getTrackingSpreadsheet().getSheetByName(CONFIG.COMPANIES.needsCompanySheetName);
+    if (!sheet) return;
+    
+    const data = sheet.getDataRange().getValues();
+    
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][this.QUEUE_COLUMNS.EVENT_ID] === eventId &&
+          data[i][this.QUEUE_COLUMNS.STATUS] === this.QUEUE_STATUSES.WAITING) {
+        if (DryRun.isActive()) {
+          DryRun.record('CompanyResolver', 'Mark resolved', `${CONFIG.COMPANIES.needsCompanySheetName} row ${i + 1}`);
+          continue;
+        }
+        sheet.getRange(i + 1, this.QUEUE_COLUMNS.STATUS + 1).setValue(this.QUEUE_STATUSES.RESOLVED);
+      }
+    }
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Create the "Company Aliases" and "Needs Company" sheets
+ */
+function setupCompanySheets() {
+  ConfigLoader.load();
+  const aliasSheet = CompanyResolver.getAliasSheet();
+  CompanyResolver.getQueueSheet();
+  Logger.log(`✓ Company sheets ready: ${aliasSheet.getParent().getUrl()}`);
+}
+
+/**
+ * Process bookings whose company name was filled in on the "Needs Company" sheet
+ * Forces a full calendar scan so the waiting events are picked up now
+ */
+function processResolvedCompanies() {
+  PropertiesService.getScriptProperties().deleteProperty(CalendarSync.FULL_SCAN_PROPERTY);
+  onCalendarTrigger();
+}
+
+/**
+ * Show how sample emails resolve (aliases sheet included)
+ */
+function testCompanyResolver() {
+  ConfigLoader.load();
+  
+  const samples = [
+    ['aw@aprilwelch.com', ''],
+    ['bob@mail.acme.co.uk', ''],
+    ['agent@statefarm.com', ''],
+    ['jane@gmail.com', 'Blue Ridge Dental'],
+    ['sam@outlook.com', '']
+  ];
+  
+  samples.forEach(sample => {
+    const result = CompanyResolver.resolve(sample[0], sample[1]);
+    Logger.log(`${sample[0]} → ${result.needsReview ? '⏸️ needs review (' + result.reason + ')' : result.companyName + ' [' + result.source + ']'}`);
+  });
+}
\ No newline at end of file
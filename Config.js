@@ -1,12 +1,104 @@
 /**
  * Strong Teams Automation - Configuration
  * 
- * @version 1.2.1
- * @phase Phase 1 Enhanced - Event Deduplication
+ * @version 1.25.3
+ * @phase Event Replay
  * @description Centralized configuration for all automation settings
- * @lastUpdated 2024-12-28
+ * @lastUpdated 2026-10-18
  * 
- * IMPORTANT: Update adminEmail with your email address
+ * These are DEFAULTS. Coaches change settings in the "Strong Teams Settings"
+ * sheet (see Configloader.js) - run setupSettingsSheet() once to create it.
+ * Secrets (IDS API key, Stripe signing secret) live in Script Properties.
+ * 
+ * CHANGELOG v1.25.3:
+ * - PHASE1/PHASE2 rows.leaderDate / leaderTime notes say which BuildFileManager version writes them
+ * 
+ * CHANGELOG v1.25.2:
+ * - STRIPE.apiKeyProperty (confirms unsigned webhook deliveries with the Stripe API)
+ *   and STRIPE.lockWaitSeconds
+ * 
+ * CHANGELOG v1.25.1:
+ * - IDS_API.linkEndpoint / responsesEndpoint / exportEndpoint are blank by default - the
+ *   URLs shipped in v1.19.0 were not from the IDS API documentation
+ * 
+ * CHANGELOG v1.25.0:
+ * - Added EVENT_REPLAY section (search window for the Event Replay sidebar, see Eventreplay.js)
+ * 
+ * CHANGELOG v1.24.0:
+ * - Added DRY_RUN section (plan onCalendarTrigger changes without making them, see Dryrun.js)
+ * 
+ * CHANGELOG v1.23.0:
+ * - Added RETRY section (backoff for transient Drive / Sheets / IDS failures, see Retryutils.js)
+ * 
+ * CHANGELOG v1.22.0:
+ * - Added RUN_GUARD section (onCalendarTrigger lock wait + time budget, see Runguard.js)
+ * 
+ * CHANGELOG v1.21.0:
+ * - getFormattedDate() / getFormattedTime() honor dateFormat / timeFormat (via Timeformat.js)
+ * - Added TIMEZONES section (leader time zone fallbacks)
+ * - Added PHASE1/PHASE2 rows.leaderDate / leaderTime (leader-local session date/time)
+ * 
+ * CHANGELOG v1.20.0:
+ * - ASSESSMENT_TRACKING.pullExport now imports the export (on by default)
+ * 
+ * CHANGELOG v1.19.0:
+ * - Added ASSESSMENT_TRACKING section + checkAssessmentCompletion time-driven trigger
+ * - Added IDS_API.linkEndpoint / responsesEndpoint / exportEndpoint
+ * 
+ * CHANGELOG v1.18.0:
+ * - Added REMINDERS section + sendSessionReminders time-driven trigger
+ * 
+ * CHANGELOG v1.17.0:
+ * - Added EMAIL_TEMPLATES section (phase email template Docs, see Emailtemplates.js)
+ * 
+ * CHANGELOG v1.16.0:
+ * - Added PHASE_EMAILS section (Gmail drafts from the phase email generators)
+ * 
+ * CHANGELOG v1.15.0:
+ * - Added RUN_LOG section (run history sheet, see Runlog.js)
+ * 
+ * CHANGELOG v1.14.0:
+ * - Added DIGEST section + sendDailyDigest time-driven trigger
+ * - Removed EMAIL.notifyOnSuccess / notifyOnError (per-event emails replaced by the digest)
+ * 
+ * CHANGELOG v1.13.0:
+ * - Added REVIEW_QUEUE section ("Needs Attention" sheet + retry limit)
+ * 
+ * CHANGELOG v1.12.0:
+ * - Added COMPANIES section (company aliases, free email providers, Needs Company sheet)
+ * 
+ * CHANGELOG v1.11.0:
+ * - Added PROCESSED_EVENTS.cacheMinutes (Event Tracker lookup cache)
+ * 
+ * CHANGELOG v1.10.0:
+ * - Added CALENDAR.useSyncTokens / fullScanHours (incremental sync, see Calendarsync.js)
+ * 
+ * CHANGELOG v1.9.0:
+ * - Added TRIGGERS section (time-driven trigger registry + heartbeat warning)
+ * - RECEIVABLES.digestHour moved to TRIGGERS.timeDriven.sendReceivablesDigest.atHour
+ * 
+ * CHANGELOG v1.8.0:
+ * - Added SETTINGS section - values can be overridden from the settings sheet
+ * - IDS_API.apiKey removed from source - loaded from Script Property IDS_API_KEY
+ * - Added Phase 1/2 rows used by PhaseEmails.js (previously hardcoded cells)
+ * - Added Interview Link settings (previously INTERVIEW_LINK_CONFIG)
+ * - PROCESSED_EVENTS.spreadsheetId set to the existing Event Tracker
+ * 
+ * CHANGELOG v1.7.0:
+ * - Added RECEIVABLES section for NET 30 invoice tracking + daily digest
+ * 
+ * CHANGELOG v1.6.0:
+ * - Added PAYMENTS section (Payments sheet + Build File payment cells)
+ * 
+ * CHANGELOG v1.5.0:
+ * - Added STRIPE section for webhook signature verification + event log
+ * 
+ * CHANGELOG v1.4.0:
+ * - Added CANCELLATIONS section for cancelled/rescheduled booking reconciliation
+ * 
+ * CHANGELOG v1.3.0:
+ * - Added PHASE3 section for One-on-One and Action Planning sessions
+ * - Phase 3 sessions are written one row per team member (not fixed rows)
  * 
  * CHANGELOG v1.2.1:
  * - Disabled error email notifications (notifyOnError: false)
@@ -35,6 +127,14 @@
  */
 
 const CONFIG = {
+  // ========================================
+  // SETTINGS SHEET (NEW in v1.8.0)
+  // ========================================
+  SETTINGS: {
+    // Sheet (in the Event Tracker spreadsheet) whose Key/Value rows override these defaults
+    sheetName: 'Strong Teams Settings'
+  },
+  
   // ========================================
   // FEATURE TOGGLES
   // ========================================
@@ -77,8 +177,8 @@ const CONFIG = {
   // ========================================
   PROCESSED_EVENTS: {
     // Spreadsheet ID for tracking processed events
-    // Leave null to auto-create on first run
-    spreadsheetId: null,
+    // Leave null to find/create "Strong Teams - Event Tracker" in the Strong Teams folder
+    spreadsheetId: '1HNuM6mpisqkiNAH0k9YHSFLJ9kY2KkF0tqdWOLtG2lw',
     
     // Sheet name within the tracking spreadsheet
     sheetName: 'Processed Events',
@@ -87,7 +187,135 @@ const CONFIG = {
     retentionDays: 120,
     
     // Enable/disable tracking (set to false to process all events every time)
-    enabled: true
+    enabled: true,
+    
+    // (NEW in v1.11.0) Minutes to cache tracker lookups in CacheService (max 360, 0 = off)
+    cacheMinutes: 360
+  },
+  
+  // ========================================
+  // COMPANY NAMES (NEW in v1.12.0)
+  // ========================================
+  COMPANIES: {
+    // Sheet (in the Event Tracker) mapping email domains to company names
+    aliasSheetName: 'Company Aliases',
+    
+    // Sheet (in the Event Tracker) for personal-email bookings with no company
+    needsCompanySheetName: 'Needs Company',
+    
+    // Booking form field asking for the company (used for gmail.com etc.)
+    formFieldLabel: 'Company:',
+    
+    // Extra free/personal email domains (built-in list in Companyresolver.js)
+    freeEmailDomains: []
+  },
+  
+  // ========================================
+  // NEEDS ATTENTION (NEW in v1.13.0)
+  // ========================================
+  REVIEW_QUEUE: {
+    // Sheet (in the Event Tracker) listing events that failed to process
+    sheetName: 'Needs Attention',
+    
+    // Failures before an event stops being retried (Status → "Stopped")
+    maxRetries: 5
+  },
+  
+  // ========================================
+  // CANCELLATIONS (NEW in v1.4.0)
+  // ========================================
+  CANCELLATIONS: {
+    // Compare tracked future events against the calendars after every run
+    enabled: true,
+    
+    // What to do with the Phase Settings cells when a booking is cancelled
+    // 'strikethrough' = keep the old values but strike them out
+    // 'clear'         = empty the date, time and Zoom link cells
+    buildFileAction: 'strikethrough',
+    
+    // Email the admin a list of cancellations found in each run
+    notifyAdmin: true
+  },
+  
+  // ========================================
+  // STRIPE WEBHOOK (NEW in v1.5.0)
+  // ========================================
+  STRIPE: {
+    // Script Property holding the endpoint's signing secret (whsec_...)
+    // Set in Project Settings → Script Properties - never paste it here
+    signingSecretProperty: 'STRIPE_WEBHOOK_SECRET',
+    
+    // Reject signatures older than this (in seconds) - Stripe's default is 5 minutes
+    toleranceSeconds: 300,
+    
+    // Script Property holding a restricted Stripe API key (rk_...) with "Events: Read".
+    // Apps Script hides request headers from doPost(e), so deliveries straight from
+    // Stripe have no Stripe-Signature - they are confirmed by fetching the event by ID
+    apiKeyProperty: 'STRIPE_API_KEY',
+    
+    // How long a webhook waits for the script lock (onCalendarTrigger holds it for a
+    // whole run). Stripe retries deliveries it stops waiting for - the retry is then a duplicate
+    lockWaitSeconds: 300,
+    
+    // Sheet in the Event Tracker spreadsheet that records handled Stripe event IDs
+    eventsSheetName: 'Stripe Events'
+  },
+  
+  // ========================================
+  // PAYMENTS (NEW in v1.6.0)
+  // ========================================
+  PAYMENTS: {
+    // Sheet in the Event Tracker spreadsheet that records Stripe checkouts
+    sheetName: 'Payments',
+    
+    // Rows in Phase 1 Settings for payment status (Column A = labels, Column B = data)
+    rows: {
+      status: 12,     // Row 12: Payment Status (Paid / Pay Later (NET 30) / No payment on file)
+      amount: 13,     // Row 13: Amount (invoice amount for pay-later bookings)
+      reference: 14   // Row 14: Stripe Checkout Session ID
+    },
+    
+    // Payment terms for pay-later (100% discount) checkouts
+    netTermsDays: 30
+  },
+  
+  // ========================================
+  // RECEIVABLES (NEW in v1.7.0)
+  // ========================================
+  RECEIVABLES: {
+    // Sheet in the Event Tracker spreadsheet that tracks pay-later invoices
+    sheetName: 'Receivables',
+    
+    // Include invoices in the digest this many days before they are due
+    // (send time is TRIGGERS.timeDriven.sendReceivablesDigest)
+    dueSoonDays: 7
+  },
+  
+  // ========================================
+  // TRIGGERS (NEW in v1.9.0)
+  // ========================================
+  TRIGGERS: {
+    // Time-driven triggers installed by installAllTriggers()
+    // Key = function name; use everyHours OR everyDays + atHour (script timezone)
+    timeDriven: {
+      // Safety net: runs even when no calendar changes (keeps the heartbeat fresh)
+      onCalendarTrigger: { everyHours: 6 },
+      
+      // Daily NET 30 receivables digest
+      sendReceivablesDigest: { everyDays: 1, atHour: 8 },
+      
+      // Daily summary of trigger runs (NEW in v1.14.0)
+      sendDailyDigest: { everyDays: 1, atHour: 7 },
+      
+      // Session + assessment deadline reminders (NEW in v1.18.0)
+      sendSessionReminders: { everyDays: 1, atHour: 9 },
+      
+      // IDS assessment completion counts (NEW in v1.19.0)
+      checkAssessmentCompletion: { everyHours: 6 }
+    },
+    
+    // Add-on card warns when the last successful run is older than this
+    heartbeatWarningHours: 12
   },
   
   // ========================================
@@ -99,10 +327,16 @@ const CONFIG = {
     
     // Row numbers for each field (Column A = labels, Column B = data)
     rows: {
-      date: 2,      // Row 2: Phase 1 Date
-      time: 3,      // Row 3: Phase 1 Time
-      name: 7,      // Row 7: Leader Name (NOT row 4 - that's Assessment Link)
-      zoomLink: 9   // Row 9: Phase 1 Zoom Link (NOT row 5 - that has a formula)
+      date: 2,                // Row 2: Phase 1 Date
+      time: 3,                // Row 3: Phase 1 Time
+      assessmentLink: 4,      // Row 4: Leader Assessment Link
+      assessmentDeadline: 5,  // Row 5: Assessment Deadline (formula)
+      coachNames: 6,          // Row 6: Coach Names
+      name: 7,                // Row 7: Leader Name (NOT row 4 - that's Assessment Link)
+      responseLink: 8,        // Row 8: IDS Response Link (login code)
+      zoomLink: 9,            // Row 9: Phase 1 Zoom Link (NOT row 5 - that has a formula)
+      leaderDate: 10,         // Row 10: Phase 1 Date in the leader's time zone (NEW in v1.21.0, written by BuildFileManager v1.6.0+)
+      leaderTime: 11          // Row 11: Phase 1 Time in the leader's time zone (NEW in v1.21.0, written by BuildFileManager v1.6.0+)
     },
     
     // Keywords to identify Phase 1 events
@@ -123,9 +357,16 @@ const CONFIG = {
     
     // Row numbers for each field (Column A = labels, Column B = data)
     rows: {
-      date: 2,      // Row 2: Phase 2 Meeting Date
-      time: 3,      // Row 3: Phase 2 Meeting Time
-      zoomLink: 9   // Row 9: Phase 2 Zoom Link
+      date: 2,                // Row 2: Phase 2 Meeting Date
+      time: 3,                // Row 3: Phase 2 Meeting Time
+      assessmentLink: 4,      // Row 4: Team Assessment Link
+      assessmentDeadline: 5,  // Row 5: Team Assessment Deadline
+      coachNames: 6,          // Row 6: Coach Names
+      leaderName: 7,          // Row 7: Leader Name
+      responseLink: 8,        // Row 8: IDS Response Link (copied from Phase 1)
+      zoomLink: 9,            // Row 9: Phase 2 Zoom Link
+      leaderDate: 10,         // Row 10: Phase 2 Date in the leader's time zone (NEW in v1.21.0, written by BuildFileManager v1.6.0+)
+      leaderTime: 11          // Row 11: Phase 2 Time in the leader's time zone (NEW in v1.21.0, written by BuildFileManager v1.6.0+)
     },
     
     // Keywords to identify Phase 2 events
@@ -137,12 +378,130 @@ const CONFIG = {
     ]
   },
   
+  // ========================================
+  // PHASE 3 SETTINGS (NEW in v1.3.0)
+  // ========================================
+  PHASE3: {
+    // Sheet name in Build File where Phase 3 sessions go
+    // Not part of the template - created on the first Phase 3 booking
+    sheetName: 'Phase 3 Settings',
+    
+    // Row 1 = headers, then one row per team member
+    rows: {
+      header: 1,       // Row 1: Column headers
+      firstMember: 2   // Row 2: First team member
+    },
+    
+    // Column numbers for each field (one row per team member)
+    columns: {
+      memberName: 1,              // Column A: Team Member Name
+      memberEmail: 2,             // Column B: Team Member Email (used to find the row)
+      oneOnOneDate: 3,            // Column C: One-on-One Date
+      oneOnOneTime: 4,            // Column D: One-on-One Time
+      oneOnOneZoomLink: 5,        // Column E: One-on-One Zoom Link
+      actionPlanningDate: 6,      // Column F: Action Planning Date
+      actionPlanningTime: 7,      // Column G: Action Planning Time
+      actionPlanningZoomLink: 8   // Column H: Action Planning Zoom Link
+    },
+    
+    // Keywords to identify Phase 3 events
+    identifiers: [
+      'Phase 3 - One-on-One',
+      'Phase 3 - Action Planning',
+      'Phase 3 One-on-One',
+      'Phase 3 Action Planning'
+    ],
+    
+    // Keywords to tell the two Phase 3 sessions apart
+    // Anything that isn't Action Planning is treated as the One-on-One Exercise
+    actionPlanningIdentifiers: [
+      'Action Planning',
+      'Strengths Movement'
+    ]
+  },
+  
+  // ========================================
+  // PHASE EMAIL DRAFTS (NEW in v1.16.0)
+  // ========================================
+  PHASE_EMAILS: {
+    // Gmail draft after each generated email document: 'ask', 'always' or 'never'
+    // The Google Doc is always created as the archival copy
+    gmailDrafts: 'ask',
+    
+    // CC'd on every draft (leader email comes from the Event Tracker)
+    coachEmails: [],
+    
+    // Sheet in the Build File recording each draft and whether it was sent
+    statusSheetName: 'Email Status'
+  },
+  
+  // ========================================
+  // REMINDERS (NEW in v1.18.0)
+  // ========================================
+  REMINDERS: {
+    // Email leaders before sessions and the assessment deadline
+    enabled: true,
+    
+    // Days before a Phase 1 / Phase 2 session (0 = morning of)
+    sessionDaysBefore: [3, 1],
+    
+    // Days before the assessment deadline (Phase 1 Settings, PHASE1.rows.assessmentDeadline)
+    deadlineDaysBefore: [3, 1],
+    
+    // CC PHASE_EMAILS.coachEmails on every reminder
+    ccCoaches: false,
+    
+    // Shown as the sender name and signature
+    senderName: 'Basler Academy',
+    
+    // Stop sending when this few emails (or fewer) remain in the MailApp daily quota
+    quotaReserve: 5,
+    
+    // Sheet (in the Event Tracker) recording each reminder sent
+    sentSheetName: 'Reminders Sent'
+  },
+  
+  // ========================================
+  // ASSESSMENT TRACKING (NEW in v1.19.0)
+  // ========================================
+  ASSESSMENT_TRACKING: {
+    // Check IDS response links for completed assessments (see Assessmenttracker.js)
+    enabled: true,
+    
+    // Sheet written in each Build File (counts + respondent names)
+    sheetName: 'Assessment Status',
+    
+    // Sheet (in the Event Tracker) with one summary row per team
+    summarySheetName: 'Assessment Status',
+    
+    // Used when the IDS link doesn't report how many responses it was created for
+    defaultTarget: 6,
+    
+    // Flag a team as "Behind" this many days before the Phase 1 assessment deadline
+    warnDaysBefore: 3,
+    
+    // Import the IDS export whenever the completed count goes up
+    // (v1.20.0: dated copy in the leader folder + Strengths Wheel sheet, see DataImport.js)
+    pullExport: true
+  },
+  
+  // ========================================
+  // EMAIL TEMPLATES (NEW in v1.17.0)
+  // ========================================
+  EMAIL_TEMPLATES: {
+    // Folder (inside the Strong Teams folder) holding the phase email template Docs
+    folderName: 'Templates',
+    
+    // Optional: use this folder ID instead of looking the folder up by name
+    folderId: ''
+  },
+  
   // ========================================
   // DATE/TIME FORMATTING
   // ========================================
   dateFormat: {
     // Format: "December 22, 2024"
-    style: 'long', // 'long' = full month name
+    style: 'long', // 'full' = Monday, December 22 / 'long' = December 22 / 'short' = Dec 22 / 'numeric' = 12/22
     includeYear: true
   },
   
@@ -152,15 +511,113 @@ const CONFIG = {
     includeTimezone: true
   },
   
+  // ========================================
+  // LEADER TIME ZONES (NEW in v1.21.0)
+  // ========================================
+  TIMEZONES: {
+    // Sheet (in the Event Tracker) mapping company names to time zones (used when the
+    // booking doesn't say) - e.g. "Acme Corp | America/New_York" or "Acme Corp | Eastern"
+    companySheetName: 'Company Time Zones',
+    
+    // Leader time zone when neither the booking nor the company sheet has one
+    // (blank = the coach's time zone, appsscript.json)
+    defaultLeaderTimeZone: ''
+  },
+  
   // ========================================
   // EMAIL SETTINGS
   // ========================================
   EMAIL: {
-    notifyOnSuccess: false,  // Send email when automation succeeds
-    notifyOnError: false,    // DISABLED - errors logged to Cloud Logs instead
+    // Receives the daily digest, cancellation and payment notifications
     adminEmail: 'admin@basleracademy.com'
   },
   
+  // ========================================
+  // DAILY DIGEST (NEW in v1.14.0)
+  // ========================================
+  DIGEST: {
+    // Send the daily summary email (replaces per-event success/error emails)
+    enabled: true,
+    
+    // Activity covered by each digest (hours)
+    lookbackHours: 24,
+    
+    // "Upcoming sessions" window (days)
+    upcomingDays: 7,
+    
+    // Send even when there is nothing to report
+    sendWhenEmpty: false,
+    
+    // Skip the digest if this few emails (or fewer) remain in the MailApp daily quota
+    quotaReserve: 5,
+    
+    // Sheet (in the Event Tracker) where each run records what it did
+    activitySheetName: 'Activity Log',
+    
+    // Activity rows older than this are deleted after the digest is sent
+    activityRetentionDays: 30
+  },
+  
+  // ========================================
+  // RUN LOG (NEW in v1.15.0)
+  // ========================================
+  RUN_LOG: {
+    // Write one row per trigger run to the Run Log sheet (console entries are always sent)
+    enabled: true,
+    
+    // Sheet (in the Event Tracker) holding run history
+    sheetName: 'Run Log',
+    
+    // Runs older than this are deleted at the end of each run
+    retentionDays: 90
+  },
+  
+  // ========================================
+  // RUN GUARD (NEW in v1.22.0)
+  // ========================================
+  RUN_GUARD: {
+    // How long a trigger waits for a run already in progress before exiting
+    // (read before the settings sheet is loaded - change it here, not in the sheet)
+    lockWaitSeconds: 10,
+    
+    // Stop starting new events after this long (Apps Script kills runs at 360s);
+    // leaves time for the cancellation check and saving the tracker
+    budgetSeconds: 270
+  },
+  
+  // ========================================
+  // RETRIES (NEW in v1.23.0)
+  // ========================================
+  RETRY: {
+    // Tries per call for transient errors (429, 5xx, Drive rate limits) - permanent ones fail at once
+    maxAttempts: 4,
+    
+    // Wait before the 2nd try; doubles each try (plus up to 25% jitter), capped at maxDelayMs
+    baseDelayMs: 1000,
+    maxDelayMs: 16000
+  },
+  
+  // ========================================
+  // DRY RUN (NEW in v1.24.0)
+  // ========================================
+  DRY_RUN: {
+    // Every onCalendarTrigger run only reports what it would change (Drive, IDS, tracker untouched).
+    // For a one-off preview use dryRunCalendarTrigger() / Strong Teams menu → Dry Run instead.
+    enabled: false
+  },
+  
+  // ========================================
+  // EVENT REPLAY (NEW in v1.25.0)
+  // ========================================
+  EVENT_REPLAY: {
+    // Search window when no date is given (Strong Teams menu → Event Replay)
+    searchDaysBack: 30,
+    searchDaysAhead: 90,
+    
+    // Most events listed per search
+    maxResults: 25
+  },
+  
   // ========================================
   // CALENDAR SETTINGS
   // ========================================
@@ -170,7 +627,14 @@ const CONFIG = {
     
     // How far ahead to check for upcoming events (in hours)
     // UPDATED v1.2.0: Extended to 90 days (2160 hours) for far-future booking
-    lookaheadHours: 2160
+    lookaheadHours: 2160,
+    
+    // (NEW in v1.10.0) Only fetch events changed since the last run
+    // Requires the Calendar advanced service; false = rescan the whole window every run
+    useSyncTokens: true,
+    
+    // (NEW in v1.10.0) Hours between full rescans (retries events that failed earlier)
+    fullScanHours: 24
   },
   
   // ========================================
@@ -183,46 +647,57 @@ const CONFIG = {
     // API endpoint with account login
     endpoint: 'https://api.justrespond.com/api/v3/links?account_login=BASLERACADEMY',
     
+    // Connection check endpoint (Interview Link menu)
+    pingEndpoint: 'https://api.justrespond.com/api/v3/ping',
+    
     // API Key for Authorization header
-    apiKey: '01KBQM7E1B420HD75KVMPQ88CXd9cc94b972',
+    // Loaded from Script Property IDS_API_KEY by ConfigLoader - never put it here
+    apiKey: null,
     
     // Fixed configuration values
     contactEmail: 'admin@basleracademy.com',
     tagId: 349283,
     reportView: '6217',
     
+    // Interview Assessment links (Strong Teams menu → Create Interview Link)
+    interviewReportView: '6217/1056',
+    interviewSheetName: 'Interview Link',
+    
     // Which rows to store IDS data in Phase 1 Settings sheet
     phase1LinkRow: 4,      // Row 4: Leader Assessment Link (full URL)
     phase1LoginCodeRow: 8, // Row 8: Response Link (login code only)
     
     // Which row to store IDS data in Phase 2 Settings sheet
-    phase2LoginCodeRow: 8  // Row 8: Response Link (copied from Phase 1)
+    phase2LoginCodeRow: 8, // Row 8: Response Link (copied from Phase 1)
+    
+    // (NEW in v1.19.0) Per-link endpoints used by Assessmenttracker.js / DataImport.js
+    // ({login} = login code). NOT SET: the documented IDS v3 calls this integration uses are
+    // POST /links (endpoint) and GET /ping (pingEndpoint) only. Copy the link details,
+    // responses and export URLs from the IDS API documentation into the settings sheet
+    // (keys IDS_API.linkEndpoint etc.) - until then completion tracking and the API
+    // export import are off.
+    linkEndpoint: '',
+    responsesEndpoint: '',
+    exportEndpoint: ''
   }
 };
 
 /**
- * Get formatted date string
+ * Get formatted date string (CONFIG.dateFormat, see Timeformat.js)
  * Example: December 22, 2024
+ * @param {Date} date - Any date
+ * @param {string} [timeZone] - Time zone (default: the coach's / script time zone)
  */
-function getFormattedDate(date) {
-  const options = { 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  };
-  return date.toLocaleDateString('en-US', options);
+function getFormattedDate(date, timeZone) {
+  return TimeFormat.formatDate(date, timeZone);
 }
 
 /**
- * Get formatted time string with timezone
+ * Get formatted time string with timezone (CONFIG.timeFormat, see Timeformat.js)
  * Example: 2:00 PM EST
+ * @param {Date} date - Any date
+ * @param {string} [timeZone] - Time zone (default: the coach's / script time zone)
  */
-function getFormattedTime(date) {
-  const options = {
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true,
-    timeZoneName: 'short'
-  };
-  return date.toLocaleTimeString('en-US', options);
+function getFormattedTime(date, timeZone) {
+  return TimeFormat.formatTime(date, timeZone);
 }
\ No newline at end of file
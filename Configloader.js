@@ -0,0 +1,334 @@
+/**
+ * Strong Teams Automation - Config Loader
+ * 
+ * @version 1.1.0
+ * @phase Setup Wizard
+ * @description Merge CONFIG defaults with the "Strong Teams Settings" sheet and Script Properties
+ * @lastUpdated 2026-10-18
+ * 
+ * Load order (later wins):
+ * 1. Defaults in Config.js
+ * 2. "Strong Teams Settings" sheet - Key | Value | Notes
+ *    Keys are CONFIG paths, e.g. "CALENDARS.secondary" or "PHASE1.rows.zoomLink"
+ * 3. Script Properties - secrets only (never read from the sheet)
+ * 
+ * The settings sheet lives in the Event Tracker spreadsheet, or in the
+ * spreadsheet named by the SETTINGS_SPREADSHEET_ID Script Property.
+ * 
+ * Every entry point (triggers, webhooks, menu actions) calls
+ * ConfigLoader.load() first. CONFIG is updated in place, so modules keep
+ * reading CONFIG.X.Y as before. Missing required keys throw at startup.
+ * 
+ * Run setupSettingsSheet() once to create the sheet with every setting.
+ * 
+ * CHANGELOG v1.1.0:
+ * - Added saveSettings() + getOrCreateSettingsSheet() for the Setup Wizard
+ */
+
+const ConfigLoader = {
+  
+  // Script Property → CONFIG path for secrets
+  SECRETS: {
+    IDS_API_KEY: 'IDS_API.apiKey'
+  },
+  
+  // Keys that must have a value after loading
+  REQUIRED: [
+    'STRONG_TEAMS_FOLDER_ID',
+    'TEMPLATES.buildFile',
+    'EMAIL.adminEmail',
+    'PHASE1.sheetName',
+    'PHASE2.sheetName',
+    'PHASE3.sheetName',
+    'PROCESSED_EVENTS.sheetName'
+  ],
+  
+  // Set once per execution
+  loaded: false,
+  
+  /**
+   * Load settings into CONFIG (once per execution) and validate
+   * @param {string[]} extraRequired - Additional keys this entry point needs (e.g. 'IDS_API.apiKey')
+   * @returns {Object} CONFIG
+   */
+  load: function(extraRequired) {
+    if (!this.loaded) {
+      this.applySettingsSheet();
+      this.applySecrets();
+      this.loaded = true;
+    }
+    
+    this.validate(this.REQUIRED.concat(extraRequired || []));
+    return CONFIG;
+  },
+  
+  /**
+   * Get a secret from Script Properties
+   * @param {string} propertyName - Script Property name
+   * @returns {string|null} The value or null if not set
+   */
+  getSecret: function(propertyName) {
+    return PropertiesService.getScriptProperties().getProperty(propertyName);
+  },
+  
+  /**
+   * Copy secrets from Script Properties into CONFIG
+   */
+  applySecrets: function() {
+    for (let propertyName in this.SECRETS) {
+      const value = this.getSecret(propertyName);
+      if (value) {
+        this.setPath(this.SECRETS[propertyName], value);
+      }
+    }
+  },
+  
+  /**
+   * Get the spreadsheet that holds the settings sheet
+   * @returns {Spreadsheet} Settings spreadsheet
+   */
+  getSettingsSpreadsheet: function() {
+    const settingsId = this.getSecret('SETTINGS_SPREADSHEET_ID');
+    if (settingsId) {
+      return SpreadsheetApp.openById(settingsId);
+    }
+    return ProcessedEventsTracker.getTrackingSpreadsheet();
+  },
+  
+  /**
+   * Apply overrides from the "Strong Teams Settings" sheet
+   * Blank values keep the default; unknown keys are logged and skipped
+   */
+  applySettingsSheet: function() {
+    let sheet;
+    try {
+      sheet = this.getSettingsSpreadsheet().getSheetByName(CONFIG.SETTINGS.sheetName);
+    } catch (error) {
+      Logger.log(`⚠️ Could not open settings spreadsheet - using defaults: ${error.message}`);
+      return;
+    }
+    
+    if (!sheet) {
+      return;
+    }
+    
+    const secretPaths = Object.keys(this.SECRETS).map(name => this.SECRETS[name]);
+    const data = sheet.getDataRange().getValues();
+    let applied = 0;
+    
+    for (let i = 1; i < data.length; i++) {
+      const key = String(data[i][0] || '').trim();
+      const rawValue = data[i][1];
+      
+      if (!key || rawValue === '' || rawValue === null) continue;
+      
+      if (secretPaths.indexOf(key) !== -1) {
+        Logger.log(`⚠️ Settings: "${key}" is a secret - set it in Script Properties, not the sheet`);
+        continue;
+      }
+      
+      const current = this.getPath(key);
+      if (current === undefined || (current !== null && typeof current === 'object' && !Array.isArray(current))) {
+        Logger.log(`⚠️ Settings: unknown key "${key}" (row ${i + 1}) - skipped`);
+        continue;
+      }
+      
+      this.setPath(key, this.convertValue(rawValue, current));
+      applied++;
+    }
+    
+    Logger.log(`⚙️ Loaded ${applied} setting(s) from "${CONFIG.SETTINGS.sheetName}"`);
+  },
+  
+  /**
+   * Convert a sheet value to the type of the default
+   * @param {*} rawValue - Cell value
+   * @param {*} defaultValue - Current CONFIG value
+   * @returns {*} Converted value
+   */
+  convertValue: function(rawValue, defaultValue) {
+    if (Array.isArray(defaultValue)) {
+      return String(rawValue).split(/[\n,]/).map(v => v.trim()).filter(v => v);
+    }
+    
+    if (typeof defaultValue === 'number') {
+      const number = Number(rawValue);
+      if (isNaN(number)) {
+        throw new Error(`Settings: "${rawValue}" is not a number`);
+      }
+      return number;
+    }
+    
+    if (typeof defaultValue === 'boolean') {
+      return rawValue === true || String(rawValue).toLowerCase().trim() === 'true';
+    }
+    
+    return String(rawValue).trim();
+  },
+  
+  /**
+   * Check required keys and row numbers
+   * @param {string[]} requiredKeys - CONFIG paths that must be set
+   */
+  validate: function(requiredKeys) {
+    const problems = [];
+    
+    requiredKeys.forEach(key => {
+      const value = this.getPath(key);
+      if (value === undefined || value === null || value === '') {
+        const property = Object.keys(this.SECRETS).find(name => this.SECRETS[name] === key);
+        problems.push(property ? `${key} (Script Property ${property})` : key);
+      }
+    });
+    
+    [CONFIG.PHASE1.rows, CONFIG.PHASE2.rows, CONFIG.PHASE3.rows, CONFIG.PAYMENTS.rows].forEach(rows => {
+      for (let name in rows) {
+        if (!Number.isInteger(rows[name]) || rows[name] < 1) {
+          problems.push(`row "${name}" must be a positive whole number (got ${rows[name]})`);
+        }
+      }
+    });
+    
+    if (problems.length > 0) {
+      throw new Error(`Invalid configuration - missing or invalid: ${problems.join(', ')}`);
+    }
+  },
+  
+  /**
+   * Read a dotted CONFIG path
+   * @param {string} path - e.g. "PHASE1.rows.date"
+   * @returns {*} Value, or undefined if the path doesn't exist
+   */
+  getPath: function(path) {
+    return path.split('.').reduce((node, part) => 
+      node !== undefined && node !== null ? node[part] : undefined, CONFIG);
+  },
+  
+  /**
+   * Set a dotted CONFIG path (parent objects must already exist)
+   * @param {string} path - e.g. "PHASE1.rows.date"
+   * @param {*} value - New value
+   */
+  setPath: function(path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => node[part], CONFIG);
+    parent[last] = value;
+  },
+  
+  /**
+   * Get the settings sheet, creating it (headers only) if missing
+   * @returns {Sheet} The settings sheet
+   * @since v1.1.0
+   */
+  getOrCreateSettingsSheet: function() {
+    const ss = this.getSettingsSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.SETTINGS.sheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.SETTINGS.sheetName);
+      sheet.getRange(1, 1, 1, 3).setValues([['Key', 'Value', 'Notes']]);
+      sheet.getRange(1, 1, 1, 3).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 300);
+      sheet.setColumnWidth(2, 400);
+      sheet.setColumnWidth(3, 300);
+      Logger.log(`✓ Created "${CONFIG.SETTINGS.sheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Write settings to the settings sheet and apply them to CONFIG
+   * @param {Object} values - CONFIG path → value (arrays are stored one per line)
+   * @since v1.1.0
+   */
+  saveSettings: function(values) {
+    const sheet = this.getOrCreateSettingsSheet();
+    const keys = sheet.getDataRange().getValues().map(row => row[0]);
+    
+    for (let key in values) {
+      if (this.getPath(key) === undefined) {
+        throw new Error(`Unknown setting: ${key}`);
+      }
+      
+      const value = values[key];
+      const cellValue = Array.isArray(value) ? value.join('\n') : (value === null ? '' : value);
+      const rowIndex = keys.indexOf(key);
+      
+      if (rowIndex > 0) {
+        sheet.getRange(rowIndex + 1, 2).setValue(cellValue);
+      } else {
+        sheet.appendRow([key, cellValue, '']);
+        keys.push(key);
+      }
+      
+      this.setPath(key, value);
+    }
+    
+    Logger.log(`✓ Saved ${Object.keys(values).length} setting(s) to "${CONFIG.SETTINGS.sheetName}"`);
+  },
+  
+  /**
+   * List every editable setting as [key, value] pairs (secrets excluded)
+   * @returns {Array[]} Rows for the settings sheet
+   */
+  listSettings: function() {
+    const secretPaths = Object.keys(this.SECRETS).map(name => this.SECRETS[name]);
+    const rows = [];
+    
+    const walk = (node, prefix) => {
+      for (let key in node) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const value = node[key];
+        
+        // Secrets come from Script Properties; the sheet name can't override itself
+        if (secretPaths.indexOf(path) !== -1 || path === 'SETTINGS') continue;
+        
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+          walk(value, path);
+        } else {
+          rows.push([path, Array.isArray(value) ? value.join('\n') : (value === null ? '' : value)]);
+        }
+      }
+    };
+    
+    walk(CONFIG, '');
+    return rows;
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Create the "Strong Teams Settings" sheet with every setting and its current value
+ * Existing keys are left alone - only missing keys are added
+ */
+function setupSettingsSheet() {
+  const sheet = ConfigLoader.getOrCreateSettingsSheet();
+  const existing = sheet.getDataRange().getValues().map(row => row[0]);
+  const missing = ConfigLoader.listSettings().filter(row => existing.indexOf(row[0]) === -1);
+  
+  if (missing.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, missing.length, 2).setValues(missing);
+  }
+  
+  Logger.log(`✓ "${CONFIG.SETTINGS.sheetName}" ready - ${missing.length} setting(s) added`);
+  Logger.log(`   ${sheet.getParent().getUrl()}`);
+  Logger.log(`ℹ Secrets go in Script Properties: ${Object.keys(ConfigLoader.SECRETS).join(', ')}`);
+}
+
+/**
+ * Load and validate configuration, logging the result
+ */
+function validateConfiguration() {
+  try {
+    ConfigLoader.load(['IDS_API.apiKey']);
+    Logger.log('✓ Configuration is valid');
+  } catch (error) {
+    Logger.log(`✗ ${error.message}`);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,254 @@
+/**
+ * Strong Teams Automation - Daily Digest
+ * 
+ * @version 1.2.1
+ * @phase Retries
+ * @description One HTML email a day summarizing every trigger run (replaces per-event emails)
+ * @lastUpdated 2026-10-18
+ * 
+ * Per-event success/error emails blew the MailApp quota, so they were switched
+ * off and nobody heard about anything. This digest is sent once a day by a
+ * time-driven trigger (CONFIG.TRIGGERS.timeDriven.sendDailyDigest) and covers:
+ * 
+ * - New Phase 1 / Phase 2 / Phase 3 setups in the last 24 hours, with Build File links
+ * - Errors grouped by cause
+ * - Events waiting on the "Needs Attention" and "Needs Company" sheets
+ * - Sessions coming up in the next 7 days
+ * - Teams behind on their assessments (Assessmenttracker.js)
+ * 
+ * Data comes from the Activity Log sheet (Activitylog.js), the review sheets and
+ * the Event Tracker. The email is skipped when the remaining MailApp quota is at
+ * or below CONFIG.DIGEST.quotaReserve.
+ * 
+ * CHANGELOG v1.2.1:
+ * - "IDS API error" only matches IDS as a word ("spreadsheet IDs" was grouped there)
+ * 
+ * CHANGELOG v1.2.0:
+ * - Needs Attention table shows the error type (Transient / Permanent)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Added "Behind on assessments" section (Assessment Status sheet in the Event Tracker)
+ */
+
+const DailyDigest = {
+  
+  // Known error causes - first match wins, anything else is grouped by its masked message
+  ERROR_CAUSES: [
+    { pattern: /Missing required fields/i, cause: 'Booking is missing name or email' },
+    { pattern: /Build File not found/i, cause: 'Build File not found (Phase 1 not set up yet?)' },
+    { pattern: /validation failed/i, cause: 'Phase 1 Build File incomplete after setup' },
+    { pattern: /\bIDS\b|justrespond/, cause: 'IDS API error' },
+    { pattern: /too many times|timed out|maximum execution time|rate limit|quota/i, cause: 'Google service limit or timeout' },
+    { pattern: /permission|access denied|not authorized/i, cause: 'Permission denied' }
+  ],
+  
+  /**
+   * Gather everything the digest reports on
+   * @returns {Object} { since, lastRun, processed, errorGroups, cancellations,
+   *                     needsAttention, needsCompany, upcoming, assessmentsBehind }
+   */
+  collect: function() {
+    const since = new Date(Date.now() - CONFIG.DIGEST.lookbackHours * 60 * 60 * 1000);
+    const activity = ActivityLog.getSince(since);
+    
+    const processed = activity.filter(a => a.type === ActivityLog.TYPES.PROCESSED);
+    const cancellations = activity.filter(a =>
+      a.type === ActivityLog.TYPES.CANCELLED || a.type === ActivityLog.TYPES.RESCHEDULED);
+    
+    // Group errors by cause (one event failing on every run counts once per cause)
+    const groups = {};
+    activity.filter(a => a.type === ActivityLog.TYPES.ERROR).forEach(a => {
+      const cause = this.getErrorCause(a.detail);
+      const group = groups[cause] = groups[cause] || { cause: cause, count: 0, events: {} };
+      group.count++;
+      group.events[a.eventId || a.name] = a;
+    });
+    
+    const errorGroups = Object.keys(groups)
+      .map(cause => ({ cause: cause, count: groups[cause].count, events: Object.keys(groups[cause].events).map(k => groups[cause].events[k]) }))
+      .sort((a, b) => b.count - a.count);
+    
+    // Sessions in the next N days (all phases)
+    const horizon = new Date(Date.now() + CONFIG.DIGEST.upcomingDays * 24 * 60 * 60 * 1000);
+    const upcoming = ProcessedEventsTracker.getActiveFutureRecords()
+      .filter(record => record.eventDate <= horizon)
+      .sort((a, b) => a.eventDate - b.eventDate);
+    
+    return {
+      since: since,
+      lastRun: TriggerManager.getLastSuccessfulRun(),
+      processed: processed,
+      errorGroups: errorGroups,
+      cancellations: cancellations,
+      needsAttention: ReviewQueue.getOpenItems(),
+      needsCompany: CompanyResolver.getWaiting(),
+      upcoming: upcoming,
+      assessmentsBehind: CONFIG.ASSESSMENT_TRACKING.enabled ? AssessmentTracker.getFlagged() : []
+    };
+  },
+  
+  /**
+   * Map an error message to a cause for grouping
+   * @param {string} message - Error message
+   * @returns {string} Cause label
+   */
+  getErrorCause: function(message) {
+    const text = String(message || 'Unknown error');
+    const known = this.ERROR_CAUSES.find(c => c.pattern.test(text));
+    
+    if (known) {
+      return known.cause;
+    }
+    
+    // Mask the parts that differ per event so the same failure groups together
+    return text
+      .replace(/[a-zA-Z0-9._+-]+@[a-zA-Z0-9._-]+/g, '<email>')
+      .replace(/"[^"]*"/g, '"…"')
+      .replace(/\d+/g, '#')
+      .substring(0, 150);
+  },
+  
+  /**
+   * Check whether the digest has anything worth sending
+   * @param {Object} digest - From collect()
+   * @returns {boolean} True if any section has items
+   */
+  hasContent: function(digest) {
+    return digest.processed.length > 0 || digest.errorGroups.length > 0 || digest.cancellations.length > 0 ||
+      digest.needsAttention.length > 0 || digest.needsCompany.length > 0 || digest.upcoming.length > 0 ||
+      digest.assessmentsBehind.length > 0;
+  },
+  
+  /**
+   * Build the HTML email body
+   * @param {Object} digest - From collect()
+   * @returns {string} HTML
+   */
+  buildHtml: function(digest) {
+    const esc = value => String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const when = date => date ? Utilities.formatDate(new Date(date), Session.getScriptTimeZone(), 'EEE MMM d, h:mm a') : '';
+    const link = (url, text) => url ? `<a href="${esc(url)}">${esc(text)}</a>` : esc(text);
+    const fileUrl = id => id ? `https://docs.google.com/spreadsheets/d/${id}/edit` : '';
+    
+    const table = (headers, rows) => rows.length === 0
+      ? '<p style="color:#666">None</p>'
+      : '<table style="border-collapse:collapse;width:100%;font-size:13px">' +
+        '<tr>' + headers.map(h => `<th style="text-align:left;border-bottom:2px solid #3974BD;padding:4px">${esc(h)}</th>`).join('') + '</tr>' +
+        rows.map(cells => '<tr>' + cells.map(c => `<td style="border-bottom:1px solid #eee;padding:4px;vertical-align:top">${c}</td>`).join('') + '</tr>').join('') +
+        '</table>';
+    
+    const section = (title, count, content) =>
+      `<h3 style="color:#3974BD;margin:20px 0 6px 0">${esc(title)} (${count})</h3>${content}`;
+    
+    const processedRows = digest.processed.map(a => [
+      esc(a.phase), esc(a.name), esc(a.company), esc(when(a.eventDate)), link(a.buildFileUrl, a.buildFileUrl ? 'Build File' : '')
+    ]);
+    
+    const errorContent = digest.errorGroups.length === 0 ? '<p style="color:#666">None</p>' : digest.errorGroups.map(group =>
+      `<p style="margin:8px 0 2px 0"><b>${esc(group.cause)}</b> - ${group.count} failure(s)</p>` +
+      '<ul style="margin:0">' + group.events.map(a =>
+        `<li>${esc(a.phase || 'Unknown phase')}: ${esc(a.name)}${a.eventDate ? ' (' + esc(when(a.eventDate)) + ')' : ''}<br>` +
+        `<span style="color:#666;font-size:12px">${esc(a.detail)}</span></li>`).join('') + '</ul>'
+    ).join('');
+    
+    const cancellationRows = digest.cancellations.map(a => [
+      esc(a.type), esc(a.phase), esc(a.name), esc(when(a.eventDate)), link(a.buildFileUrl, a.buildFileUrl ? 'Build File' : '')
+    ]);
+    
+    const attentionRows = digest.needsAttention.map(item => [
+      esc(item.title), esc(item.phase), esc(item.error), esc(item.errorType), esc(`${item.retryCount}/${CONFIG.REVIEW_QUEUE.maxRetries}`), esc(item.status)
+    ]);
+    
+    const companyRows = digest.needsCompany.map(item => [
+      esc(item.name), esc(item.email), esc(when(item.eventDate)), esc(item.reason)
+    ]);
+    
+    const upcomingRows = digest.upcoming.map(record => [
+      esc(when(record.eventDate)), esc(record.phase), esc(record.leaderName), esc(record.company),
+      link(fileUrl(record.buildFileId), record.buildFileId ? 'Build File' : '')
+    ]);
+    
+    const assessmentRows = digest.assessmentsBehind.map(team => [
+      esc(team.leaderName), esc(team.company), esc(`${team.completed}/${team.target}`),
+      esc(team.deadline ? Utilities.formatDate(new Date(team.deadline), Session.getScriptTimeZone(), 'EEE MMM d') : ''),
+      esc(team.status), link(fileUrl(team.buildFileId), 'Build File')
+    ]);
+    
+    const tracker = ProcessedEventsTracker.getTrackingSpreadsheet().getUrl();
+    
+    return `<div style="font-family:Arial,sans-serif;color:#333;max-width:800px">
+<h2 style="color:#3974BD;margin-bottom:4px">Strong Teams Daily Digest</h2>
+<p style="color:#666;margin-top:0">Since ${esc(when(digest.since))} · Last successful run: ${esc(digest.lastRun ? when(digest.lastRun) : 'never')}</p>
+${section('New setups', digest.processed.length, table(['Phase', 'Name', 'Company', 'Session', ''], processedRows))}
+${section('Errors', digest.errorGroups.reduce((sum, g) => sum + g.count, 0), errorContent)}
+${section('Cancelled / rescheduled', digest.cancellations.length, table(['Status', 'Phase', 'Leader', 'Session', ''], cancellationRows))}
+${section('Needs Attention', digest.needsAttention.length, table(['Event', 'Phase', 'Error', 'Type', 'Tries', 'Status'], attentionRows))}
+${section('Needs Company', digest.needsCompany.length, table(['Name', 'Email', 'Session', 'Reason'], companyRows))}
+${section(`Upcoming sessions (next ${CONFIG.DIGEST.upcomingDays} days)`, digest.upcoming.length, table(['When', 'Phase', 'Name', 'Company', ''], upcomingRows))}
+${section('Behind on assessments', digest.assessmentsBehind.length, table(['Leader', 'Company', 'Completed', 'Deadline', 'Status', ''], assessmentRows))}
+<p style="margin-top:24px;font-size:12px;color:#666">Review sheets: ${link(tracker, 'Event Tracker')}<br>Strong Teams Automation</p>
+</div>`;
+  },
+  
+  /**
+   * Collect and send the digest (respects the MailApp quota)
+   * @returns {boolean} True if an email was sent
+   */
+  send: function() {
+    if (!CONFIG.DIGEST.enabled) {
+      Logger.log('ℹ Daily digest disabled (CONFIG.DIGEST.enabled)');
+      return false;
+    }
+    
+    const digest = this.collect();
+    
+    Logger.log(`📊 Digest: ${digest.processed.length} setup(s), ${digest.errorGroups.length} error cause(s), ` +
+      `${digest.needsAttention.length} needing attention, ${digest.upcoming.length} upcoming`);
+    
+    if (!this.hasContent(digest) && !CONFIG.DIGEST.sendWhenEmpty) {
+      Logger.log('✓ Nothing to report - no digest sent');
+      return false;
+    }
+    
+    const quota = MailApp.getRemainingDailyQuota();
+    if (quota <= CONFIG.DIGEST.quotaReserve) {
+      Logger.log(`⚠️ Daily digest skipped - only ${quota} email(s) left in today's quota`);
+      return false;
+    }
+    
+    const errorCount = digest.errorGroups.reduce((sum, g) => sum + g.count, 0);
+    
+    MailApp.sendEmail({
+      to: CONFIG.EMAIL.adminEmail,
+      subject: `📋 Strong Teams Digest: ${digest.processed.length} new, ${errorCount} error(s), ` +
+        `${digest.needsAttention.length + digest.needsCompany.length} waiting`,
+      body: 'This digest is HTML - open it in an email client that shows HTML.',
+      htmlBody: this.buildHtml(digest)
+    });
+    
+    Logger.log(`✓ Daily digest sent to ${CONFIG.EMAIL.adminEmail} (${quota - 1} email(s) left today)`);
+    return true;
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Send the daily digest (time-driven trigger - see CONFIG.TRIGGERS.timeDriven)
+ */
+function sendDailyDigest() {
+  ConfigLoader.load();
+  DailyDigest.send();
+  ActivityLog.prune();
+}
+
+/**
+ * Log the digest HTML without sending it
+ */
+function previewDailyDigest() {
+  ConfigLoader.load();
+  Logger.log(DailyDigest.buildHtml(DailyDigest.collect()));
+}
\ No newline at end of file
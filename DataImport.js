@@ -1,6 +1,13 @@
 /**
  * DataImport.gs
  * Handles importing and processing data from IDS Export files (TSV/CSV)
+ * 
+ * Two ways in:
+ * - extractIDSExportData(): newest .tsv/.csv uploaded to the leader folder
+ * - importIDSExportFromAPI(): fetches the team export for the Build File's login code
+ *   from the IDS API, saves a dated copy in the leader folder and imports it.
+ *   The assessment check (checkAssessmentCompletion) does the same on schedule
+ *   when CONFIG.ASSESSMENT_TRACKING.pullExport is on.
  */
 
 /**
@@ -27,7 +34,7 @@ function extractIDSExportData() {
   
   var folder = folders.next();
   
-  // Look for .tsv or .csv file in the same folder
+  // Look for .tsv or .csv file in the same folder (newest wins - dated API copies pile up)
   var allFiles = folder.getFiles();
   var dataFile = null;
   var fileType = null;
@@ -37,14 +44,11 @@ function extractIDSExportData() {
     var fileName = file.getName().toLowerCase();
     
     // Check if file has .tsv or .csv extension
-    if (fileName.endsWith('.tsv')) {
-      dataFile = file;
-      fileType = 'tsv';
-      break; // Found a TSV file, stop searching
-    } else if (fileName.endsWith('.csv')) {
+    if (!fileName.endsWith('.tsv') && !fileName.endsWith('.csv')) continue;
+    
+    if (!dataFile || file.getLastUpdated() > dataFile.getLastUpdated()) {
       dataFile = file;
-      fileType = 'csv';
-      break; // Found a CSV file, stop searching
+      fileType = fileName.endsWith('.tsv') ? 'tsv' : 'csv';
     }
   }
   
@@ -76,10 +80,68 @@ function extractIDSExportData() {
 }
 
 /**
- * Processes the delimited data (TSV or CSV) and writes to Strengths Wheel sheet
+ * Fetches the team's IDS export from the API, saves a dated copy in the leader
+ * folder and imports it into the Strengths Wheel sheet
+ * @param {Spreadsheet} ss - The Build File
+ * @param {string} loginCode - Optional link login code (default: Phase 1 Settings login code row)
+ * @returns {Object} { fileName, count }
+ */
+function importIDSExportForBuildFile(ss, loginCode) {
+  if (!loginCode) {
+    var phase1 = ss.getSheetByName(CONFIG.PHASE1.sheetName);
+    loginCode = phase1 ? String(phase1.getRange(CONFIG.IDS_API.phase1LoginCodeRow, 2).getValue()).trim() : '';
+  }
+  
+  if (!loginCode) {
+    throw new Error('No IDS login code in ' + CONFIG.PHASE1.sheetName + ' row ' + CONFIG.IDS_API.phase1LoginCodeRow);
+  }
+  
+  var blob = IDSUtils.fetchExport(loginCode);
+  var folder = DriveApp.getFileById(ss.getId()).getParents().next();
+  var fileName = 'IDS Export - ' + loginCode + ' - ' +
+    Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd') + '.tsv';
+  
+  // One copy per day - running the import again replaces today's copy
+  var existing = folder.getFilesByName(fileName);
+  while (existing.hasNext()) {
+    existing.next().setTrashed(true);
+  }
+  folder.createFile(blob.setName(fileName));
+  Logger.log('📁 Saved ' + fileName);
+  
+  var count = processDelimitedData(blob.getDataAsString(), 'tsv', ss);
+  
+  return { fileName: fileName, count: count };
+}
+
+/**
+ * Menu action: import the IDS export for this Build File straight from the API
  */
-function processDelimitedData(fileContent, fileType) {
+function importIDSExportFromAPI() {
+  var ui = SpreadsheetApp.getUi();
   var ss = SpreadsheetApp.getActiveSpreadsheet();
+  
+  try {
+    ConfigLoader.load(['IDS_API.apiKey']);
+    
+    ss.toast('Fetching the team export from IDS...', 'Importing...', 3);
+    var result = importIDSExportForBuildFile(ss);
+    
+    ss.toast(result.count + ' record(s) imported from ' + result.fileName, 'Success', 5);
+  } catch (error) {
+    ui.alert('Error', 'Failed to import IDS export: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Processes the delimited data (TSV or CSV) and writes to Strengths Wheel sheet
+ * @param {string} fileContent - File text
+ * @param {string} fileType - 'tsv' or 'csv'
+ * @param {Spreadsheet} spreadsheet - Optional Build File (default: the active spreadsheet, with a toast)
+ * @returns {number} Records imported
+ */
+function processDelimitedData(fileContent, fileType, spreadsheet) {
+  var ss = spreadsheet || SpreadsheetApp.getActiveSpreadsheet();
   var sheet = ss.getSheetByName('Strengths Wheel');
   
   if (!sheet) {
@@ -90,7 +152,7 @@ function processDelimitedData(fileContent, fileType) {
   var delimiter = fileType === 'csv' ? ',' : '\t';
   
   // Parse delimited data
-  var lines = fileContent.split('\n');
+  var lines = fileContent.split(/\r?\n/);
   if (lines.length < 2) {
     throw new Error('Data file appears to be empty or invalid');
   }
@@ -170,14 +232,18 @@ function processDelimitedData(fileContent, fileType) {
     dataRange.setFontFamily('Arial');
     dataRange.setFontSize(10);
     
-    SpreadsheetApp.getActiveSpreadsheet().toast(
-      outputData.length + ' record(s) imported successfully from ' + fileType.toUpperCase() + ' file!', 
-      'Success', 
-      5
-    );
+    if (!spreadsheet) {
+      ss.toast(
+        outputData.length + ' record(s) imported successfully from ' + fileType.toUpperCase() + ' file!', 
+        'Success', 
+        5
+      );
+    }
   } else {
     throw new Error('No valid data found in file');
   }
+  
+  return outputData.length;
 }
 
 /**
@@ -0,0 +1,284 @@
+/**
+ * Strong Teams Automation - Dry Run
+ * 
+ * @version 1.0.0
+ * @phase Dry Run
+ * @description Run the calendar pipeline without changing anything and report what it would have done
+ * @lastUpdated 2026-10-18
+ * 
+ * Turn on with CONFIG.DRY_RUN.enabled (settings sheet key DRY_RUN.enabled) or run
+ * dryRunCalendarTrigger() / Strong Teams menu → Dry Run. onCalendarTrigger() then
+ * reads calendars, the Event Tracker and existing Build Files as usual, but every
+ * change is added to the plan instead of being made:
+ * 
+ * - FolderUtils         - folders that would be created
+ * - BuildFileManager    - template copies and every Build File cell write/format
+ * - IDSUtils            - response links that would be created
+ * - ProcessedEventsTracker, ReviewQueue, CompanyResolver, PaymentsTracker - tracker rows
+ * - onCalendarTrigger() - sync tokens, pending cursor, heartbeat, Activity Log and
+ *   Run Log are left alone, so the next real run sees the same events
+ * 
+ * New folders and Build Files are stand-ins (see placeholder); writes to a Build File
+ * that doesn't exist yet are shown against the template. The plan is logged at the
+ * end of the run, and shown in a dialog when started from the menu.
+ */
+
+const DryRun = {
+  
+  // Method names that change a Spreadsheet / Sheet / Range (see watch)
+  WRITE_METHODS: /^(set|clear|insert|delete|append|merge|copy|move|sort|hide|show|protect|remove|add|auto)/,
+  
+  // Methods whose results are watched too (sheets and ranges of a watched spreadsheet)
+  WRAP_METHODS: /^(getRange|getRangeList|getDataRange|getSheetByName|getSheets|getActiveSheet|getSheet|getParent|offset)$/,
+  
+  // True while side effects are being planned instead of made
+  active: false,
+  
+  // Planned side effects: { event, module, action, target, detail }
+  plan: [],
+  
+  // ID prefix of placeholder folders/files (see placeholder)
+  PLACEHOLDER_PREFIX: 'dry-run:',
+  
+  // Title of the event being processed (groups the plan)
+  currentEvent: '',
+  
+  /**
+   * Start planning instead of changing (clears any earlier plan)
+   */
+  begin: function() {
+    this.active = true;
+    this.plan = [];
+    this.currentEvent = '';
+    Logger.log('🧪 DRY RUN - nothing will be changed; side effects are listed at the end');
+  },
+  
+  /**
+   * Stop planning (the plan is kept for getReportHtml / logReport)
+   */
+  end: function() {
+    this.active = false;
+  },
+  
+  /**
+   * @returns {boolean} True if side effects should be planned, not made
+   */
+  isActive: function() {
+    return this.active;
+  },
+  
+  /**
+   * Group the next planned side effects under an event
+   * @param {CalendarEvent|null} event - The event being processed (null = run-level)
+   */
+  setEvent: function(event) {
+    this.currentEvent = event ? `${event.getTitle()} (${event.getStartTime().toLocaleString()})` : '';
+  },
+  
+  /**
+   * Add a side effect to the plan
+   * @param {string} module - Module that would make the change (e.g. 'FolderUtils')
+   * @param {string} action - What it would do (e.g. 'Create folder')
+   * @param {string} target - What it would change (e.g. folder name, sheet!cell)
+   * @param {string} [detail] - Values written, request summary...
+   */
+  record: function(module, action, target, detail) {
+    this.plan.push({
+      event: this.currentEvent,
+      module: module,
+      action: action,
+      target: target,
+      detail: detail === undefined ? '' : String(detail)
+    });
+    
+    Logger.log(`  🧪 Would ${action}: ${target}${detail ? ' = ' + String(detail).substring(0, 200) : ''}`);
+  },
+  
+  /**
+   * Stand-in for a folder or file the dry run didn't create
+   * Has the Folder/File methods the pipeline calls; lookups inside it find nothing
+   * 
+   * @param {string} name - Folder or file name
+   * @returns {Object} Placeholder
+   */
+  placeholder: function(name) {
+    const nothing = { hasNext: () => false, next: () => null };
+    
+    return {
+      dryRunPlaceholder: true,
+      getId: () => this.PLACEHOLDER_PREFIX + name,
+      getName: () => name,
+      getUrl: () => '(dry run - not created)',
+      getFilesByName: () => nothing,
+      getFoldersByName: () => nothing
+    };
+  },
+  
+  /**
+   * Find a placeholder by ID (e.g. a Build File "created" by an earlier event in this run)
+   * @param {string} id - Drive ID or placeholder ID
+   * @returns {Object|null} Placeholder, or null if id is a real Drive ID
+   */
+  getPlaceholderById: function(id) {
+    const text = String(id || '');
+    return text.indexOf(this.PLACEHOLDER_PREFIX) === 0 ? this.placeholder(text.substring(this.PLACEHOLDER_PREFIX.length)) : null;
+  },
+  
+  /**
+   * @param {Object} item - Folder, File or placeholder
+   * @returns {boolean} True if it's a dry-run stand-in
+   */
+  isPlaceholder: function(item) {
+    return !!(item && item.dryRunPlaceholder);
+  },
+  
+  /**
+   * Wrap a Spreadsheet, Sheet or Range so reads go through and writes are planned
+   * Sheets and ranges it returns are wrapped too.
+   * 
+   * @param {Object} target - The real Spreadsheet, Sheet or Range
+   * @param {string} label - Name for the plan (e.g. the Build File name)
+   * @returns {Object} The wrapped object
+   */
+  watch: function(target, label) {
+    const dryRun = this;
+    
+    const proxy = new Proxy(target, {
+      get: function(object, name) {
+        const member = object[name];
+        
+        if (typeof member !== 'function') {
+          return member;
+        }
+        
+        if (dryRun.WRITE_METHODS.test(name)) {
+          return function() {
+            const values = Array.prototype.slice.call(arguments)
+              .map(value => typeof value === 'object' ? JSON.stringify(value) : String(value));
+            dryRun.record('BuildFileManager', name, dryRun.describe(object, label), values.join(', '));
+            return proxy;
+          };
+        }
+        
+        return function() {
+          const result = member.apply(object, arguments);
+          
+          if (!dryRun.WRAP_METHODS.test(name) || !result) {
+            return result;
+          }
+          
+          return Array.isArray(result) ? result.map(item => dryRun.watch(item, label)) : dryRun.watch(result, label);
+        };
+      }
+    });
+    
+    return proxy;
+  },
+  
+  /**
+   * @param {Object} object - Spreadsheet, Sheet or Range
+   * @param {string} label - Spreadsheet name for the plan
+   * @returns {string} e.g. "Jane Doe - Strong Teams Build File › Phase 1 Settings!B2"
+   */
+  describe: function(object, label) {
+    if (typeof object.getA1Notation === 'function') {
+      return `${label} › ${object.getSheet().getName()}!${object.getA1Notation()}`;
+    }
+    
+    if (typeof object.getSheetId === 'function') {
+      return `${label} › ${object.getName()}`;
+    }
+    
+    return label;
+  },
+  
+  /**
+   * Log the plan, grouped by event
+   */
+  logReport: function() {
+    Logger.log('\n' + '='.repeat(70));
+    Logger.log(`DRY RUN PLAN - ${this.plan.length} change(s) NOT made`);
+    Logger.log('='.repeat(70));
+    
+    this.groupByEvent().forEach(group => {
+      Logger.log(`\n${group.event}`);
+      group.items.forEach(item => {
+        Logger.log(`  [${item.module}] ${item.action} → ${item.target}${item.detail ? ': ' + item.detail.substring(0, 200) : ''}`);
+      });
+    });
+    
+    Logger.log('='.repeat(70));
+    
+    LoggerUtils.logStructured('info', { type: 'dry_run', changes: this.plan.length });
+  },
+  
+  /**
+   * @returns {string} The plan as an HTML table (for the menu dialog)
+   */
+  getReportHtml: function() {
+    const esc = value => String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    
+    const sections = this.groupByEvent().map(group =>
+      `<h3 style="margin:16px 0 4px 0;color:#3974BD">${esc(group.event)}</h3>` +
+      '<table style="border-collapse:collapse;width:100%;font-size:12px">' +
+      group.items.map(item =>
+        '<tr>' +
+        `<td style="padding:3px 6px;border-bottom:1px solid #eee;color:#666">${esc(item.module)}</td>` +
+        `<td style="padding:3px 6px;border-bottom:1px solid #eee">${esc(item.action)}</td>` +
+        `<td style="padding:3px 6px;border-bottom:1px solid #eee">${esc(item.target)}</td>` +
+        `<td style="padding:3px 6px;border-bottom:1px solid #eee;color:#666">${esc(item.detail.substring(0, 300))}</td>` +
+        '</tr>').join('') +
+      '</table>'
+    ).join('');
+    
+    return `<div style="font-family:Arial,sans-serif;color:#333">
+<p><b>${this.plan.length} change(s)</b> would be made. Nothing was changed.</p>
+${sections || '<p style="color:#666">Nothing to do - no new or changed bookings.</p>'}
+</div>`;
+  },
+  
+  /**
+   * @returns {Object[]} { event, items } in plan order (run-level items under "Run")
+   */
+  groupByEvent: function() {
+    const groups = [];
+    const byEvent = {};
+    
+    this.plan.forEach(item => {
+      const event = item.event || 'Run';
+      if (!byEvent[event]) {
+        byEvent[event] = { event: event, items: [] };
+        groups.push(byEvent[event]);
+      }
+      byEvent[event].items.push(item);
+    });
+    
+    return groups;
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Run onCalendarTrigger() as a dry run and show what it would change
+ * Strong Teams menu → Dry Run (or run from the editor and read the log)
+ */
+function dryRunCalendarTrigger() {
+  DryRun.begin();
+  
+  try {
+    onCalendarTrigger();
+  } finally {
+    DryRun.end();
+  }
+  
+  try {
+    const html = HtmlService.createHtmlOutput(DryRun.getReportHtml()).setWidth(900).setHeight(600);
+    SpreadsheetApp.getUi().showModalDialog(html, 'Strong Teams - Dry Run');
+  } catch (error) {
+    // Run from the editor - the plan is in the log
+  }
+}
\ No newline at end of file
@@ -0,0 +1,464 @@
+/**
+ * Strong Teams Automation - Phase Email Drafts
+ * 
+ * @version 1.0.1
+ * @phase Gmail Drafts
+ * @description Turn a generated phase email Doc into a ready Gmail draft and track whether it was sent
+ * @lastUpdated 2026-10-18
+ * 
+ * The generators in PhaseEmails.js still create the Google Doc (archival copy).
+ * createForDoc() then walks the Doc body into HTML, takes the subject from the
+ * "Subject:" line, addresses the draft to the leader email in the Event Tracker
+ * and CCs CONFIG.PHASE_EMAILS.coachEmails.
+ * 
+ * Each draft is recorded on the Build File's "Email Status" sheet.
+ * refreshStatus() marks drafts that have since been sent (or discarded).
+ * 
+ * Uses the Gmail advanced service (gmail.compose + gmail.metadata scopes).
+ * 
+ * CHANGELOG v1.0.1:
+ * - Only a 404 counts as "draft gone" - other Gmail errors (quota, 5xx) leave the row
+ *   as Draft for the next refresh instead of marking it Discarded for good
+ */
+
+const EmailDrafts = {
+  
+  // Column indices (0-based) for the Email Status sheet
+  COLUMNS: {
+    EMAIL: 0,
+    DOCUMENT: 1,
+    TO: 2,
+    CC: 3,
+    SUBJECT: 4,
+    STATUS: 5,
+    CREATED: 6,
+    SENT: 7,
+    DRAFT_ID: 8,
+    THREAD_ID: 9
+  },
+  
+  // Header row - order must match COLUMNS
+  HEADERS: ['Email', 'Document', 'To', 'CC', 'Subject', 'Status', 'Created', 'Sent', 'Draft ID', 'Thread ID'],
+  
+  STATUSES: {
+    DRAFT: 'Draft',
+    SENT: 'Sent',
+    DISCARDED: 'Discarded'
+  },
+  
+  // Paragraph spacing used in the generated Docs
+  PARAGRAPH_STYLE: 'margin:0 0 12px 0;',
+  
+  /**
+   * Ask (or check CONFIG) whether to create a draft, then create and record it
+   * Call before doc.saveAndClose() - the body is read from the open Doc
+   * 
+   * @param {Spreadsheet} ss - The Build File
+   * @param {Document} doc - The generated email Doc
+   * @param {string} emailName - e.g. 'Phase 1 Leader Assessment Assignment Email'
+   * @returns {Object|null} { draftId, url, to } or null if no draft was created
+   */
+  createForDoc: function(ss, doc, emailName) {
+    const ui = SpreadsheetApp.getUi();
+    const mode = CONFIG.PHASE_EMAILS.gmailDrafts;
+    
+    if (mode === 'never') {
+      return null;
+    }
+    
+    if (mode === 'ask') {
+      const answer = ui.alert('Gmail Draft', `Also create a Gmail draft of the ${emailName}?`, ui.ButtonSet.YES_NO);
+      if (answer !== ui.Button.YES) return null;
+    }
+    
+    const to = this.getRecipient(ss);
+    if (!to) {
+      return null;
+    }
+    
+    const email = this.docToHtml(doc.getBody());
+    if (!email.subject) {
+      email.subject = emailName;
+    }
+    
+    const cc = CONFIG.PHASE_EMAILS.coachEmails.filter(address => address.toLowerCase() !== to.toLowerCase());
+    const draft = this.createDraft(to, cc, email);
+    
+    this.recordDraft(ss, {
+      emailName: emailName,
+      docUrl: doc.getUrl(),
+      to: to,
+      cc: cc,
+      subject: email.subject,
+      draftId: draft.id,
+      threadId: draft.message.threadId
+    });
+    
+    Logger.log(`✓ Gmail draft created for ${to}: ${email.subject}`);
+    
+    return { draftId: draft.id, url: this.getDraftUrl(draft), to: to };
+  },
+  
+  /**
+   * Leader email for this Build File - Event Tracker first, then ask the coach
+   * @param {Spreadsheet} ss - The Build File
+   * @returns {string|null} Email address, or null if cancelled
+   */
+  getRecipient: function(ss) {
+    let record = null;
+    try {
+      record = ProcessedEventsTracker.findByBuildFileId(ss.getId());
+    } catch (error) {
+      Logger.log(`⚠️ Could not read Event Tracker: ${error.message}`);
+    }
+    
+    if (record) {
+      return String(record.email).trim();
+    }
+    
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt('Leader Email',
+                               'This Build File is not in the Event Tracker. Enter the leader\'s email:',
+                               ui.ButtonSet.OK_CANCEL);
+    
+    if (response.getSelectedButton() !== ui.Button.OK) return null;
+    
+    const email = response.getResponseText().trim();
+    if (email.indexOf('@') === -1) {
+      ui.alert('Gmail Draft', `"${email}" is not an email address - no draft created.`, ui.ButtonSet.OK);
+      return null;
+    }
+    
+    return email;
+  },
+  
+  /**
+   * Walk a Doc body into an email
+   * The first "Subject: ..." paragraph becomes the subject and is left out of the body
+   * 
+   * @param {Body} body - Doc body
+   * @returns {Object} { subject, html, text }
+   */
+  docToHtml: function(body) {
+    let subject = '';
+    let html = '';
+    let text = '';
+    const openLists = [];   // 'ul' / 'ol' per nesting level
+    
+    const closeLists = level => {
+      while (openLists.length > level) {
+        html += `</${openLists.pop()}>`;
+      }
+    };
+    
+    for (let i = 0; i < body.getNumChildren(); i++) {
+      const element = body.getChild(i);
+      const type = element.getType();
+      
+      if (type === DocumentApp.ElementType.LIST_ITEM) {
+        const item = element.asListItem();
+        const tag = this.isOrdered(item.getGlyphType()) ? 'ol' : 'ul';
+        const level = this.getListLevel(item);
+        
+        closeLists(level + 1);
+        if (openLists.length === level + 1 && openLists[level] !== tag) {
+          html += `</${openLists.pop()}>`;
+        }
+        while (openLists.length < level + 1) {
+          html += `<${tag} style="margin:0 0 6px 0;">`;
+          openLists.push(tag);
+        }
+        
+        html += `<li>${this.textToHtml(item.editAsText())}</li>`;
+        text += `${'  '.repeat(level)}- ${item.getText()}\n`;
+        continue;
+      }
+      
+      if (openLists.length > 0) text += '\n';
+      closeLists(0);
+      
+      if (type !== DocumentApp.ElementType.PARAGRAPH) {
+        Logger.log(`⚠️ Email draft: skipped unsupported ${type} element`);
+        continue;
+      }
+      
+      const paragraph = element.asParagraph();
+      const paragraphText = paragraph.getText();
+      
+      if (!subject && /^Subject:/i.test(paragraphText)) {
+        subject = paragraphText.replace(/^Subject:\s*/i, '').trim();
+        continue;
+      }
+      
+      if (!paragraphText.trim()) continue;
+      
+      // Short lines with no spacing after (signature block) stay tight together
+      const style = paragraph.getSpacingAfter() === 0 ? 'margin:0;' : this.PARAGRAPH_STYLE;
+      html += `<p style="${style}">${this.textToHtml(paragraph.editAsText())}</p>`;
+      text += `${paragraphText}\n${paragraph.getSpacingAfter() === 0 ? '' : '\n'}`;
+    }
+    
+    closeLists(0);
+    
+    return {
+      subject: subject,
+      html: `<div style="font-family:Arial,sans-serif;font-size:14px;color:#222;">${html}</div>`,
+      text: text.trim()
+    };
+  },
+  
+  /**
+   * Convert a Text element to HTML, keeping links, bold and italic
+   * @param {Text} textElement - From editAsText()
+   * @returns {string} HTML
+   */
+  textToHtml: function(textElement) {
+    const content = textElement.getText();
+    if (!content) return '';
+    
+    const starts = textElement.getTextAttributeIndices();
+    let html = '';
+    
+    for (let i = 0; i < starts.length; i++) {
+      const start = starts[i];
+      const end = i + 1 < starts.length ? starts[i + 1] : content.length;
+      let run = escapeXml(content.substring(start, end));
+      
+      if (textElement.isBold(start)) run = `<strong>${run}</strong>`;
+      if (textElement.isItalic(start)) run = `<em>${run}</em>`;
+      
+      const url = textElement.getLinkUrl(start);
+      if (url) run = `<a href="${escapeXml(url)}">${run}</a>`;
+      
+      html += run;
+    }
+    
+    return html;
+  },
+  
+  /**
+   * @param {GlyphType} glyphType - List item glyph
+   * @returns {boolean} True for numbered/lettered lists
+   */
+  isOrdered: function(glyphType) {
+    return [
+      DocumentApp.GlyphType.BULLET,
+      DocumentApp.GlyphType.HOLLOW_BULLET,
+      DocumentApp.GlyphType.SQUARE_BULLET
+    ].indexOf(glyphType) === -1;
+  },
+  
+  /**
+   * Nesting level of a list item
+   * The generators indent sub-bullets (indentStart 72) instead of nesting them
+   * 
+   * @param {ListItem} item - List item
+   * @returns {number} 0 = top level
+   */
+  getListLevel: function(item) {
+    const indentLevel = Math.round(((item.getIndentStart() || 36) - 36) / 36);
+    return Math.max(item.getNestingLevel(), indentLevel, 0);
+  },
+  
+  /**
+   * Create the Gmail draft (multipart: plain text + HTML)
+   * @param {string} to - Recipient
+   * @param {string[]} cc - CC addresses
+   * @param {Object} email - { subject, html, text } from docToHtml()
+   * @returns {Object} Gmail API draft { id, message: { id, threadId } }
+   */
+  createDraft: function(to, cc, email) {
+    const boundary = `strongteams_${Utilities.getUuid()}`;
+    const encodedSubject = `=?UTF-8?B?${Utilities.base64Encode(email.subject, Utilities.Charset.UTF_8)}?=`;
+    
+    const headers = [
+      'MIME-Version: 1.0',
+      `To: ${to}`
+    ];
+    if (cc.length > 0) {
+      headers.push(`Cc: ${cc.join(', ')}`);
+    }
+    headers.push(`Subject: ${encodedSubject}`);
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    
+    const mime = headers.concat([
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Utilities.base64Encode(email.text, Utilities.Charset.UTF_8),
+      `--${boundary}`,
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Utilities.base64Encode(email.html, Utilities.Charset.UTF_8),
+      `--${boundary}--`
+    ]).join('\r\n');
+    
+    return Gmail.Users.Drafts.create({
+      message: { raw: Utilities.base64EncodeWebSafe(mime) }
+    }, 'me');
+  },
+  
+  /**
+   * @param {Object} draft - Gmail API draft
+   * @returns {string} Link that opens the draft in Gmail
+   */
+  getDraftUrl: function(draft) {
+    return `https://mail.google.com/mail/#drafts?compose=${draft.message.id}`;
+  },
+  
+  /**
+   * Get or create the "Email Status" sheet in the Build File
+   * @param {Spreadsheet} ss - The Build File
+   * @returns {Sheet} The status sheet
+   */
+  getStatusSheet: function(ss) {
+    let sheet = ss.getSheetByName(CONFIG.PHASE_EMAILS.statusSheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.PHASE_EMAILS.statusSheetName);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setValues([this.HEADERS]);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 280);
+      sheet.setColumnWidth(5, 300);
+      Logger.log(`✓ Created "${CONFIG.PHASE_EMAILS.statusSheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Append a draft to the Email Status sheet
+   * @param {Spreadsheet} ss - The Build File
+   * @param {Object} draft - { emailName, docUrl, to, cc, subject, draftId, threadId }
+   */
+  recordDraft: function(ss, draft) {
+    this.getStatusSheet(ss).appendRow([
+      draft.emailName,
+      draft.docUrl,
+      draft.to,
+      draft.cc.join(', '),
+      draft.subject,
+      this.STATUSES.DRAFT,
+      new Date(),
+      '',
+      draft.draftId,
+      draft.threadId
+    ]);
+  },
+  
+  /**
+   * Update "Draft" rows: Sent once the thread has a sent message, Discarded if it's gone
+   * @param {Spreadsheet} ss - The Build File
+   * @returns {Object} { sent, discarded, waiting }
+   */
+  refreshStatus: function(ss) {
+    const counts = { sent: 0, discarded: 0, waiting: 0 };
+    const sheet = ss.getSheetByName(CONFIG.PHASE_EMAILS.statusSheetName);
+    
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return counts;
+    }
+    
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, this.HEADERS.length).getValues();
+    
+    rows.forEach((row, i) => {
+      if (row[this.COLUMNS.STATUS] !== this.STATUSES.DRAFT) return;
+      
+      let result;
+      try {
+        result = this.checkDraft(row[this.COLUMNS.DRAFT_ID], row[this.COLUMNS.THREAD_ID]);
+      } catch (error) {
+        // Gmail didn't answer - can't tell sent from discarded, check again next refresh
+        Logger.log(`⚠️ Could not check draft ${row[this.COLUMNS.DRAFT_ID]}: ${error.message}`);
+        counts.waiting++;
+        return;
+      }
+      
+      if (result.status === this.STATUSES.DRAFT) {
+        counts.waiting++;
+        return;
+      }
+      
+      sheet.getRange(i + 2, this.COLUMNS.STATUS + 1, 1, 3).setValues([[
+        result.status,
+        row[this.COLUMNS.CREATED],
+        result.sentAt || ''
+      ]]);
+      
+      if (result.status === this.STATUSES.SENT) {
+        counts.sent++;
+      } else {
+        counts.discarded++;
+      }
+    });
+    
+    return counts;
+  },
+  
+  /**
+   * Check one draft in Gmail
+   * @param {string} draftId - Gmail draft ID
+   * @param {string} threadId - Thread the draft belongs to
+   * @returns {Object} { status, sentAt }
+   * @throws {Error} If Gmail fails for any reason other than a missing draft / thread
+   */
+  checkDraft: function(draftId, threadId) {
+    try {
+      Gmail.Users.Drafts.get('me', draftId, { format: 'minimal' });
+      return { status: this.STATUSES.DRAFT };
+    } catch (error) {
+      // 404: draft is gone - sent or deleted. Anything else says nothing about the draft.
+      if (!this.isNotFound(error)) throw error;
+    }
+    
+    try {
+      const thread = Gmail.Users.Threads.get('me', threadId, { format: 'minimal' });
+      const sent = (thread.messages || []).filter(m => (m.labelIds || []).indexOf('SENT') !== -1);
+      
+      if (sent.length > 0) {
+        return { status: this.STATUSES.SENT, sentAt: new Date(Number(sent[sent.length - 1].internalDate)) };
+      }
+    } catch (error) {
+      if (!this.isNotFound(error)) throw error;
+      Logger.log(`ℹ Thread ${threadId} not found: ${error.message}`);
+    }
+    
+    return { status: this.STATUSES.DISCARDED };
+  },
+  
+  /**
+   * Check for Gmail's "not found" (404) error
+   * @param {Error} error - Error from the Gmail advanced service
+   * @returns {boolean} True if the draft / thread doesn't exist
+   * @since v1.0.1
+   */
+  isNotFound: function(error) {
+    if (error && error.details && error.details.code) {
+      return error.details.code === 404;
+    }
+    return /\b404\b|not found/i.test(String(error && error.message || ''));
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Menu action: update the Email Status sheet of the open Build File
+ */
+function refreshEmailStatus() {
+  ConfigLoader.load();
+  
+  const counts = EmailDrafts.refreshStatus(SpreadsheetApp.getActiveSpreadsheet());
+  
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    `${counts.sent} sent, ${counts.discarded} discarded, ${counts.waiting} still in drafts`,
+    'Email Status', 5);
+}
\ No newline at end of file
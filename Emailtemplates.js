@@ -0,0 +1,633 @@
+/**
+ * Strong Teams Automation - Email Templates
+ * 
+ * @version 1.0.0
+ * @phase Email Templates
+ * @description Phase email text lives in Google Docs in the "Templates" folder, not in code
+ * @lastUpdated 2026-10-18
+ * 
+ * Each generator in PhaseEmails.js copies its template Doc next to the Build
+ * File and fills it from the Phase Settings sheets. Coaches edit wording,
+ * links and formatting in the Doc - no deploy needed.
+ * 
+ * Template syntax:
+ *   {{leaderName}}                      - replaced with the value (URLs become links)
+ *   {{#if responseLink}}...{{/if}}      - kept only when the value is filled in
+ *   {{#if x}}...{{else}}...{{/if}}      - either/or
+ * A {{#if}} / {{else}} / {{/if}} on a paragraph of its own wraps whole
+ * paragraphs (list items included). Sections can't be nested.
+ * 
+ * Missing templates are created from SEEDS (the original wording) on first
+ * use, or all at once with seedEmailTemplates().
+ * 
+ * Before generating, any placeholder left unresolved is listed and the coach
+ * can cancel. Preview mode (toggleTemplatePreview) shows the filled-in email
+ * instead of creating the Doc.
+ */
+
+const EmailTemplates = {
+
+  // Template Doc names in the Templates folder
+  TEMPLATES: {
+    phase1Assignment: 'Phase 1 Assignment Email',
+    phase1FollowUp: 'Phase 1 Follow-up Email',
+    phase2Assignment: 'Phase 2 Team Assignment Email',
+    phase3FollowUp: 'Phase 3 Follow-up Email',
+    phase3TeamAssignment: 'Phase 3 Team Assignment Email'
+  },
+  
+  // User Property holding the preview mode switch (per coach)
+  PREVIEW_PROPERTY: 'EMAIL_TEMPLATE_PREVIEW',
+  
+  PLACEHOLDER_PATTERN: /\{\{\s*(\w+)\s*\}\}/g,
+  INLINE_IF_PATTERN: /\{\{#if (\w+)\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+  UNRESOLVED_PATTERN: /\{\{[^{}]*\}\}/g,
+  BLOCK_IF: /^\{\{#if (\w+)\}\}$/,
+  BLOCK_ELSE: /^\{\{else\}\}$/,
+  BLOCK_END: /^\{\{\/if\}\}$/,
+  
+  /**
+   * Default template content (used when a template Doc doesn't exist yet)
+   * 'text' = paragraph (12pt after); { p, after } = paragraph with spacing;
+   * { bullet | number, level, after } = list item; [label](url) = link
+   */
+  SEEDS: {
+    phase1Assignment: [
+      'Subject: Assignment and Next Steps',
+      '{{leaderName}},',
+      'We are so excited that you have made the decision to move forward with this process!',
+      { p: 'Important Dates:', after: 6 },
+      { bullet: 'Your One-on-One Session: {{phase1Date}} | {{phase1Time}} | 60 Minutes' },
+      { bullet: 'Team Meeting: {{sessionDate}} | {{sessionTime}} | 90 Minutes', after: 12 },
+      'I know you have already put some blocks on your calendars for the times above. I will also send a zoom invite from Basler Academy for each session soon.',
+      { p: 'Your Assignment:', after: 6 },
+      'In preparation for our first meeting, you will need to complete the Leading From Your Strengths Assessment. This is not a test—it cannot be failed, and there are no right or wrong answers. When completing the assessment, think about who you are as a leader and be decisive with your responses: "I am most like this" and "I am least like this." The assessment should take you 10-12 minutes to complete.',
+      { p: 'Assessment Link: {{assessmentLink}}', after: 6 },
+      '{{#if responseLink}}',
+      'Response Link: {{responseLink}}',
+      '{{/if}}',
+      'Once you have completed the assessment, you will be able to download your results on-screen, and you will also receive a copy via email for safekeeping.',
+      'Please review your results before our meeting and make a list of any questions you have or insights you\'d like to discuss. Our meeting will be somewhat scripted, but there will be plenty of room for your questions to be addressed. Rodney Cox, Julie Basler, and I will be on the call.',
+      { p: 'What\'s Next:', after: 6 },
+      'Once we have completed our one-on-one session with you, we will send you the assignment for your team. You\'ll have the flexibility to modify it and add your own touches, but we will provide all the details you need.',
+      'Thank you for being an early adopter—we look forward to spending time with you and obtaining your candid feedback.',
+      'Have a great Thanksgiving!',
+      { p: '{{coachNames}}', after: 0 },
+      { p: 'Basler Academy', after: 0 }
+    ],
+    
+    phase1FollowUp: [
+      'Subject: Your Strengths Movement Exercise & Team Assessment Assignment',
+      '{{leaderName}},',
+      'Thank you for your time! I hope you found our 60 minutes together profitable and insightful. Your transparency and authenticity as a leader were truly refreshing—those qualities will serve you and your team incredibly well as you move through this process.',
+      { p: 'Your Assignment: Strengths Movement Exercise', after: 6 },
+      'Attached you\'ll find the Strengths Movement Exercise. This is the same exercise your team members will complete during Phase 3 in your second one-on-one sessions with them (Strengths Movement and Action Planning).',
+      { p: 'This exercise serves two important purposes:', after: 6 },
+      { number: 'It addresses the movement we discussed on the coaching call - You\'ll work through the four scales (Problem Solving, Processing Information, Managing Change, and Facing Risk) to understand where you\'re adapting and why, then develop an action plan for alignment.' },
+      { number: 'It gives you firsthand experience with what you\'ll be asking your team to complete - When you facilitate this exercise with each team member in Phase 3, you\'ll understand exactly what they\'re working through because you\'ve done it yourself.', after: 12 },
+      'Please complete this exercise before our team meeting. If you would please scan and send it back to me it would help me with context as we move forward.',
+      { p: 'Team Assessment Assignment', after: 6 },
+      { p: 'Action Items:', after: 6 },
+      { number: 'First, send a calendar invite to your team for the Team Building Session:' },
+      { bullet: 'Date: {{sessionDate}}', level: 1 },
+      { bullet: 'Time: {{sessionTime}}', level: 1 },
+      { bullet: 'Duration: 90 Minutes', level: 1 },
+      { bullet: 'Zoom Link: {{#if phase2ZoomLink}}{{phase2ZoomLink}}{{else}}[TO BE PROVIDED]{{/if}}', level: 1 },
+      { number: 'Then, send the assessment assignment email (attached as a separate document). You have the flexibility to modify it and add your own touches, but we\'ve provided all the details you need including:' },
+      { bullet: 'Instructions for completing the Leading From Your Strengths Assessment', level: 1 },
+      { bullet: 'What to expect from the assessment process', level: 1 },
+      { bullet: 'How to access and save their results', level: 1 },
+      { bullet: 'Preparation steps before the team meeting', level: 1, after: 12 },
+      'Feel free to personalize the assignment message to fit your leadership style and team culture.',
+      'Looking forward to the journey ahead!',
+      { p: '{{coachNames}}', after: 0 },
+      { p: 'Basler Academy', after: 0 }
+    ],
+    
+    phase2Assignment: [
+      'Subject: Team Building Session Prep - Complete Your Leading From Your Strengths Assessment',
+      'Team,',
+      'I\'m excited to share that we\'ll be participating in a 90-minute Team Building Session with Basler Academy on {{sessionDate}} at {{sessionTime}}. This session is designed to help us build stronger relationships grounded in empathy, understanding, and trust—so that each of you feels valued and can contribute at your highest level.',
+      'Research shows that organizations with strong cultures see employee engagement up to 72% higher, and teams built on genuine understanding achieve 21% greater performance. As we head into 2026, I want us to be one of those teams—not just working together, but thriving together.',
+      'To prepare for our session, each of you will need to complete the Leading From Your Strengths Assessment. This assessment is a foundational tool that will give us valuable insights into how we each approach problem-solving, process information, manage change, and face risk. The results will guide our conversation and help us understand and appreciate what each person brings to the team.',
+      { p: 'Important Details:', after: 6 },
+      { bullet: 'This is not a test—it cannot be failed, and there are no right or wrong answers' },
+      { bullet: 'When completing the assessment, think about who you are at work and be decisive with your responses: "I am most like this" and "I am least like this"' },
+      { bullet: 'The assessment should take you 10-12 minutes to complete' },
+      { bullet: 'Once completed, you\'ll be able to download your results on-screen, and you\'ll also receive a copy via email for safekeeping', after: 12 },
+      { p: 'Assessment Link: {{assessmentLink}}', after: 6 },
+      '{{#if responseLink}}',
+      'Response Link: {{responseLink}}',
+      '{{/if}}',
+      { p: 'Your Assignment:', after: 6 },
+      { bullet: 'Complete the assessment by {{deadlineDate}}' },
+      { bullet: 'Review your results before our team session' },
+      { bullet: 'Come prepared to share insights and ask questions', after: 12 },
+      'Our team building session will be facilitated by {{coachNames}}. This is an investment in us as a team, and I\'m looking forward to what we\'ll learn together.',
+      'See you on {{sessionDate}}!',
+      { p: '{{leaderName}}', after: 0 }
+    ],
+    
+    phase3FollowUp: [
+      'Subject: Your Phase 3 & 4 One-on-One Guides (The Real Team Building Begins!)',
+      '{{leaderName}},',
+      'Thank you for entrusting your team to us during yesterday\'s Team Building Session! It was an honor to facilitate that conversation, and we\'re genuinely excited about what\'s ahead for you and your team.',
+      'Here\'s the truth: Phase 2 was just the foundation. Phases 3 and 4 are where the real team building happens.',
+      'These next phases are where trust deepens, empathy grows, and true understanding takes root. We\'ve equipped you with the tools, but you\'re the hero in this story. Your team will experience transformation through the one-on-one conversations you\'re about to have with them—and they\'ll have with each other.',
+      'We\'ve included a link to download your One-on-One Exercise Guide. This is the same guide you\'ll use for your Phase 3 sessions with each team member, and the same guide each team member will use when they meet with each other in Phase 4.',
+      '(Note: This same link is included in the team member assignment email, so everyone will have access to the same resource.)',
+      { p: 'Your Immediate Action Items:', after: 6 },
+      { number: '[Click Here to Download the One-on-One Exercise Guide](https://drive.google.com/file/d/17R_uCQRbs9aVdmHGtpxlgJXarJy9QNcV/view?usp=sharing) and review it thoroughly to prepare for your first one-on-one session.' },
+      { number: 'Review and send the team member assignment email (attached) to your team as soon as possible. You can modify it to fit your voice and team culture, but we\'ve included all the essential details they\'ll need.' },
+      { number: 'Schedule your Phase 3 one-on-ones with each team member:' },
+      { bullet: 'First Session (30-45 minutes): One-on-One Exercise', level: 1 },
+      { bullet: 'Follow-up Session (15-30 minutes): Strengths Movement Exercise and Action Planning', level: 1 },
+      { number: 'Important: We strongly recommend you break these into two separate meetings rather than combining them. This gives time for reflection between sessions and builds more trust, empathy, and understanding. Keep the ball rolling, but give each conversation the space it deserves.' },
+      { number: 'Phase 4 Peer One-on-Ones: We will give the responsibility to each team member to schedule their own one-on-ones with each other. We will instruct them to add you as "optional" to those meeting invites—not to observe, but simply to keep you in the loop on who\'s meeting when so you can keep everyone accountable.', after: 12 },
+      { p: 'Key Timing Notes:', after: 6 },
+      { bullet: 'Phase 3 and Phase 4 should happen simultaneously—they\'re designed to run in parallel, not sequentially. You don\'t need to wait until all your one-on-ones are complete before team members start meeting with each other (unless you prefer to structure it that way).' },
+      { bullet: 'When you\'re ready for Phase 5 (your final team meeting), just let us know! We\'ll send you everything you need to facilitate that 45-60 minute session where you\'ll pull together all the takeaways, future to-dos, and organizational implementation strategy.', after: 12 },
+      'If you need any assistance as you move through these phases—questions about the exercises, coaching on a difficult conversation, or just a sounding board—please reach out anytime. We\'re invested in your success.',
+      'Please keep us posted on your wins along the way! We want to celebrate with you as you watch your team grow stronger, more connected, and more aligned. Those breakthrough moments when someone truly "gets it" about themselves or a teammate—we love hearing about those.',
+      'You\'re building something special here. Let\'s make it happen!',
+      'Looking forward to the journey ahead,',
+      { p: '{{coachNames}}', after: 0 },
+      { p: 'Basler Academy', after: 0 }
+    ],
+    
+    phase3TeamAssignment: [
+      'Subject: Your Next Steps in Building Our Stronger Team',
+      'Team,',
+      'Thank you for your engagement during our Team Building Session! The insights we discovered together are just the beginning. The real transformation happens in the one-on-one conversations we\'re about to have—both with me and with each other.',
+      'Here\'s what\'s next and what you need to do:',
+      { p: 'You\'ll meet with me for two separate sessions:', after: 6 },
+      { number: 'First Session (30-45 minutes): One-on-One Exercise' },
+      { number: 'Second Session (15-30 minutes): Strengths Movement and Action Planning', after: 12 },
+      { p: 'Your Assignment:', after: 6 },
+      { number: 'Download the One-on-One Exercise Guide - [Click Here](https://drive.google.com/file/d/17R_uCQRbs9aVdmHGtpxlgJXarJy9QNcV/view?usp=sharing) to download' },
+      { number: 'Complete the pre-work in the guide before our first meeting' },
+      { number: 'Schedule both sessions with me - Reach out to set up times on my calendar', after: 12 },
+      'We\'re breaking these into two meetings intentionally—it gives us time to reflect between sessions and builds more trust, empathy, and understanding.',
+      'After (or alongside) your meetings with me, you\'ll meet one-on-one with each of your teammates using the same One-on-One Exercise Guide.',
+      { p: 'Your Assignment:', after: 6 },
+      { number: 'Schedule a 20-30 minute one-on-one with each team member' },
+      { number: 'Use the same One-on-One Exercise Guide you used with me (skip the "Keys to Motivating" and "Keys to Leading" sections—those are just for me)' },
+      { number: 'Add me as "optional" on all peer meeting invites (not to observe, just to keep me in the loop)', after: 12 },
+      'These peer conversations are where team cohesion is really built. They\'re just as important as your conversations with me.',
+      'For your second session with me, we\'ll work through the Strengths Movement Exercise together. I\'m providing the link now so you have it, but please wait to complete this exercise until after we\'ve finished our first one-on-one session.',
+      'Download the Strengths Movement Exercise - [Click Here](https://drive.google.com/file/d/1x6U8dGW24jZQHrVzRg_WrpbpUfralUTQ/view?usp=sharing)',
+      'Phase 3 (your sessions with me) and Phase 4 (your peer sessions) should happen simultaneously—you don\'t need to wait until all your sessions with me are complete before starting your peer conversations. Let\'s keep the momentum going!',
+      'These conversations are where we build the relational capital that makes everything else possible. When we genuinely understand each other—how we communicate, what motivates us, how we show up under pressure—collaboration becomes natural, trust deepens, and performance increases.',
+      'Remember: Thriving relationships → thriving cultures → thriving organizations.',
+      'Let\'s build something great together.',
+      'Looking forward to our conversations,',
+      { p: '{{leaderName}}', after: 0 }
+    ]
+  },
+  
+  /**
+   * Fill a template into a new Doc for this Build File
+   * 
+   * @param {Spreadsheet} ss - The Build File
+   * @param {string} key - Template key (see TEMPLATES)
+   * @param {Object} values - Placeholder values
+   * @param {string} docName - Name of the new Doc
+   * @returns {Document|null} The open Doc, or null if cancelled / in preview mode
+   */
+  generate: function(ss, key, values, docName) {
+    const ui = SpreadsheetApp.getUi();
+    const file = this.getTemplateFile(key);
+    const preview = this.preview(file, values);
+    
+    if (this.isPreviewMode()) {
+      this.showPreview(preview);
+      return null;
+    }
+    
+    if (preview.unresolved.length > 0) {
+      const answer = ui.alert('Unresolved Placeholders',
+        `"${preview.name}" still has:\n\n${preview.unresolved.join('\n')}\n\n` +
+        'Fill these in on the Phase Settings sheets, or generate anyway?',
+        ui.ButtonSet.YES_NO);
+      if (answer !== ui.Button.YES) return null;
+    }
+    
+    const parents = DriveApp.getFileById(ss.getId()).getParents();
+    const folder = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+    const copy = file.makeCopy(docName, folder);
+    
+    const doc = DocumentApp.openById(copy.getId());
+    this.render(doc.getBody(), values);
+    
+    Logger.log(`✓ Generated "${docName}" from template "${preview.name}"`);
+    
+    return doc;
+  },
+  
+  /**
+   * Fill the template as plain text - nothing is created
+   * @param {File} file - Template Doc
+   * @param {Object} values - Placeholder values
+   * @returns {Object} { name, paragraphs: [{ text, listItem }], unresolved: string[] }
+   */
+  preview: function(file, values) {
+    const body = DocumentApp.openById(file.getId()).getBody();
+    const elements = this.getTextElements(body);
+    const keep = this.getKeptBlocks(elements.map(e => e.getText()), values);
+    const unresolved = [];
+    const paragraphs = [];
+    
+    elements.forEach((element, i) => {
+      if (!keep[i]) return;
+      
+      const text = this.fillText(element.getText(), values);
+      (text.match(this.UNRESOLVED_PATTERN) || []).forEach(token => {
+        if (unresolved.indexOf(token) === -1) unresolved.push(token);
+      });
+      
+      paragraphs.push({ text: text, listItem: element.getType() === DocumentApp.ElementType.LIST_ITEM });
+    });
+    
+    return { name: file.getName(), paragraphs: paragraphs, unresolved: unresolved };
+  },
+  
+  /**
+   * Fill a copied template in place, keeping its formatting
+   * @param {Body} body - Body of the new Doc
+   * @param {Object} values - Placeholder values
+   */
+  render: function(body, values) {
+    const elements = this.getTextElements(body);
+    const keep = this.getKeptBlocks(elements.map(e => e.getText()), values);
+    
+    // Bottom-up so removing a paragraph doesn't shift the ones still to do
+    for (let i = elements.length - 1; i >= 0; i--) {
+      if (!keep[i]) {
+        this.removeElement(elements[i]);
+        continue;
+      }
+      
+      const text = elements[i].editAsText();
+      this.renderConditionals(text, values);
+      this.renderPlaceholders(text, values);
+    }
+  },
+  
+  /**
+   * Paragraphs and list items of a body, in order (tables etc. are left alone)
+   * @param {Body} body - Doc body
+   * @returns {Element[]} Paragraph / ListItem elements
+   */
+  getTextElements: function(body) {
+    const elements = [];
+    
+    for (let i = 0; i < body.getNumChildren(); i++) {
+      const child = body.getChild(i);
+      const type = child.getType();
+      
+      if (type === DocumentApp.ElementType.PARAGRAPH) {
+        elements.push(child.asParagraph());
+      } else if (type === DocumentApp.ElementType.LIST_ITEM) {
+        elements.push(child.asListItem());
+      }
+    }
+    
+    return elements;
+  },
+  
+  /**
+   * Work out which paragraphs survive paragraph-level {{#if}} sections
+   * Marker paragraphs themselves are never kept
+   * 
+   * @param {string[]} texts - Paragraph texts in order
+   * @param {Object} values - Placeholder values
+   * @returns {boolean[]} keep flag per paragraph
+   */
+  getKeptBlocks: function(texts, values) {
+    let section = null;   // { show, inElse }
+    
+    return texts.map(raw => {
+      const text = raw.trim();
+      const open = text.match(this.BLOCK_IF);
+      
+      if (open) {
+        section = { show: this.isSet(values[open[1]]), inElse: false };
+        return false;
+      }
+      if (section && this.BLOCK_ELSE.test(text)) {
+        section.inElse = true;
+        return false;
+      }
+      if (section && this.BLOCK_END.test(text)) {
+        section = null;
+        return false;
+      }
+      
+      return !section || section.show !== section.inElse;
+    });
+  },
+  
+  /**
+   * Plain-text version of renderConditionals + renderPlaceholders
+   * Unset placeholders are left as {{name}} so they can be reported
+   * 
+   * @param {string} text - Template text
+   * @param {Object} values - Placeholder values
+   * @returns {string} Filled text
+   */
+  fillText: function(text, values) {
+    return text
+      .replace(this.INLINE_IF_PATTERN, (match, name, ifText, elseText) =>
+        this.isSet(values[name]) ? ifText : (elseText || ''))
+      .replace(this.PLACEHOLDER_PATTERN, (match, name) =>
+        this.isSet(values[name]) ? String(values[name]) : match);
+  },
+  
+  /**
+   * Resolve inline {{#if}} sections in a Text element
+   * Only markers and the dropped branch are deleted, so the kept text keeps its formatting
+   * 
+   * @param {Text} text - From editAsText()
+   * @param {Object} values - Placeholder values
+   */
+  renderConditionals: function(text, values) {
+    const matches = this.findAll(this.INLINE_IF_PATTERN, text.getText());
+    
+    matches.reverse().forEach(match => {
+      const start = match.index;
+      const end = match.index + match[0].length;   // exclusive
+      const openLength = match[0].indexOf('}}') + 2;
+      const closeAt = end - '{{/if}}'.length;
+      const elseAt = match[3] === undefined ? -1 : start + openLength + match[2].length;
+      
+      if (this.isSet(values[match[1]])) {
+        text.deleteText(elseAt !== -1 ? elseAt : closeAt, end - 1);
+        text.deleteText(start, start + openLength - 1);
+      } else {
+        text.deleteText(closeAt, end - 1);
+        text.deleteText(start, (elseAt !== -1 ? elseAt + '{{else}}'.length : closeAt) - 1);
+      }
+    });
+  },
+  
+  /**
+   * Replace {{name}} in a Text element; values that are URLs become links
+   * @param {Text} text - From editAsText()
+   * @param {Object} values - Placeholder values
+   */
+  renderPlaceholders: function(text, values) {
+    const matches = this.findAll(this.PLACEHOLDER_PATTERN, text.getText());
+    
+    matches.reverse().forEach(match => {
+      const value = values[match[1]];
+      if (!this.isSet(value)) return;
+      
+      const start = match.index;
+      const replacement = String(value);
+      
+      text.deleteText(start, start + match[0].length - 1);
+      text.insertText(start, replacement);
+      
+      if (/^https?:\/\//.test(replacement)) {
+        text.setLinkUrl(start, start + replacement.length - 1, replacement);
+      }
+    });
+  },
+  
+  /**
+   * @param {RegExp} pattern - Global pattern
+   * @param {string} content - Text to search
+   * @returns {Array} All matches (with index)
+   */
+  findAll: function(pattern, content) {
+    const regex = new RegExp(pattern.source, 'g');
+    const matches = [];
+    let match;
+    
+    while ((match = regex.exec(content)) !== null) {
+      matches.push(match);
+    }
+    
+    return matches;
+  },
+  
+  /**
+   * Remove a paragraph - a Doc must keep its last paragraph, so that one is emptied instead
+   * @param {Element} element - Paragraph or ListItem
+   */
+  removeElement: function(element) {
+    try {
+      element.removeFromParent();
+    } catch (error) {
+      element.editAsText().setText('');
+    }
+  },
+  
+  /**
+   * @param {*} value - Placeholder value
+   * @returns {boolean} True if the value is filled in
+   */
+  isSet: function(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+  },
+  
+  /**
+   * Get (or create) the Templates folder inside the Strong Teams folder
+   * @returns {Folder} Templates folder
+   */
+  getFolder: function() {
+    if (CONFIG.EMAIL_TEMPLATES.folderId) {
+      return DriveApp.getFolderById(CONFIG.EMAIL_TEMPLATES.folderId);
+    }
+    
+    const parent = DriveApp.getFolderById(CONFIG.STRONG_TEAMS_FOLDER_ID);
+    const folders = parent.getFoldersByName(CONFIG.EMAIL_TEMPLATES.folderName);
+    
+    if (folders.hasNext()) {
+      return folders.next();
+    }
+    
+    Logger.log(`📁 Creating "${CONFIG.EMAIL_TEMPLATES.folderName}" folder`);
+    return parent.createFolder(CONFIG.EMAIL_TEMPLATES.folderName);
+  },
+  
+  /**
+   * Get a template Doc, creating it from SEEDS if it's missing
+   * @param {string} key - Template key
+   * @returns {File} Template Doc
+   */
+  getTemplateFile: function(key) {
+    const name = this.TEMPLATES[key];
+    if (!name) {
+      throw new Error(`Unknown email template: ${key}`);
+    }
+    
+    const folder = this.getFolder();
+    const files = folder.getFilesByName(name);
+    
+    if (files.hasNext()) {
+      return files.next();
+    }
+    
+    return this.seedTemplate(key, folder);
+  },
+  
+  /**
+   * Create a template Doc from SEEDS
+   * @param {string} key - Template key
+   * @param {Folder} folder - Templates folder
+   * @returns {File} The new template Doc
+   */
+  seedTemplate: function(key, folder) {
+    const doc = DocumentApp.create(this.TEMPLATES[key]);
+    const body = doc.getBody();
+    
+    body.setMarginTop(72);
+    body.setMarginBottom(72);
+    body.setMarginLeft(72);
+    body.setMarginRight(72);
+    
+    this.SEEDS[key].forEach(block => this.appendSeedBlock(body, block));
+    
+    // New Docs start with one empty paragraph
+    body.getChild(0).removeFromParent();
+    doc.saveAndClose();
+    
+    const file = DriveApp.getFileById(doc.getId());
+    file.moveTo(folder);
+    
+    Logger.log(`✓ Created template "${this.TEMPLATES[key]}"`);
+    
+    return file;
+  },
+  
+  /**
+   * Append one SEEDS entry to a template body
+   * @param {Body} body - Template body
+   * @param {string|Object} block - SEEDS entry
+   */
+  appendSeedBlock: function(body, block) {
+    const spec = typeof block === 'string' ? { p: block } : block;
+    let element;
+    
+    if (spec.p !== undefined) {
+      const parsed = this.parseLinks(spec.p);
+      element = body.appendParagraph(parsed.text);
+      element.setSpacingAfter(spec.after !== undefined ? spec.after : 12);
+      this.applyLinks(element, parsed.links);
+      return;
+    }
+    
+    const level = spec.level || 0;
+    const parsed = this.parseLinks(spec.number !== undefined ? spec.number : spec.bullet);
+    
+    element = body.appendListItem(parsed.text);
+    element.setGlyphType(spec.number !== undefined ? DocumentApp.GlyphType.NUMBER : DocumentApp.GlyphType.BULLET);
+    element.setIndentStart(36 + 36 * level);
+    element.setIndentFirstLine(18 + 36 * level);
+    if (spec.after !== undefined) {
+      element.setSpacingAfter(spec.after);
+    }
+    this.applyLinks(element, parsed.links);
+  },
+  
+  /**
+   * Split [label](url) links out of seed text
+   * @param {string} source - Seed text
+   * @returns {Object} { text, links: [{ start, end, url }] } (end inclusive)
+   */
+  parseLinks: function(source) {
+    const links = [];
+    const text = source.replace(/\[([^\]]+)\]\((https?:[^)]+)\)/g, (match, label, url, offset) => {
+      // Offset is in the source - shift by the markup removed before it
+      const removed = links.reduce((total, link) => total + link.markup, 0);
+      const start = offset - removed;
+      links.push({ start: start, end: start + label.length - 1, url: url, markup: match.length - label.length });
+      return label;
+    });
+    
+    return { text: text, links: links };
+  },
+  
+  /**
+   * @param {Element} element - Paragraph or ListItem
+   * @param {Object[]} links - From parseLinks()
+   */
+  applyLinks: function(element, links) {
+    links.forEach(link => element.editAsText().setLinkUrl(link.start, link.end, link.url));
+  },
+  
+  /**
+   * @returns {boolean} True if this coach has preview mode on
+   */
+  isPreviewMode: function() {
+    return PropertiesService.getUserProperties().getProperty(this.PREVIEW_PROPERTY) === 'true';
+  },
+  
+  /**
+   * Show a filled-in template in a dialog, unresolved placeholders highlighted
+   * @param {Object} preview - From preview()
+   */
+  showPreview: function(preview) {
+    const highlight = text => escapeXml(text).replace(this.UNRESOLVED_PATTERN,
+      token => `<span style="background:#fce8e6;color:#d93025;font-weight:bold;">${token}</span>`);
+    
+    let html = '<div style="font-family:Arial,sans-serif;font-size:13px;">';
+    
+    if (preview.unresolved.length > 0) {
+      html += `<p style="color:#d93025;">✗ ${preview.unresolved.length} unresolved: ${preview.unresolved.map(escapeXml).join(', ')}</p>`;
+    } else {
+      html += '<p style="color:#188038;">✓ All placeholders filled in</p>';
+    }
+    
+    preview.paragraphs.forEach(paragraph => {
+      const indent = paragraph.listItem ? 'margin:0 0 4px 24px;' : 'margin:0 0 10px 0;';
+      html += `<p style="${indent}">${paragraph.listItem ? '• ' : ''}${highlight(paragraph.text)}</p>`;
+    });
+    
+    html += '<p style="color:#666;">Preview mode is on - no document was created. ' +
+            'Turn it off with Strengths Tools → Generate Phase Documents → Toggle Template Preview.</p></div>';
+    
+    SpreadsheetApp.getUi().showModalDialog(
+      HtmlService.createHtmlOutput(html).setWidth(600).setHeight(500),
+      `Preview: ${preview.name}`);
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Create any missing template Docs in the Templates folder (existing ones are left alone)
+ */
+function seedEmailTemplates() {
+  ConfigLoader.load();
+  
+  const folder = EmailTemplates.getFolder();
+  let created = 0;
+  
+  Object.keys(EmailTemplates.TEMPLATES).forEach(key => {
+    if (!folder.getFilesByName(EmailTemplates.TEMPLATES[key]).hasNext()) {
+      EmailTemplates.seedTemplate(key, folder);
+      created++;
+    }
+  });
+  
+  Logger.log(`✓ Templates folder ready: ${folder.getUrl()} (${created} template(s) created)`);
+}
+
+/**
+ * Menu action: switch preview mode on/off for the current coach
+ */
+function toggleTemplatePreview() {
+  const properties = PropertiesService.getUserProperties();
+  const enabled = !EmailTemplates.isPreviewMode();
+  
+  properties.setProperty(EmailTemplates.PREVIEW_PROPERTY, String(enabled));
+  
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    enabled ? 'Email generators will show a preview instead of creating documents'
+            : 'Email generators will create documents again',
+    enabled ? 'Template Preview ON' : 'Template Preview OFF', 5);
+}
\ No newline at end of file
@@ -1,37 +1,43 @@
 /**
  * Email Utilities - Send notification emails
+ * 
+ * CHANGELOG v1.3.0:
+ * - Removed sendSuccessEmail() / sendErrorEmail() - replaced by the daily digest (Dailydigest.js)
+ * 
+ * CHANGELOG v1.2.0:
+ * - Added sendReceivablesDigest() for the daily NET 30 invoice digest
+ * 
+ * CHANGELOG v1.1.0:
+ * - Added sendCancellationEmail() for EventReconciler
  */
 
 const EmailUtils = {
   
   /**
-   * Send success notification
+   * Send list of cancelled bookings found by EventReconciler
+   * @param {Object[]} cancellations - { leaderName, email, phase, eventDate, status, buildFileUrl }
    */
-  sendSuccessEmail: function(eventData, buildFile) {
-    if (!CONFIG.EMAIL.notifyOnSuccess) {
-      return; // Success emails disabled
+  sendCancellationEmail: function(cancellations) {
+    if (!CONFIG.CANCELLATIONS.notifyAdmin || cancellations.length === 0) {
+      return;
     }
     
-    const subject = `✓ Phase 1 Setup Complete - ${eventData.fullName}`;
+    const subject = `⚠ ${cancellations.length} Strong Teams Booking(s) Cancelled`;
+    
+    const lines = cancellations.map(c => `
+- ${c.leaderName || 'Unknown'} (${c.email || 'no email'})
+  ${c.phase} on ${c.eventDate.toLocaleString()}
+  Status: ${c.status}
+  Build File: ${c.buildFileUrl || 'Not updated'}`).join('\n');
     
     const body = `
-Strong Teams Phase 1 automation completed successfully.
-
-LEADER INFORMATION:
-- Name: ${eventData.fullName}
-- Email: ${eventData.email}
-- Company: ${eventData.companyName}
-
-PHASE 1 SESSION:
-- Date: ${eventData.formattedDate}
-- Time: ${eventData.formattedTime}
-- Zoom Link: ${eventData.zoomLink}
+The following bookings are no longer on the calendar.
 
-BUILD FILE:
-- File Name: ${buildFile.getName()}
-- File URL: ${buildFile.getUrl()}
+CANCELLED BOOKINGS:
+${lines}
 
-All data has been populated in Phase 1 Settings sheet.
+"Cancelled" bookings have been ${CONFIG.CANCELLATIONS.buildFileAction === 'clear' ? 'cleared from' : 'struck through in'} the Build File.
+"Rescheduled" bookings were replaced by a newer booking - the Build File already shows the new session.
 
 ---
 Strong Teams Automation
@@ -43,41 +49,31 @@ Strong Teams Automation
       body: body
     });
     
-    Logger.log(`✓ Success email sent to ${CONFIG.EMAIL.adminEmail}`);
+    Logger.log(`✓ Cancellation email sent to ${CONFIG.EMAIL.adminEmail}`);
   },
   
   /**
-   * Send error notification
+   * Send the daily digest of unpaid pay-later invoices
+   * @param {Object} items - From ReceivablesTracker.getDigestItems()
    */
-  sendErrorEmail: function(event, eventData, error) {
-    if (!CONFIG.EMAIL.notifyOnError) {
-      return; // Error emails disabled
-    }
+  sendReceivablesDigest: function(items) {
+    const formatItem = item => `
+- ${item.name || 'Unknown'} (${item.email})
+  ${item.amount} due ${item.dueDate.toLocaleDateString('en-US')} - ${item.status}${item.invoiceUrl ? '\n  Invoice: ' + item.invoiceUrl : ''}`;
     
-    const subject = `✗ Phase 1 Automation Error - ${eventData ? eventData.fullName : 'Unknown'}`;
+    const subject = `💰 Receivables: ${items.overdue.length} overdue, ${items.dueSoon.length} due soon`;
     
     const body = `
-Strong Teams Phase 1 automation encountered an error.
-
-ERROR DETAILS:
-${error.message}
-
-STACK TRACE:
-${error.stack || 'No stack trace available'}
+Unpaid NET ${CONFIG.PAYMENTS.netTermsDays} invoices for pay-later bookings.
 
-EVENT INFORMATION:
-- Title: ${event.getTitle()}
-- Start: ${event.getStartTime()}
-- Event ID: ${event.getId()}
+PAST DUE:
+${items.overdue.length > 0 ? items.overdue.map(formatItem).join('\n') : '- None'}
 
-${eventData ? `
-EXTRACTED DATA:
-- Leader: ${eventData.fullName || 'N/A'}
-- Email: ${eventData.email || 'N/A'}
-- Company: ${eventData.companyName || 'N/A'}
-` : 'No data was extracted'}
+DUE IN THE NEXT ${CONFIG.RECEIVABLES.dueSoonDays} DAYS:
+${items.dueSoon.length > 0 ? items.dueSoon.map(formatItem).join('\n') : '- None'}
 
-Please check the logs and fix the issue.
+"Awaiting Invoice" means no invoice has been created in Stripe yet:
+https://dashboard.stripe.com/invoices/create
 
 ---
 Strong Teams Automation
@@ -89,6 +85,6 @@ Strong Teams Automation
       body: body
     });
     
-    Logger.log(`✗ Error email sent to ${CONFIG.EMAIL.adminEmail}`);
+    Logger.log(`✓ Receivables digest sent to ${CONFIG.EMAIL.adminEmail}`);
   }
 };
\ No newline at end of file
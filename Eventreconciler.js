@@ -0,0 +1,220 @@
+/**
+ * Strong Teams Automation - Event Reconciler
+ * 
+ * @version 1.2.2
+ * @phase Dry Run
+ * @description Detect cancelled and rescheduled bookings and clean up stale Build File data
+ * @lastUpdated 2026-10-18
+ * 
+ * When a leader cancels a booking, the event disappears from the calendar but
+ * the Event Tracker row and Build File cells stay as they were. This pass:
+ * 
+ * 1. Reads active tracker rows whose event date is still in the future
+ * 2. Looks each event up on every monitored calendar
+ * 3. Missing + a newer booking for the same leader/phase (and Phase 3 session type)
+ *    → "Rescheduled" (Build File left alone)
+ * 4. Missing otherwise → "Cancelled" + Phase Settings cells cleared/struck through
+ * 5. Emails the admin a list of everything it changed
+ * 
+ * Runs at the end of every onCalendarTrigger() run. Incremental runs pass the
+ * IDs the sync reported as cancelled, so only those rows are looked up.
+ * 
+ * CHANGELOG v1.2.2:
+ * - Phase 3 replacements must be the same session type - cancelling a member's One-on-One
+ *   while their Action Planning is still booked is a cancellation, not a reschedule
+ * 
+ * CHANGELOG v1.2.1:
+ * - A Calendar lookup that fails (rate limit, 5xx, timeout) no longer counts as "deleted" -
+ *   the record is left alone and checked again next run
+ * 
+ * CHANGELOG v1.2.0:
+ * - Dry run: the admin email is planned, not sent (Build File / tracker changes are
+ *   planned by BuildFileManager / ProcessedEventsTracker)
+ * 
+ * CHANGELOG v1.1.0:
+ * - reconcileCancelledEvents() accepts cancelled event IDs from CalendarSync
+ * - Calendar lookups are done lazily (only rows that need checking)
+ */
+
+const EventReconciler = {
+  
+  /**
+   * Reconcile tracked future events against the calendars
+   * @param {string[]} [cancelledIds] - Only check these event IDs (incremental sync);
+   *   omit/null to check every active future booking
+   * @returns {Object[]} The cancellations that were recorded
+   */
+  reconcileCancelledEvents: function(cancelledIds) {
+    if (!CONFIG.CANCELLATIONS.enabled || !CONFIG.PROCESSED_EVENTS.enabled) {
+      return [];
+    }
+    
+    if (cancelledIds && cancelledIds.length === 0) {
+      return [];
+    }
+    
+    Logger.log('\n🔎 Checking for cancelled bookings...');
+    
+    const monitored = CalendarUtils.getMonitoredCalendars();
+    
+    // If any calendar couldn't be opened, "not found" doesn't mean "deleted"
+    if (monitored.failures > 0 || monitored.calendars.length === 0) {
+      Logger.log(`⚠️ ${monitored.failures} calendar(s) unavailable - skipping cancellation check`);
+      return [];
+    }
+    
+    const records = ProcessedEventsTracker.getActiveFutureRecords();
+    if (records.length === 0) {
+      Logger.log('   No future bookings to check');
+      return [];
+    }
+    
+    const toCheck = cancelledIds
+      ? records.filter(record => cancelledIds.indexOf(record.eventId) !== -1)
+      : records;
+    
+    // Which tracked events are still on a calendar? (looked up once, on demand;
+    // throws if a lookup failed - see isOnAnyCalendar)
+    const lookups = {};
+    const isBooked = eventId => {
+      if (!(eventId in lookups)) {
+        lookups[eventId] = this.isOnAnyCalendar(eventId, monitored.calendars);
+      }
+      return lookups[eventId];
+    };
+    
+    const cancellations = [];
+    
+    toCheck.forEach(record => {
+      try {
+        if (isBooked(record.eventId)) return;
+        
+        cancellations.push(this.handleMissingEvent(record, records, isBooked));
+      } catch (error) {
+        Logger.log(`   ✗ Could not reconcile ${record.leaderName} (${record.phase}): ${error.message}`);
+      }
+    });
+    
+    Logger.log(`   ✓ ${toCheck.length} future booking(s) checked, ${cancellations.length} no longer on the calendar`);
+    
+    if (cancellations.length > 0 && DryRun.isActive()) {
+      DryRun.record('EventReconciler', 'Send cancellation email', CONFIG.EMAIL.adminEmail, `${cancellations.length} booking(s)`);
+    } else if (cancellations.length > 0) {
+      try {
+        EmailUtils.sendCancellationEmail(cancellations);
+      } catch (error) {
+        Logger.log(`   ⚠️ Could not send cancellation email: ${error.message}`);
+      }
+    }
+    
+    return cancellations;
+  },
+  
+  /**
+   * Check every monitored calendar for an event
+   * Only a lookup that returns null counts as "not there". If any lookup throws
+   * (rate limit, 5xx, timeout) and the event wasn't found elsewhere, the error is
+   * rethrown so the record isn't cancelled on a bad Calendar call.
+   * 
+   * @param {string} eventId - iCal event ID from the tracker
+   * @param {Object[]} calendars - From CalendarUtils.getMonitoredCalendars()
+   * @returns {boolean} True if found on any calendar
+   */
+  isOnAnyCalendar: function(eventId, calendars) {
+    let lookupError = null;
+    
+    for (let entry of calendars) {
+      try {
+        if (entry.calendar.getEventById(eventId)) {
+          return true;
+        }
+      } catch (error) {
+        lookupError = error;
+      }
+    }
+    
+    if (lookupError) {
+      throw new Error(`Calendar lookup failed, left unchanged: ${lookupError.message}`);
+    }
+    
+    return false;
+  },
+  
+  /**
+   * Mark a missing event as Cancelled or Rescheduled and update the Build File
+   * @param {Object} record - Tracker record for the missing event
+   * @param {Object[]} records - All active future records (to find replacements)
+   * @param {Function} isBooked - eventId → boolean (still on a calendar)
+   * @returns {Object} Cancellation summary for the admin email
+   */
+  handleMissingEvent: function(record, records, isBooked) {
+    const email = (record.email || '').toLowerCase().trim();
+    
+    // A newer booking for the same person, phase and session type means this was a reschedule
+    // (Phase 3 members book a One-on-One AND an Action Planning; other phases have no type)
+    // (isBooked throws on a failed lookup - before anything below is changed)
+    const replacement = records.find(other => 
+      other.eventId !== record.eventId &&
+      other.phase === record.phase &&
+      (other.sessionType || '') === (record.sessionType || '') &&
+      email && (other.email || '').toLowerCase().trim() === email &&
+      isBooked(other.eventId)
+    );
+    
+    const summary = {
+      leaderName: record.leaderName,
+      email: record.email,
+      phase: record.phase,
+      eventDate: record.eventDate,
+      status: replacement ? ProcessedEventsTracker.STATUSES.RESCHEDULED : ProcessedEventsTracker.STATUSES.CANCELLED,
+      buildFileUrl: ''
+    };
+    
+    Logger.log(`   ⊘ ${summary.status}: ${record.leaderName} (${record.phase}, ${record.eventDate.toLocaleString()})`);
+    
+    if (!replacement) {
+      const buildFile = this.findBuildFile(record);
+      
+      if (buildFile && BuildFileManager.markSessionCancelled(buildFile, record.phase)) {
+        summary.buildFileUrl = buildFile.getUrl();
+      }
+    }
+    
+    ProcessedEventsTracker.setStatus(record.rowIndex, summary.status);
+    
+    return summary;
+  },
+  
+  /**
+   * Find the Build File for a tracker record
+   * Phase 1 rows store the file ID; Phase 2 rows use the leader email lookup
+   * @param {Object} record - Tracker record
+   * @returns {File|null} The Build File or null
+   */
+  findBuildFile: function(record) {
+    if (record.buildFileId) {
+      return ProcessedEventsTracker.getBuildFileById(record.buildFileId);
+    }
+    
+    const trackerResult = ProcessedEventsTracker.findByEmail(record.email, record.leaderName);
+    if (trackerResult && trackerResult.buildFileId) {
+      return ProcessedEventsTracker.getBuildFileById(trackerResult.buildFileId);
+    }
+    
+    Logger.log(`   ⚠️ No Build File found for ${record.leaderName} - tracker updated only`);
+    return null;
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Check for cancelled bookings now (also runs after every calendar trigger)
+ */
+function reconcileCancelledEvents() {
+  ConfigLoader.load();
+  const cancellations = EventReconciler.reconcileCancelledEvents();
+  Logger.log(`✓ Reconciliation complete - ${cancellations.length} cancellation(s) recorded`);
+}
\ No newline at end of file
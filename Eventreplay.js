@@ -0,0 +1,464 @@
+/**
+ * Strong Teams Automation - Event Replay
+ * 
+ * @version 1.0.0
+ * @phase Event Replay
+ * @description Look up one booking and reprocess it on demand (Eventreplay.html sidebar)
+ * @lastUpdated 2026-10-18
+ * 
+ * Fixing one booking used to mean resetEventTracking() (wipes every row) or
+ * editing the Event Tracker by hand. The sidebar (Strong Teams menu → Event Replay):
+ * 
+ * 1. Finds Strong Teams events by title, date or leader email on the monitored calendars
+ * 2. Shows what the parser reads from the booking, the Event Tracker row, the
+ *    "Needs Attention" row and the Build File (with its IDS login code)
+ * 3. Reprocesses just that event - same steps as onCalendarTrigger(), ignoring
+ *    "already processed" - and rewrites its tracker row
+ * 
+ * "Regenerate Build File" (Phase 1) replaces the Build File with a fresh copy of the
+ * template but keeps the IDS login code (no new link); the old file is renamed and
+ * kept. The leader's tracked Phase 2 / Phase 3 bookings are then written into the
+ * new file again. "Preview only" runs everything as a dry run (Dryrun.js).
+ */
+
+const EventReplay = {
+  
+  /**
+   * Find Strong Teams events by title, date and/or leader email
+   * @param {Object} query - { text, date ('yyyy-MM-dd'), email } - at least one
+   * @returns {Object[]} { eventId, title, start, phase, calendar }, soonest first
+   */
+  search: function(query) {
+    const text = String(query.text || '').trim().toLowerCase();
+    const email = String(query.email || '').trim().toLowerCase();
+    const date = String(query.date || '').trim();
+    
+    if (!text && !email && !date) {
+      throw new Error('Enter a title, a date or an email');
+    }
+    
+    let start;
+    let end;
+    
+    if (date) {
+      start = Utilities.parseDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+      end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    } else {
+      start = new Date(Date.now() - CONFIG.EVENT_REPLAY.searchDaysBack * 24 * 60 * 60 * 1000);
+      end = new Date(Date.now() + CONFIG.EVENT_REPLAY.searchDaysAhead * 24 * 60 * 60 * 1000);
+    }
+    
+    const results = [];
+    const seen = {};
+    
+    // Let Calendar narrow it down first; the filters below make the match exact
+    const search = email || text;
+    
+    CalendarUtils.getMonitoredCalendars().calendars.forEach(entry => {
+      const events = search ? entry.calendar.getEvents(start, end, { search: search }) : entry.calendar.getEvents(start, end);
+      
+      events.forEach(event => {
+        const eventId = event.getId();
+        const phase = this.getPhase(event);
+        
+        if (seen[eventId] || !phase) return;
+        if (text && event.getTitle().toLowerCase().indexOf(text) === -1) return;
+        if (email && !this.mentionsEmail(event, email)) return;
+        
+        seen[eventId] = true;
+        results.push({
+          eventId: eventId,
+          title: event.getTitle(),
+          start: event.getStartTime(),
+          phase: phase,
+          calendar: entry.calendar.getName()
+        });
+      });
+    });
+    
+    results.sort((a, b) => a.start - b.start);
+    
+    return results.slice(0, CONFIG.EVENT_REPLAY.maxResults).map(result => Object.assign(result, {
+      start: Utilities.formatDate(result.start, Session.getScriptTimeZone(), 'EEE MMM d, yyyy h:mm a')
+    }));
+  },
+  
+  /**
+   * @param {CalendarEvent} event - The calendar event
+   * @param {string} email - Lowercase email
+   * @returns {boolean} True if the booking description or guest list has the email
+   */
+  mentionsEmail: function(event, email) {
+    if (String(event.getDescription() || '').toLowerCase().indexOf(email) !== -1) {
+      return true;
+    }
+    
+    return event.getGuestList().some(guest => guest.getEmail().toLowerCase() === email);
+  },
+  
+  /**
+   * @param {CalendarEvent} event - The calendar event
+   * @returns {string} 'Phase 1', 'Phase 2', 'Phase 3' or '' (not a Strong Teams event)
+   */
+  getPhase: function(event) {
+    if (CalendarUtils.isPhase1Event(event)) return 'Phase 1';
+    if (CalendarUtils.isPhase2Event(event)) return 'Phase 2';
+    if (CalendarUtils.isPhase3Event(event)) return 'Phase 3';
+    return '';
+  },
+  
+  /**
+   * Find an event on the monitored calendars
+   * @param {string} eventId - Calendar event ID
+   * @returns {CalendarEvent} The event
+   */
+  getEvent: function(eventId) {
+    const event = RunGuard.findEvent(CalendarUtils.getMonitoredCalendars().calendars, eventId);
+    
+    if (!event) {
+      throw new Error(`Event not found on any monitored calendar: ${eventId}`);
+    }
+    
+    return event;
+  },
+  
+  /**
+   * Everything known about one event (for the sidebar)
+   * @param {string} eventId - Calendar event ID
+   * @returns {Object} { eventId, title, start, phase, parsed, parseError, tracker, review, buildFile }
+   */
+  getDetails: function(eventId) {
+    const event = this.getEvent(eventId);
+    const phase = this.getPhase(event);
+    
+    let parsed = null;
+    let parseError = '';
+    try {
+      parsed = CalendarUtils.extractEventData(event);
+    } catch (error) {
+      parseError = error.message;
+      parsed = error.eventData || null;
+    }
+    
+    const index = ProcessedEventsTracker.loadIndex();
+    const i = index.byEventId[eventId];
+    let tracker = null;
+    
+    if (i !== undefined) {
+      const row = index.rows[i];
+      tracker = {
+        rowIndex: i + 1,
+        fields: ProcessedEventsTracker.HEADERS.map((header, col) => ({ name: header, value: String(row[col]) })),
+        bookingChanged: row[ProcessedEventsTracker.COLUMNS.FINGERPRINT] !== ProcessedEventsTracker.generateFingerprint(event)
+      };
+    }
+    
+    const entry = ReviewQueue.load()[eventId];
+    const review = entry ? {
+      status: entry.row[ReviewQueue.COLUMNS.STATUS],
+      error: entry.row[ReviewQueue.COLUMNS.ERROR],
+      errorType: entry.row[ReviewQueue.COLUMNS.ERROR_TYPE] || '',
+      retryCount: entry.row[ReviewQueue.COLUMNS.RETRY_COUNT]
+    } : null;
+    
+    const details = {
+      eventId: eventId,
+      title: event.getTitle(),
+      start: Utilities.formatDate(event.getStartTime(), Session.getScriptTimeZone(), 'EEE MMM d, yyyy h:mm a'),
+      phase: phase,
+      parsed: parsed,
+      parseError: parseError,
+      tracker: tracker,
+      review: review,
+      buildFile: this.getBuildFileDetails(phase, parsed, tracker ? index.rows[i] : null)
+    };
+    
+    // Dates → strings (google.script.run can't return Date objects)
+    return JSON.parse(JSON.stringify(details));
+  },
+  
+  /**
+   * Find the Build File an event writes to and read its login code
+   * @param {string} phase - Event phase
+   * @param {Object|null} parsed - Extracted event data
+   * @param {Array|null} trackerRow - The event's tracker row
+   * @returns {Object|null} { name, url, loginCode }
+   */
+  getBuildFileDetails: function(phase, parsed, trackerRow) {
+    let buildFileId = trackerRow && phase !== 'Phase 2' ? trackerRow[ProcessedEventsTracker.COLUMNS.BUILD_FILE_ID] : '';
+    
+    if (!buildFileId && parsed) {
+      const leaderEmail = phase === 'Phase 3' ? (parsed.leaderEmail || parsed.email) : parsed.email;
+      const lookup = ProcessedEventsTracker.findByEmail(leaderEmail, phase === 'Phase 3' ? undefined : parsed.fullName);
+      buildFileId = lookup ? lookup.buildFileId : '';
+    }
+    
+    const buildFile = ProcessedEventsTracker.getBuildFileById(buildFileId);
+    if (!buildFile) {
+      return null;
+    }
+    
+    let loginCode = '';
+    try {
+      const sheet = BuildFileManager.getBuildFileSpreadsheet(buildFile).getSheetByName(CONFIG.PHASE1.sheetName);
+      loginCode = sheet ? String(sheet.getRange(CONFIG.IDS_API.phase1LoginCodeRow, 2).getValue()) : '';
+    } catch (error) {
+      Logger.log(`⚠️ Could not read login code: ${error.message}`);
+    }
+    
+    return { name: buildFile.getName(), url: buildFile.getUrl(), loginCode: loginCode };
+  },
+  
+  /**
+   * Reprocess one event, ignoring "already processed"
+   * @param {string} eventId - Calendar event ID
+   * @param {Object} options - { regenerateBuildFile (Phase 1 only), dryRun }
+   * @returns {Object} { success, message, buildFileUrl, planHtml }
+   */
+  reprocess: function(eventId, options) {
+    if (!RunGuard.acquireLock()) {
+      throw new Error('The automation is running right now - try again in a minute');
+    }
+    
+    if (options.dryRun) {
+      DryRun.begin();
+    }
+    
+    let event = null;
+    let phase = '';
+    
+    try {
+      ProcessedEventsTracker.beginBatch();
+      
+      event = this.getEvent(eventId);
+      phase = this.getPhase(event);
+      DryRun.setEvent(event);
+      
+      Logger.log(`🔁 Reprocessing ${phase || 'event'}: ${event.getTitle()}${options.regenerateBuildFile ? ' (regenerating Build File)' : ''}`);
+      
+      const result = this.processEvent(event, phase, !!options.regenerateBuildFile);
+      ProcessedEventsTracker.commitBatch();
+      
+      if (!result.eventData) {
+        return this.finish(true, result.message, '');
+      }
+      
+      ReviewQueue.markResolved(eventId);
+      ActivityLog.record(ActivityLog.TYPES.PROCESSED, event, phase, result.eventData, 'Reprocessed (Event Replay)');
+      
+      return this.finish(true, result.message, result.eventData.buildFileUrl || '');
+    
+    } catch (error) {
+      Logger.log(`✗ Reprocess failed: ${error.message}`);
+      const detail = event ? handleEventError(event, error, phase) : error.message;
+      return this.finish(false, detail, '');
+    
+    } finally {
+      try {
+        ProcessedEventsTracker.commitBatch();
+        if (!DryRun.isActive()) {
+          ActivityLog.flush();
+        }
+      } finally {
+        DryRun.end();
+        RunGuard.releaseLock();
+      }
+    }
+  },
+  
+  /**
+   * Build the sidebar result (adds the plan when this was a dry run)
+   * @param {boolean} success - Whether the reprocess worked
+   * @param {string} message - What happened
+   * @param {string} buildFileUrl - Build File link ('' if none)
+   * @returns {Object} { success, message, buildFileUrl, planHtml }
+   */
+  finish: function(success, message, buildFileUrl) {
+    let planHtml = '';
+    
+    if (DryRun.isActive()) {
+      DryRun.logReport();
+      planHtml = DryRun.getReportHtml();
+    }
+    
+    return { success: success, message: message, buildFileUrl: buildFileUrl, planHtml: planHtml };
+  },
+  
+  /**
+   * Run one event through its phase (as onCalendarTrigger does) and rewrite its tracker row
+   * @param {CalendarEvent} event - The calendar event
+   * @param {string} phase - 'Phase 1', 'Phase 2' or 'Phase 3'
+   * @param {boolean} regenerateBuildFile - Phase 1: fresh Build File, same login code
+   * @returns {Object} { eventData, message } - eventData is null if nothing was processed
+   */
+  processEvent: function(event, phase, regenerateBuildFile) {
+    if (regenerateBuildFile && phase !== 'Phase 1') {
+      throw new Error('Only Phase 1 bookings can regenerate the Build File');
+    }
+    
+    if (phase === 'Phase 1') {
+      const result = regenerateBuildFile ? this.regeneratePhase1(event) : processPhase1Event(event);
+      
+      if (!result) {
+        return { eventData: null, message: `Company unknown - booking added to "${CONFIG.COMPANIES.needsCompanySheetName}"` };
+      }
+      
+      this.markProcessed(event, phase, {
+        fullName: result.eventData.fullName,
+        companyName: result.eventData.companyName,
+        email: result.eventData.email,
+        buildFileId: result.buildFileId,
+        leaderFolderId: result.leaderFolderId
+      });
+      
+      const replayed = regenerateBuildFile ? this.replayLaterPhases(result.eventData.email, result.previousFileId) : 0;
+      
+      return {
+        eventData: result.eventData,
+        message: regenerateBuildFile
+          ? `Build File regenerated (login code ${result.loginCode} kept), ${replayed} Phase 2/3 booking(s) written again`
+          : 'Phase 1 reprocessed'
+      };
+    }
+    
+    if (phase === 'Phase 2') {
+      const eventData = processPhase2Event(event);
+      this.markProcessed(event, phase, eventData);
+      return { eventData: eventData, message: 'Phase 2 reprocessed' };
+    }
+    
+    if (phase === 'Phase 3') {
+      const result = processPhase3Event(event);
+      this.markProcessed(event, phase, {
+        fullName: result.eventData.fullName,
+        companyName: result.eventData.companyName,
+        email: result.eventData.email,
+        buildFileId: result.buildFileId,
+        sessionType: result.eventData.sessionType
+      });
+      return { eventData: result.eventData, message: 'Phase 3 reprocessed' };
+    }
+    
+    throw new Error('Not a Phase 1, Phase 2 or Phase 3 event');
+  },
+  
+  /**
+   * Phase 1 with a fresh Build File (BuildFileManager.regenerateBuildFile)
+   * @param {CalendarEvent} event - Phase 1 event
+   * @returns {Object|null} Like processPhase1Event() plus { loginCode, previousFileId }
+   */
+  regeneratePhase1: function(event) {
+    const eventData = CalendarUtils.extractEventData(event);
+    
+    if (eventData.needsCompany) {
+      CompanyResolver.queueForReview(event, eventData);
+      return null;
+    }
+    
+    const folders = FolderUtils.createLeaderFolderStructure(eventData);
+    const regenerated = BuildFileManager.regenerateBuildFile(eventData, folders.leaderFolder);
+    
+    eventData.buildFileUrl = regenerated.buildFile.getUrl();
+    
+    if (eventData.companySource === 'review') {
+      CompanyResolver.markResolved(eventData.eventId);
+    }
+    
+    return {
+      eventData: eventData,
+      buildFileId: regenerated.buildFile.getId(),
+      leaderFolderId: folders.leaderFolder.getId(),
+      loginCode: regenerated.loginCode,
+      previousFileId: regenerated.previousFile.getId()
+    };
+  },
+  
+  /**
+   * Write a leader's tracked Phase 2 / Phase 3 bookings into their new Build File
+   * @param {string} leaderEmail - Leader's email
+   * @param {string} previousFileId - ID of the replaced Build File (Phase 3 rows store it)
+   * @returns {number} Bookings written
+   */
+  replayLaterPhases: function(leaderEmail, previousFileId) {
+    const columns = ProcessedEventsTracker.COLUMNS;
+    const email = String(leaderEmail || '').toLowerCase().trim();
+    const calendars = CalendarUtils.getMonitoredCalendars().calendars;
+    let count = 0;
+    
+    ProcessedEventsTracker.loadIndex().rows.slice(1)
+      .filter(row => ProcessedEventsTracker.isActiveStatus(row[columns.STATUS]) && (
+        (row[columns.PHASE] === 'Phase 2' && String(row[columns.LEADER_EMAIL]).toLowerCase().trim() === email) ||
+        (row[columns.PHASE] === 'Phase 3' && row[columns.BUILD_FILE_ID] === previousFileId)))
+      .forEach(row => {
+        const event = RunGuard.findEvent(calendars, row[columns.EVENT_ID]);
+        if (!event) {
+          Logger.log(`  ⚠️ ${row[columns.PHASE]} booking no longer on the calendar: ${row[columns.LEADER_NAME]}`);
+          return;
+        }
+        
+        try {
+          this.processEvent(event, row[columns.PHASE], false);
+          count++;
+        } catch (error) {
+          Logger.log(`  ✗ Could not write ${row[columns.PHASE]} booking ${event.getTitle()}: ${error.message}`);
+        }
+      });
+    
+    return count;
+  },
+  
+  /**
+   * Rewrite (or add) the tracker row for an event
+   * @param {CalendarEvent} event - The calendar event
+   * @param {string} phase - Event phase
+   * @param {Object} eventData - Fields for markEventProcessed()
+   */
+  markProcessed: function(event, phase, eventData) {
+    const i = ProcessedEventsTracker.loadIndex().byEventId[event.getId()];
+    ProcessedEventsTracker.markEventProcessed(event, phase, eventData, i === undefined ? -1 : i + 1);
+  }
+};
+
+// ============================================================================
+// SIDEBAR ENTRY POINTS (called from Eventreplay.html via google.script.run)
+// ============================================================================
+
+/**
+ * Open the Event Replay sidebar
+ */
+function showEventReplay() {
+  const html = HtmlService.createHtmlOutputFromFile('Eventreplay')
+    .setTitle('Strong Teams Event Replay');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Search for events
+ * @param {Object} query - { text, date, email }
+ * @returns {Object[]} Matching events
+ */
+function replaySearch(query) {
+  ConfigLoader.load();
+  return EventReplay.search(query);
+}
+
+/**
+ * Details for one event
+ * @param {string} eventId - Calendar event ID
+ * @returns {Object} Parsed data, tracker row, review row, Build File
+ */
+function replayGetDetails(eventId) {
+  ConfigLoader.load();
+  return EventReplay.getDetails(eventId);
+}
+
+/**
+ * Reprocess one event
+ * @param {string} eventId - Calendar event ID
+ * @param {Object} options - { regenerateBuildFile, dryRun }
+ * @returns {Object} { success, message, buildFileUrl, planHtml }
+ */
+function replayReprocess(eventId, options) {
+  ConfigLoader.load(['IDS_API.apiKey']);
+  return EventReplay.reprocess(eventId, options || {});
+}
\ No newline at end of file
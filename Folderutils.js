@@ -1,5 +1,7 @@
 /**
  * Folder Utilities - Create and manage folder structure
+ * Drive calls retry transient errors (see Retryutils.js)
+ * Dry run: missing folders are planned, not created (see Dryrun.js)
  */
 
 const FolderUtils = {
@@ -9,7 +11,7 @@ const FolderUtils = {
    * Returns the leader's folder object
    */
   createLeaderFolderStructure: function(eventData) {
-    const strongTeamsFolder = DriveApp.getFolderById(CONFIG.STRONG_TEAMS_FOLDER_ID);
+    const strongTeamsFolder = RetryUtils.call('Open Strong Teams folder', () => DriveApp.getFolderById(CONFIG.STRONG_TEAMS_FOLDER_ID));
     
     // Step 1: Get or create company folder
     const companyFolder = this.getOrCreateFolder(
@@ -35,17 +37,25 @@ const FolderUtils = {
   
   /**
    * Get existing folder or create new one
+   * Retries look again first, so a create that failed part-way doesn't leave two folders
    */
   getOrCreateFolder: function(parentFolder, folderName) {
-    const existingFolder = this.findFolderByName(parentFolder, folderName);
-    
-    if (existingFolder) {
-      Logger.log(`  ✓ Found existing folder: ${folderName}`);
-      return existingFolder;
-    }
-    
-    Logger.log(`  + Creating new folder: ${folderName}`);
-    return parentFolder.createFolder(folderName);
+    return RetryUtils.call(`Get or create folder "${folderName}"`, () => {
+      const existingFolder = this.findFolderByName(parentFolder, folderName);
+      
+      if (existingFolder) {
+        Logger.log(`  ✓ Found existing folder: ${folderName}`);
+        return existingFolder;
+      }
+      
+      if (DryRun.isActive()) {
+        DryRun.record('FolderUtils', 'Create folder', `${parentFolder.getName()} / ${folderName}`);
+        return DryRun.placeholder(folderName);
+      }
+      
+      Logger.log(`  + Creating new folder: ${folderName}`);
+      return parentFolder.createFolder(folderName);
+    });
   },
   
   /**
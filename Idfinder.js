@@ -1,22 +1,27 @@
 /**
  * ID Finder Utilities - Helper functions to find Google Drive IDs
  * Run these functions to get the IDs you need for Config.gs
+ * 
+ * Each helper logs its findings AND returns them, so the Setup Wizard
+ * sidebar (Setupwizard.js) can run the same checks.
  */
 
 /**
  * Find your Strong Teams folder
+ * @returns {Object[]} Matching folders: { id, name, url }
  */
 function findStrongTeamsFolder() {
   Logger.log('=== FINDING STRONG TEAMS FOLDER ===\n');
   
   const folders = DriveApp.searchFolders('title contains "Strong Teams"');
+  const found = [];
   
   if (!folders.hasNext()) {
     Logger.log('❌ No folders found with "Strong Teams" in the name');
     Logger.log('\nOptions:');
     Logger.log('1. Create a folder called "Strong Teams" in Google Drive');
     Logger.log('2. Or modify the search term in this function');
-    return;
+    return found;
   }
   
   Logger.log('Found folders:\n');
@@ -27,19 +32,24 @@ function findStrongTeamsFolder() {
     Logger.log(`   ID: ${folder.getId()}`);
     Logger.log(`   URL: ${folder.getUrl()}`);
     Logger.log('');
+    found.push({ id: folder.getId(), name: folder.getName(), url: folder.getUrl() });
   }
   
   Logger.log('\nCopy the ID above and paste it into Config.gs:');
   Logger.log('STRONG_TEAMS_FOLDER_ID: "PASTE_ID_HERE"');
+  
+  return found;
 }
 
 /**
  * Find template files
+ * @returns {Object[]} Matching files (no duplicates): { id, name, url }
  */
 function findTemplateFiles() {
   Logger.log('=== FINDING TEMPLATE FILES ===\n');
   
   const searchTerms = ['Strong Teams Build', 'Build File Template'];
+  const found = [];
   
   searchTerms.forEach(term => {
     Logger.log(`Searching for: "${term}"`);
@@ -58,15 +68,23 @@ function findTemplateFiles() {
       Logger.log(`   ID: ${file.getId()}`);
       Logger.log(`   URL: ${file.getUrl()}`);
       Logger.log('');
+      
+      if (!found.some(f => f.id === file.getId())) {
+        found.push({ id: file.getId(), name: file.getName(), url: file.getUrl() });
+      }
     }
   });
   
-  Logger.log('\nYour Build File Template ID is already in Config.gs:');
-  Logger.log('buildFile: "1HGa3SH8VE8xLEdmrLxOUPxF8qjF6AU33FY3lf6Z31wY"');
+  Logger.log('\nYour current Build File Template ID:');
+  Logger.log(`buildFile: "${CONFIG.TEMPLATES.buildFile}"`);
+  
+  return found;
 }
 
 /**
  * Test if an ID is valid
+ * @param {string} id - Folder ID
+ * @returns {Object} { valid, id, name, url, error }
  */
 function testFolderID(id) {
   Logger.log(`Testing Folder ID: ${id}\n`);
@@ -76,16 +94,18 @@ function testFolderID(id) {
     Logger.log(`✅ Valid folder ID!`);
     Logger.log(`   Name: ${folder.getName()}`);
     Logger.log(`   URL: ${folder.getUrl()}`);
-    return true;
+    return { valid: true, id: id, name: folder.getName(), url: folder.getUrl(), error: '' };
   } catch (e) {
     Logger.log(`❌ Invalid folder ID`);
     Logger.log(`   Error: ${e.message}`);
-    return false;
+    return { valid: false, id: id, name: '', url: '', error: e.message };
   }
 }
 
 /**
  * Test if file ID is valid
+ * @param {string} id - File ID
+ * @returns {Object} { valid, id, name, url, error }
  */
 function testFileID(id) {
   Logger.log(`Testing File ID: ${id}\n`);
@@ -95,19 +115,23 @@ function testFileID(id) {
     Logger.log(`✅ Valid file ID!`);
     Logger.log(`   Name: ${file.getName()}`);
     Logger.log(`   URL: ${file.getUrl()}`);
-    return true;
+    return { valid: true, id: id, name: file.getName(), url: file.getUrl(), error: '' };
   } catch (e) {
     Logger.log(`❌ Invalid file ID`);
     Logger.log(`   Error: ${e.message}`);
-    return false;
+    return { valid: false, id: id, name: '', url: '', error: e.message };
   }
 }
 
 /**
  * Test your Build File template ID
+ * @param {string} templateID - Template file ID (defaults to CONFIG.TEMPLATES.buildFile)
+ * @returns {Object} { valid, name, url, sheets, hasPhase1Settings, error }
  */
-function testBuildFileTemplate() {
-  const templateID = '1HGa3SH8VE8xLEdmrLxOUPxF8qjF6AU33FY3lf6Z31wY';
+function testBuildFileTemplate(templateID) {
+  templateID = templateID || CONFIG.TEMPLATES.buildFile;
+  
+  const result = { valid: false, name: '', url: '', sheets: [], hasPhase1Settings: false, error: '' };
   
   Logger.log('=== TESTING BUILD FILE TEMPLATE ===\n');
   Logger.log(`Template ID: ${templateID}\n`);
@@ -117,6 +141,8 @@ function testBuildFileTemplate() {
     Logger.log(`✅ Template found!`);
     Logger.log(`   Name: ${file.getName()}`);
     Logger.log(`   URL: ${file.getUrl()}\n`);
+    result.name = file.getName();
+    result.url = file.getUrl();
     
     // Try to open as spreadsheet
     const ss = SpreadsheetApp.open(file);
@@ -126,11 +152,14 @@ function testBuildFileTemplate() {
     sheets.forEach(sheet => {
       Logger.log(`   - ${sheet.getName()}`);
     });
+    result.sheets = sheets.map(sheet => sheet.getName());
     
     // Check for Phase 1 Settings sheet
-    const phase1Sheet = ss.getSheetByName('Phase 1 Settings');
+    const phase1Sheet = ss.getSheetByName(CONFIG.PHASE1.sheetName);
     if (phase1Sheet) {
-      Logger.log(`\n✅ "Phase 1 Settings" sheet found!`);
+      Logger.log(`\n✅ "${CONFIG.PHASE1.sheetName}" sheet found!`);
+      result.hasPhase1Settings = true;
+      result.valid = true;
       
       // Show first few rows
       Logger.log(`\n   Current values in Phase 1 Settings:`);
@@ -142,13 +171,17 @@ function testBuildFileTemplate() {
         }
       }
     } else {
-      Logger.log(`\n⚠️  WARNING: "Phase 1 Settings" sheet not found!`);
+      Logger.log(`\n⚠️  WARNING: "${CONFIG.PHASE1.sheetName}" sheet not found!`);
       Logger.log(`   Available sheets: ${sheets.map(s => s.getName()).join(', ')}`);
+      result.error = `"${CONFIG.PHASE1.sheetName}" sheet not found`;
     }
     
   } catch (e) {
     Logger.log(`❌ Error: ${e.message}`);
+    result.error = e.message;
   }
+  
+  return result;
 }
 
 /**
@@ -206,25 +239,27 @@ function createIDReferenceSheet() {
 
 /**
  * Complete setup check - verifies all IDs are configured
+ * @returns {Object} { allGood, checks: [{ name, ok, detail }] }
  */
 function checkSetupComplete() {
   Logger.log('=== SETUP VERIFICATION ===\n');
   
-  let allGood = true;
+  const checks = [];
+  const check = (name, ok, detail) => {
+    checks.push({ name: name, ok: ok, detail: detail });
+    Logger.log(`   ${ok ? '✅' : '❌'} ${detail}`);
+  };
   
   // Check folder ID
   Logger.log('1. Checking Strong Teams folder ID...');
-  if (CONFIG.STRONG_TEAMS_FOLDER_ID === 'YOUR_STRONG_TEAMS_FOLDER_ID_HERE') {
-    Logger.log('   ❌ Not configured yet');
-    Logger.log('   → Run: findStrongTeamsFolder()');
-    allGood = false;
+  if (!CONFIG.STRONG_TEAMS_FOLDER_ID || CONFIG.STRONG_TEAMS_FOLDER_ID === 'YOUR_STRONG_TEAMS_FOLDER_ID_HERE') {
+    check('Strong Teams folder', false, 'Not configured yet → Run: findStrongTeamsFolder()');
   } else {
     try {
       const folder = DriveApp.getFolderById(CONFIG.STRONG_TEAMS_FOLDER_ID);
-      Logger.log(`   ✅ Valid: ${folder.getName()}`);
+      check('Strong Teams folder', true, `Valid: ${folder.getName()}`);
     } catch (e) {
-      Logger.log(`   ❌ Invalid ID: ${e.message}`);
-      allGood = false;
+      check('Strong Teams folder', false, `Invalid ID: ${e.message}`);
     }
   }
   
@@ -232,30 +267,52 @@ function checkSetupComplete() {
   Logger.log('\n2. Checking Build File template ID...');
   try {
     const file = DriveApp.getFileById(CONFIG.TEMPLATES.buildFile);
-    Logger.log(`   ✅ Valid: ${file.getName()}`);
+    check('Build File template', true, `Valid: ${file.getName()}`);
   } catch (e) {
-    Logger.log(`   ❌ Invalid ID: ${e.message}`);
-    allGood = false;
+    check('Build File template', false, `Invalid ID: ${e.message}`);
   }
   
   // Check email
   Logger.log('\n3. Checking admin email...');
-  if (CONFIG.EMAIL.adminEmail === 'YOUR_EMAIL@DOMAIN.COM') {
-    Logger.log('   ❌ Not configured yet');
-    allGood = false;
+  if (!CONFIG.EMAIL.adminEmail || CONFIG.EMAIL.adminEmail === 'YOUR_EMAIL@DOMAIN.COM') {
+    check('Admin email', false, 'Not configured yet');
   } else {
-    Logger.log(`   ✅ Set to: ${CONFIG.EMAIL.adminEmail}`);
+    check('Admin email', true, `Set to: ${CONFIG.EMAIL.adminEmail}`);
+  }
+  
+  // Check calendars
+  Logger.log('\n4. Checking calendars...');
+  const monitored = CalendarUtils.getMonitoredCalendars();
+  check('Calendars', monitored.failures === 0 && monitored.calendars.length > 0,
+    `${monitored.calendars.length} calendar(s) accessible, ${monitored.failures} failed`);
+  
+  // Check IDS API key
+  Logger.log('\n5. Checking IDS API key...');
+  const apiKey = ConfigLoader.getSecret('IDS_API_KEY');
+  check('IDS API key', !!apiKey, apiKey ? 'Stored in Script Properties' : 'Not set → Script Property IDS_API_KEY');
+  
+  // Check tracker spreadsheet
+  Logger.log('\n6. Checking Event Tracker spreadsheet...');
+  try {
+    const tracker = ProcessedEventsTracker.getTrackingSpreadsheet();
+    check('Event Tracker', true, `Valid: ${tracker.getName()}`);
+  } catch (e) {
+    check('Event Tracker', false, `Not available: ${e.message}`);
   }
   
+  const allGood = checks.every(c => c.ok);
+  
   // Summary
   Logger.log('\n' + '='.repeat(50));
   if (allGood) {
     Logger.log('✅ ALL CHECKS PASSED - Ready to use!');
     Logger.log('\nNext step: Set up calendar trigger');
-    Logger.log('Instructions in the README');
+    Logger.log('Run installCalendarTriggers() or finish the Setup Wizard');
   } else {
     Logger.log('❌ SETUP INCOMPLETE - Fix issues above');
-    Logger.log('\nRun the suggested functions to get missing IDs');
+    Logger.log('\nRun the suggested functions to get missing IDs, or use the Setup Wizard');
   }
   Logger.log('='.repeat(50));
+  
+  return { allGood: allGood, checks: checks };
 }
\ No newline at end of file
@@ -1,10 +1,10 @@
 /**
  * Strong Teams Automation - IDS API Integration
  * 
- * @version 1.1.2
- * @phase Phase 1 Enhanced
- * @description Generate assessment response links via IDS (JustRespond) API
- * @lastUpdated 2024-12-23
+ * @version 1.5.2
+ * @phase Dry Run
+ * @description Generate assessment response links and read their responses via IDS (JustRespond) API
+ * @lastUpdated 2026-10-18
  * 
  * Responsibilities:
  * - Generate unique response links for leaders
@@ -19,18 +19,50 @@
  * - Response: 201 Created with link details
  * - Response URL Domain: https://assessment.basleracademy.com/
  * 
+ * CHANGELOG v1.5.2:
+ * - Per-link endpoints are unset by default (not in the IDS docs we have); getLinkResponses()
+ *   and fetchExport() throw until they are configured, getLinkTarget() returns null
+ * - Added isLinkApiConfigured()
+ * 
+ * CHANGELOG v1.5.1:
+ * - Link creation (POST) is only retried on 429 or when the request never left Apps Script
+ *   (UrlFetch quota, DNS/connection errors) - a 5xx or timeout may already have created
+ *   the link, and retrying would give the leader a second one
+ * 
+ * CHANGELOG v1.5.0:
+ * - Dry run: generateResponseLink() plans the request and returns a placeholder login code
+ * 
+ * CHANGELOG v1.4.0:
+ * - API calls retry 429 / 5xx with backoff (RetryUtils.call); other codes fail at once
+ * - Non-2xx responses set error.httpStatus (muteHttpExceptions on link creation)
+ * 
+ * CHANGELOG v1.3.0:
+ * - Added getLinkResponses(), getLinkTarget() and fetchExport() (see Assessmenttracker.js)
+ * - Endpoints are CONFIG.IDS_API.linkEndpoint / responsesEndpoint / exportEndpoint
+ * 
+ * CHANGELOG v1.2.0:
+ * - API key comes from Script Property IDS_API_KEY (loaded by ConfigLoader)
+ * 
  * CHANGELOG v1.1.2:
  * - Updated domain to https://assessment.basleracademy.com/
  */
 
 const IDSUtils = {
   
+  // UrlFetch errors raised before the request reached IDS (safe to send again)
+  NOT_SENT_PATTERN: /too many times|address unavailable|dns|unable to resolve|could not resolve|connection refused/i,
+  
   /**
    * Generate a new IDS response link for a leader
    * @param {Object} eventData - Leader data from calendar event
    * @returns {Object} Object with loginCode and responseLink
    */
   generateResponseLink: function(eventData) {
+    if (DryRun.isActive()) {
+      DryRun.record('IDSUtils', 'Create IDS response link', CONFIG.IDS_API.endpoint, `${eventData.fullName} <${eventData.email}>`);
+      return { loginCode: 'DRY-RUN', responseLink: 'https://assessment.basleracademy.com/DRY-RUN' };
+    }
+    
     try {
       Logger.log('  → Generating IDS response link...');
       
@@ -38,19 +70,31 @@ const IDSUtils = {
       const payload = this.buildRequestPayload(eventData);
       const options = this.buildRequestOptions(payload);
       
-      // Make API call
-      const response = UrlFetchApp.fetch(
-        CONFIG.IDS_API.endpoint,
-        options
-      );
-      
-      // Check response code
-      const responseCode = response.getResponseCode();
-      Logger.log(`  → API Response Code: ${responseCode}`);
-      
-      if (responseCode !== 201) {
-        throw new Error(`Unexpected response code: ${responseCode}`);
-      }
+      // Make API call - retried only when IDS can't have created the link (see canRetryLink)
+      const response = RetryUtils.call('IDS link request', () => {
+        let attemptResponse;
+        try {
+          attemptResponse = UrlFetchApp.fetch(
+            CONFIG.IDS_API.endpoint,
+            options
+          );
+        } catch (fetchError) {
+          fetchError.notSent = this.NOT_SENT_PATTERN.test(fetchError.message);
+          throw fetchError;
+        }
+        
+        // Check response code
+        const responseCode = attemptResponse.getResponseCode();
+        Logger.log(`  → API Response Code: ${responseCode}`);
+        
+        if (responseCode !== 201) {
+          const error = new Error(`Unexpected response code: ${responseCode}`);
+          error.httpStatus = responseCode;
+          throw error;
+        }
+        
+        return attemptResponse;
+      }, error => this.canRetryLink(error));
       
       // Parse response
       const result = JSON.parse(response.getContentText());
@@ -87,10 +131,28 @@ const IDSUtils = {
         Logger.log(`  → This might be an API configuration issue`);
       }
       
-      throw new Error(`Failed to generate IDS response link: ${error.message}`);
+      if (error.errorType === RetryUtils.TYPES.TRANSIENT && !this.canRetryLink(error)) {
+        Logger.log(`  → Not retried: the link may have been created - check IDS before reprocessing`);
+      }
+      
+      const wrapped = new Error(`Failed to generate IDS response link: ${error.message}`);
+      wrapped.errorType = RetryUtils.classify(error);
+      throw wrapped;
     }
   },
   
+  /**
+   * Link creation isn't idempotent - retry only failures where IDS didn't create anything
+   * 429 (request rejected) or an error raised before the request was sent
+   * 
+   * @param {Error} error - Failed link request
+   * @returns {boolean} True if sending the POST again can't create a second link
+   * @since v1.5.1
+   */
+  canRetryLink: function(error) {
+    return error.httpStatus === 429 || !!error.notSent;
+  },
+  
   /**
    * Build API request payload
    * @param {Object} eventData - Leader data
@@ -155,6 +217,10 @@ const IDSUtils = {
    * @returns {Object} Options for UrlFetchApp
    */
   buildRequestOptions: function(payload) {
+    if (!CONFIG.IDS_API.apiKey) {
+      throw new Error('IDS API key not loaded - set Script Property IDS_API_KEY and call ConfigLoader.load()');
+    }
+    
     return {
       method: 'post',
       contentType: 'application/json',
@@ -163,10 +229,111 @@ const IDSUtils = {
         'Content-Type': 'application/json'
       },
       payload: JSON.stringify(payload),
-      muteHttpExceptions: false  // Throw errors for non-200 responses
+      muteHttpExceptions: true  // Response code is checked (and retried) in generateResponseLink
     };
   },
   
+  /**
+   * @returns {boolean} True once CONFIG.IDS_API.responsesEndpoint has been set (see Config.js)
+   * @since v1.5.2
+   */
+  isLinkApiConfigured: function() {
+    return !!CONFIG.IDS_API.responsesEndpoint;
+  },
+  
+  /**
+   * GET an IDS endpoint for one link
+   * @param {string} key - CONFIG.IDS_API key of an endpoint with a {login} placeholder (e.g. 'responsesEndpoint')
+   * @param {string} loginCode - Link login code
+   * @returns {HTTPResponse} The response (200 only; 429 / 5xx are retried)
+   * @since v1.3.0
+   */
+  fetchForLink: function(key, loginCode) {
+    const template = CONFIG.IDS_API[key];
+    
+    if (!template) {
+      throw new Error(`IDS_API.${key} is not set - add it from the IDS API documentation (see Config.js)`);
+    }
+    
+    if (!CONFIG.IDS_API.apiKey) {
+      throw new Error('IDS API key not loaded - set Script Property IDS_API_KEY and call ConfigLoader.load()');
+    }
+    
+    const url = template.replace('{login}', encodeURIComponent(loginCode));
+    
+    return RetryUtils.call(`IDS request for link ${loginCode}`, () => {
+      const response = UrlFetchApp.fetch(url, {
+        method: 'get',
+        headers: { 'Authorization': CONFIG.IDS_API.apiKey },
+        muteHttpExceptions: true
+      });
+      
+      const responseCode = response.getResponseCode();
+      if (responseCode !== 200) {
+        const error = new Error(`IDS API returned ${responseCode} for link ${loginCode}: ${response.getContentText().substring(0, 200)}`);
+        error.httpStatus = responseCode;
+        throw error;
+      }
+      
+      return response;
+    });
+  },
+  
+  /**
+   * Get everyone who has used a response link
+   * The field names read below are not confirmed against the IDS docs - check them
+   * against a real response when setting responsesEndpoint.
+   * 
+   * @param {string} loginCode - Link login code (Phase 1 Settings row 8)
+   * @returns {Object[]} Respondents: { name, email, completed, completedAt }
+   * @since v1.3.0
+   */
+  getLinkResponses: function(loginCode) {
+    const result = JSON.parse(this.fetchForLink('responsesEndpoint', loginCode).getContentText());
+    const list = Array.isArray(result) ? result : (result.responses || result.data || []);
+    
+    return list.map(response => {
+      const status = String(response.status || '').toLowerCase();
+      const name = response.name || [response.first_name, response.last_name].filter(Boolean).join(' ');
+      
+      return {
+        name: name || response.email || '(no name)',
+        email: response.email || '',
+        completed: response.completed === true || status === 'complete' || status === 'completed' || !!response.completed_at,
+        completedAt: response.completed_at ? new Date(response.completed_at) : null
+      };
+    });
+  },
+  
+  /**
+   * Get the number of responses a link was created for
+   * (notification.option_value - 6 + additional team members, see buildRequestPayload)
+   * 
+   * @param {string} loginCode - Link login code
+   * @returns {number|null} Target, or null if the link doesn't say (or linkEndpoint isn't set)
+   * @since v1.3.0
+   */
+  getLinkTarget: function(loginCode) {
+    if (!CONFIG.IDS_API.linkEndpoint) {
+      return null;
+    }
+    
+    const result = JSON.parse(this.fetchForLink('linkEndpoint', loginCode).getContentText());
+    const target = parseInt(result.notification && result.notification.option_value, 10);
+    
+    return isNaN(target) ? null : target;
+  },
+  
+  /**
+   * Download the response export for a link (same format as the manual IDS export)
+   * @param {string} loginCode - Link login code
+   * @returns {Blob} The export file
+   * @since v1.3.0
+   */
+  fetchExport: function(loginCode) {
+    return this.fetchForLink('exportEndpoint', loginCode).getBlob();
+  },
+  
   /**
    * Test API connection and authentication
    * @returns {Boolean} True if connection successful
@@ -291,6 +458,8 @@ function testIDSConnection() {
   Logger.log('TESTING IDS API CONNECTION');
   Logger.log('='.repeat(70));
   
+  ConfigLoader.load(['IDS_API.apiKey']);
+  
   // Check configuration first
   Logger.log('\nChecking configuration...');
   Logger.log(`  Endpoint: ${CONFIG.IDS_API.endpoint}`);
@@ -4,42 +4,11 @@
  * 
  * Setup: Run setupIDSApiKey() once to store your API key securely
  * Usage: Strong Teams menu → Create Interview Link
+ * 
+ * Settings come from CONFIG (IDS_API, PHASE1, PROCESSED_EVENTS) via ConfigLoader -
+ * the separate INTERVIEW_LINK_CONFIG copy was removed.
  */
 
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
-
-const INTERVIEW_LINK_CONFIG = {
-  // Event Tracking Sheet
-  EVENT_TRACKING_SHEET_ID: '1HNuM6mpisqkiNAH0k9YHSFLJ9kY2KkF0tqdWOLtG2lw',
-  EVENT_TRACKING_SHEET_NAME: 'Processed Events',
-  
-  // Column mappings in Event Tracking (1-indexed)
-  COLUMNS: {
-    LEADER_NAME: 4,    // Column D
-    LEADER_EMAIL: 9,   // Column I
-    BUILD_FILE_ID: 10  // Column J
-  },
-  
-  // IDS API Configuration
-  IDS_API_BASE_URL: 'https://api.justrespond.com/api/v3',
-  IDS_ACCOUNT_LOGIN: 'BASLERACADEMY',
-  
-  // Link Settings (from template)
-  TAG_ID: 349283,
-  REPORTVIEW_ID: '6217/1056',
-  CONTACT_EMAIL: 'admin@basleracademy.com',
-  
-  // Build File Location
-  PHASE1_SHEET_NAME: 'Phase 1 Settings',
-  LEADER_NAME_CELL: 'B7',
-  ASSESSMENT_LINK_CELL: 'B4',
-  
-  // New Sheet Name
-  INTERVIEW_SHEET_NAME: 'Interview Link'
-};
-
 // ============================================================================
 // SETUP FUNCTIONS
 // ============================================================================
@@ -84,7 +53,7 @@ function setupIDSApiKey() {
  * Get stored IDS API key
  */
 function getIDSApiKey() {
-  var apiKey = PropertiesService.getScriptProperties().getProperty('IDS_API_KEY');
+  var apiKey = ConfigLoader.getSecret('IDS_API_KEY');
   
   if (!apiKey) {
     throw new Error(
@@ -111,10 +80,7 @@ function testIDSApiKey() {
       'muteHttpExceptions': true
     };
     
-    var response = UrlFetchApp.fetch(
-      INTERVIEW_LINK_CONFIG.IDS_API_BASE_URL + '/ping',
-      options
-    );
+    var response = UrlFetchApp.fetch(CONFIG.IDS_API.pingEndpoint, options);
     
     if (response.getResponseCode() === 200) {
       SpreadsheetApp.getUi().alert(
@@ -150,15 +116,17 @@ function createInterviewLink() {
   var ss = SpreadsheetApp.getActiveSpreadsheet();
   
   try {
+    ConfigLoader.load(['IDS_API.apiKey']);
+    
     // Step 1: Get leader name from Phase 1 Settings
-    var phase1Sheet = ss.getSheetByName(INTERVIEW_LINK_CONFIG.PHASE1_SHEET_NAME);
+    var phase1Sheet = ss.getSheetByName(CONFIG.PHASE1.sheetName);
     if (!phase1Sheet) {
-      throw new Error('Could not find "' + INTERVIEW_LINK_CONFIG.PHASE1_SHEET_NAME + '" sheet.');
+      throw new Error('Could not find "' + CONFIG.PHASE1.sheetName + '" sheet.');
     }
     
-    var leaderName = phase1Sheet.getRange(INTERVIEW_LINK_CONFIG.LEADER_NAME_CELL).getValue();
+    var leaderName = phase1Sheet.getRange(CONFIG.PHASE1.rows.name, 2).getValue();
     if (!leaderName) {
-      throw new Error('Leader name not found in ' + INTERVIEW_LINK_CONFIG.LEADER_NAME_CELL + '.\n\nPlease fill in the leader name first.');
+      throw new Error('Leader name not found in B' + CONFIG.PHASE1.rows.name + '.\n\nPlease fill in the leader name first.');
     }
     
     Logger.log('Leader Name: ' + leaderName);
@@ -189,7 +157,7 @@ function createInterviewLink() {
     Logger.log('Link created: ' + linkData.login);
     
     // Step 5: Create/update Interview Link sheet
-    var assessmentLink = phase1Sheet.getRange(INTERVIEW_LINK_CONFIG.ASSESSMENT_LINK_CELL).getValue();
+    var assessmentLink = phase1Sheet.getRange(CONFIG.PHASE1.rows.assessmentLink, 2).getValue();
     createInterviewLinkSheet(ss, linkData.login, assessmentLink);
     
     // Step 6: Success message
@@ -216,16 +184,16 @@ function createInterviewLink() {
  * Look up leader email from Event Tracking sheet
  */
 function getLeaderEmailFromTracking(leaderName) {
-  var trackingSheet = SpreadsheetApp.openById(INTERVIEW_LINK_CONFIG.EVENT_TRACKING_SHEET_ID);
-  var sheet = trackingSheet.getSheetByName(INTERVIEW_LINK_CONFIG.EVENT_TRACKING_SHEET_NAME);
+  var trackingSheet = ProcessedEventsTracker.getTrackingSpreadsheet();
+  var sheet = trackingSheet.getSheetByName(CONFIG.PROCESSED_EVENTS.sheetName);
   
   if (!sheet) {
     throw new Error('Could not find Event Tracking sheet.');
   }
   
   var data = sheet.getDataRange().getValues();
-  var nameCol = INTERVIEW_LINK_CONFIG.COLUMNS.LEADER_NAME - 1; // 0-indexed
-  var emailCol = INTERVIEW_LINK_CONFIG.COLUMNS.LEADER_EMAIL - 1;
+  var nameCol = ProcessedEventsTracker.COLUMNS.LEADER_NAME; // 0-indexed
+  var emailCol = ProcessedEventsTracker.COLUMNS.LEADER_EMAIL;
   
   // Search for matching leader name (skip header row)
   for (var i = 1; i < data.length; i++) {
@@ -271,20 +239,20 @@ function createIDSLink(leaderName, leaderEmail) {
   var payload = {
     'name': linkName,
     'description': 'Interview - Leading From Your Strengths®',
-    'contact_email': INTERVIEW_LINK_CONFIG.CONTACT_EMAIL,
+    'contact_email': CONFIG.IDS_API.contactEmail,
     'start_date': startDate,
     'end_date': null,
     'unlimited_end': true,
     'email_to': true,
     'cc': true,
     'cc_to': leaderEmail,
-    'tag_id': INTERVIEW_LINK_CONFIG.TAG_ID,
+    'tag_id': CONFIG.IDS_API.tagId,
     'dflt_language': 'en_US',
     'dflt_color': 'COLOR',
     'dflt_paper': 'LETTER',
     'locked': false,
     'link_admin': false,
-    'reportviews': [INTERVIEW_LINK_CONFIG.REPORTVIEW_ID],
+    'reportviews': [CONFIG.IDS_API.interviewReportView],
     'can_view_proxy': true,
     'status_email_proxy': true,
     'notification': {
@@ -309,7 +277,7 @@ function createIDSLink(leaderName, leaderEmail) {
     'muteHttpExceptions': true
   };
   
-  var url = INTERVIEW_LINK_CONFIG.IDS_API_BASE_URL + '/links?account_login=' + INTERVIEW_LINK_CONFIG.IDS_ACCOUNT_LOGIN;
+  var url = CONFIG.IDS_API.endpoint;
   
   Logger.log('Creating link: ' + linkName);
   Logger.log('API URL: ' + url);
@@ -350,7 +318,7 @@ function createIDSLink(leaderName, leaderEmail) {
  * Create or update the Interview Link sheet
  */
 function createInterviewLinkSheet(ss, responseLink, assessmentLink) {
-  var sheetName = INTERVIEW_LINK_CONFIG.INTERVIEW_SHEET_NAME;
+  var sheetName = CONFIG.IDS_API.interviewSheetName;
   var sheet = ss.getSheetByName(sheetName);
   
   // Create sheet if it doesn't exist
@@ -398,7 +366,7 @@ function createInterviewLinkSheet(ss, responseLink, assessmentLink) {
     sheet.getRange(dataRow, 3).setValue(assessmentLink);
   } else {
     // Create formula to pull from Phase 1 Settings B4
-    sheet.getRange(dataRow, 3).setFormula("='" + INTERVIEW_LINK_CONFIG.PHASE1_SHEET_NAME + "'!" + INTERVIEW_LINK_CONFIG.ASSESSMENT_LINK_CELL);
+    sheet.getRange(dataRow, 3).setFormula("='" + CONFIG.PHASE1.sheetName + "'!B" + CONFIG.PHASE1.rows.assessmentLink);
   }
   
   Logger.log('Interview Link sheet updated - Row ' + dataRow);
@@ -455,8 +423,4 @@ function createInterviewLinkMenu() {
  *     .addItem('Setup IDS API Key', 'setupIDSApiKey');
  *   menu.addToUi();
  * }
- */
-function setApiKeyDirect() {
-  PropertiesService.getScriptProperties().setProperty('IDS_API_KEY', '01KBQM7E1B420HD75KVMPQ88CXd9cc94b972');
-  Logger.log('API key set successfully');
-}
\ No newline at end of file
+ */
\ No newline at end of file
@@ -42,6 +42,7 @@ ${eventData ? `║ Leader: ${eventData.fullName || 'Unknown'}
 ║ Email: ${eventData.email || 'Unknown'}
 ` : '║ No data extracted\n'}║ 
 ║ Error: ${error.message}
+║ Type: ${error.errorType || RetryUtils.classify(error)}${error.attempts > 1 ? ` (after ${error.attempts} tries)` : ''}
 ║ 
 ║ Stack Trace:
 ║ ${error.stack ? error.stack.replace(/\n/g, '\n║ ') : 'No stack trace'}
@@ -75,5 +76,25 @@ ${eventData ? `║ Leader: ${eventData.fullName || 'Unknown'}
     Logger.log('STRONG TEAMS PHASE 1 AUTOMATION - COMPLETED');
     Logger.log(`Summary: ${successCount} successful, ${errorCount} errors, ${skippedCount} skipped`);
     Logger.log('='.repeat(70) + '\n\n');
+  },
+  
+  /**
+   * Send a structured entry to Cloud Logging
+   * Objects passed to console become jsonPayload, so entries can be filtered
+   * by field (jsonPayload.leader, jsonPayload.phase, jsonPayload.outcome)
+   * 
+   * @param {string} level - 'info', 'warn' or 'error'
+   * @param {Object} entry - Fields to log
+   */
+  logStructured: function(level, entry) {
+    const payload = Object.assign({ app: 'strong-teams' }, entry);
+    
+    if (level === 'error') {
+      console.error(payload);
+    } else if (level === 'warn') {
+      console.warn(payload);
+    } else {
+      console.info(payload);
+    }
   }
 };
\ No newline at end of file
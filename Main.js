@@ -1,10 +1,75 @@
 /**
  * Strong Teams Automation - Main Orchestrator
  * 
- * @version 2.2.0
- * @phase Phase 2 Enhanced - Email-Based Lookup + Add-on Support
- * @description Main entry point and orchestration for Phase 1 & Phase 2 automation
- * @lastUpdated 2024-12-31
+ * @version 2.18.0
+ * @phase Event Replay
+ * @description Main entry point and orchestration for Phase 1, 2 & 3 automation
+ * @lastUpdated 2026-10-18
+ * 
+ * CHANGELOG v2.18.0:
+ * - Added "Event Replay" to the Strong Teams menu - look up one booking and reprocess it,
+ *   optionally with a fresh Build File that keeps the IDS login code (Eventreplay.js)
+ * 
+ * CHANGELOG v2.17.0:
+ * - Dry run (CONFIG.DRY_RUN.enabled or dryRunCalendarTrigger()): onCalendarTrigger()
+ *   plans every change instead of making it and logs the plan (Dryrun.js)
+ * - Added "Dry Run" to the Strong Teams menu
+ * 
+ * CHANGELOG v2.16.0:
+ * - Event errors are classified Transient / Permanent (Retryutils.js); the type prefixes
+ *   the Activity Log / Run Log detail and fills Error Type on "Needs Attention"
+ * 
+ * CHANGELOG v2.15.0:
+ * - onCalendarTrigger() holds the script lock - overlapping triggers exit instead of
+ *   creating duplicate Build Files / IDS links (Runguard.js)
+ * - Stops starting events after CONFIG.RUN_GUARD.budgetSeconds; the rest are saved
+ *   and processed first by the next run
+ * 
+ * CHANGELOG v2.14.0:
+ * - Each run is recorded on the "Run Log" sheet with per-event outcomes (Runlog.js)
+ * - Outcomes are also sent to Cloud Logging as structured entries (leader/phase/outcome)
+ * 
+ * CHANGELOG v2.13.0:
+ * - Per-event success/error emails removed - outcomes go to the Activity Log sheet
+ *   and the daily digest (Dailydigest.js)
+ * 
+ * CHANGELOG v2.12.0:
+ * - Failed events are recorded on the "Needs Attention" sheet (ReviewQueue)
+ * - Waiting events are retried every run; Stopped/Ignored events are skipped
+ * 
+ * CHANGELOG v2.11.0:
+ * - processPhase1Event() returns null (no folder created) when the company is unknown;
+ *   the booking waits on the "Needs Company" sheet and is retried on a later scan
+ * 
+ * CHANGELOG v2.10.0:
+ * - onCalendarTrigger() batches Event Tracker writes and saves them once at the end
+ * 
+ * CHANGELOG v2.9.0:
+ * - onCalendarTrigger() reads only changed events via CalendarSync (sync tokens)
+ * - Incremental runs reconcile only the events the sync reported as cancelled
+ * 
+ * CHANGELOG v2.8.0:
+ * - onCalendarTrigger() records a heartbeat when a run completes
+ * - Add-on card warns when automation hasn't run recently or triggers are missing
+ * 
+ * CHANGELOG v2.7.0:
+ * - Added "Setup Wizard" to the Strong Teams menu
+ * 
+ * CHANGELOG v2.6.0:
+ * - onCalendarTrigger() and manual tests load settings via ConfigLoader first
+ * 
+ * CHANGELOG v2.5.0:
+ * - processPhase1Event() writes the leader's Stripe payment status to the Build File
+ * 
+ * CHANGELOG v2.4.0:
+ * - onCalendarTrigger() now runs EventReconciler after processing events
+ * - Cancelled/rescheduled bookings are marked in the tracker and Build File
+ * - Runs with no events in range no longer return before the summary
+ * 
+ * CHANGELOG v2.3.0:
+ * - Added processPhase3Event() for One-on-One and Action Planning bookings
+ * - Phase 3 uses leader email lookup ("Leader Email:" field) to find the Build File
+ * - Phase 3 sessions tracked with phase "Phase 3"
  * 
  * CHANGELOG v2.2.0:
  * - Converted to Workspace Add-on for global availability
@@ -37,6 +102,10 @@ function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu('Strong Teams')
     .addItem('Create Interview Link', 'createInterviewLink')
+    .addSeparator()
+    .addItem('Dry Run (preview the next run)', 'dryRunCalendarTrigger')
+    .addItem('Event Replay', 'showEventReplay')
+    .addItem('Setup Wizard', 'showSetupWizard')
     .addToUi();
 }
 
@@ -58,8 +127,18 @@ function onFileScopeGranted(e) {
  * Creates the add-on sidebar card
  */
 function createAddonCard() {
-  var card = CardService.newCardBuilder()
-    .setHeader(CardService.newCardHeader().setTitle('Strong Teams Tools'))
+  var builder = CardService.newCardBuilder()
+    .setHeader(CardService.newCardHeader().setTitle('Strong Teams Tools'));
+  
+  var warning = getAutomationWarning();
+  if (warning) {
+    builder.addSection(
+      CardService.newCardSection()
+        .addWidget(CardService.newTextParagraph().setText('<b>⚠️ Automation check</b><br>' + warning))
+    );
+  }
+  
+  var card = builder
     .addSection(
       CardService.newCardSection()
         .addWidget(CardService.newTextParagraph().setText('Tools for Strong Teams Build Files'))
@@ -73,6 +152,34 @@ function createAddonCard() {
   return card;
 }
 
+/**
+ * Build the add-on card warning from the trigger health check
+ * @returns {string} Warning text, or '' if automation looks healthy
+ */
+function getAutomationWarning() {
+  try {
+    ConfigLoader.load();
+    var health = TriggerManager.checkTriggerHealth();
+    var problems = [];
+    
+    if (health.stale) {
+      problems.push(health.lastRun
+        ? 'Last successful run was ' + Math.floor(health.hoursSinceRun) + ' hours ago.'
+        : 'No successful run has been recorded yet.');
+    }
+    if (health.missingCalendars.length > 0 || health.missingTimeDriven.length > 0) {
+      problems.push('Some triggers are missing - run installAllTriggers().');
+    }
+    if (health.duplicates.length > 0) {
+      problems.push('Duplicate triggers found - run installAllTriggers().');
+    }
+    
+    return problems.join('<br>');
+  } catch (error) {
+    return 'Could not check automation health: ' + error.message;
+  }
+}
+
 /**
  * Create Interview Link - called from Add-on card
  */
@@ -89,37 +196,87 @@ function createInterviewLinkFromAddon(e) {
 
 /**
  * Main trigger function - called by calendar trigger
- * Processes all new/updated calendar events (Phase 1 and Phase 2)
+ * Processes all new/updated calendar events (Phase 1, Phase 2 and Phase 3)
  */
 function onCalendarTrigger() {
+  // One run at a time - two runs would both see a new booking as unprocessed
+  if (!RunGuard.acquireLock()) {
+    Logger.log('⏸️ Another run is in progress - this trigger will be handled by it or the next run');
+    LoggerUtils.logStructured('info', { type: 'run_skipped', reason: 'locked' });
+    return;
+  }
+  
+  RunGuard.start();
   LoggerUtils.logStart();
+  RunLog.start();
   
   let successCount = 0;
   let errorCount = 0;
   let skippedCount = 0;
   let alreadyProcessedCount = 0;
+  let cancelledCount = 0;
+  let needsCompanyCount = 0;
+  let needsAttentionCount = 0;
+  let deferredIds = [];
+  let fatalError = null;
   
   try {
-    // Get calendar events (now covering 90 days ahead)
-    const events = CalendarUtils.getNewCalendarEvents();
+    // Settings sheet + Script Properties (throws if required keys are missing)
+    ConfigLoader.load(['IDS_API.apiKey']);
     
-    if (events.length === 0) {
-      Logger.log('No calendar events found in time range');
-      return;
+    // Dry run: changes are planned, not made (see Dryrun.js)
+    if (CONFIG.DRY_RUN.enabled && !DryRun.isActive()) {
+      DryRun.begin();
     }
     
-    Logger.log(`\n📊 Processing ${events.length} events from calendar(s)...\n`);
+    // Event Tracker is read at most once (cached lookups first); writes are saved together at the end
+    ProcessedEventsTracker.beginBatch();
+    
+    // Get events changed since the last run (full 90-day scan when a token is missing/expired)
+    const sync = CalendarSync.getChangedEvents();
+    
+    // Plus events waiting on the "Needs Attention" sheet (not returned by incremental sync),
+    // after any the last run ran out of time for
+    const events = RunGuard.addPendingEvents(ReviewQueue.addRetryEvents(sync.events));
+    
+    if (events.length === 0) {
+      Logger.log('No new or changed calendar events');
+    } else {
+      Logger.log(`\n📊 Processing ${events.length} events from calendar(s)...\n`);
+    }
     
     // Process each event
     events.forEach(event => {
+      let phase = '';
+      
+      // Out of time - leave the rest for the next run (saved below)
+      if (deferredIds.length > 0 || !RunGuard.hasTimeLeft()) {
+        deferredIds.push(event.getId());
+        return;
+      }
+      
+      // Dry run: group planned changes under this event
+      DryRun.setEvent(event);
+      
       try {
+        // Stopped after too many failures, or ignored by a coach
+        if (ReviewQueue.shouldSkip(event)) {
+          Logger.log(`⏭️ Skipping (on "${CONFIG.REVIEW_QUEUE.sheetName}" sheet): ${event.getTitle()}`);
+          RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.NEEDS_ATTENTION);
+          needsAttentionCount++;
+          return;
+        }
+        
         // Check if this is a Phase 1 event
         if (CalendarUtils.isPhase1Event(event)) {
+          phase = 'Phase 1';
+          
           // Check if already processed (deduplication)
           const trackingStatus = ProcessedEventsTracker.isEventProcessed(event);
           
           if (trackingStatus.processed) {
             Logger.log(`⏭️ Skipping (already processed): ${event.getTitle()}`);
+            RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.DUPLICATE);
             alreadyProcessedCount++;
             return;
           }
@@ -127,6 +284,13 @@ function onCalendarTrigger() {
           // Process the Phase 1 event
           const result = processPhase1Event(event);
           
+          // Waiting for a company name - not marked processed, retried on a later scan
+          if (!result) {
+            RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.NEEDS_COMPANY);
+            needsCompanyCount++;
+            return;
+          }
+          
           // Mark as processed with metadata for Phase 2 lookup
           ProcessedEventsTracker.markEventProcessed(
             event, 
@@ -141,17 +305,23 @@ function onCalendarTrigger() {
             trackingStatus.needsUpdate ? trackingStatus.rowIndex : -1
           );
           
+          ReviewQueue.markResolved(event.getId());
+          ActivityLog.record(ActivityLog.TYPES.PROCESSED, event, phase, result.eventData);
+          RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.PROCESSED, result.eventData);
           successCount++;
           return;
         }
         
         // Check if this is a Phase 2 event
         if (CalendarUtils.isPhase2Event(event)) {
+          phase = 'Phase 2';
+          
           // Check if already processed (deduplication)
           const trackingStatus = ProcessedEventsTracker.isEventProcessed(event);
           
           if (trackingStatus.processed) {
             Logger.log(`⏭️ Skipping (already processed): ${event.getTitle()}`);
+            RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.DUPLICATE);
             alreadyProcessedCount++;
             return;
           }
@@ -167,24 +337,126 @@ function onCalendarTrigger() {
             trackingStatus.needsUpdate ? trackingStatus.rowIndex : -1
           );
           
+          ReviewQueue.markResolved(event.getId());
+          ActivityLog.record(ActivityLog.TYPES.PROCESSED, event, phase, eventData);
+          RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.PROCESSED, eventData);
+          successCount++;
+          return;
+        }
+        
+        // Check if this is a Phase 3 event
+        if (CalendarUtils.isPhase3Event(event)) {
+          phase = 'Phase 3';
+          
+          // Check if already processed (deduplication)
+          const trackingStatus = ProcessedEventsTracker.isEventProcessed(event);
+          
+          if (trackingStatus.processed) {
+            Logger.log(`⏭️ Skipping (already processed): ${event.getTitle()}`);
+            RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.DUPLICATE);
+            alreadyProcessedCount++;
+            return;
+          }
+          
+          // Process the Phase 3 event (team member session)
+          const result = processPhase3Event(event);
+          
+          // Mark as processed (team member details + leader's Build File)
+          ProcessedEventsTracker.markEventProcessed(
+            event, 
+            'Phase 3', 
+            {
+              fullName: result.eventData.fullName,
+              companyName: result.eventData.companyName,
+              email: result.eventData.email,
+              buildFileId: result.buildFileId,
+              sessionType: result.eventData.sessionType
+            },
+            trackingStatus.needsUpdate ? trackingStatus.rowIndex : -1
+          );
+          
+          ReviewQueue.markResolved(event.getId());
+          ActivityLog.record(ActivityLog.TYPES.PROCESSED, event, phase, result.eventData);
+          RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.PROCESSED, result.eventData);
           successCount++;
           return;
         }
         
-        // Not a Phase 1 or Phase 2 event
-        LoggerUtils.logSkipped(event, 'Not a Phase 1 or Phase 2 event');
+        // Not a Strong Teams event
+        LoggerUtils.logSkipped(event, 'Not a Phase 1, Phase 2 or Phase 3 event');
+        RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.SKIPPED);
         skippedCount++;
         
       } catch (error) {
         errorCount++;
-        handleEventError(event, error);
+        const detail = handleEventError(event, error, phase);
+        RunLog.recordOutcome(event, phase, RunLog.OUTCOMES.ERROR, error.eventData, detail);
       }
     });
     
+    if (deferredIds.length > 0) {
+      Logger.log(`⏰ Time budget (${CONFIG.RUN_GUARD.budgetSeconds}s) reached - ${deferredIds.length} event(s) left for the next run`);
+    }
+    
+    DryRun.setEvent(null);
+    
+    // Check tracked future bookings for cancellations/reschedules
+    // Full scans (and unmatched cancellations) check every future booking; incremental runs only the cancelled ones
+    const cancellations = EventReconciler.reconcileCancelledEvents(sync.fullScan || sync.reconcileAll ? null : sync.cancelledIds);
+    cancellations.forEach(c => ActivityLog.record(c.status, null, c.phase, c));
+    cancelledCount = cancellations.length;
+    
+    // Save tracker changes and the pending cursor, then sync tokens - only once the changes
+    // have been handled (the cursor keeps deferred events that the new tokens won't return)
+    ProcessedEventsTracker.commitBatch();
+    
+    // Dry run: keep the tokens, cursor and heartbeat so the next real run sees the same events
+    if (!DryRun.isActive()) {
+      RunGuard.savePending(deferredIds);
+      CalendarSync.commit(sync);
+      
+      // Run completed - add-on card uses this to spot silent trigger failures
+      TriggerManager.recordHeartbeat();
+    }
+    
   } catch (error) {
     Logger.log(`FATAL ERROR: ${error.message}`);
     Logger.log(error.stack);
     errorCount++;
+    fatalError = error.message;
+  } finally {
+    // Don't lose tracker rows for Build Files already created if the run failed part-way
+    try {
+      ProcessedEventsTracker.commitBatch();
+    } catch (error) {
+      Logger.log(`✗ Could not save Event Tracker changes: ${error.message}`);
+      errorCount++;
+    }
+    
+    // Dry run: the plan replaces the Activity Log / Run Log rows
+    if (DryRun.isActive()) {
+      DryRun.logReport();
+    } else {
+      try {
+        ActivityLog.flush();
+      } catch (error) {
+        Logger.log(`⚠️ Could not write Activity Log: ${error.message}`);
+      }
+      
+      // Run history (Run Log sheet + Cloud Logging summary)
+      RunLog.finish({
+        processed: successCount,
+        duplicates: alreadyProcessedCount,
+        skipped: skippedCount,
+        errors: errorCount,
+        cancelled: cancelledCount,
+        needsCompany: needsCompanyCount,
+        needsAttention: needsAttentionCount,
+        deferred: deferredIds.length
+      }, fatalError);
+    }
+    
+    RunGuard.releaseLock();
   }
   
   // Enhanced summary with deduplication stats
@@ -194,6 +466,10 @@ function onCalendarTrigger() {
   Logger.log(`✓ Newly processed: ${successCount}`);
   Logger.log(`⏭️ Already processed (skipped): ${alreadyProcessedCount}`);
   Logger.log(`⊘ Not Strong Teams events: ${skippedCount}`);
+  Logger.log(`🗑️ Cancelled/rescheduled: ${cancelledCount}`);
+  Logger.log(`⏸️ Waiting for company name: ${needsCompanyCount}`);
+  Logger.log(`🚧 Skipped (Needs Attention - stopped/ignored): ${needsAttentionCount}`);
+  Logger.log(`⏰ Left for the next run (time budget): ${deferredIds.length}`);
   Logger.log(`✗ Errors: ${errorCount}`);
   Logger.log('='.repeat(70));
   
@@ -205,7 +481,8 @@ function onCalendarTrigger() {
  * Now returns metadata for storage in Event Tracker
  * 
  * @param {CalendarEvent} event - The calendar event
- * @returns {Object} { eventData, buildFileId, leaderFolderId }
+ * @returns {Object|null} { eventData, buildFileId, leaderFolderId }, or null if the
+ *   booking was sent to the "Needs Company" sheet
  */
 function processPhase1Event(event) {
   // Defensive check: ensure event exists
@@ -229,6 +506,13 @@ function processPhase1Event(event) {
     Logger.log('\n[1/4] Extracting event data...');
     eventData = CalendarUtils.extractEventData(event);
     
+    // Personal email + no company on the form - don't create a "Gmail" folder
+    if (eventData.needsCompany) {
+      Logger.log(`   ⚠️ Company unknown: ${eventData.companyReason}`);
+      CompanyResolver.queueForReview(event, eventData);
+      return null;
+    }
+    
     // Step 2: Create folder structure
     Logger.log('\n[2/4] Creating folder structure...');
     folders = FolderUtils.createLeaderFolderStructure(eventData);
@@ -237,13 +521,20 @@ function processPhase1Event(event) {
     Logger.log('\n[3/4] Processing Build File...');
     buildFile = BuildFileManager.processLeaderBuildFile(eventData, folders.leaderFolder);
     
-    // Step 4: Send notification (if enabled)
+    // Payment status (non-critical - checkout may not have happened yet)
+    PaymentsTracker.applyToBuildFile(buildFile, eventData);
+    
+    // Step 4: Finalize (reported in the daily digest)
     Logger.log('\n[4/4] Finalizing...');
-    EmailUtils.sendSuccessEmail(eventData, buildFile);
+    eventData.buildFileUrl = buildFile.getUrl();
     
     // Log success
     LoggerUtils.logSuccess(eventData, folders, buildFile);
     
+    if (eventData.companySource === 'review') {
+      CompanyResolver.markResolved(eventData.eventId);
+    }
+    
     // Return metadata for Event Tracker storage
     return {
       eventData: eventData,
@@ -326,6 +617,7 @@ function processPhase2Event(event) {
     Logger.log(`Build File: ${buildFile.getUrl()}`);
     Logger.log('═'.repeat(70));
     
+    eventData.buildFileUrl = buildFile.getUrl();
     return eventData; // Return for tracking
     
   } catch (error) {
@@ -333,6 +625,70 @@ function processPhase2Event(event) {
   }
 }
 
+/**
+ * Process a single Phase 3 event (NEW in v2.3.0)
+ * Phase 3 sessions are booked by team members, so the Build File is found
+ * via the leader's email ("Leader Email:" field, falling back to the booking email)
+ * 
+ * @param {CalendarEvent} event - The calendar event
+ * @returns {Object} { eventData, buildFileId }
+ */
+function processPhase3Event(event) {
+  Logger.log(`\n${'─'.repeat(70)}`);
+  Logger.log(`Processing Phase 3: ${event.getTitle()}`);
+  Logger.log('─'.repeat(70));
+  
+  // Step 1: Extract event data
+  Logger.log('\n[1/3] Extracting event data...');
+  const eventData = CalendarUtils.extractEventData(event);
+  eventData.sessionType = CalendarUtils.getPhase3SessionType(event);
+  
+  const leaderEmail = eventData.leaderEmail || eventData.email;
+  Logger.log(`   Team Member: ${eventData.fullName}`);
+  Logger.log(`   Email: ${eventData.email}`);
+  Logger.log(`   Leader Email: ${leaderEmail}`);
+  Logger.log(`   Session: ${eventData.sessionType === 'actionPlanning' ? 'Action Planning' : 'One-on-One'}`);
+  
+  // Step 2: Find the leader's Build File using email lookup
+  Logger.log('\n[2/3] Finding Build File...');
+  const trackerResult = ProcessedEventsTracker.findByEmail(leaderEmail);
+  
+  let buildFile = null;
+  if (trackerResult && trackerResult.buildFileId) {
+    Logger.log(`   ✓ Found in Event Tracker via email lookup`);
+    buildFile = ProcessedEventsTracker.getBuildFileById(trackerResult.buildFileId);
+  }
+  
+  if (!buildFile) {
+    throw new Error(`Build File not found for leader ${leaderEmail} (team member ${eventData.fullName}). Phase 1 may not have been completed yet.`);
+  }
+  
+  Logger.log(`   ✓ Found Build File: ${buildFile.getName()}`);
+  
+  // Step 3: Update Phase 3 Settings
+  Logger.log('\n[3/3] Updating Phase 3 Settings...');
+  BuildFileManager.updatePhase3Settings(buildFile, eventData);
+  
+  // Log success
+  Logger.log('\n' + '═'.repeat(70));
+  Logger.log('✓ SUCCESS - Phase 3 Update Complete');
+  Logger.log('═'.repeat(70));
+  Logger.log(`Team Member: ${eventData.fullName}`);
+  Logger.log(`Leader: ${trackerResult.leaderName}`);
+  Logger.log(`Phase 3 Date: ${eventData.formattedDate}`);
+  Logger.log(`Phase 3 Time: ${eventData.formattedTime}`);
+  Logger.log(`Zoom Link: ${eventData.zoomLink}`);
+  Logger.log(`Build File: ${buildFile.getUrl()}`);
+  Logger.log('═'.repeat(70));
+  
+  eventData.buildFileUrl = buildFile.getUrl();
+  
+  return {
+    eventData: eventData,
+    buildFileId: buildFile.getId()
+  };
+}
+
 /**
  * Fallback function: Find Build File by searching folder structure
  * Used when email lookup fails (old records, deleted tracker entries, etc.)
@@ -343,6 +699,12 @@ function processPhase2Event(event) {
 function findBuildFileByFolderSearch(eventData) {
   Logger.log(`   🔍 Searching folders for: ${eventData.fullName}`);
   
+  // Personal email with no company - there's no company folder to search
+  if (!eventData.companyName) {
+    Logger.log(`   ✗ No company name to search by`);
+    return null;
+  }
+  
   try {
     const strongTeamsFolder = DriveApp.getFolderById(CONFIG.STRONG_TEAMS_FOLDER_ID);
     
@@ -385,22 +747,41 @@ function findBuildFileByFolderSearch(eventData) {
 
 /**
  * Handle errors for a specific event
+ * 
+ * @param {CalendarEvent} event - The event that failed
+ * @param {Error} error - The failure
+ * @param {string} [phase] - Phase being processed ('' if not yet known)
+ * @returns {string} Error detail for the logs, e.g. "[Transient] Service invoked too many times..."
  */
-function handleEventError(event, error) {
-  let eventData = null;
+function handleEventError(event, error, phase) {
+  let eventData = error.eventData || null;
+  
+  // Transient (rate limit, 5xx, timeout) or Permanent (needs fixing) - see Retryutils.js
+  error.errorType = RetryUtils.classify(error);
+  const detail = `[${error.errorType}] ${error.message}`;
   
   try {
     // Try to extract data even on error (for logging)
-    eventData = CalendarUtils.extractEventData(event);
+    eventData = eventData || CalendarUtils.extractEventData(event);
   } catch (e) {
     // If we can't extract data, that's ok - we'll log without it
+    eventData = e.eventData || null;
   }
   
   // Log error
   LoggerUtils.logError(event, eventData, error);
   
-  // Send error email
-  EmailUtils.sendErrorEmail(event, eventData, error);
+  // Needs Attention sheet - parsed fields, retry count, coach overrides
+  try {
+    ReviewQueue.recordFailure(event, eventData, error, phase || '');
+  } catch (e) {
+    Logger.log(`⚠️ Could not update "${CONFIG.REVIEW_QUEUE.sheetName}" sheet: ${e.message}`);
+  }
+  
+  // Reported (grouped by cause) in the daily digest
+  ActivityLog.record(ActivityLog.TYPES.ERROR, event, phase, eventData, detail);
+  
+  return detail;
 }
 
 // ============================================================================
@@ -413,6 +794,7 @@ function handleEventError(event, error) {
  */
 function testPhase1Automation() {
   Logger.log('=== MANUAL TEST MODE - PHASE 1 ===\n');
+  ConfigLoader.load(['IDS_API.apiKey']);
   
   // Get your actual calendar
   const calendar = CalendarApp.getDefaultCalendar();
@@ -437,6 +819,11 @@ function testPhase1Automation() {
       try {
         const result = processPhase1Event(event);
         
+        if (!result) {
+          Logger.log(`\n⏸️ Company unknown - added to "${CONFIG.COMPANIES.needsCompanySheetName}" sheet`);
+          return;
+        }
+        
         // Mark as processed with full metadata
         ProcessedEventsTracker.markEventProcessed(event, 'Phase 1', {
           fullName: result.eventData.fullName,
@@ -468,6 +855,7 @@ function testPhase1Automation() {
  */
 function testPhase2Automation() {
   Logger.log('=== MANUAL TEST MODE - PHASE 2 (Email Lookup) ===\n');
+  ConfigLoader.load();
   
   // Get your actual calendar
   const calendar = CalendarApp.getDefaultCalendar();
@@ -801,6 +1189,7 @@ function testDeduplication() {
   Logger.log(`   Total tracked events: ${stats.total}`);
   Logger.log(`   Phase 1: ${stats.phase1}`);
   Logger.log(`   Phase 2: ${stats.phase2}`);
+  Logger.log(`   Phase 3: ${stats.phase3}`);
   Logger.log(`   With Email: ${stats.withEmail}`);
   Logger.log(`   With File ID: ${stats.withFileId}`);
   
@@ -816,10 +1205,11 @@ function testDeduplication() {
   events.forEach((event, index) => {
     const isP1 = CalendarUtils.isPhase1Event(event);
     const isP2 = CalendarUtils.isPhase2Event(event);
+    const isP3 = CalendarUtils.isPhase3Event(event);
     
-    if (!isP1 && !isP2) return; // Skip non-Strong Teams events
+    if (!isP1 && !isP2 && !isP3) return; // Skip non-Strong Teams events
     
-    const phase = isP1 ? 'Phase 1' : 'Phase 2';
+    const phase = isP1 ? 'Phase 1' : (isP2 ? 'Phase 2' : 'Phase 3');
     const status = ProcessedEventsTracker.isEventProcessed(event);
     
     if (status.processed) {
@@ -18,6 +18,7 @@ function buildMenu() {
   ui.createMenu('🎯 Strengths Tools')
     .addSubMenu(ui.createMenu('📊 Create Graphics')
       .addItem('Extract Data from IDS Export', 'extractIDSExportData')
+      .addItem('Import IDS Export from API', 'importIDSExportFromAPI')
       .addItem('Generate Strengths Charts', 'generateStrengthsCharts')
       .addItem('Generate Strengths Wheel SVG', 'buildStrengthsWheelURL'))
     .addSeparator()
@@ -26,10 +27,14 @@ function buildMenu() {
       .addItem('Phase 1: Follow-up Email', 'generatePhase1FollowUpEmail')
       .addItem('Phase 2: Assignment Email', 'generatePhase2AssignmentEmail')
       .addItem('Phase 3: Follow-up Email', 'generatePhase3FollowUpEmail')
-      .addItem('Phase 3: Team Assignment Email', 'generatePhase3TeamAssignmentEmail'))
+      .addItem('Phase 3: Team Assignment Email', 'generatePhase3TeamAssignmentEmail')
+      .addSeparator()
+      .addItem('Toggle Template Preview', 'toggleTemplatePreview')
+      .addItem('Refresh Email Status', 'refreshEmailStatus'))
     .addSeparator()
     .addSubMenu(ui.createMenu('🔗 Assessment Tools')
-      .addItem('Create Interview Link', 'createInterviewLink'))
+      .addItem('Create Interview Link', 'createInterviewLink')
+      .addItem('Check Assessment Completion', 'checkThisBuildFileAssessments'))
     .addToUi();
 }
 
@@ -0,0 +1,345 @@
+/**
+ * Strong Teams Automation - Payments Tracker
+ * 
+ * @version 1.2.1
+ * @phase Dry Run
+ * @description Record Stripe checkouts and link them to the leader's Build File
+ * @lastUpdated 2026-10-18
+ * 
+ * CHANGELOG v1.2.1:
+ * - Added findBySessionId() (paid invoices mark their own checkout, see Receivablestracker.js)
+ * 
+ * CHANGELOG v1.2.0:
+ * - Dry run: setBuildFileLink() is planned, not written (see Dryrun.js)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Added setStatus() so paid NET 30 invoices flip the payment to "Paid"
+ * 
+ * Every checkout.session.completed webhook (paid or pay-later) is written to
+ * the "Payments" sheet in the Event Tracker spreadsheet. Payments are matched
+ * to Event Tracker records by customer email:
+ * 
+ * - Checkout AFTER Phase 1 was processed → Build File updated right away
+ * - Checkout BEFORE Phase 1 was processed → Build File updated when Phase 1 runs
+ * 
+ * Column Structure:
+ * A: Session ID
+ * B: Stripe Event ID
+ * C: Customer Name
+ * D: Customer Email
+ * E: Amount Paid      (amount_total, in currency units)
+ * F: Amount Due       (amount_subtotal - what the invoice is for on pay-later)
+ * G: Currency
+ * H: Payment Status
+ * I: Checkout Date
+ * J: Build File ID    (filled once matched to an Event Tracker record)
+ * K: Linked At
+ */
+
+const PaymentsTracker = {
+  
+  // Column indices (0-based for arrays, 1-based for sheets)
+  COLUMNS: {
+    SESSION_ID: 0,
+    STRIPE_EVENT_ID: 1,
+    CUSTOMER_NAME: 2,
+    CUSTOMER_EMAIL: 3,
+    AMOUNT_PAID: 4,
+    AMOUNT_DUE: 5,
+    CURRENCY: 6,
+    STATUS: 7,
+    CHECKOUT_DATE: 8,
+    BUILD_FILE_ID: 9,
+    LINKED_AT: 10
+  },
+  
+  // Header row - order must match COLUMNS
+  HEADERS: [
+    'Session ID',
+    'Stripe Event ID',
+    'Customer Name',
+    'Customer Email',
+    'Amount Paid',
+    'Amount Due',
+    'Currency',
+    'Payment Status',
+    'Checkout Date',
+    'Build File ID',
+    'Linked At'
+  ],
+  
+  // Values for the Payment Status column
+  STATUSES: {
+    PAID: 'Paid',
+    PAY_LATER: 'Pay Later (NET 30)',
+    UNPAID: 'Unpaid'
+  },
+  
+  /**
+   * Get or create the Payments sheet in the Event Tracker spreadsheet
+   * @returns {Sheet} The Payments sheet
+   */
+  getPaymentsSheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.PAYMENTS.sheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.PAYMENTS.sheetName);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setValues([this.HEADERS]);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 300);
+      sheet.setColumnWidth(4, 200);
+      sheet.setColumnWidth(10, 300);
+      Logger.log(`✓ Created "${CONFIG.PAYMENTS.sheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Record a completed Checkout Session (updates the row if the session is already recorded)
+   * @param {Object} session - Stripe Checkout Session object
+   * @param {string} stripeEventId - The webhook event ID (evt_...)
+   * @param {boolean} isPayLater - True for 100% discount / pay-later checkouts
+   * @returns {Object} The recorded payment
+   */
+  recordCheckout: function(session, stripeEventId, isPayLater) {
+    const details = session.customer_details || {};
+    const currency = (session.currency || 'usd').toUpperCase();
+    
+    let status = this.STATUSES.UNPAID;
+    if (isPayLater) {
+      status = this.STATUSES.PAY_LATER;
+    } else if (session.payment_status === 'paid') {
+      status = this.STATUSES.PAID;
+    }
+    
+    const row = [
+      session.id,
+      stripeEventId,
+      details.name || '',
+      (details.email || session.customer_email || '').toLowerCase().trim(),
+      (session.amount_total || 0) / 100,
+      (session.amount_subtotal || session.amount_total || 0) / 100,
+      currency,
+      status,
+      new Date(session.created * 1000),
+      '',
+      ''
+    ];
+    
+    const sheet = this.getPaymentsSheet();
+    const existing = this.findRowBySessionId(sheet, session.id);
+    
+    let rowIndex;
+    if (existing > 0) {
+      // Keep any Build File link from the earlier recording
+      const link = sheet.getRange(existing, this.COLUMNS.BUILD_FILE_ID + 1, 1, 2).getValues()[0];
+      row[this.COLUMNS.BUILD_FILE_ID] = link[0];
+      row[this.COLUMNS.LINKED_AT] = link[1];
+      sheet.getRange(existing, 1, 1, row.length).setValues([row]);
+      rowIndex = existing;
+    } else {
+      sheet.appendRow(row);
+      rowIndex = sheet.getLastRow();
+    }
+    
+    Logger.log(`✓ Payment recorded: ${row[this.COLUMNS.CUSTOMER_EMAIL]} - ${status} (${this.formatAmount(row[this.COLUMNS.AMOUNT_DUE], currency)})`);
+    
+    return this.rowToPayment(row, rowIndex);
+  },
+  
+  /**
+   * Find a Payments row by Checkout Session ID
+   * @param {Sheet} sheet - The Payments sheet
+   * @param {string} sessionId - Checkout Session ID (cs_...)
+   * @returns {number} 1-based row number, or -1 if not found
+   */
+  findRowBySessionId: function(sheet, sessionId) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return -1;
+    
+    const ids = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+    for (let i = 0; i < ids.length; i++) {
+      if (ids[i][0] === sessionId) {
+        return i + 2;
+      }
+    }
+    return -1;
+  },
+  
+  /**
+   * Find a payment by Checkout Session ID
+   * @param {string} sessionId - Checkout Session ID (cs_...)
+   * @returns {Object|null} The payment or null if not recorded
+   * @since v1.2.1
+   */
+  findBySessionId: function(sessionId) {
+    if (!sessionId) return null;
+    
+    const sheet = this.getPaymentsSheet();
+    const rowIndex = this.findRowBySessionId(sheet, sessionId);
+    if (rowIndex === -1) return null;
+    
+    const row = sheet.getRange(rowIndex, 1, 1, this.HEADERS.length).getValues()[0];
+    return this.rowToPayment(row, rowIndex);
+  },
+  
+  /**
+   * Find the most recent payment for an email address
+   * @param {string} email - Customer / leader email
+   * @returns {Object|null} The payment or null if none recorded
+   */
+  findLatestByEmail: function(email) {
+    if (!email) return null;
+    
+    const normalizedEmail = email.toLowerCase().trim();
+    const data = this.getPaymentsSheet().getDataRange().getValues();
+    
+    for (let i = data.length - 1; i >= 1; i--) {
+      if ((data[i][this.COLUMNS.CUSTOMER_EMAIL] || '').toLowerCase().trim() === normalizedEmail) {
+        return this.rowToPayment(data[i], i + 1);
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Match a payment to its Event Tracker record and update the Build File
+   * If Phase 1 hasn't been processed yet, the link happens in applyToBuildFile()
+   * 
+   * @param {Object} payment - From recordCheckout()
+   * @returns {boolean} True if a Build File was updated
+   */
+  linkToBuildFile: function(payment) {
+    const trackerResult = ProcessedEventsTracker.findByEmail(payment.email, payment.customerName);
+    
+    if (!trackerResult || !trackerResult.buildFileId) {
+      Logger.log(`ℹ No Event Tracker record for ${payment.email} yet - will link when Phase 1 is processed`);
+      return false;
+    }
+    
+    const buildFile = ProcessedEventsTracker.getBuildFileById(trackerResult.buildFileId);
+    if (!buildFile) {
+      return false;
+    }
+    
+    BuildFileManager.updatePaymentStatus(buildFile, payment);
+    this.setBuildFileLink(payment.rowIndex, trackerResult.buildFileId);
+    return true;
+  },
+  
+  /**
+   * Write the leader's latest payment into a newly processed Build File
+   * Called from processPhase1Event() - never fails the Phase 1 run
+   * 
+   * @param {File} buildFile - The leader's Build File
+   * @param {Object} eventData - Extracted Phase 1 event data
+   */
+  applyToBuildFile: function(buildFile, eventData) {
+    try {
+      const payment = this.findLatestByEmail(eventData.email);
+      
+      BuildFileManager.updatePaymentStatus(buildFile, payment);
+      
+      if (payment) {
+        this.setBuildFileLink(payment.rowIndex, buildFile.getId());
+      }
+    } catch (error) {
+      Logger.log(`  ⚠️ Could not add payment status: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Store the matched Build File ID on a Payments row
+   * @param {number} rowIndex - 1-based Payments row
+   * @param {string} buildFileId - Build File ID
+   */
+  setBuildFileLink: function(rowIndex, buildFileId) {
+    if (DryRun.isActive()) {
+      DryRun.record('PaymentsTracker', 'Link payment to Build File', `${CONFIG.PAYMENTS.sheetName} row ${rowIndex}`, buildFileId);
+      return;
+    }
+    
+    this.getPaymentsSheet()
+      .getRange(rowIndex, this.COLUMNS.BUILD_FILE_ID + 1, 1, 2)
+      .setValues([[buildFileId, new Date()]]);
+  },
+  
+  /**
+   * Update the Payment Status of a Payments row
+   * @param {number} rowIndex - 1-based Payments row
+   * @param {string} status - One of STATUSES
+   * @since v1.1.0
+   */
+  setStatus: function(rowIndex, status) {
+    this.getPaymentsSheet().getRange(rowIndex, this.COLUMNS.STATUS + 1).setValue(status);
+  },
+  
+  /**
+   * Convert a Payments row to a payment object
+   * @param {Array} row - Row values
+   * @param {number} rowIndex - 1-based row number
+   * @returns {Object} The payment
+   */
+  rowToPayment: function(row, rowIndex) {
+    return {
+      rowIndex: rowIndex,
+      sessionId: row[this.COLUMNS.SESSION_ID],
+      customerName: row[this.COLUMNS.CUSTOMER_NAME],
+      email: row[this.COLUMNS.CUSTOMER_EMAIL],
+      amountPaid: row[this.COLUMNS.AMOUNT_PAID],
+      amountDue: row[this.COLUMNS.AMOUNT_DUE],
+      currency: row[this.COLUMNS.CURRENCY],
+      status: row[this.COLUMNS.STATUS],
+      checkoutDate: row[this.COLUMNS.CHECKOUT_DATE],
+      buildFileId: row[this.COLUMNS.BUILD_FILE_ID]
+    };
+  },
+  
+  /**
+   * Format an amount for emails and the Build File
+   * Example: 500 + "USD" → "$500.00 USD"
+   * 
+   * @param {number} amount - Amount in currency units (not cents)
+   * @param {string} currency - ISO currency code
+   * @returns {string} Formatted amount
+   */
+  formatAmount: function(amount, currency) {
+    const code = (currency || 'usd').toUpperCase();
+    const symbol = code === 'USD' || code === 'CAD' ? '$' : '';
+    return `${symbol}${Number(amount || 0).toFixed(2)} ${code}`;
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Re-link every unlinked payment (e.g. after Phase 1 was reprocessed)
+ */
+function linkUnmatchedPayments() {
+  ConfigLoader.load();
+  const sheet = PaymentsTracker.getPaymentsSheet();
+  const data = sheet.getDataRange().getValues();
+  let linked = 0;
+  
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][PaymentsTracker.COLUMNS.BUILD_FILE_ID]) continue;
+    
+    try {
+      if (PaymentsTracker.linkToBuildFile(PaymentsTracker.rowToPayment(data[i], i + 1))) {
+        linked++;
+      }
+    } catch (error) {
+      Logger.log(`✗ ${data[i][PaymentsTracker.COLUMNS.CUSTOMER_EMAIL]}: ${error.message}`);
+    }
+  }
+  
+  Logger.log(`✓ Linked ${linked} payment(s) to Build Files`);
+}
\ No newline at end of file
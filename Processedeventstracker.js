@@ -1,10 +1,53 @@
 /**
  * Strong Teams Automation - Processed Events Tracker
  * 
- * @version 2.0.0
- * @phase Phase 2 Enhanced - Email-Based Lookup
+ * @version 2.6.0
+ * @phase Dry Run
  * @description Track processed calendar events with email-based Build File lookup
- * @lastUpdated 2024-12-28
+ * @lastUpdated 2026-10-18
+ * 
+ * CHANGELOG v2.6.0:
+ * - Added Session Type column (Phase 3: actionPlanning / oneOnOne) so EventReconciler can
+ *   tell a member's One-on-One from their Action Planning (run migrateEventTracker() once)
+ * 
+ * CHANGELOG v2.5.3:
+ * - Added resolveBuildFileId() (Phase 2 rows don't store the Build File ID)
+ * 
+ * CHANGELOG v2.5.2:
+ * - commitBatch() grows the sheet before writing appended rows past its last row
+ *   (the batch - and its Build File IDs - was lost once the sheet was full)
+ * - beginBatch() no longer loads the sheet, so the cached "processed and unchanged" /
+ *   email answers are used by onCalendarTrigger(); the sheet is read on the first write
+ *   or uncached lookup
+ * 
+ * CHANGELOG v2.5.1:
+ * - commitBatch() writes only the changed rows (one setValues() per run of adjacent rows) -
+ *   coach edits to other rows made during a run are no longer reverted
+ * 
+ * CHANGELOG v2.5.0:
+ * - Dry run: tracker writes stay in the in-memory index (later events in the run see
+ *   them) and commitBatch() adds them to the plan instead of the sheet
+ * 
+ * CHANGELOG v2.4.0:
+ * - Added findByBuildFileId() (leader email for phase email drafts)
+ * 
+ * CHANGELOG v2.3.0:
+ * - Tracker sheet is read ONCE per execution into an in-memory index (event ID + email)
+ * - beginBatch() / commitBatch(): writes stay in memory and go to the sheet in one call
+ * - "Processed and unchanged" and email lookups are cached in CacheService
+ *   (CONFIG.PROCESSED_EVENTS.cacheMinutes) so most runs never open the sheet
+ * - cleanupOldRecords() and resetEventTracking() invalidate the cache
+ * 
+ * CHANGELOG v2.2.0:
+ * - Added Status column (Processed / Cancelled / Rescheduled)
+ * - Added getActiveFutureRecords() and setStatus() for EventReconciler
+ * - Cancelled events that reappear on the calendar are reprocessed
+ * - migrateAddNewColumns() now adds any missing header (run migrateEventTracker() once)
+ * 
+ * CHANGELOG v2.1.0:
+ * - Phase 3 rows store the team member's email + the leader's Build File ID
+ * - findByEmail() ignores Phase 3 rows (team member emails are not leaders)
+ * - getStats() now counts Phase 3 records
  * 
  * CHANGELOG v2.0.0:
  * - Added Leader Email column for Phase 2 lookup
@@ -25,6 +68,8 @@
  * I: Leader Email      <- NEW in v2.0.0
  * J: Build File ID     <- NEW in v2.0.0
  * K: Leader Folder ID  <- NEW in v2.0.0
+ * L: Status            <- NEW in v2.2.0 (blank = Processed, for older rows)
+ * M: Session Type      <- NEW in v2.6.0 (Phase 3 only)
  */
 
 const ProcessedEventsTracker = {
@@ -41,9 +86,47 @@ const ProcessedEventsTracker = {
     LAST_UPDATED: 7,
     LEADER_EMAIL: 8,      // NEW
     BUILD_FILE_ID: 9,     // NEW
-    LEADER_FOLDER_ID: 10  // NEW
+    LEADER_FOLDER_ID: 10, // NEW
+    STATUS: 11,           // NEW in v2.2.0
+    SESSION_TYPE: 12      // NEW in v2.6.0
   },
   
+  // Header row - order must match COLUMNS
+  HEADERS: [
+    'Event ID',
+    'Fingerprint',
+    'Phase',
+    'Leader Name',
+    'Company',
+    'Event Date',
+    'Processed At',
+    'Last Updated',
+    'Leader Email',
+    'Build File ID',
+    'Leader Folder ID',
+    'Status',
+    'Session Type'
+  ],
+  
+  // Values for the Status column
+  STATUSES: {
+    PROCESSED: 'Processed',
+    CANCELLED: 'Cancelled',
+    RESCHEDULED: 'Rescheduled'
+  },
+  
+  // Script Property bumped to invalidate every cached lookup (see invalidateCache)
+  CACHE_GENERATION_PROPERTY: 'TRACKER_CACHE_GENERATION',
+  
+  // In-memory copy of the tracker sheet for this execution (see loadIndex)
+  index: null,
+  
+  // True between beginBatch() and commitBatch() - writes stay in the index
+  batching: false,
+  
+  // Current cache generation (read from Script Properties on first use)
+  cacheGeneration: undefined,
+  
   /**
    * Get or create the tracking spreadsheet
    * @returns {Spreadsheet} The tracking spreadsheet
@@ -92,19 +175,7 @@ const ProcessedEventsTracker = {
     sheet.setName(CONFIG.PROCESSED_EVENTS.sheetName);
     
     // Add headers (including NEW columns)
-    const headers = [
-      'Event ID',
-      'Fingerprint',
-      'Phase',
-      'Leader Name',
-      'Company',
-      'Event Date',
-      'Processed At',
-      'Last Updated',
-      'Leader Email',      // NEW
-      'Build File ID',     // NEW
-      'Leader Folder ID'   // NEW
-    ];
+    const headers = this.HEADERS;
     
     sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
     sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
@@ -126,6 +197,8 @@ const ProcessedEventsTracker = {
     sheet.setColumnWidth(9, 200);  // Leader Email (NEW)
     sheet.setColumnWidth(10, 300); // Build File ID (NEW)
     sheet.setColumnWidth(11, 300); // Leader Folder ID (NEW)
+    sheet.setColumnWidth(12, 100); // Status (NEW in v2.2.0)
+    sheet.setColumnWidth(13, 120); // Session Type (NEW in v2.6.0)
     
     Logger.log(`✓ Created tracking spreadsheet: ${ss.getUrl()}`);
     Logger.log(`⚠️ IMPORTANT: Copy this spreadsheet ID to CONFIG.PROCESSED_EVENTS.spreadsheetId:`);
@@ -172,34 +245,45 @@ const ProcessedEventsTracker = {
     const eventId = event.getId();
     const currentFingerprint = this.generateFingerprint(event);
     
-    const ss = this.getTrackingSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.PROCESSED_EVENTS.sheetName);
+    // Cached "processed and unchanged" answer - no sheet read needed
+    if (!this.index) {
+      const cached = this.getCached('event', eventId);
+      if (cached && cached.fingerprint === currentFingerprint && this.isActiveStatus(cached.status)) {
+        return { processed: true, needsUpdate: false, rowIndex: cached.rowIndex };
+      }
+    }
     
-    if (!sheet) {
+    const index = this.loadIndex();
+    
+    if (!index.sheet) {
       Logger.log(`⚠️ Tracking sheet not found, creating...`);
       return { processed: false, needsUpdate: false, rowIndex: -1 };
     }
     
-    const data = sheet.getDataRange().getValues();
+    const i = index.byEventId[eventId];
     
-    // Skip header row, search for event ID
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][this.COLUMNS.EVENT_ID] === eventId) {
-        const storedFingerprint = data[i][this.COLUMNS.FINGERPRINT];
-        
-        if (storedFingerprint === currentFingerprint) {
-          // Event exists and hasn't changed
-          return { processed: true, needsUpdate: false, rowIndex: i + 1 };
-        } else {
-          // Event exists but details have changed - needs reprocessing
-          Logger.log(`🔄 Event details changed, will reprocess: ${event.getTitle()}`);
-          return { processed: false, needsUpdate: true, rowIndex: i + 1 };
-        }
-      }
+    // Event not found - needs processing
+    if (i === undefined) {
+      return { processed: false, needsUpdate: false, rowIndex: -1 };
     }
     
-    // Event not found - needs processing
-    return { processed: false, needsUpdate: false, rowIndex: -1 };
+    const row = index.rows[i];
+    
+    if (!this.isActiveStatus(row[this.COLUMNS.STATUS])) {
+      // Event was marked cancelled but is back on the calendar
+      Logger.log(`🔄 Previously cancelled event is back, will reprocess: ${event.getTitle()}`);
+      return { processed: false, needsUpdate: true, rowIndex: i + 1 };
+    }
+    
+    if (row[this.COLUMNS.FINGERPRINT] === currentFingerprint) {
+      // Event exists and hasn't changed
+      this.cacheRow(i);
+      return { processed: true, needsUpdate: false, rowIndex: i + 1 };
+    }
+    
+    // Event exists but details have changed - needs reprocessing
+    Logger.log(`🔄 Event details changed, will reprocess: ${event.getTitle()}`);
+    return { processed: false, needsUpdate: true, rowIndex: i + 1 };
   },
   
   /**
@@ -207,13 +291,14 @@ const ProcessedEventsTracker = {
    * Now stores email, Build File ID, and Folder ID for Phase 2 lookup
    * 
    * @param {CalendarEvent} event - The calendar event
-   * @param {string} phase - 'Phase 1' or 'Phase 2'
+   * @param {string} phase - 'Phase 1', 'Phase 2' or 'Phase 3'
    * @param {Object} eventData - Extracted event data
    * @param {string} eventData.fullName - Leader's full name
    * @param {string} eventData.companyName - Company name
    * @param {string} eventData.email - Leader's email (for lookup)
-   * @param {string} [eventData.buildFileId] - Build File ID (Phase 1 only)
+   * @param {string} [eventData.buildFileId] - Build File ID (Phase 1 and Phase 3)
    * @param {string} [eventData.leaderFolderId] - Leader Folder ID (Phase 1 only)
+   * @param {string} [eventData.sessionType] - 'actionPlanning' or 'oneOnOne' (Phase 3 only)
    * @param {number} existingRowIndex - If updating existing record, the row index
    */
   markEventProcessed: function(event, phase, eventData, existingRowIndex = -1) {
@@ -221,9 +306,6 @@ const ProcessedEventsTracker = {
       return;
     }
     
-    const ss = this.getTrackingSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.PROCESSED_EVENTS.sheetName);
-    
     const rowData = [
       event.getId(),                          // A: Event ID
       this.generateFingerprint(event),        // B: Fingerprint
@@ -235,16 +317,18 @@ const ProcessedEventsTracker = {
       new Date().toISOString(),               // H: Last Updated
       eventData.email || '',                  // I: Leader Email (NEW)
       eventData.buildFileId || '',            // J: Build File ID (NEW)
-      eventData.leaderFolderId || ''          // K: Leader Folder ID (NEW)
+      eventData.leaderFolderId || '',         // K: Leader Folder ID (NEW)
+      this.STATUSES.PROCESSED,                // L: Status (NEW in v2.2.0)
+      eventData.sessionType || ''             // M: Session Type (NEW in v2.6.0, Phase 3)
     ];
     
     if (existingRowIndex > 0) {
       // Update existing row
-      sheet.getRange(existingRowIndex, 1, 1, rowData.length).setValues([rowData]);
+      this.writeRow(existingRowIndex - 1, rowData);
       Logger.log(`📝 Updated tracking record for: ${eventData.fullName}`);
     } else {
       // Add new row
-      sheet.appendRow(rowData);
+      this.writeRow(-1, rowData);
       Logger.log(`📝 Added tracking record for: ${eventData.fullName}`);
     }
     
@@ -275,35 +359,30 @@ const ProcessedEventsTracker = {
     
     Logger.log(`🔍 Searching Event Tracker for email: ${normalizedEmail}`);
     
-    const ss = this.getTrackingSpreadsheet();
-    const sheet = ss.getSheetByName(CONFIG.PROCESSED_EVENTS.sheetName);
+    // STEP 1: Collect ALL matches for this email (index if loaded, else cache, else sheet)
+    let matches = this.index ? null : this.getCached('email', normalizedEmail);
     
-    if (!sheet) {
-      Logger.log(`⚠️ Tracking sheet not found`);
-      return null;
-    }
-    
-    const data = sheet.getDataRange().getValues();
-    
-    // STEP 1: Collect ALL matches for this email
-    const matches = [];
-    
-    for (let i = 1; i < data.length; i++) {
-      const rowEmail = (data[i][this.COLUMNS.LEADER_EMAIL] || '').toLowerCase().trim();
+    if (!matches) {
+      const index = this.loadIndex();
       
-      if (rowEmail === normalizedEmail) {
-        const buildFileId = data[i][this.COLUMNS.BUILD_FILE_ID];
-        
-        // Only consider rows that have a Build File ID
-        if (buildFileId) {
-          matches.push({
-            rowIndex: i,
-            buildFileId: buildFileId,
-            leaderFolderId: data[i][this.COLUMNS.LEADER_FOLDER_ID],
-            leaderName: data[i][this.COLUMNS.LEADER_NAME],
-            company: data[i][this.COLUMNS.COMPANY]
-          });
-        }
+      if (!index.sheet) {
+        Logger.log(`⚠️ Tracking sheet not found`);
+        return null;
+      }
+      
+      // Phase 3 rows hold team member emails - never indexed as a leader match
+      matches = (index.byEmail[normalizedEmail] || [])
+        .filter(i => index.rows[i][this.COLUMNS.BUILD_FILE_ID])  // Only rows with a Build File ID
+        .map(i => ({
+          rowIndex: i,
+          buildFileId: index.rows[i][this.COLUMNS.BUILD_FILE_ID],
+          leaderFolderId: index.rows[i][this.COLUMNS.LEADER_FOLDER_ID],
+          leaderName: index.rows[i][this.COLUMNS.LEADER_NAME],
+          company: index.rows[i][this.COLUMNS.COMPANY]
+        }));
+      
+      if (matches.length > 0) {
+        this.putCached('email', normalizedEmail, matches);
       }
     }
     
@@ -328,7 +407,7 @@ const ProcessedEventsTracker = {
     if (normalizedName) {
       // Filter by name (case-insensitive)
       const nameMatches = matches.filter(m => 
-        m.leaderName.toLowerCase().trim() === normalizedName
+        String(m.leaderName).toLowerCase().trim() === normalizedName
       );
       
       if (nameMatches.length === 1) {
@@ -352,6 +431,38 @@ const ProcessedEventsTracker = {
     return matches[0];
   },
   
+  /**
+   * Find the leader record for a Build File (Phase 1 / Phase 2 rows only)
+   * Used by the phase email generators to address Gmail drafts
+   * 
+   * @param {string} buildFileId - Build File spreadsheet ID
+   * @returns {Object|null} { email, leaderName, company } or null if not tracked
+   * @since v2.4.0
+   */
+  findByBuildFileId: function(buildFileId) {
+    if (!buildFileId) {
+      return null;
+    }
+    
+    const index = this.loadIndex();
+    
+    // Newest first - the latest booking has the most recent email
+    for (let i = index.rows.length - 1; i >= 1; i--) {
+      const row = index.rows[i];
+      
+      if (row[this.COLUMNS.BUILD_FILE_ID] !== buildFileId) continue;
+      if (row[this.COLUMNS.PHASE] === 'Phase 3' || !row[this.COLUMNS.LEADER_EMAIL]) continue;
+      
+      return {
+        email: row[this.COLUMNS.LEADER_EMAIL],
+        leaderName: row[this.COLUMNS.LEADER_NAME],
+        company: row[this.COLUMNS.COMPANY]
+      };
+    }
+    
+    return null;
+  },
+  
   /**
    * Get Build File directly by ID with error handling
    * @param {string} fileId - Google Drive file ID
@@ -362,6 +473,12 @@ const ProcessedEventsTracker = {
       return null;
     }
     
+    // Dry run: a Build File planned earlier in this run
+    const placeholder = DryRun.getPlaceholderById(fileId);
+    if (placeholder) {
+      return placeholder;
+    }
+    
     try {
       const file = DriveApp.getFileById(fileId);
       Logger.log(`✓ Retrieved Build File: ${file.getName()}`);
@@ -374,6 +491,366 @@ const ProcessedEventsTracker = {
     }
   },
   
+  /**
+   * Check whether a Status cell means the booking is still on
+   * Blank counts as active (rows written before v2.2.0)
+   * 
+   * @param {string} status - Value from the Status column
+   * @returns {boolean} True if the event is processed and not cancelled
+   * @since v2.2.0
+   */
+  isActiveStatus: function(status) {
+    return !status || status === this.STATUSES.PROCESSED;
+  },
+  
+  /**
+   * Build File ID for a record from getActiveFutureRecords()
+   * Phase 1 / Phase 3 rows store it; Phase 2 rows go through the leader email lookup
+   * 
+   * @param {Object} record - { buildFileId, email, leaderName }
+   * @returns {string} Build File ID, or '' if the leader has none tracked
+   * @since v2.5.3
+   */
+  resolveBuildFileId: function(record) {
+    if (record.buildFileId) {
+      return record.buildFileId;
+    }
+    
+    const match = record.email ? this.findByEmail(record.email, record.leaderName) : null;
+    return match ? match.buildFileId : '';
+  },
+  
+  /**
+   * Get active (not cancelled) records for events that haven't happened yet
+   * Used by EventReconciler to find bookings that disappeared from the calendar
+   * 
+   * @returns {Object[]} Records: { rowIndex, eventId, phase, leaderName, company, email, buildFileId, sessionType, eventDate }
+   * @since v2.2.0
+   */
+  getActiveFutureRecords: function() {
+    const index = this.loadIndex();
+    
+    if (!index.sheet) {
+      Logger.log(`⚠️ Tracking sheet not found`);
+      return [];
+    }
+    
+    const data = index.rows;
+    const now = new Date();
+    const records = [];
+    
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const eventDate = row[this.COLUMNS.EVENT_DATE] ? new Date(row[this.COLUMNS.EVENT_DATE]) : null;
+      
+      if (!eventDate || eventDate <= now) continue;
+      if (!this.isActiveStatus(row[this.COLUMNS.STATUS])) continue;
+      
+      records.push({
+        rowIndex: i + 1,
+        eventId: row[this.COLUMNS.EVENT_ID],
+        phase: row[this.COLUMNS.PHASE],
+        leaderName: row[this.COLUMNS.LEADER_NAME],
+        company: row[this.COLUMNS.COMPANY],
+        email: row[this.COLUMNS.LEADER_EMAIL],
+        buildFileId: row[this.COLUMNS.BUILD_FILE_ID],
+        sessionType: row[this.COLUMNS.SESSION_TYPE],
+        eventDate: eventDate
+      });
+    }
+    
+    return records;
+  },
+  
+  /**
+   * Set the Status column for a tracked event
+   * 
+   * @param {number} rowIndex - Sheet row (1-based)
+   * @param {string} status - One of STATUSES
+   * @since v2.2.0
+   */
+  setStatus: function(rowIndex, status) {
+    const row = this.loadIndex().rows[rowIndex - 1].slice();
+    
+    row[this.COLUMNS.STATUS] = status;
+    row[this.COLUMNS.LAST_UPDATED] = new Date().toISOString();
+    
+    this.writeRow(rowIndex - 1, row);
+  },
+  
+  // ==========================================================================
+  // IN-MEMORY INDEX + BATCHED WRITES (v2.3.0)
+  // ==========================================================================
+  
+  /**
+   * Read the tracker sheet once and index it by event ID and leader email
+   * Later calls in the same execution reuse the index (no sheet reads)
+   * 
+   * @returns {Object} { sheet, rows, width, byEventId, byEmail, dirty }
+   *   rows      = sheet values including the header row (rows[i] is sheet row i + 1)
+   *   byEventId = eventId → row position (first match, like the old scan)
+   *   byEmail   = lowercase leader email → row positions (Phase 3 rows excluded)
+   *   dirty     = row positions changed since beginBatch()
+   * @since v2.3.0
+   */
+  loadIndex: function() {
+    if (this.index) {
+      return this.index;
+    }
+    
+    const sheet = this.getTrackingSpreadsheet().getSheetByName(CONFIG.PROCESSED_EVENTS.sheetName);
+    const rows = sheet ? sheet.getDataRange().getValues() : [this.HEADERS.slice()];
+    const width = Math.max(this.HEADERS.length, rows[0].length);
+    
+    // Pre-migration sheets can be narrower than HEADERS - pad so batched writes are rectangular
+    rows.forEach(row => {
+      while (row.length < width) row.push('');
+    });
+    
+    this.index = { sheet: sheet, rows: rows, width: width, byEventId: {}, byEmail: {}, dirty: {} };
+    this.buildIndex();
+    
+    Logger.log(`📋 Event Tracker loaded: ${rows.length - 1} record(s)`);
+    
+    return this.index;
+  },
+  
+  /**
+   * Rebuild the event ID / email lookups from the in-memory rows
+   * @since v2.3.0
+   */
+  buildIndex: function() {
+    const index = this.index;
+    index.byEventId = {};
+    index.byEmail = {};
+    
+    for (let i = 1; i < index.rows.length; i++) {
+      const row = index.rows[i];
+      const eventId = row[this.COLUMNS.EVENT_ID];
+      
+      if (eventId && index.byEventId[eventId] === undefined) {
+        index.byEventId[eventId] = i;
+      }
+      
+      const email = String(row[this.COLUMNS.LEADER_EMAIL] || '').toLowerCase().trim();
+      if (email && row[this.COLUMNS.PHASE] !== 'Phase 3') {
+        (index.byEmail[email] = index.byEmail[email] || []).push(i);
+      }
+    }
+  },
+  
+  /**
+   * Write a tracker row through the index
+   * Batching (or a dry run): kept in memory until commitBatch(). Otherwise written straight away.
+   * 
+   * @param {number} i - Row position in index.rows (sheet row - 1), or -1 to append
+   * @param {Array} rowData - Values starting at column A
+   * @since v2.3.0
+   */
+  writeRow: function(i, rowData) {
+    const index = this.loadIndex();
+    
+    if (!index.sheet) {
+      throw new Error(`Tracking sheet "${CONFIG.PROCESSED_EVENTS.sheetName}" not found`);
+    }
+    
+    const append = i < 0;
+    const previousEmail = append ? '' : index.rows[i][this.COLUMNS.LEADER_EMAIL];
+    
+    if (append) {
+      i = index.rows.length;
+      index.rows.push(new Array(index.width).fill(''));
+    }
+    
+    rowData.forEach((value, col) => {
+      index.rows[i][col] = value;
+    });
+    
+    this.buildIndex();
+    
+    // Email matches may have changed - drop them now, even before the sheet write
+    this.removeCached('email', previousEmail);
+    this.removeCached('email', rowData[this.COLUMNS.LEADER_EMAIL]);
+    
+    if (this.batching || DryRun.isActive()) {
+      index.dirty[i] = true;
+      return;
+    }
+    
+    if (append) {
+      index.sheet.appendRow(rowData);
+    } else {
+      index.sheet.getRange(i + 1, 1, 1, rowData.length).setValues([rowData]);
+    }
+    
+    this.cacheRow(i);
+  },
+  
+  /**
+   * Start collecting tracker writes in memory (written by commitBatch)
+   * The sheet isn't read here - cached lookups answer until a write or a cache miss loads it
+   * @since v2.3.0
+   */
+  beginBatch: function() {
+    if (!CONFIG.PROCESSED_EVENTS.enabled) {
+      return;
+    }
+    
+    this.batching = true;
+  },
+  
+  /**
+   * Write every row changed since beginBatch() - one setValues() per run of adjacent rows
+   * Untouched rows are never written, so edits made to them during the run are kept
+   * Safe to call more than once - does nothing when there are no pending writes
+   * 
+   * @returns {number} Number of rows written
+   * @since v2.3.0
+   */
+  commitBatch: function() {
+    this.batching = false;
+    
+    if (!this.index) {
+      return 0;
+    }
+    
+    const index = this.index;
+    const dirtyRows = Object.keys(index.dirty).map(Number).sort((a, b) => a - b);
+    
+    if (dirtyRows.length === 0) {
+      return 0;
+    }
+    
+    // Dry run: report the rows, leave the sheet and cache alone
+    if (DryRun.isActive()) {
+      dirtyRows.forEach(i => {
+        const row = index.rows[i];
+        DryRun.record('ProcessedEventsTracker', i < index.sheet.getLastRow() ? 'Update tracker row' : 'Add tracker row',
+          `${CONFIG.PROCESSED_EVENTS.sheetName} row ${i + 1}`,
+          [row[this.COLUMNS.PHASE], row[this.COLUMNS.LEADER_NAME], row[this.COLUMNS.LEADER_EMAIL], row[this.COLUMNS.STATUS]].join(' | '));
+      });
+      index.dirty = {};
+      return dirtyRows.length;
+    }
+    
+    // Appended rows can run past the sheet's last row - getRange() would throw
+    const rowsNeeded = dirtyRows[dirtyRows.length - 1] + 1;
+    if (rowsNeeded > index.sheet.getMaxRows()) {
+      index.sheet.insertRowsAfter(index.sheet.getMaxRows(), rowsNeeded - index.sheet.getMaxRows());
+    }
+    
+    // Adjacent changed rows (e.g. appended ones) go in one call
+    let first = dirtyRows[0];
+    
+    dirtyRows.forEach((i, n) => {
+      if (dirtyRows[n + 1] === i + 1) return;
+      
+      index.sheet.getRange(first + 1, 1, i - first + 1, index.width)
+        .setValues(index.rows.slice(first, i + 1));
+      first = dirtyRows[n + 1];
+    });
+    
+    index.dirty = {};
+    dirtyRows.forEach(i => this.cacheRow(i));
+    
+    Logger.log(`📝 Event Tracker: saved ${dirtyRows.length} change(s)`);
+    
+    return dirtyRows.length;
+  },
+  
+  // ==========================================================================
+  // LOOKUP CACHE (v2.3.0)
+  // ==========================================================================
+  
+  /**
+   * Build a cache key that changes whenever invalidateCache() runs
+   * @param {string} type - 'event' or 'email'
+   * @param {string} value - Event ID or normalized email
+   * @returns {string} Cache key
+   * @since v2.3.0
+   */
+  cacheKey: function(type, value) {
+    if (this.cacheGeneration === undefined) {
+      this.cacheGeneration = PropertiesService.getScriptProperties()
+        .getProperty(this.CACHE_GENERATION_PROPERTY) || '0';
+    }
+    return `tracker:${this.cacheGeneration}:${type}:${value}`;
+  },
+  
+  /**
+   * Read a cached lookup
+   * @param {string} type - 'event' or 'email'
+   * @param {string} value - Event ID or normalized email
+   * @returns {*} Cached value or null
+   * @since v2.3.0
+   */
+  getCached: function(type, value) {
+    if (!CONFIG.PROCESSED_EVENTS.cacheMinutes || !value) {
+      return null;
+    }
+    
+    const cached = CacheService.getScriptCache().get(this.cacheKey(type, value));
+    return cached ? JSON.parse(cached) : null;
+  },
+  
+  /**
+   * Store a lookup in the script cache
+   * @param {string} type - 'event' or 'email'
+   * @param {string} value - Event ID or normalized email
+   * @param {*} data - JSON-serializable value
+   * @since v2.3.0
+   */
+  putCached: function(type, value, data) {
+    if (!CONFIG.PROCESSED_EVENTS.cacheMinutes || !value) {
+      return;
+    }
+    
+    // CacheService maximum is 6 hours
+    const seconds = Math.min(CONFIG.PROCESSED_EVENTS.cacheMinutes * 60, 21600);
+    CacheService.getScriptCache().put(this.cacheKey(type, value), JSON.stringify(data), seconds);
+  },
+  
+  /**
+   * Drop a cached lookup
+   * @param {string} type - 'event' or 'email'
+   * @param {string} value - Event ID or email (normalized here)
+   * @since v2.3.0
+   */
+  removeCached: function(type, value) {
+    if (!CONFIG.PROCESSED_EVENTS.cacheMinutes || !value) {
+      return;
+    }
+    
+    const key = type === 'email' ? String(value).toLowerCase().trim() : value;
+    CacheService.getScriptCache().remove(this.cacheKey(type, key));
+  },
+  
+  /**
+   * Cache the event lookup for a row that is saved to the sheet
+   * @param {number} i - Row position in index.rows
+   * @since v2.3.0
+   */
+  cacheRow: function(i) {
+    const row = this.index.rows[i];
+    
+    this.putCached('event', row[this.COLUMNS.EVENT_ID], {
+      fingerprint: row[this.COLUMNS.FINGERPRINT],
+      status: row[this.COLUMNS.STATUS],
+      rowIndex: i + 1
+    });
+  },
+  
+  /**
+   * Invalidate every cached lookup and the in-memory index
+   * Needed after rows are deleted or edited outside this module (row numbers shift)
+   * @since v2.3.0
+   */
+  invalidateCache: function() {
+    this.cacheGeneration = String(Date.now());
+    PropertiesService.getScriptProperties().setProperty(this.CACHE_GENERATION_PROPERTY, this.cacheGeneration);
+    this.index = null;
+  },
+  
   /**
    * Clean up old records beyond retention period
    * Should be run periodically (e.g., weekly)
@@ -409,6 +886,10 @@ const ProcessedEventsTracker = {
       }
     }
     
+    if (deletedCount > 0) {
+      this.invalidateCache();
+    }
+    
     Logger.log(`✓ Cleaned up ${deletedCount} old records`);
   },
   
@@ -421,19 +902,21 @@ const ProcessedEventsTracker = {
     const sheet = ss.getSheetByName(CONFIG.PROCESSED_EVENTS.sheetName);
     
     if (!sheet) {
-      return { total: 0, phase1: 0, phase2: 0, withEmail: 0, withFileId: 0 };
+      return { total: 0, phase1: 0, phase2: 0, phase3: 0, withEmail: 0, withFileId: 0 };
     }
     
     const data = sheet.getDataRange().getValues();
     
     let phase1Count = 0;
     let phase2Count = 0;
+    let phase3Count = 0;
     let withEmailCount = 0;
     let withFileIdCount = 0;
     
     for (let i = 1; i < data.length; i++) {
       if (data[i][this.COLUMNS.PHASE] === 'Phase 1') phase1Count++;
       if (data[i][this.COLUMNS.PHASE] === 'Phase 2') phase2Count++;
+      if (data[i][this.COLUMNS.PHASE] === 'Phase 3') phase3Count++;
       if (data[i][this.COLUMNS.LEADER_EMAIL]) withEmailCount++;
       if (data[i][this.COLUMNS.BUILD_FILE_ID]) withFileIdCount++;
     }
@@ -442,6 +925,7 @@ const ProcessedEventsTracker = {
       total: data.length - 1, // Exclude header
       phase1: phase1Count,
       phase2: phase2Count,
+      phase3: phase3Count,
       withEmail: withEmailCount,
       withFileId: withFileIdCount,
       spreadsheetUrl: ss.getUrl()
@@ -461,6 +945,7 @@ const ProcessedEventsTracker = {
     Logger.log(`   Total tracked: ${stats.total}`);
     Logger.log(`   Phase 1: ${stats.phase1}`);
     Logger.log(`   Phase 2: ${stats.phase2}`);
+    Logger.log(`   Phase 3: ${stats.phase3}`);
     Logger.log(`   With Email: ${stats.withEmail}`);
     Logger.log(`   With File ID: ${stats.withFileId}`);
     Logger.log(`   Spreadsheet: ${stats.spreadsheetUrl}`);
@@ -510,13 +995,13 @@ const ProcessedEventsTracker = {
     const lastCol = sheet.getLastColumn();
     Logger.log(`Current columns: ${lastCol}`);
     
-    if (lastCol >= 11) {
-      Logger.log('✓ Already has 11+ columns - migration not needed');
+    if (lastCol >= this.HEADERS.length) {
+      Logger.log(`✓ Already has ${this.HEADERS.length}+ columns - migration not needed`);
       return;
     }
     
     // Add headers for new columns
-    const newHeaders = ['Leader Email', 'Build File ID', 'Leader Folder ID'];
+    const newHeaders = this.HEADERS.slice(lastCol);
     const startCol = lastCol + 1;
     
     for (let i = 0; i < newHeaders.length; i++) {
@@ -531,6 +1016,8 @@ const ProcessedEventsTracker = {
     sheet.setColumnWidth(9, 200);  // Leader Email
     sheet.setColumnWidth(10, 300); // Build File ID
     sheet.setColumnWidth(11, 300); // Leader Folder ID
+    sheet.setColumnWidth(12, 100); // Status
+    sheet.setColumnWidth(13, 120); // Session Type
     
     Logger.log(`✓ Added ${newHeaders.length} new columns`);
     Logger.log('✓ Migration complete');
@@ -577,6 +1064,7 @@ function resetEventTracking() {
   
   if (sheet && sheet.getLastRow() > 1) {
     sheet.deleteRows(2, sheet.getLastRow() - 1);
+    ProcessedEventsTracker.invalidateCache();
     Logger.log('✓ All tracking records deleted');
   } else {
     Logger.log('ℹ️ No records to delete');
@@ -0,0 +1,383 @@
+/**
+ * Strong Teams Automation - Receivables Tracker
+ * 
+ * @version 1.1.2
+ * @phase Trigger Health
+ * @description Track NET 30 invoices for pay-later bookings from checkout to paid
+ * @lastUpdated 2026-10-18
+ * 
+ * Lifecycle (one row per customer email, newest row wins):
+ * 1. Pay-later checkout           → "Awaiting Invoice" (due date = checkout + NET days)
+ * 2. invoice.created              → "Invoice Created"
+ * 3. invoice.payment_failed       → "Payment Failed"
+ * 4. invoice.overdue              → "Overdue"
+ * 5. invoice.paid                 → "Paid" (Payments sheet + Build File updated too)
+ * 
+ * sendReceivablesDigest() runs daily (installReceivablesDigestTrigger) and
+ * emails the admin every unpaid invoice that is due soon or past due.
+ * 
+ * Stripe doesn't guarantee delivery order and resends events, so a Paid row is
+ * never moved back to an earlier status.
+ * 
+ * CHANGELOG v1.1.2:
+ * - A matched row takes the invoice's due_date whenever Stripe sends one (digest no longer
+ *   shows the NET-days estimate after the invoice sets or changes the date)
+ * - invoice.paid marks the receivable's own checkout paid (by Session ID) instead of the
+ *   customer's latest payment
+ * - isFinalStatus() replaces FINAL_STATUSES
+ * 
+ * CHANGELOG v1.1.1:
+ * - A late or resent invoice event no longer flips a Paid receivable back to unpaid
+ * - An invoice only falls back to a customer row that has no invoice yet
+ *   (a second invoice no longer overwrites the first one's row)
+ * - Rows created from an invoice use Stripe's due_date when it has one
+ * 
+ * CHANGELOG v1.1.0:
+ * - Digest trigger installed by TriggerManager (schedule in CONFIG.TRIGGERS)
+ * 
+ * Column Structure:
+ * A: Customer Email
+ * B: Customer Name
+ * C: Session ID
+ * D: Booking Date
+ * E: Due Date
+ * F: Amount Due
+ * G: Currency
+ * H: Invoice ID
+ * I: Invoice Number
+ * J: Invoice URL
+ * K: Status
+ * L: Last Updated
+ */
+
+const ReceivablesTracker = {
+  
+  // Column indices (0-based for arrays, 1-based for sheets)
+  COLUMNS: {
+    EMAIL: 0,
+    NAME: 1,
+    SESSION_ID: 2,
+    BOOKING_DATE: 3,
+    DUE_DATE: 4,
+    AMOUNT_DUE: 5,
+    CURRENCY: 6,
+    INVOICE_ID: 7,
+    INVOICE_NUMBER: 8,
+    INVOICE_URL: 9,
+    STATUS: 10,
+    LAST_UPDATED: 11
+  },
+  
+  // Header row - order must match COLUMNS
+  HEADERS: [
+    'Customer Email',
+    'Customer Name',
+    'Session ID',
+    'Booking Date',
+    'Due Date',
+    'Amount Due',
+    'Currency',
+    'Invoice ID',
+    'Invoice Number',
+    'Invoice URL',
+    'Status',
+    'Last Updated'
+  ],
+  
+  STATUSES: {
+    AWAITING_INVOICE: 'Awaiting Invoice',
+    INVOICE_CREATED: 'Invoice Created',
+    PAYMENT_FAILED: 'Payment Failed',
+    OVERDUE: 'Overdue',
+    PAID: 'Paid'
+  },
+  
+  // Stripe event type → receivable status
+  INVOICE_EVENTS: {
+    'invoice.created': 'Invoice Created',
+    'invoice.payment_failed': 'Payment Failed',
+    'invoice.overdue': 'Overdue',
+    'invoice.paid': 'Paid'
+  },
+  
+  /**
+   * Check for a status a receivable never leaves, whatever arrives later (see handleInvoiceEvent)
+   * @param {string} status - Status column value
+   * @returns {boolean} True if final
+   * @since v1.1.2
+   */
+  isFinalStatus: function(status) {
+    return status === this.STATUSES.PAID;
+  },
+  
+  /**
+   * Get or create the Receivables sheet in the Event Tracker spreadsheet
+   * @returns {Sheet} The Receivables sheet
+   */
+  getReceivablesSheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.RECEIVABLES.sheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.RECEIVABLES.sheetName);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setValues([this.HEADERS]);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 200);
+      sheet.setColumnWidth(3, 300);
+      sheet.setColumnWidth(10, 300);
+      Logger.log(`✓ Created "${CONFIG.RECEIVABLES.sheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Find the newest row for a customer email
+   * @param {Sheet} sheet - The Receivables sheet
+   * @param {string} email - Customer email
+   * @param {boolean} awaitingOnly - Skip rows that already have an invoice or are Paid
+   * @returns {number} 1-based row number, or -1 if not found
+   */
+  findRowByEmail: function(sheet, email, awaitingOnly) {
+    const normalizedEmail = (email || '').toLowerCase().trim();
+    if (!normalizedEmail) return -1;
+    
+    const data = sheet.getDataRange().getValues();
+    
+    for (let i = data.length - 1; i >= 1; i--) {
+      if ((data[i][this.COLUMNS.EMAIL] || '').toLowerCase().trim() !== normalizedEmail) continue;
+      if (awaitingOnly && (data[i][this.COLUMNS.INVOICE_ID] || data[i][this.COLUMNS.STATUS] === this.STATUSES.PAID)) continue;
+      return i + 1;
+    }
+    
+    return -1;
+  },
+  
+  /**
+   * Start tracking a pay-later checkout
+   * @param {Object} payment - From PaymentsTracker.recordCheckout()
+   */
+  openReceivable: function(payment) {
+    const sheet = this.getReceivablesSheet();
+    const data = sheet.getDataRange().getValues();
+    
+    // Stripe can resend the same checkout - one row per session
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][this.COLUMNS.SESSION_ID] === payment.sessionId) {
+        return;
+      }
+    }
+    
+    const dueDate = new Date(payment.checkoutDate);
+    dueDate.setDate(dueDate.getDate() + CONFIG.PAYMENTS.netTermsDays);
+    
+    sheet.appendRow([
+      payment.email,
+      payment.customerName,
+      payment.sessionId,
+      payment.checkoutDate,
+      dueDate,
+      payment.amountDue,
+      payment.currency,
+      '',
+      '',
+      '',
+      this.STATUSES.AWAITING_INVOICE,
+      new Date()
+    ]);
+    
+    Logger.log(`✓ Receivable opened: ${payment.email} due ${dueDate.toLocaleDateString('en-US')}`);
+  },
+  
+  /**
+   * Update the customer's receivable from an invoice.* webhook
+   * Invoices with no matching pay-later checkout get a row of their own.
+   * A Paid row keeps its status - a late invoice.created or a resent event is ignored.
+   * 
+   * @param {string} eventType - Stripe event type (e.g. "invoice.paid")
+   * @param {Object} invoice - Stripe Invoice object
+   * @returns {string} The new status
+   */
+  handleInvoiceEvent: function(eventType, invoice) {
+    const status = this.INVOICE_EVENTS[eventType];
+    if (!status) {
+      throw new Error(`Unsupported invoice event: ${eventType}`);
+    }
+    
+    const email = (invoice.customer_email || '').toLowerCase().trim();
+    const sheet = this.getReceivablesSheet();
+    
+    // Match the invoice ID first, then the customer's receivable still waiting for an invoice
+    let rowIndex = this.findRowByInvoiceId(sheet, invoice.id);
+    if (rowIndex === -1) {
+      rowIndex = this.findRowByEmail(sheet, email, true);
+    }
+    
+    let sessionId = '';
+    
+    if (rowIndex !== -1) {
+      const row = sheet.getRange(rowIndex, 1, 1, this.HEADERS.length).getValues()[0];
+      const current = row[this.COLUMNS.STATUS];
+      
+      if (this.isFinalStatus(current)) {
+        Logger.log(`ℹ Receivable for ${email} is already ${current} - ${eventType} ignored`);
+        return current;
+      }
+      
+      // The invoice's due date replaces the NET-days estimate (and follows later changes)
+      if (invoice.due_date) {
+        sheet.getRange(rowIndex, this.COLUMNS.DUE_DATE + 1).setValue(new Date(invoice.due_date * 1000));
+      }
+      
+      sessionId = row[this.COLUMNS.SESSION_ID];
+    } else {
+      const created = new Date(invoice.created * 1000);
+      let dueDate;
+      
+      if (invoice.due_date) {
+        dueDate = new Date(invoice.due_date * 1000);
+      } else {
+        dueDate = new Date(created);
+        dueDate.setDate(dueDate.getDate() + CONFIG.PAYMENTS.netTermsDays);
+      }
+      
+      sheet.appendRow([
+        email,
+        invoice.customer_name || '',
+        '',
+        created,
+        dueDate,
+        (invoice.amount_due || 0) / 100,
+        (invoice.currency || 'usd').toUpperCase(),
+        '', '', '', '', ''
+      ]);
+      rowIndex = sheet.getLastRow();
+      Logger.log(`ℹ No pay-later checkout for ${email} - tracking invoice on its own`);
+    }
+    
+    sheet.getRange(rowIndex, this.COLUMNS.INVOICE_ID + 1, 1, 5).setValues([[
+      invoice.id,
+      invoice.number || '',
+      invoice.hosted_invoice_url || '',
+      status,
+      new Date()
+    ]]);
+    
+    Logger.log(`✓ Receivable updated: ${email} → ${status}`);
+    
+    if (status === this.STATUSES.PAID) {
+      this.markPaymentPaid(sessionId);
+    }
+    
+    return status;
+  },
+  
+  /**
+   * Find a row by Stripe invoice ID
+   * @param {Sheet} sheet - The Receivables sheet
+   * @param {string} invoiceId - Stripe invoice ID (in_...)
+   * @returns {number} 1-based row number, or -1 if not found
+   */
+  findRowByInvoiceId: function(sheet, invoiceId) {
+    const data = sheet.getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) {
+      if (invoiceId && data[i][this.COLUMNS.INVOICE_ID] === invoiceId) {
+        return i + 1;
+      }
+    }
+    return -1;
+  },
+  
+  /**
+   * Flip the receivable's Payments row + Build File to Paid once the invoice is paid
+   * Invoices tracked on their own (no pay-later checkout) have no Payments row
+   * 
+   * @param {string} sessionId - Checkout Session ID from the receivable row (cs_...)
+   */
+  markPaymentPaid: function(sessionId) {
+    if (!sessionId) return;
+    
+    try {
+      const payment = PaymentsTracker.findBySessionId(sessionId);
+      if (!payment) return;
+      
+      PaymentsTracker.setStatus(payment.rowIndex, PaymentsTracker.STATUSES.PAID);
+      payment.status = PaymentsTracker.STATUSES.PAID;
+      PaymentsTracker.linkToBuildFile(payment);
+    } catch (error) {
+      Logger.log(`⚠️ Invoice paid but payment status not updated: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Get unpaid receivables that are due soon or past due
+   * @param {Date} today - Reference date (defaults to now)
+   * @returns {Object} { overdue: Object[], dueSoon: Object[] }
+   */
+  getDigestItems: function(today) {
+    const now = today || new Date();
+    const soon = new Date(now);
+    soon.setDate(soon.getDate() + CONFIG.RECEIVABLES.dueSoonDays);
+    
+    const data = this.getReceivablesSheet().getDataRange().getValues();
+    const result = { overdue: [], dueSoon: [] };
+    
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (row[this.COLUMNS.STATUS] === this.STATUSES.PAID) continue;
+      
+      const dueDate = new Date(row[this.COLUMNS.DUE_DATE]);
+      if (isNaN(dueDate.getTime())) continue;
+      
+      const item = {
+        email: row[this.COLUMNS.EMAIL],
+        name: row[this.COLUMNS.NAME],
+        dueDate: dueDate,
+        amount: PaymentsTracker.formatAmount(row[this.COLUMNS.AMOUNT_DUE], row[this.COLUMNS.CURRENCY]),
+        status: row[this.COLUMNS.STATUS],
+        invoiceUrl: row[this.COLUMNS.INVOICE_URL]
+      };
+      
+      if (dueDate < now) {
+        result.overdue.push(item);
+      } else if (dueDate <= soon) {
+        result.dueSoon.push(item);
+      }
+    }
+    
+    return result;
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Daily digest of unpaid invoices - run by the time-driven trigger
+ */
+function sendReceivablesDigest() {
+  ConfigLoader.load();
+  const items = ReceivablesTracker.getDigestItems();
+  
+  Logger.log(`📊 Receivables: ${items.overdue.length} overdue, ${items.dueSoon.length} due soon`);
+  
+  if (items.overdue.length === 0 && items.dueSoon.length === 0) {
+    Logger.log('✓ Nothing due - no digest sent');
+    return;
+  }
+  
+  EmailUtils.sendReceivablesDigest(items);
+}
+
+/**
+ * Install the daily receivables digest trigger (run once)
+ * Replaces any existing sendReceivablesDigest trigger
+ */
+function installReceivablesDigestTrigger() {
+  ConfigLoader.load();
+  TriggerManager.installTimeDrivenTrigger('sendReceivablesDigest');
+}
\ No newline at end of file
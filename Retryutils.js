@@ -0,0 +1,176 @@
+/**
+ * Strong Teams Automation - Retries
+ * 
+ * @version 1.1.0
+ * @phase Retries
+ * @description Retry transient Google / IDS failures with backoff; tell transient from permanent errors
+ * @lastUpdated 2026-10-18
+ * 
+ * Drive, Sheets and the IDS API fail now and then for reasons that go away on
+ * their own (429 rate limits, 5xx, "Service invoked too many times in a short
+ * time", timeouts). RetryUtils.call() retries those in place, waiting
+ * CONFIG.RETRY.baseDelayMs, then twice as long each time (plus jitter), up to
+ * CONFIG.RETRY.maxAttempts tries. Permanent errors (401/403, a missing template,
+ * missing booking fields) fail at once - trying again won't help.
+ * 
+ * Every failure that reaches onCalendarTrigger() is classified as Transient or
+ * Permanent; the type is written to the "Needs Attention" sheet (Error Type),
+ * the Activity Log / Run Log detail and the execution log.
+ * 
+ * Retries stop early once the run's time budget is used up (RunGuard.hasTimeLeft)
+ * or the daily quota is exhausted - the review queue picks the event up again.
+ * 
+ * Requests that create something (IDS link POST) pass canRetry to call() - a 5xx or
+ * timeout there doesn't prove nothing was created, so only safe failures are retried.
+ * 
+ * CHANGELOG v1.1.0:
+ * - call() takes an optional canRetry(error) to narrow which transient errors are retried
+ */
+
+const RetryUtils = {
+  
+  // Values for error.errorType and the "Error Type" column
+  TYPES: {
+    TRANSIENT: 'Transient',
+    PERMANENT: 'Permanent'
+  },
+  
+  // Messages that go away on their own
+  TRANSIENT_PATTERNS: [
+    /too many times/i,
+    /rate limit/i,
+    /too many requests/i,
+    /quota/i,
+    /service unavailable/i,
+    /temporarily unavailable/i,
+    /timed out|timeout/i,
+    /server error/i,
+    /internal error/i,
+    /backend error/i,
+    /try again/i,
+    /address unavailable/i,
+    /service (spreadsheets|drive|documents) failed/i
+  ],
+  
+  // Messages that won't change without someone fixing something
+  PERMANENT_PATTERNS: [
+    /unauthori[sz]ed/i,
+    /forbidden/i,
+    /access denied/i,
+    /permission/i,
+    /no item with the given id/i,
+    /not found/i,
+    /not loaded/i,
+    /missing/i,
+    /validation failed/i,
+    /invalid/i
+  ],
+  
+  // Daily quotas don't reset within a run - don't wait on them
+  DAILY_QUOTA_PATTERN: /for one day/i,
+  
+  /**
+   * Classify an error as transient or permanent
+   * Uses error.errorType if already set, then error.httpStatus / an HTTP code in the
+   * message (429 and 5xx are transient, other 4xx permanent), then known messages.
+   * Unrecognised errors are permanent so bugs aren't retried.
+   * 
+   * @param {Error} error - Any error
+   * @returns {string} RetryUtils.TYPES.TRANSIENT or PERMANENT
+   */
+  classify: function(error) {
+    if (error.errorType) {
+      return error.errorType;
+    }
+    
+    const message = String(error.message || error);
+    const codeMatch = message.match(/\b(?:response code|returned(?: code)?|HTTP|status(?: code)?)[:\s]+(\d{3})\b/i);
+    const status = error.httpStatus || (codeMatch ? parseInt(codeMatch[1], 10) : 0);
+    
+    if (status === 429 || status >= 500) {
+      return this.TYPES.TRANSIENT;
+    }
+    
+    if (status >= 400) {
+      return this.TYPES.PERMANENT;
+    }
+    
+    if (this.PERMANENT_PATTERNS.some(pattern => pattern.test(message))) {
+      return this.TYPES.PERMANENT;
+    }
+    
+    if (this.TRANSIENT_PATTERNS.some(pattern => pattern.test(message))) {
+      return this.TYPES.TRANSIENT;
+    }
+    
+    return this.TYPES.PERMANENT;
+  },
+  
+  /**
+   * Run fn, retrying transient errors with exponential backoff
+   * The error that is finally thrown has errorType and attempts set.
+   * 
+   * @param {string} label - What is being done (for the log)
+   * @param {Function} fn - Called with the attempt number (1, 2, ...); return its result
+   * @param {Function} [canRetry] - error → boolean; transient errors it rejects fail at once
+   * @returns {*} Whatever fn returns
+   * @since v1.1.0 canRetry
+   */
+  call: function(label, fn, canRetry) {
+    const maxAttempts = Math.max(1, CONFIG.RETRY.maxAttempts);
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return fn(attempt);
+      } catch (error) {
+        error.errorType = this.classify(error);
+        error.attempts = attempt;
+        
+        const retry = error.errorType === this.TYPES.TRANSIENT &&
+          (!canRetry || canRetry(error)) &&
+          attempt < maxAttempts &&
+          !this.DAILY_QUOTA_PATTERN.test(error.message) &&
+          RunGuard.hasTimeLeft();
+        
+        if (!retry) {
+          throw error;
+        }
+        
+        const delay = this.getDelay(attempt);
+        Logger.log(`🔁 ${label} failed (${error.message}) - try ${attempt + 1}/${maxAttempts} in ${delay}ms`);
+        Utilities.sleep(delay);
+      }
+    }
+  },
+  
+  /**
+   * @param {number} attempt - The attempt that just failed (1-based)
+   * @returns {number} Milliseconds to wait before the next one
+   */
+  getDelay: function(attempt) {
+    const delay = Math.min(CONFIG.RETRY.maxDelayMs, CONFIG.RETRY.baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(delay + Math.random() * delay * 0.25);
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Log how sample error messages are classified
+ */
+function testRetryClassification() {
+  [
+    'Service invoked too many times in a short time: drive. Try Utilities.sleep(1000) between calls.',
+    'Request failed for https://api.justrespond.com returned code 503.',
+    'Failed to generate IDS response link: Unexpected response code: 429',
+    'We\'re sorry, a server error occurred. Please wait a bit and try again.',
+    'Request failed for https://api.justrespond.com returned code 401.',
+    'No item with the given ID could be found. Possibly because you have not edited this item or you do not have permission to access it.',
+    'Missing required fields: email',
+    'Cannot read properties of undefined'
+  ].forEach(message => {
+    Logger.log(`${RetryUtils.classify(new Error(message))}: ${message}`);
+  });
+}
\ No newline at end of file
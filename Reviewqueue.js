@@ -0,0 +1,448 @@
+/**
+ * Strong Teams Automation - Review Queue
+ * 
+ * @version 1.3.0
+ * @phase Dry Run
+ * @description "Needs Attention" sheet for bookings that fail extraction or validation
+ * @lastUpdated 2026-10-18
+ * 
+ * When an event fails (missing name/email, Phase 1 validation, Build File errors...)
+ * it gets a row in the "Needs Attention" sheet of the Event Tracker spreadsheet:
+ * the error, what was parsed, and how many times it has failed.
+ * 
+ * COACHES CAN:
+ * - Fill in / correct First Name, Last Name, Email, Leader Email, Company or Zoom Link.
+ *   These start blank; non-blank cells override the booking on the next run (not once
+ *   the row is Resolved). What the booking itself says is in the read-only "Parsed ..."
+ *   columns, refreshed on every failure.
+ * - Set Status to "Retry Now" to reset the retry count after fixing something.
+ * - Set Status to "Ignored" to stop the event being processed at all.
+ * 
+ * Waiting events are retried on every trigger run. After CONFIG.REVIEW_QUEUE.maxRetries
+ * failures the Status becomes "Stopped" and the event is skipped until a coach sets
+ * "Retry Now" or the booking itself is edited (new fingerprint).
+ * 
+ * Error Type says whether the last failure was Transient (rate limit, 5xx, timeout -
+ * likely to clear on the next run) or Permanent (needs someone to fix something).
+ * See Retryutils.js.
+ * 
+ * CHANGELOG v1.3.0:
+ * - Parsed values go in new "Parsed ..." columns; the override columns are only ever
+ *   coach-entered (before, a failure copied the parsed values there and they stuck as overrides)
+ * - Older sheets: the Parsed columns are added and the old override values moved into them
+ * - Resolved rows no longer override anything
+ * 
+ * CHANGELOG v1.2.0:
+ * - Dry run: failures and resolutions are planned, not written (see Dryrun.js)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Added Error Type column (appended after Status so existing sheets keep their layout)
+ */
+
+const ReviewQueue = {
+  
+  // Column indices (0-based)
+  COLUMNS: {
+    EVENT_ID: 0,
+    FINGERPRINT: 1,
+    PHASE: 2,
+    EVENT_TITLE: 3,
+    EVENT_DATE: 4,
+    ERROR: 5,
+    FIRST_NAME: 6,
+    LAST_NAME: 7,
+    EMAIL: 8,
+    LEADER_EMAIL: 9,
+    COMPANY: 10,
+    ZOOM_LINK: 11,
+    RETRY_COUNT: 12,
+    FIRST_FAILED: 13,
+    LAST_FAILED: 14,
+    STATUS: 15,
+    ERROR_TYPE: 16,
+    PARSED_FIRST_NAME: 17,  // NEW in v1.3.0 - "PARSED_" + override column, same order
+    PARSED_LAST_NAME: 18,
+    PARSED_EMAIL: 19,
+    PARSED_LEADER_EMAIL: 20,
+    PARSED_COMPANY: 21,
+    PARSED_ZOOM_LINK: 22
+  },
+  
+  // Header row - order must match COLUMNS
+  HEADERS: [
+    'Event ID',
+    'Fingerprint',
+    'Phase',
+    'Event Title',
+    'Event Date',
+    'Error',
+    'First Name',
+    'Last Name',
+    'Email',
+    'Leader Email',
+    'Company',
+    'Zoom Link',
+    'Retry Count',
+    'First Failed',
+    'Last Failed',
+    'Status',
+    'Error Type',
+    'Parsed First Name',
+    'Parsed Last Name',
+    'Parsed Email',
+    'Parsed Leader Email',
+    'Parsed Company',
+    'Parsed Zoom Link'
+  ],
+  
+  // Values for the Status column
+  STATUSES: {
+    RETRYING: 'Retrying',
+    RETRY_NOW: 'Retry Now',
+    STOPPED: 'Stopped',
+    IGNORED: 'Ignored',
+    RESOLVED: 'Resolved'
+  },
+  
+  // Editable columns → extractEventData() field they override (each has a PARSED_ column)
+  OVERRIDE_FIELDS: {
+    FIRST_NAME: 'firstName',
+    LAST_NAME: 'lastName',
+    EMAIL: 'email',
+    LEADER_EMAIL: 'leaderEmail',
+    COMPANY: 'companyName',
+    ZOOM_LINK: 'zoomLink'
+  },
+  
+  // eventId → { rowIndex, row } for this execution (see load)
+  entries: null,
+  
+  /**
+   * Get or create the "Needs Attention" sheet
+   * @returns {Sheet} The review sheet
+   */
+  getSheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.REVIEW_QUEUE.sheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.REVIEW_QUEUE.sheetName);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setValues([this.HEADERS]);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setBackground('#ea4335');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 250);
+      sheet.setColumnWidth(4, 250);
+      sheet.setColumnWidth(6, 350);
+      
+      // Editable override columns stand out; Parsed columns are for reading
+      sheet.getRange(1, this.COLUMNS.FIRST_NAME + 1, 1, 6).setBackground('#fbbc04');
+      sheet.getRange(1, this.COLUMNS.PARSED_FIRST_NAME + 1, 1, 6).setBackground('#9e9e9e');
+      
+      // Status dropdown (coaches pick Retry Now / Ignored)
+      const statusRule = SpreadsheetApp.newDataValidation()
+        .requireValueInList(Object.keys(this.STATUSES).map(key => this.STATUSES[key]), true)
+        .build();
+      sheet.getRange(2, this.COLUMNS.STATUS + 1, sheet.getMaxRows() - 1, 1).setDataValidation(statusRule);
+      
+      Logger.log(`✓ Created "${CONFIG.REVIEW_QUEUE.sheetName}" sheet`);
+    } else {
+      this.upgradeSheet(sheet);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Add columns appended since the sheet was created (Error Type in v1.1.0, Parsed ... in v1.3.0)
+   * Before v1.3.0 the override columns held parsed values, not coach input - they are
+   * moved to the Parsed columns so they stop overriding the booking.
+   * 
+   * @param {Sheet} sheet - Existing "Needs Attention" sheet
+   * @since v1.3.0
+   */
+  upgradeSheet: function(sheet) {
+    const width = Math.min(sheet.getMaxColumns(), this.HEADERS.length);
+    const headers = sheet.getRange(1, 1, 1, width).getValues()[0];
+    
+    if (headers.length === this.HEADERS.length && headers[this.HEADERS.length - 1]) {
+      return;
+    }
+    
+    if (sheet.getMaxColumns() < this.HEADERS.length) {
+      sheet.insertColumnsAfter(sheet.getMaxColumns(), this.HEADERS.length - sheet.getMaxColumns());
+    }
+    
+    const hadParsedColumns = !!headers[this.COLUMNS.PARSED_FIRST_NAME];
+    
+    for (let i = 0; i < this.HEADERS.length; i++) {
+      if (headers[i]) continue;
+      
+      const header = sheet.getRange(1, i + 1);
+      header.setValue(this.HEADERS[i]);
+      header.setFontWeight('bold');
+      header.setBackground(i >= this.COLUMNS.PARSED_FIRST_NAME ? '#9e9e9e' : '#ea4335');
+      header.setFontColor('#ffffff');
+    }
+    
+    const rows = sheet.getLastRow() - 1;
+    
+    if (!hadParsedColumns && rows > 0) {
+      const overrides = sheet.getRange(2, this.COLUMNS.FIRST_NAME + 1, rows, 6);
+      sheet.getRange(2, this.COLUMNS.PARSED_FIRST_NAME + 1, rows, 6).setValues(overrides.getValues());
+      overrides.clearContent();
+      Logger.log(`✓ "${CONFIG.REVIEW_QUEUE.sheetName}": parsed values moved to the Parsed columns (${rows} row(s)) - override columns cleared`);
+    }
+  },
+  
+  /**
+   * Read the sheet once per execution
+   * @returns {Object} eventId → { rowIndex, row }
+   */
+  load: function() {
+    if (this.entries) {
+      return this.entries;
+    }
+    
+    this.entries = {};
+    
+    const sheet = ProcessedEventsTracker.getTrackingSpreadsheet().getSheetByName(CONFIG.REVIEW_QUEUE.sheetName);
+    if (!sheet) {
+      return this.entries;
+    }
+    
+    // Older sheets: move parsed values out of the override columns before they're read
+    if (!DryRun.isActive()) {
+      this.upgradeSheet(sheet);
+    }
+    
+    const data = sheet.getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) {
+      const eventId = data[i][this.COLUMNS.EVENT_ID];
+      if (eventId) {
+        this.entries[eventId] = { rowIndex: i + 1, row: data[i] };
+      }
+    }
+    
+    return this.entries;
+  },
+  
+  /**
+   * Get values a coach filled in for an event
+   * @param {string} eventId - Calendar event ID
+   * @returns {Object} extractEventData() field → value (non-blank cells only; none once Resolved)
+   */
+  getOverrides: function(eventId) {
+    const entry = this.load()[eventId];
+    const overrides = {};
+    
+    if (!entry || entry.row[this.COLUMNS.STATUS] === this.STATUSES.RESOLVED) {
+      return overrides;
+    }
+    
+    for (let column in this.OVERRIDE_FIELDS) {
+      const value = String(entry.row[this.COLUMNS[column]] || '').trim();
+      if (value) {
+        overrides[this.OVERRIDE_FIELDS[column]] = value;
+      }
+    }
+    
+    return overrides;
+  },
+  
+  /**
+   * Check whether an event should be skipped (Stopped or Ignored)
+   * A changed booking (new fingerprint) gets another chance
+   * 
+   * @param {CalendarEvent} event - The calendar event
+   * @returns {boolean} True to skip
+   */
+  shouldSkip: function(event) {
+    const entry = this.load()[event.getId()];
+    if (!entry) return false;
+    
+    const status = entry.row[this.COLUMNS.STATUS];
+    
+    if (status === this.STATUSES.IGNORED) {
+      return true;
+    }
+    
+    if (status === this.STATUSES.STOPPED) {
+      return entry.row[this.COLUMNS.FINGERPRINT] === ProcessedEventsTracker.generateFingerprint(event);
+    }
+    
+    return false;
+  },
+  
+  /**
+   * Record a failed attempt (adds the row or bumps the retry count)
+   * @param {CalendarEvent} event - The calendar event
+   * @param {Object|null} eventData - Whatever could be extracted
+   * @param {Error} error - The failure
+   * @param {string} phase - 'Phase 1', 'Phase 2', 'Phase 3' or ''
+   * @returns {Object} { retryCount, stopped }
+   */
+  recordFailure: function(event, eventData, error, phase) {
+    if (DryRun.isActive()) {
+      DryRun.record('ReviewQueue', 'Record failure', `${CONFIG.REVIEW_QUEUE.sheetName}: ${event.getTitle()}`,
+        `[${RetryUtils.classify(error)}] ${error.message}`);
+      return { retryCount: 0, stopped: false };
+    }
+    
+    const sheet = this.getSheet();
+    const entry = this.load()[event.getId()];
+    const fingerprint = ProcessedEventsTracker.generateFingerprint(event);
+    const now = new Date().toISOString();
+    const data = eventData || {};
+    
+    let retryCount = 1;
+    let firstFailed = now;
+    let row = entry ? entry.row.slice() : new Array(this.HEADERS.length).fill('');
+    
+    while (row.length < this.HEADERS.length) row.push('');
+    
+    if (entry) {
+      const status = entry.row[this.COLUMNS.STATUS];
+      const bookingChanged = entry.row[this.COLUMNS.FINGERPRINT] !== fingerprint;
+      
+      // "Retry Now" or an edited booking starts the count again
+      if (status !== this.STATUSES.RETRY_NOW && !bookingChanged) {
+        retryCount = (parseInt(entry.row[this.COLUMNS.RETRY_COUNT]) || 0) + 1;
+      }
+      firstFailed = entry.row[this.COLUMNS.FIRST_FAILED] || now;
+    }
+    
+    const stopped = retryCount >= CONFIG.REVIEW_QUEUE.maxRetries;
+    
+    row[this.COLUMNS.EVENT_ID] = event.getId();
+    row[this.COLUMNS.FINGERPRINT] = fingerprint;
+    row[this.COLUMNS.PHASE] = phase || '';
+    row[this.COLUMNS.EVENT_TITLE] = event.getTitle();
+    row[this.COLUMNS.EVENT_DATE] = event.getStartTime().toISOString();
+    row[this.COLUMNS.ERROR] = error.message;
+    row[this.COLUMNS.RETRY_COUNT] = retryCount;
+    row[this.COLUMNS.FIRST_FAILED] = firstFailed;
+    row[this.COLUMNS.LAST_FAILED] = now;
+    row[this.COLUMNS.STATUS] = stopped ? this.STATUSES.STOPPED : this.STATUSES.RETRYING;
+    row[this.COLUMNS.ERROR_TYPE] = RetryUtils.classify(error);
+    
+    // What the booking says (before overrides) - the override columns are left to the coach
+    const parsed = data.parsedFields || data;
+    for (let column in this.OVERRIDE_FIELDS) {
+      row[this.COLUMNS['PARSED_' + column]] = parsed[this.OVERRIDE_FIELDS[column]] || '';
+    }
+    
+    if (entry) {
+      sheet.getRange(entry.rowIndex, 1, 1, row.length).setValues([row]);
+      entry.row = row;
+    } else {
+      sheet.appendRow(row);
+      this.entries[event.getId()] = { rowIndex: sheet.getLastRow(), row: row };
+    }
+    
+    Logger.log(`📝 Needs Attention: ${event.getTitle()} - ${row[this.COLUMNS.ERROR_TYPE].toLowerCase()} failure ${retryCount}/${CONFIG.REVIEW_QUEUE.maxRetries}` +
+      (stopped ? ' - retries stopped' : ''));
+    
+    return { retryCount: retryCount, stopped: stopped };
+  },
+  
+  /**
+   * Mark an event's row as resolved after it processes successfully
+   * @param {string} eventId - Calendar event ID
+   */
+  markResolved: function(eventId) {
+    const entry = this.load()[eventId];
+    if (!entry || entry.row[this.COLUMNS.STATUS] === this.STATUSES.RESOLVED) {
+      return;
+    }
+    
+    if (DryRun.isActive()) {
+      DryRun.record('ReviewQueue', 'Mark resolved', `${CONFIG.REVIEW_QUEUE.sheetName}: ${entry.row[this.COLUMNS.EVENT_TITLE]}`);
+      return;
+    }
+    
+    this.getSheet().getRange(entry.rowIndex, this.COLUMNS.STATUS + 1).setValue(this.STATUSES.RESOLVED);
+    entry.row[this.COLUMNS.STATUS] = this.STATUSES.RESOLVED;
+    Logger.log(`✓ Needs Attention row resolved: ${eventId}`);
+  },
+  
+  /**
+   * Get events still waiting on the sheet (for the daily digest)
+   * @returns {Object[]} { eventId, title, phase, eventDate, error, errorType, retryCount, status }
+   */
+  getOpenItems: function() {
+    const entries = this.load();
+    const open = [this.STATUSES.RETRYING, this.STATUSES.RETRY_NOW, this.STATUSES.STOPPED];
+    
+    return Object.keys(entries)
+      .map(eventId => entries[eventId].row)
+      .filter(row => open.indexOf(row[this.COLUMNS.STATUS]) !== -1)
+      .map(row => ({
+        eventId: row[this.COLUMNS.EVENT_ID],
+        title: row[this.COLUMNS.EVENT_TITLE],
+        phase: row[this.COLUMNS.PHASE],
+        eventDate: row[this.COLUMNS.EVENT_DATE] ? new Date(row[this.COLUMNS.EVENT_DATE]) : null,
+        error: row[this.COLUMNS.ERROR],
+        errorType: row[this.COLUMNS.ERROR_TYPE] || '',
+        retryCount: row[this.COLUMNS.RETRY_COUNT],
+        status: row[this.COLUMNS.STATUS]
+      }));
+  },
+  
+  /**
+   * Add waiting events to this run's event list
+   * Incremental sync only returns changed events - waiting ones are fetched by ID
+   * 
+   * @param {CalendarEvent[]} events - Events from CalendarSync
+   * @returns {CalendarEvent[]} events plus any waiting events not already included
+   */
+  addRetryEvents: function(events) {
+    const entries = this.load();
+    const included = {};
+    events.forEach(event => { included[event.getId()] = true; });
+    
+    const waiting = Object.keys(entries).filter(eventId => {
+      const status = entries[eventId].row[this.COLUMNS.STATUS];
+      return !included[eventId] && (status === this.STATUSES.RETRYING || status === this.STATUSES.RETRY_NOW);
+    });
+    
+    if (waiting.length === 0) {
+      return events;
+    }
+    
+    const calendars = CalendarUtils.getMonitoredCalendars().calendars;
+    const retries = [];
+    
+    waiting.forEach(eventId => {
+      for (let entry of calendars) {
+        try {
+          const event = entry.calendar.getEventById(eventId);
+          if (event) {
+            retries.push(event);
+            return;
+          }
+        } catch (error) {
+          // Try the next calendar
+        }
+      }
+    });
+    
+    Logger.log(`🔁 Retrying ${retries.length} event(s) from "${CONFIG.REVIEW_QUEUE.sheetName}"`);
+    
+    return events.concat(retries);
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Create the "Needs Attention" sheet
+ */
+function setupReviewQueue() {
+  ConfigLoader.load();
+  const sheet = ReviewQueue.getSheet();
+  Logger.log(`✓ "${CONFIG.REVIEW_QUEUE.sheetName}" ready: ${sheet.getParent().getUrl()}`);
+}
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * Strong Teams Automation - Run Guard
+ * 
+ * @version 1.0.0
+ * @phase Run Guard
+ * @description One onCalendarTrigger run at a time, a time budget, and a cursor for events left over
+ * @lastUpdated 2026-10-18
+ * 
+ * Calendar-update triggers can fire several times in a few seconds. Two
+ * overlapping runs would both see a booking as new and create two Build Files
+ * (and two IDS links), so onCalendarTrigger() holds the script lock for the
+ * whole run. A trigger that can't get the lock within CONFIG.RUN_GUARD.lockWaitSeconds
+ * exits - the run holding the lock (or the next one) picks up its changes.
+ * 
+ * Apps Script stops executions after 6 minutes. Once CONFIG.RUN_GUARD.budgetSeconds
+ * have passed, the remaining events are not started; their IDs are saved as the
+ * pending cursor (Script Properties, split into chunks under the 9 KB value limit)
+ * and processed first by the next run. The rest of the run (cancellation check,
+ * tracker save, sync tokens) still happens, so nothing is lost or processed twice.
+ */
+
+const RunGuard = {
+  
+  // Script Property with the pending cursor header ({ chunks, savedAt })
+  PENDING_PROPERTY: 'PENDING_EVENTS',
+  
+  // Max characters per chunk property (Script Properties allow 9 KB per value)
+  CHUNK_LENGTH: 8000,
+  
+  // Lock held by this execution (see acquireLock)
+  lock: null,
+  
+  // When this run started (see start)
+  startedAt: null,
+  
+  /**
+   * Take the script lock for this run
+   * @returns {boolean} True if this run may go ahead
+   */
+  acquireLock: function() {
+    const lock = LockService.getScriptLock();
+    
+    if (!lock.tryLock(CONFIG.RUN_GUARD.lockWaitSeconds * 1000)) {
+      return false;
+    }
+    
+    this.lock = lock;
+    return true;
+  },
+  
+  /**
+   * Release the script lock (safe to call when it isn't held)
+   */
+  releaseLock: function() {
+    if (this.lock) {
+      this.lock.releaseLock();
+      this.lock = null;
+    }
+  },
+  
+  /**
+   * Start the time budget
+   */
+  start: function() {
+    this.startedAt = new Date();
+  },
+  
+  /**
+   * @returns {boolean} True while the run is inside CONFIG.RUN_GUARD.budgetSeconds
+   */
+  hasTimeLeft: function() {
+    return !this.startedAt || (new Date() - this.startedAt) < CONFIG.RUN_GUARD.budgetSeconds * 1000;
+  },
+  
+  /**
+   * Put events left over by the last run in front of this run's events
+   * @param {CalendarEvent[]} events - Events for this run
+   * @returns {CalendarEvent[]} Pending events first, then the rest (no duplicates)
+   */
+  addPendingEvents: function(events) {
+    const pendingIds = this.loadPending();
+    
+    if (pendingIds.length === 0) {
+      return events;
+    }
+    
+    const calendars = CalendarUtils.getMonitoredCalendars().calendars;
+    const byId = {};
+    events.forEach(event => { byId[event.getId()] = event; });
+    
+    const pending = [];
+    pendingIds.forEach(eventId => {
+      const event = byId[eventId] || this.findEvent(calendars, eventId);
+      if (event) {
+        pending.push(event);
+        delete byId[eventId];
+      }
+    });
+    
+    Logger.log(`⏭️ Resuming ${pending.length} event(s) left over from the last run`);
+    
+    return pending.concat(events.filter(event => byId[event.getId()]));
+  },
+  
+  /**
+   * Find an event by ID in any monitored calendar
+   * @param {Object[]} calendars - From CalendarUtils.getMonitoredCalendars().calendars
+   * @param {string} eventId - Event ID
+   * @returns {CalendarEvent|null} The event, or null if it is gone
+   */
+  findEvent: function(calendars, eventId) {
+    for (let entry of calendars) {
+      try {
+        const event = entry.calendar.getEventById(eventId);
+        if (event) return event;
+      } catch (error) {
+        // Try the next calendar
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * @returns {string[]} Event IDs saved by the last run that ran out of time
+   */
+  loadPending: function() {
+    const properties = PropertiesService.getScriptProperties();
+    const header = properties.getProperty(this.PENDING_PROPERTY);
+    
+    if (!header) {
+      return [];
+    }
+    
+    let ids = [];
+    const chunks = JSON.parse(header).chunks;
+    
+    for (let i = 0; i < chunks; i++) {
+      ids = ids.concat(JSON.parse(properties.getProperty(`${this.PENDING_PROPERTY}_${i}`) || '[]'));
+    }
+    
+    return ids;
+  },
+  
+  /**
+   * Save the event IDs this run didn't get to (an empty list clears the cursor)
+   * @param {string[]} eventIds - Deferred event IDs, in order
+   */
+  savePending: function(eventIds) {
+    const properties = PropertiesService.getScriptProperties();
+    const header = properties.getProperty(this.PENDING_PROPERTY);
+    const oldChunks = header ? JSON.parse(header).chunks : 0;
+    
+    const chunks = [];
+    let current = [];
+    
+    eventIds.forEach(eventId => {
+      if (current.length > 0 && JSON.stringify(current.concat([eventId])).length > this.CHUNK_LENGTH) {
+        chunks.push(current);
+        current = [];
+      }
+      current.push(eventId);
+    });
+    
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+    
+    chunks.forEach((chunk, i) => properties.setProperty(`${this.PENDING_PROPERTY}_${i}`, JSON.stringify(chunk)));
+    
+    for (let i = chunks.length; i < oldChunks; i++) {
+      properties.deleteProperty(`${this.PENDING_PROPERTY}_${i}`);
+    }
+    
+    if (chunks.length > 0) {
+      properties.setProperty(this.PENDING_PROPERTY, JSON.stringify({ chunks: chunks.length, savedAt: new Date().toISOString() }));
+      Logger.log(`⏰ ${eventIds.length} event(s) saved for the next run`);
+    } else {
+      properties.deleteProperty(this.PENDING_PROPERTY);
+    }
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Log the events waiting for the next run
+ */
+function showPendingEvents() {
+  const ids = RunGuard.loadPending();
+  Logger.log(`${ids.length} pending event(s)`);
+  ids.forEach(id => Logger.log(`  ${id}`));
+}
+
+/**
+ * Forget the pending events (they are picked up again by the next full scan)
+ */
+function clearPendingEvents() {
+  RunGuard.savePending([]);
+  Logger.log('✓ Pending events cleared');
+}
\ No newline at end of file
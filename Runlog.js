@@ -0,0 +1,227 @@
+/**
+ * Strong Teams Automation - Run Log
+ * 
+ * @version 1.1.0
+ * @phase Run Guard
+ * @description "Run Log" sheet - one row per onCalendarTrigger() run, plus structured Cloud Logging
+ * @lastUpdated 2026-10-18
+ * 
+ * The Apps Script execution log rotates, so there was no record of what older
+ * runs did. Each run now gets a row with start/end time, counts and the
+ * per-event outcomes (JSON), and every outcome is also sent to console as a
+ * structured entry. In Cloud Logging filter with e.g.:
+ * 
+ *   jsonPayload.leader="Jane Doe"
+ *   jsonPayload.phase="Phase 1" AND jsonPayload.outcome="error"
+ * 
+ * Rows older than CONFIG.RUN_LOG.retentionDays are pruned at the end of each run.
+ * 
+ * CHANGELOG v1.1.0:
+ * - Status shows "Stopped early" when the time budget left events for the next run (Runguard.js)
+ */
+
+const RunLog = {
+  
+  // Header row
+  HEADERS: [
+    'Run ID',
+    'Started',
+    'Finished',
+    'Seconds',
+    'Events',
+    'Processed',
+    'Duplicates',
+    'Skipped',
+    'Errors',
+    'Cancelled',
+    'Needs Company',
+    'Needs Attention',
+    'Status',
+    'Outcomes'
+  ],
+  
+  // Per-event outcomes (also the "outcome" field in Cloud Logging)
+  OUTCOMES: {
+    PROCESSED: 'processed',
+    DUPLICATE: 'duplicate',
+    SKIPPED: 'skipped',
+    ERROR: 'error',
+    NEEDS_COMPANY: 'needs_company',
+    NEEDS_ATTENTION: 'needs_attention'
+  },
+  
+  // Google Sheets cell limit (Outcomes JSON is cut to fit)
+  MAX_CELL_LENGTH: 50000,
+  
+  // The run in progress (see start)
+  current: null,
+  
+  /**
+   * Start recording a run
+   * @returns {Object} The run { runId, startedAt, outcomes }
+   */
+  start: function() {
+    this.current = {
+      runId: Utilities.getUuid().substring(0, 8),
+      startedAt: new Date(),
+      outcomes: []
+    };
+    
+    LoggerUtils.logStructured('info', { type: 'run_start', runId: this.current.runId });
+    
+    return this.current;
+  },
+  
+  /**
+   * Record what happened to one event
+   * @param {CalendarEvent} event - The calendar event
+   * @param {string} phase - 'Phase 1', 'Phase 2', 'Phase 3' or ''
+   * @param {string} outcome - One of OUTCOMES
+   * @param {Object} [eventData] - Extracted data (leader name/email/company)
+   * @param {string} [detail] - Error message or note
+   */
+  recordOutcome: function(event, phase, outcome, eventData, detail) {
+    const data = eventData || {};
+    const entry = {
+      eventId: event.getId(),
+      title: event.getTitle(),
+      phase: phase || '',
+      leader: data.fullName || '',
+      email: data.email || '',
+      company: data.companyName || '',
+      outcome: outcome,
+      detail: detail || ''
+    };
+    
+    if (this.current) {
+      this.current.outcomes.push(entry);
+    }
+    
+    // Skipped (non-Strong Teams) events only go to the sheet, not Cloud Logging
+    if (outcome !== this.OUTCOMES.SKIPPED) {
+      LoggerUtils.logStructured(outcome === this.OUTCOMES.ERROR ? 'error' : 'info',
+        Object.assign({ type: 'event', runId: this.current ? this.current.runId : '' }, entry));
+    }
+  },
+  
+  /**
+   * Finish the run: write the Run Log row and prune old rows
+   * @param {Object} counts - { processed, duplicates, skipped, errors, cancelled, needsCompany, needsAttention, deferred }
+   * @param {string} [fatalError] - Message if the run stopped early
+   */
+  finish: function(counts, fatalError) {
+    if (!this.current) {
+      return;
+    }
+    
+    const run = this.current;
+    const finishedAt = new Date();
+    const seconds = Math.round((finishedAt - run.startedAt) / 1000);
+    
+    let status = 'OK';
+    if (fatalError) {
+      status = `Failed: ${fatalError}`;
+    } else if (counts.errors > 0) {
+      status = 'Completed with errors';
+    } else if (counts.deferred > 0) {
+      status = `Stopped early: ${counts.deferred} event(s) left for the next run`;
+    }
+    
+    // Skipped events are the bulk of most runs - keep them out of the JSON if space runs short
+    let outcomes = JSON.stringify(run.outcomes);
+    if (outcomes.length > this.MAX_CELL_LENGTH) {
+      outcomes = JSON.stringify(run.outcomes.filter(o => o.outcome !== this.OUTCOMES.SKIPPED));
+    }
+    if (outcomes.length > this.MAX_CELL_LENGTH) {
+      outcomes = outcomes.substring(0, this.MAX_CELL_LENGTH - 20) + '... (truncated)';
+    }
+    
+    LoggerUtils.logStructured(fatalError ? 'error' : 'info', Object.assign({
+      type: 'run_end',
+      runId: run.runId,
+      seconds: seconds,
+      status: status
+    }, counts));
+    
+    this.current = null;
+    
+    if (!CONFIG.RUN_LOG.enabled) {
+      return;
+    }
+    
+    try {
+      const sheet = this.getSheet();
+      sheet.appendRow([
+        run.runId,
+        run.startedAt.toISOString(),
+        finishedAt.toISOString(),
+        seconds,
+        run.outcomes.length,
+        counts.processed,
+        counts.duplicates,
+        counts.skipped,
+        counts.errors,
+        counts.cancelled,
+        counts.needsCompany,
+        counts.needsAttention,
+        status,
+        outcomes
+      ]);
+      
+      this.prune(sheet);
+    } catch (error) {
+      Logger.log(`⚠️ Could not write Run Log: ${error.message}`);
+    }
+  },
+  
+  /**
+   * Get or create the "Run Log" sheet
+   * @returns {Sheet} The run log sheet
+   */
+  getSheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.RUN_LOG.sheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.RUN_LOG.sheetName);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setValues([this.HEADERS]);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(2, 170);
+      sheet.setColumnWidth(3, 170);
+      sheet.setColumnWidth(13, 200);
+      sheet.setColumnWidth(14, 400);
+      Logger.log(`✓ Created "${CONFIG.RUN_LOG.sheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Delete runs older than CONFIG.RUN_LOG.retentionDays
+   * Rows are appended in time order, so old rows are a block at the top
+   * 
+   * @param {Sheet} sheet - The run log sheet
+   * @returns {number} Rows deleted
+   */
+  prune: function(sheet) {
+    if (sheet.getLastRow() <= 1) return 0;
+    
+    const cutoff = new Date(Date.now() - CONFIG.RUN_LOG.retentionDays * 24 * 60 * 60 * 1000);
+    const started = sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).getValues();
+    
+    let oldRows = 0;
+    while (oldRows < started.length && new Date(started[oldRows][0]) < cutoff) {
+      oldRows++;
+    }
+    
+    if (oldRows > 0) {
+      sheet.deleteRows(2, oldRows);
+      Logger.log(`🧹 Removed ${oldRows} run(s) older than ${CONFIG.RUN_LOG.retentionDays} days`);
+    }
+    
+    return oldRows;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,459 @@
+/**
+ * Strong Teams Automation - Session Reminders
+ * 
+ * @version 1.1.2
+ * @phase Leader Time Zones
+ * @description Reminder emails before Phase 1 / Phase 2 sessions and the team assessment deadline
+ * @lastUpdated 2026-10-18
+ * 
+ * Runs from a time-driven trigger (sendSessionReminders, see CONFIG.TRIGGERS.timeDriven).
+ * 
+ * Sources:
+ * - Upcoming Phase 1 / Phase 2 bookings in the Event Tracker (leader email, date)
+ * - The leader's Build File: session time + Zoom link from the Phase Settings sheets,
+ *   assessment deadline from Phase 1 Settings (CONFIG.PHASE1.rows.assessmentDeadline)
+ * 
+ * Reminders go out CONFIG.REMINDERS.sessionDaysBefore / deadlineDaysBefore days ahead
+ * (calendar days, script timezone). If a run is missed or the booking is made late,
+ * the nearest reminder still due is sent - never more than one per session per run.
+ * 
+ * Every reminder sent is recorded on the "Reminders Sent" sheet (Event Tracker).
+ * The key includes the date, so a rescheduled session gets fresh reminders.
+ * 
+ * CHANGELOG v1.1.2:
+ * - Build File leader rows are only used when column A is "Leader Date" / "Leader Time"
+ * 
+ * CHANGELOG v1.1.1:
+ * - Phase 2 reminders find the Build File by leader email (Phase 2 rows store no Build File ID),
+ *   so they have the session time + Zoom link, and the assessment deadline is still
+ *   reminded once only the Phase 2 session is ahead
+ * - Session date and time are both leader-local (Build File leader rows, else the
+ *   company / default leader time zone)
+ * 
+ * CHANGELOG v1.1.0:
+ * - Session reminders show the leader-local time (rows.leaderTime, see Timeformat.js)
+ */
+
+const SessionReminders = {
+  
+  // Header row for the Reminders Sent sheet
+  HEADERS: ['Sent At', 'Type', 'Days Before', 'To', 'Leader', 'Date', 'Build File ID', 'Key'],
+  
+  // Column of the duplicate-check key (1-based)
+  KEY_COLUMN: 8,
+  
+  TYPES: {
+    PHASE1: 'Phase 1 Session',
+    PHASE2: 'Phase 2 Session',
+    DEADLINE: 'Assessment Deadline'
+  },
+  
+  // Build File Phase Settings column B, cached per run: buildFileId → { sheetName: values[] }
+  buildFiles: {},
+  
+  /**
+   * Send every reminder that is due and not yet sent
+   * @returns {Object} { sent, alreadySent, failed }
+   */
+  run: function() {
+    const result = { sent: 0, alreadySent: 0, failed: 0 };
+    
+    if (!CONFIG.REMINDERS.enabled) {
+      Logger.log('ℹ Reminders disabled (CONFIG.REMINDERS.enabled)');
+      return result;
+    }
+    
+    const due = this.collectDue();
+    const sentKeys = this.loadSentKeys();
+    
+    Logger.log(`⏰ ${due.length} reminder(s) due`);
+    
+    for (let i = 0; i < due.length; i++) {
+      const reminder = due[i];
+      
+      if (sentKeys[reminder.key]) {
+        result.alreadySent++;
+        continue;
+      }
+      
+      const quota = MailApp.getRemainingDailyQuota();
+      if (quota <= CONFIG.REMINDERS.quotaReserve) {
+        Logger.log(`⚠️ Stopping - only ${quota} email(s) left in today's quota (${due.length - i} reminder(s) wait for the next run)`);
+        break;
+      }
+      
+      try {
+        this.send(reminder);
+        this.recordSent(reminder);
+        sentKeys[reminder.key] = true;
+        result.sent++;
+        Logger.log(`✓ ${reminder.type} reminder (${reminder.daysBefore} day(s)) sent to ${reminder.email}`);
+      } catch (error) {
+        result.failed++;
+        Logger.log(`✗ ${reminder.type} reminder for ${reminder.email} failed: ${error.message}`);
+        ActivityLog.record(ActivityLog.TYPES.ERROR, null, reminder.phase, reminder, `Reminder not sent: ${error.message}`);
+      }
+    }
+    
+    ActivityLog.flush();
+    
+    Logger.log(`⏰ Reminders: ${result.sent} sent, ${result.alreadySent} already sent, ${result.failed} failed`);
+    
+    return result;
+  },
+  
+  /**
+   * Build the list of reminders due today (sent or not)
+   * @returns {Object[]} Reminders: { key, type, phase, daysBefore, email, leaderName, company, eventId, eventDate, buildFileId }
+   */
+  collectDue: function() {
+    const due = [];
+    const leadersByBuildFile = {};
+    
+    ProcessedEventsTracker.getActiveFutureRecords().forEach(record => {
+      if (record.phase !== 'Phase 1' && record.phase !== 'Phase 2') return;
+      if (!record.email) return;
+      
+      // Phase 2 rows store no Build File ID - look it up by leader email
+      const buildFileId = ProcessedEventsTracker.resolveBuildFileId(record);
+      
+      if (buildFileId) {
+        leadersByBuildFile[buildFileId] = record;
+      }
+      
+      const daysBefore = this.getDueOffset(record.eventDate, CONFIG.REMINDERS.sessionDaysBefore);
+      if (daysBefore === null) return;
+      
+      const type = record.phase === 'Phase 1' ? this.TYPES.PHASE1 : this.TYPES.PHASE2;
+      
+      due.push({
+        key: [type, record.eventId, record.eventDate.toISOString(), daysBefore].join('|'),
+        type: type,
+        phase: record.phase,
+        daysBefore: daysBefore,
+        email: record.email,
+        leaderName: record.leaderName,
+        company: record.company,
+        eventId: record.eventId,
+        eventDate: record.eventDate,
+        buildFileId: buildFileId
+      });
+    });
+    
+    // One deadline reminder per Build File that still has a session coming up
+    Object.keys(leadersByBuildFile).forEach(buildFileId => {
+      const record = leadersByBuildFile[buildFileId];
+      const deadline = this.parseDate(this.getBuildFileValue(buildFileId, CONFIG.PHASE1.sheetName, CONFIG.PHASE1.rows.assessmentDeadline));
+      
+      if (!deadline) return;
+      
+      const daysBefore = this.getDueOffset(deadline, CONFIG.REMINDERS.deadlineDaysBefore);
+      if (daysBefore === null) return;
+      
+      due.push({
+        key: [this.TYPES.DEADLINE, buildFileId, this.formatDay(deadline), daysBefore].join('|'),
+        type: this.TYPES.DEADLINE,
+        phase: 'Phase 1',
+        daysBefore: daysBefore,
+        email: record.email,
+        leaderName: record.leaderName,
+        company: record.company,
+        eventId: '',
+        eventDate: deadline,
+        buildFileId: buildFileId
+      });
+    });
+    
+    return due;
+  },
+  
+  /**
+   * Which reminder is due for a date: the smallest offset that has been reached
+   * e.g. offsets [3, 1] → 3 days out = 3, 2 days out = 3, 1 day out = 1
+   * 
+   * @param {Date} date - Session or deadline
+   * @param {number[]} offsets - Days before
+   * @returns {number|null} Offset to send, or null if none is due
+   */
+  getDueOffset: function(date, offsets) {
+    const days = this.daysUntil(date);
+    if (days < 0) return null;
+    
+    const reached = offsets.map(Number).filter(n => days <= n);
+    return reached.length > 0 ? Math.min.apply(null, reached) : null;
+  },
+  
+  /**
+   * Calendar days from today to a date (script timezone)
+   * @param {Date} date - Future date
+   * @returns {number} 0 = today, 1 = tomorrow
+   */
+  daysUntil: function(date) {
+    const day = d => Date.parse(this.formatDay(d));
+    return Math.round((day(date) - day(new Date())) / (24 * 60 * 60 * 1000));
+  },
+  
+  /**
+   * @param {Date} date - Any date
+   * @returns {string} yyyy-MM-dd in the script timezone
+   */
+  formatDay: function(date) {
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  },
+  
+  /**
+   * @param {*} value - Cell value (Date or text like "January 10, 2026")
+   * @returns {Date|null} Parsed date, or null if blank/unreadable
+   */
+  parseDate: function(value) {
+    if (value instanceof Date) return value;
+    if (!value) return null;
+    
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  },
+  
+  /**
+   * Read one Phase Settings value (column B) from a Build File
+   * Each sheet is read once per run
+   * 
+   * @param {string} buildFileId - Build File spreadsheet ID
+   * @param {string} sheetName - e.g. CONFIG.PHASE1.sheetName
+   * @param {number} row - Row number
+   * @returns {*} Cell value, or '' if the file/sheet can't be read
+   */
+  getBuildFileValue: function(buildFileId, sheetName, row) {
+    return this.getBuildFileCell(buildFileId, sheetName, row, 1);
+  },
+  
+  /**
+   * Read one Phase Settings label (column A) from a Build File
+   * @param {string} buildFileId - Build File spreadsheet ID
+   * @param {string} sheetName - e.g. CONFIG.PHASE1.sheetName
+   * @param {number} row - Row number
+   * @returns {string} Trimmed label, or '' if the file/sheet can't be read
+   * @since v1.1.2
+   */
+  getBuildFileLabel: function(buildFileId, sheetName, row) {
+    return String(this.getBuildFileCell(buildFileId, sheetName, row, 0)).trim();
+  },
+  
+  /**
+   * Read one cell of columns A:B from a Build File (each sheet is read once per run)
+   * @param {string} buildFileId - Build File spreadsheet ID
+   * @param {string} sheetName - e.g. CONFIG.PHASE1.sheetName
+   * @param {number} row - Row number
+   * @param {number} col - 0 = column A, 1 = column B
+   * @returns {*} Cell value, or '' if the file/sheet can't be read
+   * @since v1.1.2
+   */
+  getBuildFileCell: function(buildFileId, sheetName, row, col) {
+    if (!buildFileId) return '';
+    
+    if (!this.buildFiles[buildFileId]) {
+      this.buildFiles[buildFileId] = {};
+    }
+    
+    const cache = this.buildFiles[buildFileId];
+    
+    if (cache[sheetName] === undefined) {
+      try {
+        const sheet = SpreadsheetApp.openById(buildFileId).getSheetByName(sheetName);
+        cache[sheetName] = sheet && sheet.getLastRow() > 0
+          ? sheet.getRange(1, 1, sheet.getLastRow(), 2).getValues()
+          : [];
+      } catch (error) {
+        Logger.log(`⚠️ Could not read "${sheetName}" in Build File ${buildFileId}: ${error.message}`);
+        cache[sheetName] = [];
+      }
+    }
+    
+    const cells = cache[sheetName][row - 1];
+    return cells === undefined ? '' : cells[col];
+  },
+  
+  /**
+   * @param {number} days - Days until the date
+   * @returns {string} 'today', 'tomorrow' or 'in N days'
+   */
+  describeDays: function(days) {
+    if (days === 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    return `in ${days} days`;
+  },
+  
+  /**
+   * Subject + HTML for a reminder
+   * @param {Object} reminder - From collectDue()
+   * @returns {Object} { subject, html }
+   */
+  buildEmail: function(reminder) {
+    const esc = value => escapeXml(String(value || ''));
+    const link = url => url && String(url).indexOf('http') === 0 ? `<a href="${esc(url)}">${esc(url)}</a>` : esc(url);
+    const when = this.describeDays(this.daysUntil(reminder.eventDate));
+    const firstName = String(reminder.leaderName || '').split(' ')[0] || 'Hi';
+    // Deadline: a date cell (script time zone); sessions: leader-local (below)
+    let dateText = Utilities.formatDate(reminder.eventDate, Session.getScriptTimeZone(), 'EEEE, MMMM d');
+    
+    let subject;
+    let lines;
+    
+    if (reminder.type === this.TYPES.DEADLINE) {
+      const assessmentLink = this.getBuildFileValue(reminder.buildFileId, CONFIG.PHASE2.sheetName, CONFIG.PHASE2.rows.assessmentLink);
+      
+      subject = `Reminder: team assessments are due ${when}`;
+      lines = [
+        `Your team's Leading From Your Strengths Assessment deadline is <strong>${esc(dateText)}</strong> (${when}).`,
+        'Please remind anyone who hasn\'t completed it yet - it takes 10-12 minutes.'
+      ];
+      if (assessmentLink) {
+        lines.push(`Assessment link: ${link(assessmentLink)}`);
+      }
+    } else {
+      const phase1 = reminder.type === this.TYPES.PHASE1;
+      const rows = phase1 ? CONFIG.PHASE1.rows : CONFIG.PHASE2.rows;
+      const sheetName = phase1 ? CONFIG.PHASE1.sheetName : CONFIG.PHASE2.sheetName;
+      const session = phase1 ? 'One-on-One Session (60 minutes)' : 'Team Building Session (90 minutes)';
+      const labels = BuildFileManager.LEADER_LABELS;
+      const hasLeaderRows = this.getBuildFileLabel(reminder.buildFileId, sheetName, rows.leaderDate) === labels.date &&
+        this.getBuildFileLabel(reminder.buildFileId, sheetName, rows.leaderTime) === labels.time;
+      const leaderDate = hasLeaderRows ? this.getBuildFileValue(reminder.buildFileId, sheetName, rows.leaderDate) : '';
+      let time = hasLeaderRows ? this.getBuildFileValue(reminder.buildFileId, sheetName, rows.leaderTime) : '';
+      
+      // Date and time from the same zone: the Build File's leader rows, else the leader zone we can tell
+      if (leaderDate && time) {
+        dateText = leaderDate instanceof Date
+          ? Utilities.formatDate(leaderDate, Session.getScriptTimeZone(), 'EEEE, MMMM d')
+          : String(leaderDate);
+        if (time instanceof Date) {
+          time = Utilities.formatDate(time, Session.getScriptTimeZone(), 'h:mm a');
+        }
+      } else {
+        const timeZone = TimeFormat.getLeaderTimeZone('', reminder.company).timeZone;
+        dateText = Utilities.formatDate(reminder.eventDate, timeZone, 'EEEE, MMMM d');
+        time = Utilities.formatDate(reminder.eventDate, timeZone, 'h:mm a z');
+      }
+      const zoomLink = this.getBuildFileValue(reminder.buildFileId, sheetName, rows.zoomLink);
+      
+      subject = `Reminder: your Strong Teams ${phase1 ? 'One-on-One' : 'Team Building'} Session is ${when}`;
+      lines = [
+        `This is a reminder that your ${session} is <strong>${esc(dateText)}</strong> at <strong>${esc(time)}</strong>.`,
+        `Zoom link: ${zoomLink ? link(zoomLink) : 'we\'ll send it separately'}`
+      ];
+      if (!phase1) {
+        lines.push('Please remind your team - everyone should have completed the assessment before the session.');
+      }
+    }
+    
+    const html = `<div style="font-family:Arial,sans-serif;font-size:14px;color:#222;">
+<p>${esc(firstName)},</p>
+${lines.map(line => `<p>${line}</p>`).join('\n')}
+<p>${esc(CONFIG.REMINDERS.senderName)}</p>
+</div>`;
+
+    return { subject: subject, html: html };
+  },
+  
+  /**
+   * Send one reminder (CCs CONFIG.PHASE_EMAILS.coachEmails when ccCoaches is on)
+   * @param {Object} reminder - From collectDue()
+   */
+  send: function(reminder) {
+    const email = this.buildEmail(reminder);
+    const message = {
+      to: reminder.email,
+      subject: email.subject,
+      htmlBody: email.html,
+      name: CONFIG.REMINDERS.senderName
+    };
+    
+    if (CONFIG.REMINDERS.ccCoaches && CONFIG.PHASE_EMAILS.coachEmails.length > 0) {
+      message.cc = CONFIG.PHASE_EMAILS.coachEmails.join(',');
+    }
+    
+    MailApp.sendEmail(message);
+  },
+  
+  /**
+   * Get or create the "Reminders Sent" sheet
+   * @returns {Sheet} The sheet
+   */
+  getSentSheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.REMINDERS.sentSheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.REMINDERS.sentSheetName);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setValues([this.HEADERS]);
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 170);
+      sheet.setColumnWidth(this.KEY_COLUMN, 350);
+      Logger.log(`✓ Created "${CONFIG.REMINDERS.sentSheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * @returns {Object} Map of keys already sent
+   */
+  loadSentKeys: function() {
+    const sheet = this.getSentSheet();
+    const keys = {};
+    
+    if (sheet.getLastRow() > 1) {
+      sheet.getRange(2, this.KEY_COLUMN, sheet.getLastRow() - 1, 1).getValues().forEach(row => {
+        if (row[0]) keys[row[0]] = true;
+      });
+    }
+    
+    return keys;
+  },
+  
+  /**
+   * Record a sent reminder (written straight away so a failed run can't resend it)
+   * @param {Object} reminder - From collectDue()
+   */
+  recordSent: function(reminder) {
+    this.getSentSheet().appendRow([
+      new Date().toISOString(),
+      reminder.type,
+      reminder.daysBefore,
+      reminder.email,
+      reminder.leaderName,
+      reminder.eventDate.toISOString(),
+      reminder.buildFileId,
+      reminder.key
+    ]);
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Send due reminders (time-driven trigger - see CONFIG.TRIGGERS.timeDriven)
+ */
+function sendSessionReminders() {
+  ConfigLoader.load();
+  SessionReminders.run();
+}
+
+/**
+ * Log the reminders that are due today without sending anything
+ */
+function previewSessionReminders() {
+  ConfigLoader.load();
+  
+  const sentKeys = SessionReminders.loadSentKeys();
+  
+  SessionReminders.collectDue().forEach(reminder => {
+    const email = SessionReminders.buildEmail(reminder);
+    Logger.log(`${sentKeys[reminder.key] ? '⏭️ already sent' : '📧 due'}: ${reminder.type} → ${reminder.email}`);
+    Logger.log(`   ${email.subject}`);
+  });
+}
\ No newline at end of file
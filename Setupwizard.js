@@ -0,0 +1,249 @@
+/**
+ * Strong Teams Automation - Setup Wizard
+ * 
+ * @version 1.1.0
+ * @phase Trigger Health
+ * @description Server side of the first-time setup sidebar (Setupwizard.html)
+ * @lastUpdated 2026-10-18
+ * 
+ * Steps (each validated with the Idfinder.js checks):
+ * 1. Strong Teams folder         → testFolderID()
+ * 2. Build File template         → testBuildFileTemplate()
+ * 3. Calendars                   → CalendarApp access check
+ * 4. IDS credentials             → ping with the API key
+ * 5. Event Tracker spreadsheet   → open existing or create new
+ * 
+ * Finish re-validates everything, saves settings to the "Strong Teams Settings"
+ * sheet (secrets to Script Properties), runs checkSetupComplete() and installs
+ * the calendar triggers.
+ * 
+ * Open from: Strong Teams menu → Setup Wizard
+ * 
+ * CHANGELOG v1.1.0:
+ * - Finish installs the time-driven triggers too (TriggerManager.installAllTriggers)
+ */
+
+const SetupWizard = {
+  
+  /**
+   * Validate the calendar selection
+   * @param {string} primaryId - Primary calendar ID ('' = default calendar)
+   * @param {string[]} secondaryIds - Secondary calendar IDs
+   * @returns {Object} { valid, calendars: [{ id, name, ok }], error }
+   */
+  validateCalendars: function(primaryId, secondaryIds) {
+    const ids = [primaryId || CalendarApp.getDefaultCalendar().getId()].concat(secondaryIds || []);
+    
+    const calendars = ids.map(id => {
+      try {
+        const calendar = CalendarApp.getCalendarById(id);
+        return { id: id, name: calendar ? calendar.getName() : '', ok: !!calendar };
+      } catch (error) {
+        return { id: id, name: '', ok: false };
+      }
+    });
+    
+    const failed = calendars.filter(c => !c.ok);
+    return {
+      valid: failed.length === 0,
+      calendars: calendars,
+      error: failed.length > 0 ? `No access to: ${failed.map(c => c.id).join(', ')}` : ''
+    };
+  },
+  
+  /**
+   * Check an IDS API key against the ping endpoint
+   * @param {string} apiKey - Key to test ('' = use the stored key)
+   * @returns {Object} { valid, error }
+   */
+  validateIdsKey: function(apiKey) {
+    const key = apiKey || ConfigLoader.getSecret('IDS_API_KEY');
+    if (!key) {
+      return { valid: false, error: 'Enter the IDS API key' };
+    }
+    
+    try {
+      const response = UrlFetchApp.fetch(CONFIG.IDS_API.pingEndpoint, {
+        method: 'get',
+        headers: { 'Authorization': key },
+        muteHttpExceptions: true
+      });
+      
+      const code = response.getResponseCode();
+      return code === 200
+        ? { valid: true, error: '' }
+        : { valid: false, error: `IDS API returned ${code}` };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  },
+  
+  /**
+   * Check the tracker spreadsheet choice
+   * @param {string} spreadsheetId - Existing tracker ID ('' = create a new one)
+   * @returns {Object} { valid, create, name, url, error }
+   */
+  validateTracker: function(spreadsheetId) {
+    if (!spreadsheetId) {
+      return { valid: true, create: true, name: 'Strong Teams - Event Tracker (new)', url: '', error: '' };
+    }
+    
+    try {
+      const ss = SpreadsheetApp.openById(spreadsheetId);
+      const hasSheet = !!ss.getSheetByName(CONFIG.PROCESSED_EVENTS.sheetName);
+      return {
+        valid: hasSheet,
+        create: false,
+        name: ss.getName(),
+        url: ss.getUrl(),
+        error: hasSheet ? '' : `No "${CONFIG.PROCESSED_EVENTS.sheetName}" sheet in that spreadsheet`
+      };
+    } catch (error) {
+      return { valid: false, create: false, name: '', url: '', error: error.message };
+    }
+  },
+  
+  /**
+   * Validate every step, save the results and install triggers
+   * @param {Object} settings - { folderId, templateId, primaryCalendarId, secondaryCalendarIds,
+   *                              idsApiKey, idsContactEmail, adminEmail, trackerId }
+   * @returns {Object} { setup: checkSetupComplete() result, triggers: string[], timeDriven: string[] }
+   */
+  finish: function(settings) {
+    // Never trust the sidebar - run every check again
+    const folder = testFolderID(settings.folderId);
+    if (!folder.valid) throw new Error(`Strong Teams folder: ${folder.error}`);
+    
+    const template = testBuildFileTemplate(settings.templateId);
+    if (!template.valid) throw new Error(`Build File template: ${template.error}`);
+    
+    const calendars = this.validateCalendars(settings.primaryCalendarId, settings.secondaryCalendarIds);
+    if (!calendars.valid) throw new Error(`Calendars: ${calendars.error}`);
+    
+    const ids = this.validateIdsKey(settings.idsApiKey);
+    if (!ids.valid) throw new Error(`IDS credentials: ${ids.error}`);
+    
+    const tracker = this.validateTracker(settings.trackerId);
+    if (!tracker.valid) throw new Error(`Event Tracker: ${tracker.error}`);
+    
+    // Tracker first - the settings sheet lives in it
+    CONFIG.STRONG_TEAMS_FOLDER_ID = settings.folderId;
+    let trackerId = settings.trackerId;
+    if (tracker.create) {
+      trackerId = ProcessedEventsTracker.createTrackingSpreadsheet(DriveApp.getFolderById(settings.folderId)).getId();
+    }
+    
+    const properties = PropertiesService.getScriptProperties();
+    properties.setProperty('SETTINGS_SPREADSHEET_ID', trackerId);
+    if (settings.idsApiKey) {
+      properties.setProperty('IDS_API_KEY', settings.idsApiKey);
+    }
+    
+    ConfigLoader.saveSettings({
+      'STRONG_TEAMS_FOLDER_ID': settings.folderId,
+      'TEMPLATES.buildFile': settings.templateId,
+      'CALENDARS.primary': settings.primaryCalendarId || null,
+      'CALENDARS.secondary': settings.secondaryCalendarIds || [],
+      'PROCESSED_EVENTS.spreadsheetId': trackerId,
+      'IDS_API.contactEmail': settings.idsContactEmail || CONFIG.IDS_API.contactEmail,
+      'EMAIL.adminEmail': settings.adminEmail || CONFIG.EMAIL.adminEmail
+    });
+    
+    // Reload so secrets are picked up, then verify the whole setup
+    ConfigLoader.loaded = false;
+    ConfigLoader.load(['IDS_API.apiKey']);
+    
+    const setup = checkSetupComplete();
+    const triggers = setup.allGood ? TriggerManager.installAllTriggers() : { calendars: [], timeDriven: [] };
+    
+    return { setup: setup, triggers: triggers.calendars, timeDriven: triggers.timeDriven };
+  }
+};
+
+// ============================================================================
+// SIDEBAR ENTRY POINTS (called from Setupwizard.html via google.script.run)
+// ============================================================================
+
+/**
+ * Open the Setup Wizard sidebar
+ */
+function showSetupWizard() {
+  const html = HtmlService.createHtmlOutputFromFile('Setupwizard')
+    .setTitle('Strong Teams Setup');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Current settings + suggestions for the sidebar
+ * @returns {Object} Wizard state
+ */
+function wizardGetState() {
+  try {
+    ConfigLoader.load();
+  } catch (error) {
+    // First run - required keys may be missing, the wizard is how they get set
+    Logger.log(`ℹ ${error.message}`);
+  }
+  
+  const defaultCalendarId = CalendarApp.getDefaultCalendar().getId();
+  
+  return {
+    folderId: CONFIG.STRONG_TEAMS_FOLDER_ID || '',
+    folderCandidates: findStrongTeamsFolder(),
+    templateId: CONFIG.TEMPLATES.buildFile || '',
+    templateCandidates: findTemplateFiles(),
+    calendars: CalendarApp.getAllCalendars().map(calendar => ({
+      id: calendar.getId(),
+      name: calendar.getName(),
+      isDefault: calendar.getId() === defaultCalendarId
+    })),
+    primaryCalendarId: CONFIG.CALENDARS.primary || '',
+    secondaryCalendarIds: CONFIG.CALENDARS.secondary || [],
+    idsKeyStored: !!ConfigLoader.getSecret('IDS_API_KEY'),
+    idsContactEmail: CONFIG.IDS_API.contactEmail || '',
+    adminEmail: CONFIG.EMAIL.adminEmail || '',
+    trackerId: CONFIG.PROCESSED_EVENTS.spreadsheetId || ''
+  };
+}
+
+/**
+ * Step 1 - check a Strong Teams folder ID
+ */
+function wizardValidateFolder(folderId) {
+  return testFolderID(folderId);
+}
+
+/**
+ * Step 2 - check a Build File template ID
+ */
+function wizardValidateTemplate(templateId) {
+  return testBuildFileTemplate(templateId);
+}
+
+/**
+ * Step 3 - check calendar access
+ */
+function wizardValidateCalendars(primaryId, secondaryIds) {
+  return SetupWizard.validateCalendars(primaryId, secondaryIds);
+}
+
+/**
+ * Step 4 - check the IDS API key
+ */
+function wizardValidateIds(apiKey) {
+  return SetupWizard.validateIdsKey(apiKey);
+}
+
+/**
+ * Step 5 - check the Event Tracker spreadsheet
+ */
+function wizardValidateTracker(spreadsheetId) {
+  return SetupWizard.validateTracker(spreadsheetId);
+}
+
+/**
+ * Finish - save everything and install the calendar triggers
+ */
+function wizardFinish(settings) {
+  return SetupWizard.finish(settings);
+}
\ No newline at end of file
@@ -1,6 +1,27 @@
 /**
  * Stripe Webhook Handler for Pay-Later Notifications
  * Sends email when 100% discount/promotion code used
+ * 
+ * CHANGELOG v1.4.1:
+ * - Unsigned deliveries (Apps Script hides the Stripe-Signature header) are confirmed
+ *   with the Stripe API instead of rejected - see Stripeutils.js
+ * - Check, handle and record run under the script lock, so concurrent retries are handled once
+ * 
+ * CHANGELOG v1.4.0:
+ * - Loads settings via ConfigLoader; admin email comes from CONFIG.EMAIL
+ * 
+ * CHANGELOG v1.3.0:
+ * - Pay-later checkouts open a receivable (Receivablestracker.js)
+ * - Handles invoice.created, invoice.paid, invoice.payment_failed, invoice.overdue
+ * 
+ * CHANGELOG v1.2.0:
+ * - Every completed checkout is recorded in the Payments sheet (Paymentstracker.js)
+ * - Payments are linked to the leader's Build File by email
+ * - Pay-later email shows the real invoice amount instead of "$500.00"
+ * 
+ * CHANGELOG v1.1.0:
+ * - Webhooks must carry a valid Stripe-Signature (see Stripeutils.js)
+ * - Handled event IDs are recorded so Stripe retries never send duplicate alerts
  */
 
 /**
@@ -19,43 +40,36 @@ function doGet(e) {
  */
 function doPost(e) {
   try {
-    const payload = JSON.parse(e.postData.contents);
-    Logger.log('Webhook received: ' + payload.type);
+    if (!e || !e.postData) {
+      throw new Error('Empty request');
+    }
     
-    if (payload.type === 'checkout.session.completed') {
-      const session = payload.data.object;
-      
-      // Check for $0 payment (paylater scenario)
-      if (session.amount_total === 0) {
-        Logger.log('Zero-dollar checkout detected');
-        
-        if (session.discounts && session.discounts.length > 0) {
-          for (let discount of session.discounts) {
-            
-            // Check promotion_code (new structure)
-            if (discount.promotion_code) {
-              Logger.log('Promotion code detected: ' + discount.promotion_code);
-              sendPayLaterNotification(session);
-              break;
-            }
-            
-            // Check direct coupon (backwards compatible)
-            if (discount.coupon && discount.coupon.id) {
-              const couponCode = discount.coupon.id.toLowerCase();
-              if (couponCode === 'paylater') {
-                Logger.log('Coupon detected: paylater');
-                sendPayLaterNotification(session);
-                break;
-              }
-            }
-          }
-        }
-      }
+    ConfigLoader.load();
+    
+    // Only trust requests signed with our webhook secret, or events Stripe confirms
+    const verification = StripeUtils.verifyWebhook(e);
+    if (!verification.valid) {
+      Logger.log('✗ Webhook rejected: ' + verification.reason);
+      return ContentService.createTextOutput(JSON.stringify({
+        status: 'error',
+        message: 'Invalid signature'
+      })).setMimeType(ContentService.MimeType.JSON);
     }
     
-    return ContentService.createTextOutput(JSON.stringify({
-      status: 'success'
-    })).setMimeType(ContentService.MimeType.JSON);
+    const payload = verification.payload;
+    Logger.log('Webhook received: ' + payload.type + ' (' + payload.id + ')');
+    
+    // One event at a time, so a retry arriving mid-handling waits and is then a duplicate
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(CONFIG.STRIPE.lockWaitSeconds * 1000)) {
+      throw new Error('Could not get the script lock for ' + payload.id);
+    }
+    
+    try {
+      return handleStripeEvent(payload);
+    } finally {
+      lock.releaseLock();
+    }
     
   } catch (error) {
     Logger.log('Webhook error: ' + error.message);
@@ -66,20 +80,107 @@ function doPost(e) {
   }
 }
 
+/**
+ * Handle a verified Stripe event once (caller holds the script lock)
+ * @param {Object} payload - The Stripe event
+ * @returns {TextOutput} JSON response for Stripe
+ */
+function handleStripeEvent(payload) {
+  // Stripe retries until it gets a response - only act on each event once
+  if (StripeUtils.isEventRecorded(payload.id)) {
+    Logger.log('⏭️ Already handled: ' + payload.id);
+    return ContentService.createTextOutput(JSON.stringify({
+      status: 'duplicate'
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+  
+  let result = 'Ignored';
+  
+  if (payload.type === 'checkout.session.completed') {
+    const session = payload.data.object;
+    const isPayLater = isPayLaterSession(session);
+    
+    // Record every checkout (paid or pay-later) and link it to the Build File
+    const payment = PaymentsTracker.recordCheckout(session, payload.id, isPayLater);
+    result = 'Payment recorded';
+    
+    try {
+      PaymentsTracker.linkToBuildFile(payment);
+    } catch (error) {
+      Logger.log('⚠️ Payment recorded but Build File not updated: ' + error.message);
+    }
+    
+    if (isPayLater) {
+      ReceivablesTracker.openReceivable(payment);
+      sendPayLaterNotification(session);
+      result = 'Payment recorded, pay-later email sent';
+    }
+  }
+  
+  // NET 30 invoice lifecycle
+  if (ReceivablesTracker.INVOICE_EVENTS[payload.type]) {
+    result = 'Receivable ' + ReceivablesTracker.handleInvoiceEvent(payload.type, payload.data.object);
+  }
+  
+  StripeUtils.recordEvent(payload, result);
+  
+  return ContentService.createTextOutput(JSON.stringify({
+    status: 'success'
+  })).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Check if a checkout is a pay-later booking
+ * $0 total with a promotion code, or the "paylater" coupon
+ * 
+ * @param {Object} session - Stripe Checkout Session
+ * @returns {boolean} True if the client will be invoiced NET 30
+ */
+function isPayLaterSession(session) {
+  if (session.amount_total !== 0 || !session.discounts) {
+    return false;
+  }
+  
+  Logger.log('Zero-dollar checkout detected');
+  
+  for (let discount of session.discounts) {
+    
+    // Check promotion_code (new structure)
+    if (discount.promotion_code) {
+      Logger.log('Promotion code detected: ' + discount.promotion_code);
+      return true;
+    }
+    
+    // Check direct coupon (backwards compatible)
+    if (discount.coupon && discount.coupon.id && discount.coupon.id.toLowerCase() === 'paylater') {
+      Logger.log('Coupon detected: paylater');
+      return true;
+    }
+  }
+  
+  return false;
+}
+
 /**
  * Send pay-later notification email
  */
 function sendPayLaterNotification(session) {
-  const adminEmail = 'admin@basleracademy.com';
+  const adminEmail = CONFIG.EMAIL.adminEmail;
   
   // Extract customer details
   const customerName = session.customer_details.name || 'Unknown';
   const customerEmail = session.customer_details.email || session.customer_email || 'No email provided';
   
+  // Invoice for the pre-discount amount (amount_total is $0 on pay-later)
+  const amount = PaymentsTracker.formatAmount(
+    (session.amount_subtotal || 0) / 100,
+    session.currency
+  );
+  
   // Calculate NET 30 due date
   const bookingDate = new Date(session.created * 1000);
   const dueDate = new Date(bookingDate);
-  dueDate.setDate(dueDate.getDate() + 30);
+  dueDate.setDate(dueDate.getDate() + CONFIG.PAYMENTS.netTermsDays);
   
   const dueDateString = dueDate.toLocaleDateString('en-US', {
     year: 'numeric',
@@ -100,8 +201,8 @@ function sendPayLaterNotification(session) {
     'Booking Date: ' + bookingDate.toLocaleDateString('en-US') + '\n\n' +
     '💰 PAYMENT DETAILS:\n' +
     '──────────────────────────────────────\n' +
-    'Amount: $500.00\n' +
-    'Terms: NET 30\n' +
+    'Amount: ' + amount + '\n' +
+    'Terms: NET ' + CONFIG.PAYMENTS.netTermsDays + '\n' +
     'Due Date: ' + dueDateString + '\n\n' +
     '⚡ REQUIRED ACTION:\n' +
     '──────────────────────────────────────\n' +
@@ -130,6 +231,7 @@ function sendPayLaterNotification(session) {
  */
 function testPayLaterNotification() {
   Logger.log('Testing paylater notification...');
+  ConfigLoader.load();
   
   const testSession = {
     id: 'cs_test_123456789',
@@ -138,16 +240,20 @@ function testPayLaterNotification() {
       email: 'test@example.com'
     },
     customer_email: 'test@example.com',
+    amount_total: 0,
+    amount_subtotal: 50000,
+    currency: 'usd',
     created: Math.floor(Date.now() / 1000)
   };
   
   sendPayLaterNotification(testSession);
   
-  Logger.log('Test notification sent! Check admin@basleracademy.com');
+  Logger.log('Test notification sent! Check ' + CONFIG.EMAIL.adminEmail);
 }
 
 /**
  * Test webhook URL with POST request
+ * Signs the payload with STRIPE_WEBHOOK_SECRET and passes it as stripe_signature
  */
 function testWebhookPOST() {
   // REPLACE THIS WITH YOUR ACTUAL WEB APP URL
@@ -160,12 +266,22 @@ function testWebhookPOST() {
   
   Logger.log('Testing POST to: ' + webhookURL);
   
+  const secret = StripeUtils.getSigningSecret();
+  if (!secret) {
+    Logger.log('❌ ERROR: Set the ' + CONFIG.STRIPE.signingSecretProperty + ' Script Property first');
+    return;
+  }
+  
   const testPayload = {
+    id: 'evt_test_' + Date.now(),
     type: 'checkout.session.completed',
     data: {
       object: {
         id: 'cs_test_123',
         amount_total: 0,
+        amount_subtotal: 50000,
+        currency: 'usd',
+        payment_status: 'paid',
         customer_email: 'test@example.com',
         customer_details: {
           name: 'Test User',
@@ -181,15 +297,18 @@ function testWebhookPOST() {
     }
   };
   
+  const body = JSON.stringify(testPayload);
+  const signature = StripeUtils.buildSignatureHeader(body, secret);
+  
   const options = {
     method: 'post',
     contentType: 'application/json',
-    payload: JSON.stringify(testPayload),
+    payload: body,
     muteHttpExceptions: true
   };
   
   try {
-    const response = UrlFetchApp.fetch(webhookURL, options);
+    const response = UrlFetchApp.fetch(webhookURL + '?stripe_signature=' + encodeURIComponent(signature), options);
     const code = response.getResponseCode();
     const body = response.getContentText();
     
@@ -201,7 +320,7 @@ function testWebhookPOST() {
     if (code === 200 && body.includes('success')) {
       Logger.log('✅ POST TEST PASSED!');
       Logger.log('✅ Webhook is working correctly');
-      Logger.log('📧 Check email at admin@basleracademy.com');
+      Logger.log('📧 Check email at ' + CONFIG.EMAIL.adminEmail);
     } else if (code === 302) {
       Logger.log('❌ POST TEST FAILED - Got 302 redirect');
       Logger.log('Deployment may not be truly public');
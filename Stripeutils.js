@@ -0,0 +1,334 @@
+/**
+ * Strong Teams Automation - Stripe Utilities
+ * 
+ * @version 1.0.1
+ * @phase Stripe Webhook Security
+ * @description Stripe-Signature verification and idempotent webhook event logging
+ * @lastUpdated 2026-10-18
+ * 
+ * SIGNATURE VERIFICATION:
+ * Stripe signs every webhook with HMAC-SHA256 over "{timestamp}.{raw body}"
+ * and sends it as: Stripe-Signature: t=1700000000,v1=abc123...,v1=...
+ * 
+ * The signing secret (whsec_...) is read from the STRIPE_WEBHOOK_SECRET
+ * Script Property. Verification fails closed - no secret, stale timestamp
+ * or no matching v1 signature means the event is ignored.
+ * 
+ * DIRECT DELIVERIES:
+ * Apps Script web apps do not pass request headers to doPost(e), so a
+ * webhook sent straight from Stripe to the web app URL has no signature.
+ * Those are confirmed by fetching the event by ID from the Stripe API
+ * (GET /v1/events/{id}) with the restricted key in the STRIPE_API_KEY
+ * Script Property, and the fetched event is handled instead of the body -
+ * a forged body can at most name a real event. No key, or an event Stripe
+ * doesn't know, means the event is ignored.
+ * 
+ * The signature is still checked when it is available: from e.headers, or
+ * from a "stripe_signature" query/form parameter set by a relay that copies
+ * the Stripe-Signature header (and by testWebhookPOST).
+ * 
+ * IDEMPOTENCY:
+ * Every handled event ID is written to the "Stripe Events" sheet in the
+ * Event Tracker spreadsheet. doPost() holds the script lock while it checks,
+ * handles and records an event, so Stripe retries of the same event
+ * (even concurrent ones) are acknowledged without sending a second notification.
+ * 
+ * CHANGELOG v1.0.1:
+ * - Webhooks without a Stripe-Signature are confirmed with the Stripe API instead of rejected
+ * - verifyWebhook() returns the event to handle (payload)
+ */
+
+const StripeUtils = {
+  
+  // Header row for the Stripe Events sheet
+  EVENT_HEADERS: ['Event ID', 'Type', 'Received At', 'Result'],
+  
+  // Stripe API endpoint for a single event
+  EVENTS_URL: 'https://api.stripe.com/v1/events/',
+  
+  /**
+   * Get the webhook signing secret from Script Properties
+   * @returns {string|null} The signing secret or null if not set
+   */
+  getSigningSecret: function() {
+    return ConfigLoader.getSecret(CONFIG.STRIPE.signingSecretProperty);
+  },
+  
+  /**
+   * Read the Stripe-Signature value from a doPost event object
+   * @param {Object} e - The doPost event object
+   * @returns {string|null} The raw header value or null
+   */
+  getSignatureHeader: function(e) {
+    if (e.headers) {
+      for (let name in e.headers) {
+        if (name.toLowerCase() === 'stripe-signature') {
+          return e.headers[name];
+        }
+      }
+    }
+    
+    if (e.parameter && e.parameter.stripe_signature) {
+      return e.parameter.stripe_signature;
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Split a Stripe-Signature header into its timestamp and v1 signatures
+   * @param {string} header - e.g. "t=1700000000,v1=abc,v0=def"
+   * @returns {Object} { timestamp: number|null, signatures: string[] }
+   */
+  parseSignatureHeader: function(header) {
+    const result = { timestamp: null, signatures: [] };
+    
+    header.split(',').forEach(part => {
+      const separator = part.indexOf('=');
+      if (separator === -1) return;
+      
+      const key = part.substring(0, separator).trim();
+      const value = part.substring(separator + 1).trim();
+      
+      if (key === 't') {
+        result.timestamp = parseInt(value, 10);
+      } else if (key === 'v1') {
+        result.signatures.push(value);
+      }
+    });
+    
+    return result;
+  },
+  
+  /**
+   * Compute the expected v1 signature for a payload
+   * @param {string} timestamp - The t= value from the header
+   * @param {string} rawBody - The exact request body
+   * @param {string} secret - The webhook signing secret
+   * @returns {string} Lowercase hex HMAC-SHA256
+   */
+  computeSignature: function(timestamp, rawBody, secret) {
+    const bytes = Utilities.computeHmacSha256Signature(
+      `${timestamp}.${rawBody}`,
+      secret,
+      Utilities.Charset.UTF_8
+    );
+    
+    return bytes.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+  },
+  
+  /**
+   * Compare two strings without returning early on the first mismatch
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {boolean} True if equal
+   */
+  secureCompare: function(a, b) {
+    if (a.length !== b.length) {
+      return false;
+    }
+    
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  },
+  
+  /**
+   * Verify a webhook request came from Stripe
+   * Signed requests are checked against the signing secret; unsigned ones
+   * (direct deliveries - see DIRECT DELIVERIES above) are fetched back from Stripe
+   * 
+   * @param {Object} e - The doPost event object
+   * @returns {Object} { valid: boolean, reason: string, payload: Object|null } - payload is the event to handle
+   */
+  verifyWebhook: function(e) {
+    const header = this.getSignatureHeader(e);
+    if (!header) {
+      return this.verifyWithApi(e.postData.contents);
+    }
+    
+    const secret = this.getSigningSecret();
+    if (!secret) {
+      return { valid: false, reason: `Script Property ${CONFIG.STRIPE.signingSecretProperty} is not set`, payload: null };
+    }
+    
+    const parsed = this.parseSignatureHeader(header);
+    if (!parsed.timestamp || parsed.signatures.length === 0) {
+      return { valid: false, reason: 'Malformed Stripe-Signature', payload: null };
+    }
+    
+    const age = Math.abs(Math.floor(Date.now() / 1000) - parsed.timestamp);
+    if (age > CONFIG.STRIPE.toleranceSeconds) {
+      return { valid: false, reason: `Timestamp outside tolerance (${age}s)`, payload: null };
+    }
+    
+    const expected = this.computeSignature(parsed.timestamp, e.postData.contents, secret);
+    const matched = parsed.signatures.some(signature => this.secureCompare(signature, expected));
+    
+    return matched
+      ? { valid: true, reason: '', payload: JSON.parse(e.postData.contents) }
+      : { valid: false, reason: 'No matching signature', payload: null };
+  },
+  
+  /**
+   * Confirm an unsigned webhook by fetching its event from the Stripe API
+   * @param {string} rawBody - The request body
+   * @returns {Object} { valid: boolean, reason: string, payload: Object|null } - payload is the event as Stripe has it
+   * @since v1.0.1
+   */
+  verifyWithApi: function(rawBody) {
+    const apiKey = ConfigLoader.getSecret(CONFIG.STRIPE.apiKeyProperty);
+    if (!apiKey) {
+      return { valid: false, reason: `Missing Stripe-Signature and Script Property ${CONFIG.STRIPE.apiKeyProperty} is not set`, payload: null };
+    }
+    
+    let claimed;
+    try {
+      claimed = JSON.parse(rawBody);
+    } catch (error) {
+      return { valid: false, reason: 'Body is not JSON', payload: null };
+    }
+    
+    if (!claimed || !/^evt_\w+$/.test(claimed.id || '')) {
+      return { valid: false, reason: 'No event ID in body', payload: null };
+    }
+    
+    const event = this.fetchEvent(claimed.id, apiKey);
+    if (!event) {
+      return { valid: false, reason: `Stripe has no event ${claimed.id}`, payload: null };
+    }
+    
+    if (event.type !== claimed.type) {
+      return { valid: false, reason: `Event ${claimed.id} is ${event.type}, not ${claimed.type}`, payload: null };
+    }
+    
+    return { valid: true, reason: '', payload: event };
+  },
+  
+  /**
+   * Fetch one event from the Stripe API
+   * @param {string} eventId - Stripe event ID (evt_...)
+   * @param {string} apiKey - Stripe API key
+   * @returns {Object|null} The event, or null if Stripe doesn't have it (404)
+   * @throws {Error} On any other non-200 response (error.httpStatus set)
+   * @since v1.0.1
+   */
+  fetchEvent: function(eventId, apiKey) {
+    const response = UrlFetchApp.fetch(this.EVENTS_URL + encodeURIComponent(eventId), {
+      method: 'get',
+      headers: { 'Authorization': 'Bearer ' + apiKey },
+      muteHttpExceptions: true
+    });
+    
+    const responseCode = response.getResponseCode();
+    if (responseCode === 404) {
+      return null;
+    }
+    
+    if (responseCode !== 200) {
+      const error = new Error(`Stripe API returned ${responseCode} for ${eventId}: ${response.getContentText().substring(0, 200)}`);
+      error.httpStatus = responseCode;
+      throw error;
+    }
+    
+    return JSON.parse(response.getContentText());
+  },
+  
+  /**
+   * Build a Stripe-Signature value for a payload (used by test functions)
+   * @param {string} rawBody - The request body
+   * @param {string} secret - The webhook signing secret
+   * @returns {string} Header value "t=...,v1=..."
+   */
+  buildSignatureHeader: function(rawBody, secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    return `t=${timestamp},v1=${this.computeSignature(timestamp, rawBody, secret)}`;
+  },
+  
+  /**
+   * Get or create the Stripe Events sheet in the Event Tracker spreadsheet
+   * @returns {Sheet} The Stripe Events sheet
+   */
+  getEventsSheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.STRIPE.eventsSheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.STRIPE.eventsSheetName);
+      sheet.getRange(1, 1, 1, this.EVENT_HEADERS.length).setValues([this.EVENT_HEADERS]);
+      sheet.getRange(1, 1, 1, this.EVENT_HEADERS.length).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 250);
+      sheet.setColumnWidth(2, 220);
+      Logger.log(`✓ Created "${CONFIG.STRIPE.eventsSheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * Check if a Stripe event has already been handled
+   * @param {string} eventId - Stripe event ID (evt_...)
+   * @returns {boolean} True if already recorded
+   */
+  isEventRecorded: function(eventId) {
+    const sheet = this.getEventsSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return false;
+    
+    const ids = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+    return ids.some(row => row[0] === eventId);
+  },
+  
+  /**
+   * Record a handled Stripe event
+   * @param {Object} payload - The Stripe event
+   * @param {string} result - What the handler did (e.g. "Pay-later email sent")
+   */
+  recordEvent: function(payload, result) {
+    this.getEventsSheet().appendRow([payload.id, payload.type, new Date(), result]);
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Check signature verification with a locally signed payload
+ * Requires STRIPE_WEBHOOK_SECRET to be set in Script Properties
+ */
+function testStripeSignatureVerification() {
+  Logger.log('='.repeat(70));
+  Logger.log('TESTING STRIPE SIGNATURE VERIFICATION');
+  Logger.log('='.repeat(70));
+  
+  const secret = StripeUtils.getSigningSecret();
+  if (!secret) {
+    Logger.log(`✗ Script Property ${CONFIG.STRIPE.signingSecretProperty} is not set`);
+    return;
+  }
+  
+  const body = JSON.stringify({ id: 'evt_test_signature', type: 'ping' });
+  const header = StripeUtils.buildSignatureHeader(body, secret);
+  const staleTimestamp = Math.floor(Date.now() / 1000) - CONFIG.STRIPE.toleranceSeconds - 60;
+  
+  const cases = [
+    { name: 'Valid signature', expect: true, e: { postData: { contents: body }, parameter: { stripe_signature: header } } },
+    { name: 'Tampered body', expect: false, e: { postData: { contents: body + ' ' }, parameter: { stripe_signature: header } } },
+    { name: 'Unsigned, unknown event', expect: false, e: { postData: { contents: body }, parameter: {} } },
+    { name: 'Stale timestamp', expect: false, e: { postData: { contents: body }, parameter: {
+      stripe_signature: `t=${staleTimestamp},v1=${StripeUtils.computeSignature(staleTimestamp, body, secret)}`
+    } } }
+  ];
+  
+  cases.forEach(testCase => {
+    const result = StripeUtils.verifyWebhook(testCase.e);
+    const passed = result.valid === testCase.expect;
+    Logger.log(`${passed ? '✓' : '✗'} ${testCase.name}: ${result.valid ? 'valid' : result.reason}`);
+  });
+  
+  Logger.log('='.repeat(70));
+}
\ No newline at end of file
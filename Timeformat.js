@@ -0,0 +1,246 @@
+/**
+ * Strong Teams Automation - Time Formatting
+ * 
+ * @version 1.0.0
+ * @phase Leader Time Zones
+ * @description Session date/time formatting (CONFIG.dateFormat / timeFormat) in the coach's and the leader's time zone
+ * @lastUpdated 2026-10-18
+ * 
+ * Coach-local = the script time zone (appsscript.json, America/Denver).
+ * Leader-local = the first of:
+ * 1. The booking's time zone answer (YouCanBookMe "Timezone:", Calendly "Invitee Time Zone:")
+ * 2. The company's row on the "Company Time Zones" sheet (Event Tracker)
+ * 3. CONFIG.TIMEZONES.defaultLeaderTimeZone
+ * 4. The coach's time zone
+ * 
+ * Time zones can be written as IANA names (America/New_York), US names or
+ * abbreviations (Eastern, EST, Pacific Time) or offsets (GMT-05:00).
+ * 
+ * Build Files get both: Phase Settings date/time rows are coach-local,
+ * rows.leaderDate / rows.leaderTime are leader-local (used by PhaseEmails.js).
+ */
+
+const TimeFormat = {
+  
+  // US zone names and abbreviations → IANA (first match wins, Arizona before Mountain)
+  ZONE_NAMES: [
+    { pattern: /\b(eastern|EST|EDT|ET)\b/i, zone: 'America/New_York' },
+    { pattern: /\b(central|CST|CDT|CT)\b/i, zone: 'America/Chicago' },
+    { pattern: /\barizona\b/i, zone: 'America/Phoenix' },
+    { pattern: /\b(mountain|MST|MDT|MT)\b/i, zone: 'America/Denver' },
+    { pattern: /\b(pacific|PST|PDT|PT)\b/i, zone: 'America/Los_Angeles' },
+    { pattern: /\b(alaska|AKST|AKDT)\b/i, zone: 'America/Anchorage' },
+    { pattern: /\b(hawaii|HST)\b/i, zone: 'Pacific/Honolulu' }
+  ],
+  
+  // Header row for the Company Time Zones sheet
+  COMPANY_HEADERS: ['Company', 'Time Zone'],
+  
+  // Company (lowercase) → time zone, loaded once per execution (see getCompanyTimeZones)
+  companyTimeZones: null,
+  
+  /**
+   * @returns {string} The coach's time zone (script time zone)
+   */
+  getCoachTimeZone: function() {
+    return Session.getScriptTimeZone();
+  },
+  
+  /**
+   * Format a date using CONFIG.dateFormat
+   * @param {Date} date - Any date
+   * @param {string} [timeZone] - Time zone (default: coach)
+   * @returns {string} e.g. "December 22, 2024"
+   */
+  formatDate: function(date, timeZone) {
+    return Utilities.formatDate(date, timeZone || this.getCoachTimeZone(), this.getDatePattern());
+  },
+  
+  /**
+   * Format a time using CONFIG.timeFormat
+   * @param {Date} date - Any date
+   * @param {string} [timeZone] - Time zone (default: coach)
+   * @returns {string} e.g. "2:00 PM EST"
+   */
+  formatTime: function(date, timeZone) {
+    return Utilities.formatDate(date, timeZone || this.getCoachTimeZone(), this.getTimePattern());
+  },
+  
+  /**
+   * @returns {string} Utilities.formatDate pattern for CONFIG.dateFormat
+   */
+  getDatePattern: function() {
+    const format = CONFIG.dateFormat;
+    const patterns = {
+      full: 'EEEE, MMMM d',
+      long: 'MMMM d',
+      short: 'MMM d',
+      numeric: 'M/d'
+    };
+    const pattern = patterns[format.style] || patterns.long;
+    
+    if (!format.includeYear) {
+      return pattern;
+    }
+    
+    return format.style === 'numeric' ? `${pattern}/yyyy` : `${pattern}, yyyy`;
+  },
+  
+  /**
+   * @returns {string} Utilities.formatDate pattern for CONFIG.timeFormat
+   */
+  getTimePattern: function() {
+    const format = CONFIG.timeFormat;
+    const pattern = format.hour12 ? 'h:mm a' : 'HH:mm';
+    
+    return format.includeTimezone ? `${pattern} z` : pattern;
+  },
+  
+  /**
+   * Turn a time zone as people write it into one Utilities.formatDate understands
+   * @param {string} value - e.g. "America/New_York", "Eastern Time - US & Canada", "(GMT-05:00) EST"
+   * @returns {string} IANA name or "GMT±hh:mm", or '' if not recognised
+   */
+  parseTimeZone: function(value) {
+    const text = String(value || '').trim();
+    if (!text) return '';
+    
+    const iana = text.match(/\b(?:Africa|America|Antarctica|Asia|Atlantic|Australia|Europe|Indian|Pacific)\/[A-Za-z_\-]+(?:\/[A-Za-z_\-]+)?/);
+    if (iana) return iana[0];
+    
+    const named = this.ZONE_NAMES.find(entry => entry.pattern.test(text));
+    if (named) return named.zone;
+    
+    const offset = text.match(/\b(?:GMT|UTC)\s*([+-])(\d{1,2})(?::?(\d{2}))?/i);
+    if (offset) {
+      return `GMT${offset[1]}${('0' + offset[2]).slice(-2)}:${offset[3] || '00'}`;
+    }
+    
+    return '';
+  },
+  
+  /**
+   * Decide the leader's time zone
+   * @param {string} bookingTimeZone - Time zone answer from the booking ('' if none)
+   * @param {string} companyName - Resolved company name
+   * @returns {Object} { timeZone, source } - source: 'booking', 'company', 'default' or 'coach'
+   */
+  getLeaderTimeZone: function(bookingTimeZone, companyName) {
+    const fromBooking = this.parseTimeZone(bookingTimeZone);
+    if (fromBooking) {
+      return { timeZone: fromBooking, source: 'booking' };
+    }
+    
+    const fromCompany = this.parseTimeZone(this.getCompanyTimeZones()[String(companyName || '').trim().toLowerCase()]);
+    if (fromCompany) {
+      return { timeZone: fromCompany, source: 'company' };
+    }
+    
+    const fallback = this.parseTimeZone(CONFIG.TIMEZONES.defaultLeaderTimeZone);
+    if (fallback) {
+      return { timeZone: fallback, source: 'default' };
+    }
+    
+    return { timeZone: this.getCoachTimeZone(), source: 'coach' };
+  },
+  
+  /**
+   * Add coach-local and leader-local date/time to extracted event data
+   * Sets formattedDate, formattedTime (coach), leaderTimeZone, leaderTimeZoneSource,
+   * leaderDate, leaderTime (leader)
+   * 
+   * @param {Object} data - Event data with startDate, bookingTimeZone and companyName
+   * @returns {Object} The same object
+   */
+  applyToEventData: function(data) {
+    const leader = this.getLeaderTimeZone(data.bookingTimeZone, data.companyName);
+    
+    data.formattedDate = this.formatDate(data.startDate);
+    data.formattedTime = this.formatTime(data.startDate);
+    data.leaderTimeZone = leader.timeZone;
+    data.leaderTimeZoneSource = leader.source;
+    data.leaderDate = this.formatDate(data.startDate, leader.timeZone);
+    data.leaderTime = this.formatTime(data.startDate, leader.timeZone);
+    
+    return data;
+  },
+  
+  /**
+   * Get or create the "Company Time Zones" sheet in the Event Tracker
+   * @returns {Sheet} The sheet
+   */
+  getCompanySheet: function() {
+    const ss = ProcessedEventsTracker.getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CONFIG.TIMEZONES.companySheetName);
+    
+    if (!sheet) {
+      sheet = ss.insertSheet(CONFIG.TIMEZONES.companySheetName);
+      sheet.getRange(1, 1, 1, this.COMPANY_HEADERS.length).setValues([this.COMPANY_HEADERS]);
+      sheet.getRange(1, 1, 1, this.COMPANY_HEADERS.length).setFontWeight('bold');
+      sheet.getRange(1, 1, 1, this.COMPANY_HEADERS.length).setBackground('#4285f4');
+      sheet.getRange(1, 1, 1, this.COMPANY_HEADERS.length).setFontColor('#ffffff');
+      sheet.setFrozenRows(1);
+      sheet.setColumnWidth(1, 250);
+      sheet.setColumnWidth(2, 200);
+      Logger.log(`✓ Created "${CONFIG.TIMEZONES.companySheetName}" sheet`);
+    }
+    
+    return sheet;
+  },
+  
+  /**
+   * @returns {Object} Map of company (lowercase) → time zone text
+   */
+  getCompanyTimeZones: function() {
+    if (this.companyTimeZones) {
+      return this.companyTimeZones;
+    }
+    
+    this.companyTimeZones = {};
+    
+    try {
+      const sheet = ProcessedEventsTracker.getTrackingSpreadsheet().getSheetByName(CONFIG.TIMEZONES.companySheetName);
+      
+      if (sheet && sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(row => {
+          const company = String(row[0] || '').trim().toLowerCase();
+          if (company && row[1]) {
+            this.companyTimeZones[company] = String(row[1]).trim();
+          }
+        });
+      }
+    } catch (error) {
+      Logger.log(`⚠️ Could not read "${CONFIG.TIMEZONES.companySheetName}": ${error.message}`);
+    }
+    
+    return this.companyTimeZones;
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Create the "Company Time Zones" sheet (Company | Time Zone)
+ */
+function setupCompanyTimeZones() {
+  ConfigLoader.load();
+  const sheet = TimeFormat.getCompanySheet();
+  Logger.log(`✓ Company time zones: ${sheet.getParent().getUrl()}`);
+}
+
+/**
+ * Log how sample time zone answers are read and formatted
+ */
+function testTimeFormat() {
+  ConfigLoader.load();
+  
+  const now = new Date();
+  Logger.log(`Coach: ${TimeFormat.formatDate(now)} ${TimeFormat.formatTime(now)} (${TimeFormat.getCoachTimeZone()})`);
+  
+  ['America/New_York', 'Eastern Time - US & Canada', '(GMT-08:00) Pacific Time', 'Arizona', 'GMT+1', 'somewhere'].forEach(value => {
+    const timeZone = TimeFormat.parseTimeZone(value);
+    Logger.log(`"${value}" → ${timeZone || '(not recognised)'}${timeZone ? ': ' + TimeFormat.formatDate(now, timeZone) + ' ' + TimeFormat.formatTime(now, timeZone) : ''}`);
+  });
+}
\ No newline at end of file
@@ -0,0 +1,281 @@
+/**
+ * Strong Teams Automation - Trigger Manager
+ * 
+ * @version 1.1.0
+ * @phase Trigger Health
+ * @description Install, list and remove triggers; track automation health
+ * @lastUpdated 2026-10-18
+ * 
+ * Managed triggers:
+ * - One "event updated" trigger per monitored calendar → onCalendarTrigger()
+ * - Time-driven triggers from CONFIG.TRIGGERS.timeDriven
+ * 
+ * Installing always removes the matching old triggers first, so running it
+ * twice never doubles up processing. checkTriggerHealth() reports missing
+ * and duplicate triggers plus the age of the last successful run.
+ * 
+ * HEARTBEAT:
+ * onCalendarTrigger() stores the time of each completed run in the
+ * LAST_SUCCESSFUL_RUN Script Property. The add-on card warns when it is
+ * older than CONFIG.TRIGGERS.heartbeatWarningHours.
+ * 
+ * CHANGELOG v1.1.0:
+ * - Added time-driven triggers, listTriggers(), findDuplicateTriggers(), removeManagedTriggers()
+ * - Added heartbeat (recordHeartbeat / getLastSuccessfulRun) and checkTriggerHealth()
+ * - installCalendarTriggers() only replaces calendar-source triggers
+ */
+
+const TriggerManager = {
+  
+  // Function the calendar triggers call
+  CALENDAR_HANDLER: 'onCalendarTrigger',
+  
+  // Script Property holding the last successful run (ISO timestamp)
+  HEARTBEAT_PROPERTY: 'LAST_SUCCESSFUL_RUN',
+  
+  /**
+   * Get the calendar IDs from CONFIG.CALENDARS
+   * @returns {string[]} Calendar IDs (primary first)
+   */
+  getCalendarIds: function() {
+    const primaryId = CONFIG.CALENDARS.primary || CalendarApp.getDefaultCalendar().getId();
+    const ids = [primaryId];
+    
+    (CONFIG.CALENDARS.secondary || []).forEach(id => {
+      if (id && ids.indexOf(id) === -1) {
+        ids.push(id);
+      }
+    });
+    
+    return ids;
+  },
+  
+  /**
+   * Describe every project trigger
+   * @returns {Object[]} { id, handler, source, sourceId, eventType }
+   */
+  listTriggers: function() {
+    return ScriptApp.getProjectTriggers().map(trigger => ({
+      id: trigger.getUniqueId(),
+      handler: trigger.getHandlerFunction(),
+      source: String(trigger.getTriggerSource()),
+      sourceId: trigger.getTriggerSourceId() || '',
+      eventType: String(trigger.getEventType())
+    }));
+  },
+  
+  /**
+   * Remove project triggers for a handler, optionally only from one source
+   * @param {string} handlerName - Function name
+   * @param {string} source - 'CALENDAR', 'CLOCK' or null for any source
+   * @returns {number} Number of triggers removed
+   */
+  removeTriggers: function(handlerName, source) {
+    let removed = 0;
+    
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+      if (trigger.getHandlerFunction() !== handlerName) return;
+      if (source && String(trigger.getTriggerSource()) !== source) return;
+      
+      ScriptApp.deleteTrigger(trigger);
+      removed++;
+    });
+    
+    return removed;
+  },
+  
+  /**
+   * Replace the calendar triggers with one per monitored calendar
+   * @returns {Object} { installed: string[], removed: number }
+   */
+  installCalendarTriggers: function() {
+    const removed = this.removeTriggers(this.CALENDAR_HANDLER, 'CALENDAR');
+    const installed = [];
+    
+    this.getCalendarIds().forEach(calendarId => {
+      ScriptApp.newTrigger(this.CALENDAR_HANDLER)
+        .forUserCalendar(calendarId)
+        .onEventUpdated()
+        .create();
+      installed.push(calendarId);
+      Logger.log(`✓ Calendar trigger installed: ${calendarId}`);
+    });
+    
+    if (removed > 0) {
+      Logger.log(`   (replaced ${removed} existing trigger(s))`);
+    }
+    
+    return { installed: installed, removed: removed };
+  },
+  
+  /**
+   * Replace the time-driven trigger for one handler from CONFIG.TRIGGERS.timeDriven
+   * @param {string} handlerName - Function name (key in CONFIG.TRIGGERS.timeDriven)
+   */
+  installTimeDrivenTrigger: function(handlerName) {
+    const schedule = CONFIG.TRIGGERS.timeDriven[handlerName];
+    if (!schedule) {
+      throw new Error(`No schedule for "${handlerName}" in CONFIG.TRIGGERS.timeDriven`);
+    }
+    
+    this.removeTriggers(handlerName, 'CLOCK');
+    
+    const builder = ScriptApp.newTrigger(handlerName).timeBased();
+    
+    if (schedule.everyHours) {
+      builder.everyHours(schedule.everyHours).create();
+      Logger.log(`✓ Time-driven trigger installed: ${handlerName} (every ${schedule.everyHours}h)`);
+    } else {
+      builder.everyDays(schedule.everyDays || 1).atHour(schedule.atHour || 0).create();
+      Logger.log(`✓ Time-driven trigger installed: ${handlerName} (daily at ${schedule.atHour || 0}:00)`);
+    }
+  },
+  
+  /**
+   * Install every managed trigger (calendar + time-driven)
+   * @returns {Object} { calendars: string[], timeDriven: string[] }
+   */
+  installAllTriggers: function() {
+    const calendars = this.installCalendarTriggers().installed;
+    const timeDriven = Object.keys(CONFIG.TRIGGERS.timeDriven);
+    
+    timeDriven.forEach(handler => this.installTimeDrivenTrigger(handler));
+    
+    return { calendars: calendars, timeDriven: timeDriven };
+  },
+  
+  /**
+   * Remove every managed trigger (leaves unrelated project triggers alone)
+   * @returns {number} Number of triggers removed
+   */
+  removeManagedTriggers: function() {
+    const handlers = [this.CALENDAR_HANDLER].concat(Object.keys(CONFIG.TRIGGERS.timeDriven));
+    const unique = handlers.filter((handler, index) => handlers.indexOf(handler) === index);
+    
+    return unique.reduce((total, handler) => total + this.removeTriggers(handler, null), 0);
+  },
+  
+  /**
+   * Find triggers that would run the same handler twice for the same source
+   * @returns {Object[]} { handler, source, sourceId, count }
+   */
+  findDuplicateTriggers: function() {
+    const groups = {};
+    
+    this.listTriggers().forEach(trigger => {
+      const key = [trigger.handler, trigger.source, trigger.sourceId].join('|');
+      if (!groups[key]) {
+        groups[key] = { handler: trigger.handler, source: trigger.source, sourceId: trigger.sourceId, count: 0 };
+      }
+      groups[key].count++;
+    });
+    
+    return Object.keys(groups).map(key => groups[key]).filter(group => group.count > 1);
+  },
+  
+  /**
+   * Record a successful automation run
+   */
+  recordHeartbeat: function() {
+    PropertiesService.getScriptProperties().setProperty(this.HEARTBEAT_PROPERTY, new Date().toISOString());
+  },
+  
+  /**
+   * Get the last successful run
+   * @returns {Date|null} Time of the last run, or null if never recorded
+   */
+  getLastSuccessfulRun: function() {
+    const value = PropertiesService.getScriptProperties().getProperty(this.HEARTBEAT_PROPERTY);
+    return value ? new Date(value) : null;
+  },
+  
+  /**
+   * Check triggers and heartbeat
+   * @returns {Object} { healthy, missingCalendars, missingTimeDriven, duplicates, lastRun, hoursSinceRun, stale }
+   */
+  checkTriggerHealth: function() {
+    const triggers = this.listTriggers();
+    
+    const calendarTriggerIds = triggers
+      .filter(t => t.handler === this.CALENDAR_HANDLER && t.source === 'CALENDAR')
+      .map(t => t.sourceId);
+    const missingCalendars = this.getCalendarIds().filter(id => calendarTriggerIds.indexOf(id) === -1);
+    
+    const missingTimeDriven = Object.keys(CONFIG.TRIGGERS.timeDriven).filter(handler =>
+      !triggers.some(t => t.handler === handler && t.source === 'CLOCK'));
+    
+    const duplicates = this.findDuplicateTriggers();
+    
+    const lastRun = this.getLastSuccessfulRun();
+    const hoursSinceRun = lastRun ? (Date.now() - lastRun.getTime()) / (60 * 60 * 1000) : null;
+    const stale = hoursSinceRun === null || hoursSinceRun > CONFIG.TRIGGERS.heartbeatWarningHours;
+    
+    return {
+      healthy: missingCalendars.length === 0 && missingTimeDriven.length === 0 && duplicates.length === 0 && !stale,
+      missingCalendars: missingCalendars,
+      missingTimeDriven: missingTimeDriven,
+      duplicates: duplicates,
+      lastRun: lastRun,
+      hoursSinceRun: hoursSinceRun,
+      stale: stale
+    };
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS (can be run directly from Apps Script)
+// ============================================================================
+
+/**
+ * Install (or reinstall) the calendar triggers
+ */
+function installCalendarTriggers() {
+  ConfigLoader.load();
+  const result = TriggerManager.installCalendarTriggers();
+  Logger.log(`✓ ${result.installed.length} calendar trigger(s) active`);
+}
+
+/**
+ * Install (or reinstall) every calendar and time-driven trigger
+ */
+function installAllTriggers() {
+  ConfigLoader.load();
+  const result = TriggerManager.installAllTriggers();
+  Logger.log(`✓ ${result.calendars.length} calendar trigger(s), ${result.timeDriven.length} time-driven trigger(s) active`);
+}
+
+/**
+ * Remove every Strong Teams trigger (automation stops until reinstalled)
+ */
+function removeAllTriggers() {
+  ConfigLoader.load();
+  const removed = TriggerManager.removeManagedTriggers();
+  Logger.log(`✓ Removed ${removed} trigger(s)`);
+}
+
+/**
+ * Log every project trigger and the health report
+ */
+function viewTriggers() {
+  ConfigLoader.load();
+  
+  Logger.log('='.repeat(70));
+  Logger.log('PROJECT TRIGGERS');
+  Logger.log('='.repeat(70));
+  
+  TriggerManager.listTriggers().forEach(t => {
+    Logger.log(`• ${t.handler} - ${t.source}${t.sourceId ? ' (' + t.sourceId + ')' : ''} - ${t.eventType}`);
+  });
+  
+  const health = TriggerManager.checkTriggerHealth();
+  
+  Logger.log('\n' + '─'.repeat(70));
+  health.missingCalendars.forEach(id => Logger.log(`✗ Missing calendar trigger: ${id}`));
+  health.missingTimeDriven.forEach(handler => Logger.log(`✗ Missing time-driven trigger: ${handler}`));
+  health.duplicates.forEach(d => Logger.log(`⚠️ Duplicate: ${d.handler} (${d.source} ${d.sourceId}) × ${d.count}`));
+  Logger.log(health.lastRun
+    ? `${health.stale ? '⚠️' : '✓'} Last successful run: ${health.lastRun.toLocaleString()} (${health.hoursSinceRun.toFixed(1)}h ago)`
+    : '⚠️ No successful run recorded yet');
+  Logger.log(health.healthy ? '✓ Triggers healthy' : '⚠️ Run installAllTriggers() to fix');
+  Logger.log('='.repeat(70));
+}
\ No newline at end of file